@@ -3,9 +3,13 @@ import { Client, GatewayIntentBits, ChannelType } from "discord.js";
 
 // Import EarthRovers-specific services
 import BotActivationArticleService from "./services/BotActivationArticleService.js";
+import knowledgeBase from "./services/knowledge/index.js";
 import ConversationService from "./services/ConversationService.js";
 import AIService from "./services/AIService.js";
 import activationCommands from "./commands/activation-commands.js";
+import rateLimitService from "./services/RateLimitService.js";
+import LoggingService from "./services/LoggingService.js";
+import botRules from "./config/botRules.js";
 
 /**
  * EarthRovers Bot - Specialized Discord bot for EarthRovers Personal Bots support
@@ -14,9 +18,8 @@ import activationCommands from "./commands/activation-commands.js";
  * - Channel-based activation (responds to threads in target channel)
  * - Human help detection with support team tagging
  * - AI stops responding after escalation to prevent interference
- * - Cached knowledge base with daily refresh
- * - Per-user rate limiting (5 queries/min, 30/hour, 10s cooldown)
- * - Automatic cleanup of old rate limit data
+ * - Shared knowledge base, refreshed on its schedule
+ * - Per-user rate limiting (5 queries/min, 30/hour, 10s cooldown), shared in Redis with the main bot
  *
  * To configure a different support role ID for EarthRovers:
  * 1. Change this.config.supportRoleId in the constructor, OR
@@ -29,6 +32,7 @@ class ActivationBot {
     this.botActivationArticleService = new BotActivationArticleService();
     this.conversationService = new ConversationService(
       this.botActivationArticleService,
+      { channelType: "activation" },
     );
     this.aiService = new AIService();
 
@@ -38,24 +42,19 @@ class ActivationBot {
         process.env.ACTIVATION_TARGET_CHANNEL_ID || "1206794672375205939", // Channel where EarthRovers threads are created
       refreshInterval:
         parseInt(process.env.ACTIVATION_REFRESH_INTERVAL) ||
-        24 * 60 * 60 * 1000, // 24 hours
+        knowledgeBase.REFRESH_INTERVAL, // KNOWLEDGE_REFRESH_INTERVAL_MS (24 hours)
       supportRoleId:
         process.env.ACTIVATION_SUPPORT_ROLE_ID || "1217016478193422406", // EarthRovers support team role ID
 
-      // Rate limiting configuration
+      // Rate limiting policy (defaults in botRules ACTIVATION.RATE_LIMITS; guild/role
+      // overrides from serverConfigs rateLimits apply on top)
       rateLimits: {
-        maxQueriesPerMinute:
-          parseInt(process.env.ACTIVATION_MAX_QUERIES_PER_MINUTE) || 5, // Maximum AI queries per user per minute
-        maxQueriesPerHour:
-          parseInt(process.env.ACTIVATION_MAX_QUERIES_PER_HOUR) || 30, // Maximum AI queries per user per hour
-        cooldownSeconds:
-          parseInt(process.env.ACTIVATION_COOLDOWN_SECONDS) || 10, // Cooldown between messages from same user
-        windowSizeMinutes:
-          parseInt(process.env.ACTIVATION_WINDOW_SIZE_MINUTES) || 1, // Time window for rate limit tracking (minutes)
-        windowSizeHours:
-          parseInt(process.env.ACTIVATION_WINDOW_SIZE_HOURS) || 1, // Time window for hourly rate limit tracking
-        cleanupIntervalMinutes:
-          parseInt(process.env.ACTIVATION_CLEANUP_INTERVAL_MINUTES) || 5, // How often to clean up old rate limit data
+        MAX_QUERIES_PER_MINUTE:
+          parseInt(process.env.ACTIVATION_MAX_QUERIES_PER_MINUTE) || botRules.ACTIVATION.RATE_LIMITS.MAX_QUERIES_PER_MINUTE, // Maximum AI queries per user per minute
+        MAX_QUERIES_PER_HOUR:
+          parseInt(process.env.ACTIVATION_MAX_QUERIES_PER_HOUR) || botRules.ACTIVATION.RATE_LIMITS.MAX_QUERIES_PER_HOUR, // Maximum AI queries per user per hour
+        COOLDOWN_SECONDS:
+          parseInt(process.env.ACTIVATION_COOLDOWN_SECONDS) || botRules.ACTIVATION.RATE_LIMITS.COOLDOWN_SECONDS, // Cooldown between messages from same user
       },
     };
 
@@ -76,13 +75,11 @@ class ActivationBot {
     // Track escalated threads where AI should no longer respond
     this.escalatedThreads = new Set();
 
-    // Rate limiting tracking
-    this.userRateLimits = new Map(); // userId -> { queries: [{timestamp}], lastMessage: timestamp }
-    this.rateLimitCleanupInterval = null;
+    // Logging (rate limit hits), created once the client is ready
+    this.loggingService = null;
 
     // Cache for ready-to-use content
     this.cachedSystemPrompt = null;
-    this.contentRefreshInterval = null;
   }
 
   async start() {
@@ -101,23 +98,8 @@ class ActivationBot {
       `📊 Escalation stats: ${stats.escalatedThreadsCount} threads escalated, ${stats.processedThreadsCount} threads processed`,
     );
 
-    // Show rate limiting statistics before shutdown
-    const rateLimitStats = this.getRateLimitStats();
-    console.log(
-      `📊 Rate limit stats: ${rateLimitStats.totalTrackedUsers} users tracked, ${rateLimitStats.activeUsersThisMinute} active this minute`,
-    );
-
-    // Clear the daily refresh interval
-    if (this.contentRefreshInterval) {
-      clearInterval(this.contentRefreshInterval);
-      console.log("⏰ Daily refresh interval cleared");
-    }
-
-    // Clear rate limit cleanup interval
-    if (this.rateLimitCleanupInterval) {
-      clearInterval(this.rateLimitCleanupInterval);
-      console.log("⏰ Rate limit cleanup interval cleared");
-    }
+    // Stop the knowledge base refresh
+    knowledgeBase.stopScheduler();
 
     // Disconnect from Discord
     if (this.client) {
@@ -146,6 +128,9 @@ class ActivationBot {
       // Set bot status
       this.client.user.setStatus("online");
 
+      // Log channels of the guilds the bot is in (rate limit hits go to admin logs)
+      this.loggingService = new LoggingService(this.client);
+
       // Register activation slash commands
       try {
         const commandData = Array.from(activationCommands.values()).map(
@@ -168,18 +153,15 @@ class ActivationBot {
         `👥 EarthRovers support role ID: ${this.config.supportRoleId}`,
       );
       console.log(
-        `⏱️ Rate limits: ${this.config.rateLimits.maxQueriesPerMinute}/min, ${this.config.rateLimits.maxQueriesPerHour}/hour, ${this.config.rateLimits.cooldownSeconds}s cooldown`,
+        `⏱️ Rate limits: ${this.config.rateLimits.MAX_QUERIES_PER_MINUTE}/min, ${this.config.rateLimits.MAX_QUERIES_PER_HOUR}/hour, ${this.config.rateLimits.COOLDOWN_SECONDS}s cooldown`,
       );
 
       try {
         await this.initializeEarthRoversContent();
         console.log("✅ EarthRovers knowledge base ready for immediate use");
 
-        // Set up daily refresh (24 hours = 24 * 60 * 60 * 1000 ms)
+        // Refresh with the knowledge base schedule
         this.setupDailyRefresh();
-
-        // Set up rate limiting cleanup
-        this.setupRateLimitCleanup();
       } catch (error) {
         console.error(
           "❌ Failed to initialize EarthRovers content:",
@@ -286,10 +268,10 @@ class ActivationBot {
         `📊 Token Usage: ${diagnostics.tokenUsage.current}/${diagnostics.tokenUsage.maximum} (${diagnostics.tokenUsage.percentage}%)`,
       );
       console.log(
-        `📄 Articles: ${diagnostics.cacheInfo.totalArticles} cached, ${diagnostics.cacheInfo.freshArticles} fresh`,
+        `📄 Articles: ${diagnostics.cacheInfo.totalArticles} in the knowledge base`,
       );
       console.log(
-        `⚖️ Content Limits: ${diagnostics.contentLimits.maxUrls} URLs, depth ${diagnostics.contentLimits.maxDepth}`,
+        `📚 Collections: ${diagnostics.contentLimits.collections.join(", ")}`,
       );
 
       return true;
@@ -298,26 +280,25 @@ class ActivationBot {
     }
   }
 
-  // Set up daily refresh for content updates
+  // Refresh content with the knowledge base scheduler; rebuild the cached prompt
+  // whenever the EarthRovers collections are re-fetched
   setupDailyRefresh() {
-    this.contentRefreshInterval = setInterval(async () => {
-      console.log("🔄 Daily EarthRovers content refresh starting...");
+    knowledgeBase.on("refresh", async ({ collections }) => {
+      if (collections.length === 0) return;
       try {
         await this.refreshEarthRoversContent();
-        console.log("✅ Daily refresh completed successfully");
       } catch (error) {
-        console.error("❌ Daily refresh failed:", error.message);
+        console.error("❌ EarthRovers prompt rebuild failed:", error.message);
       }
-    }, this.config.refreshInterval);
-
-    console.log("⏰ Daily refresh scheduled (every 24 hours)");
+    });
+    knowledgeBase.startScheduler(this.config.refreshInterval);
   }
 
-  // Refresh EarthRovers content (used by daily refresh)
+  // Rebuild the cached system prompt from the refreshed knowledge base
   async refreshEarthRoversContent() {
     console.log("🔄 Refreshing EarthRovers content...");
     const refreshedContent =
-      await this.botActivationArticleService.refreshContent();
+      await this.botActivationArticleService.getAllEarthRoversArticles();
 
     if (
       refreshedContent &&
@@ -326,8 +307,6 @@ class ActivationBot {
       // Update cached system prompt with fresh content
       this.cachedSystemPrompt =
         this.buildEarthRoversSystemPrompt(refreshedContent);
-      // Rebuild structured articles for retrieval
-      await this.botActivationArticleService.buildStructuredArticles();
       console.log("✅ EarthRovers content refreshed and system prompt updated");
 
       // Show updated diagnostics
@@ -336,7 +315,7 @@ class ActivationBot {
         `📊 Updated Token Usage: ${diagnostics.tokenUsage.current}/${diagnostics.tokenUsage.maximum} (${diagnostics.tokenUsage.percentage}%)`,
       );
       console.log(
-        `📄 Updated Articles: ${diagnostics.cacheInfo.totalArticles} cached, ${diagnostics.cacheInfo.freshArticles} fresh`,
+        `📄 Updated Articles: ${diagnostics.cacheInfo.totalArticles} in the knowledge base`,
       );
 
       return true;
@@ -441,9 +420,15 @@ class ActivationBot {
         return; // Stop processing - human support is handling this thread
       }
 
-      // SECOND: Check rate limits before processing
-      const rateLimitCheck = this.isUserRateLimited(userId);
-      if (rateLimitCheck.limited) {
+      // SECOND: Check rate limits before processing (the query is counted if allowed)
+      const rateLimitCheck = await rateLimitService.consume({
+        guildId: message.guild?.id,
+        channelType: "activation",
+        userId,
+        roleIds: message.member ? Array.from(message.member.roles.cache.keys()) : [],
+        defaults: this.config.rateLimits,
+      });
+      if (!rateLimitCheck.allowed) {
         await this.handleRateLimitExceeded(message, rateLimitCheck);
         return; // Stop processing - user is rate limited
       }
@@ -459,15 +444,6 @@ class ActivationBot {
         return;
       }
 
-      // Record this query for rate limiting (only for AI responses, not escalations)
-      this.recordUserQuery(userId);
-
-      // Log rate limit status
-      const userStatus = this.getUserRateLimitStatus(userId);
-      console.log(
-        `📊 Rate limit: ${username} - ${userStatus.queriesThisMinute}/${this.config.rateLimits.maxQueriesPerMinute} per min, ${userStatus.queriesThisHour}/${this.config.rateLimits.maxQueriesPerHour} per hour`,
-      );
-
       // Start typing indicator
       typingInterval = setInterval(() => message.channel.sendTyping(), 5000);
       message.channel.sendTyping();
@@ -495,11 +471,11 @@ class ActivationBot {
           systemPrompt,
           false,
         );
-        this.conversationService.addUserMessage(userId, message.content, false);
+        await this.conversationService.addUserMessage(userId, message.content, false);
 
         // Get conversation history
         const conversationHistory =
-          this.conversationService.getConversationHistory(userId, false);
+          await this.conversationService.getConversationHistory(userId, false);
 
         // Generate AI response using cached EarthRovers knowledge
         const aiResponse = await this.aiService.generateResponse(
@@ -512,7 +488,7 @@ class ActivationBot {
 
         if (aiResponse.isValid) {
           await message.reply(aiResponse.response);
-          this.conversationService.addAssistantMessage(
+          await this.conversationService.addAssistantMessage(
             userId,
             aiResponse.response,
             false,
@@ -746,205 +722,16 @@ FORMATTING (Intercom style):
     return count;
   }
 
-  // =================================================================
-  // RATE LIMITING METHODS
-  // =================================================================
-
-  // Check if user has exceeded rate limits
-  isUserRateLimited(userId) {
-    const now = Date.now();
-    const userLimits = this.userRateLimits.get(userId);
-
-    if (!userLimits) {
-      return { limited: false };
-    }
-
-    const { queries, lastMessage } = userLimits;
-    const { rateLimits } = this.config;
-
-    // Check cooldown period
-    if (lastMessage && now - lastMessage < rateLimits.cooldownSeconds * 1000) {
-      const remainingCooldown = Math.ceil(
-        (rateLimits.cooldownSeconds * 1000 - (now - lastMessage)) / 1000,
-      );
-      return {
-        limited: true,
-        reason: "cooldown",
-        remainingSeconds: remainingCooldown,
-      };
-    }
-
-    // Filter queries within time windows
-    const oneMinuteAgo = now - rateLimits.windowSizeMinutes * 60 * 1000;
-    const oneHourAgo = now - rateLimits.windowSizeHours * 60 * 60 * 1000;
-
-    const recentQueries = queries.filter(
-      (timestamp) => timestamp > oneMinuteAgo,
-    );
-    const hourlyQueries = queries.filter((timestamp) => timestamp > oneHourAgo);
-
-    // Check per-minute limit
-    if (recentQueries.length >= rateLimits.maxQueriesPerMinute) {
-      const oldestQuery = Math.min(...recentQueries);
-      const resetTime = Math.ceil(
-        (oldestQuery + rateLimits.windowSizeMinutes * 60 * 1000 - now) / 1000,
-      );
-      return {
-        limited: true,
-        reason: "per_minute",
-        current: recentQueries.length,
-        limit: rateLimits.maxQueriesPerMinute,
-        resetInSeconds: resetTime,
-      };
-    }
-
-    // Check per-hour limit
-    if (hourlyQueries.length >= rateLimits.maxQueriesPerHour) {
-      const oldestQuery = Math.min(...hourlyQueries);
-      const resetTime = Math.ceil(
-        (oldestQuery + rateLimits.windowSizeHours * 60 * 60 * 1000 - now) / 60,
-      );
-      return {
-        limited: true,
-        reason: "per_hour",
-        current: hourlyQueries.length,
-        limit: rateLimits.maxQueriesPerHour,
-        resetInMinutes: resetTime,
-      };
-    }
-
-    return { limited: false };
-  }
-
-  // Record a query for rate limiting
-  recordUserQuery(userId) {
-    const now = Date.now();
-
-    if (!this.userRateLimits.has(userId)) {
-      this.userRateLimits.set(userId, { queries: [], lastMessage: 0 });
-    }
-
-    const userLimits = this.userRateLimits.get(userId);
-    userLimits.queries.push(now);
-    userLimits.lastMessage = now;
-
-    // Clean up old queries to prevent memory bloat
-    const oneHourAgo =
-      now - this.config.rateLimits.windowSizeHours * 60 * 60 * 1000;
-    userLimits.queries = userLimits.queries.filter(
-      (timestamp) => timestamp > oneHourAgo,
-    );
-  }
-
-  // Get rate limit status for a user
-  getUserRateLimitStatus(userId) {
-    const userLimits = this.userRateLimits.get(userId);
-    if (!userLimits) {
-      return {
-        queriesThisMinute: 0,
-        queriesThisHour: 0,
-        lastMessage: null,
-      };
-    }
-
-    const now = Date.now();
-    const oneMinuteAgo =
-      now - this.config.rateLimits.windowSizeMinutes * 60 * 1000;
-    const oneHourAgo =
-      now - this.config.rateLimits.windowSizeHours * 60 * 60 * 1000;
-
-    return {
-      queriesThisMinute: userLimits.queries.filter((t) => t > oneMinuteAgo)
-        .length,
-      queriesThisHour: userLimits.queries.filter((t) => t > oneHourAgo).length,
-      lastMessage: userLimits.lastMessage
-        ? new Date(userLimits.lastMessage)
-        : null,
-    };
-  }
-
-  // Clean up old rate limit data
-  cleanupRateLimitData() {
-    const now = Date.now();
-    const oneHourAgo =
-      now - this.config.rateLimits.windowSizeHours * 60 * 60 * 1000;
-    let cleanedUsers = 0;
-
-    for (const [userId, userLimits] of this.userRateLimits.entries()) {
-      // Remove old queries
-      const oldQueriesLength = userLimits.queries.length;
-      userLimits.queries = userLimits.queries.filter(
-        (timestamp) => timestamp > oneHourAgo,
-      );
-
-      // Remove users with no recent activity
-      if (
-        userLimits.queries.length === 0 &&
-        userLimits.lastMessage < oneHourAgo
-      ) {
-        this.userRateLimits.delete(userId);
-        cleanedUsers++;
-      }
-    }
-
-    if (cleanedUsers > 0) {
-      console.log(
-        `🧹 Rate limit cleanup: removed ${cleanedUsers} inactive users`,
-      );
-    }
-  }
-
-  // Setup rate limit cleanup interval
-  setupRateLimitCleanup() {
-    const cleanupInterval =
-      this.config.rateLimits.cleanupIntervalMinutes * 60 * 1000;
-    this.rateLimitCleanupInterval = setInterval(() => {
-      this.cleanupRateLimitData();
-    }, cleanupInterval);
-
-    console.log(
-      `⏰ Rate limit cleanup scheduled every ${this.config.rateLimits.cleanupIntervalMinutes} minutes`,
-    );
-  }
-
-  // Get rate limiting statistics
-  getRateLimitStats() {
-    const totalUsers = this.userRateLimits.size;
-    const now = Date.now();
-    const oneMinuteAgo =
-      now - this.config.rateLimits.windowSizeMinutes * 60 * 1000;
-
-    let activeUsers = 0;
-    let totalQueriesThisMinute = 0;
-
-    for (const userLimits of this.userRateLimits.values()) {
-      const recentQueries = userLimits.queries.filter((t) => t > oneMinuteAgo);
-      if (recentQueries.length > 0) {
-        activeUsers++;
-        totalQueriesThisMinute += recentQueries.length;
-      }
-    }
-
-    return {
-      totalTrackedUsers: totalUsers,
-      activeUsersThisMinute: activeUsers,
-      totalQueriesThisMinute,
-      maxQueriesPerMinute: this.config.rateLimits.maxQueriesPerMinute,
-      maxQueriesPerHour: this.config.rateLimits.maxQueriesPerHour,
-      cooldownSeconds: this.config.rateLimits.cooldownSeconds,
-    };
-  }
-
-  // Handle rate limit exceeded with user-friendly messages
+  // Handle rate limit exceeded (the user is not messaged; staff see the first hit per window)
   async handleRateLimitExceeded(message, rateLimitCheck) {
     const username = message.author.username;
 
-    // No longer send a message to the user, just log the event
     console.log(
-      `⚠️ Rate limit exceeded for ${username}: ${rateLimitCheck.reason} (${rateLimitCheck.current}/${rateLimitCheck.limit})`,
+      `⚠️ Rate limit exceeded for ${username}: ${rateLimitCheck.rule} (limit ${rateLimitCheck.limit}, retry in ${rateLimitCheck.retryAfterSeconds}s)`,
     );
-    // Optionally, you could add a delay here if you want to simulate waiting
-    // await new Promise(resolve => setTimeout(resolve, 1000));
+    if (rateLimitCheck.firstHit && this.loggingService) {
+      await this.loggingService.logRateLimit(message, rateLimitCheck, "activation");
+    }
   }
 }
 
@@ -959,11 +746,8 @@ const activationBot = new ActivationBot();
 // Reset specific thread: earthRoversBot.resetThreadEscalation("thread_id");
 // Clear all escalations: earthRoversBot.clearAllEscalations();
 
-// OPTIONAL: Rate limiting management (for development/testing)
-// Check rate limit stats: console.log(earthRoversBot.getRateLimitStats());
-// Check user status: console.log(earthRoversBot.getUserRateLimitStatus("user_id"));
-// Check if user is limited: console.log(earthRoversBot.isUserRateLimited("user_id"));
-// Clean up rate limit data: earthRoversBot.cleanupRateLimitData();
+// OPTIONAL: Rate limiting (for development/testing) - limits live in Redis (ratelimit:activation:*),
+// see RateLimitService
 
 // Graceful shutdown handling
 process.on("SIGINT", async () => {
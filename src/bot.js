@@ -2,6 +2,8 @@ import "dotenv/config";
 import { Client, GatewayIntentBits, ChannelType, ButtonBuilder, ActionRowBuilder, ButtonStyle } from "discord.js";
 import { getServerFallbackResponse, getServerConfig } from './config/serverConfigs.js';
 import dynamicTicketChannelService from './services/dynamic/DynamicTicketChannelService.js';
+import ticketCatalogService from './services/TicketCatalogService.js';
+import rateLimitService from './services/RateLimitService.js';
 
 // Import services
 import ArticleService from "./services/ArticleService.js";
@@ -16,6 +18,7 @@ import { contentService as publicContentService } from "./services/PublicArticle
 import PublicContentManager from "./services/PublicContentManager.js";
 import dynamicChannelService from './services/dynamic/DynamicPublicChannelService.js';
 import googleDocsContentService from './services/GoogleDocsContentService.js';
+import knowledgeBase from './services/knowledge/index.js';
 import shopifyIntegrator from './shopify/ShopifyIntegrator.js';
 import shopifyPublicIntegrator from './shopify/ShopifyPublicIntegrator.js';
 import redis from './services/redisClient.js';
@@ -23,6 +26,10 @@ import redis from './services/redisClient.js';
 // Import handlers
 import TicketButtonHandler from './services/TicketButtonHandler.js';
 import TicketChannelManager from './services/TicketChannelManager.js';
+import ticketTranscriptService from './services/TicketTranscriptService.js';
+import SlaService from './services/SlaService.js';
+import InactivityService from './services/InactivityService.js';
+import csatService from './services/CsatService.js';
 
 // Import commands
 import commands from './commands/index.js';
@@ -34,10 +41,17 @@ import botRules from "./config/botRules.js";
 // Import utilities
 import ConversationKeyUtil from "./utils/ConversationKeyUtil.js";
 import ShopifyIntegrationUtil from "./utils/ShopifyIntegrationUtil.js";
+import shopifyTicketNotifier from "./shopify/ShopifyTicketNotifier.js";
+import shopifyShippingNotifier from "./shopify/ShopifyShippingNotifier.js";
 
 // Import common services
 import PermissionService from "./services/PermissionService.js";
 import MessageService from "./services/MessageService.js";
+import StreamingReplyService from "./services/StreamingReplyService.js";
+
+// Import AI tools
+import tools from "./tools/index.js";
+import ToolRegistry from "./tools/ToolRegistry.js";
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SERVICE INITIALIZATION
@@ -51,12 +65,12 @@ const aiService = new AIService();
 // Ticket system services
 const ticketSelectionService = new TicketSelectionService();
 const ticketChannelService = new TicketChannelService(ticketSelectionService, articleService, aiService);
-const conversationService = new ConversationService(articleService);
+const conversationService = new ConversationService(articleService, { channelType: "ticket" });
 
 // Public channel services (use singleton for SoT)
 const publicArticleService = publicContentService;
 const publicChannelService = new PublicChannelService();
-const publicConversationService = new ConversationService(publicArticleService);
+const publicConversationService = new ConversationService(publicArticleService, { channelType: "public" });
 const publicContentManager = new PublicContentManager();
 
 // Initialize Shopify integration with AI service for intelligent order detection
@@ -76,6 +90,8 @@ const client = new Client({
 let ticketButtonHandler;
 let ticketChannelManager;
 let loggingService;
+let slaService;
+let inactivityService;
 
 client.once("ready", async () => {
   console.log(constants.MESSAGES.BOT_READY, client.user.tag);
@@ -91,6 +107,28 @@ client.once("ready", async () => {
   ticketChannelService.setServices(conversationService, aiService);
   ticketChannelService.setLoggingService(loggingService);
 
+  // Audit AI tool calls into the log channels
+  tools.setAuditLogger(loggingService);
+
+  // Post knowledge base change reports to the admin log channels
+  knowledgeBase.on('refresh', ({ report }) => {
+    loggingService.logKnowledgeChanges(report).catch(error => console.error('Error logging knowledge changes:', error));
+  });
+
+  // Alert the support team before and when escalated tickets breach their SLA
+  slaService = new SlaService(client, ticketSelectionService, loggingService);
+  slaService.startScheduler();
+
+  // Nudge, then resolve, tickets the user has gone quiet on
+  inactivityService = new InactivityService(client, ticketSelectionService, loggingService);
+  ticketButtonHandler.setInactivityService(inactivityService);
+  inactivityService.startScheduler();
+
+  // Post Shopify order updates (queued by the channel manager webhooks) into linked tickets
+  shopifyTicketNotifier.startDelivery(client, ticketSelectionService);
+  // DM linked customers their shipping updates (queued by the same webhooks)
+  shopifyShippingNotifier.startDelivery(client);
+
   // Set bot status and activity
   client.user.setActivity(constants.BOT_CONFIG.ACTIVITY_NAME, {
     type: constants.BOT_CONFIG.ACTIVITY_TYPE,
@@ -107,6 +145,8 @@ client.once("ready", async () => {
   dynamicTicketChannelService.startCacheRefresher(10000);
   // Start public channel cache refresher
   dynamicChannelService.startCacheRefresher(10000);
+  // Start ticket catalog cache refresher (catalogs are edited from the channel manager)
+  ticketCatalogService.startCacheRefresher(10000);
 });
 
 /**
@@ -122,6 +162,10 @@ async function initializeServices() {
     console.log("✅ Public articles loaded successfully");
     console.log(`📊 PublicArticleService Status:`, status);
 
+    // Channel Google Docs join the same store; one scheduler refreshes every loaded collection
+    await knowledgeBase.ensure('google_docs');
+    knowledgeBase.startScheduler();
+
     // Rebuild thread tracking after restart
     await publicChannelService.rebuildThreadTracking(client);
     console.log("✅ Thread tracking rebuilt successfully");
@@ -164,6 +208,11 @@ client.once('ready', async () => {
  * Main message handler - routes messages to appropriate handlers
  */
 client.on("messageCreate", async (message) => {
+  // Capture ticket transcripts (user, staff and bot messages)
+  if (ticketChannelService.isTicketChannel(message.channel)) {
+    await ticketTranscriptService.recordMessage(message);
+  }
+
   // Ignore bot messages
   if (message.author.bot) return;
 
@@ -179,7 +228,9 @@ client.on("messageCreate", async (message) => {
       await message.reply('🔄 Force refreshing Intercom articles...');
       try {
         const result = await publicArticleService.forceRefresh();
-        await message.reply(`✅ Refresh complete! Loaded ${result.articleCount} articles across ${result.categoryCount} categories.`);
+        const { added, changed, removed } = result.report;
+        await message.reply(`✅ Refresh complete! Loaded ${result.articleCount} articles across ${result.categoryCount} categories ` +
+          `(${added.length} added, ${changed.length} changed, ${removed.length} removed).`);
       } catch (err) {
         console.error('Error during force refresh:', err);
         await message.reply(`❌ Refresh failed: ${err.message}`);
@@ -218,6 +269,15 @@ client.on("messageCreate", async (message) => {
   }
 });
 
+// Bot messages are often written by edits (streamed answers, deferred interaction replies,
+// step-by-step flows): keep their transcript entry in step
+client.on("messageUpdate", async (oldMessage, newMessage) => {
+  if (newMessage.partial || !newMessage.author?.bot) return;
+  if (ticketChannelService.isTicketChannel(newMessage.channel)) {
+    await ticketTranscriptService.recordMessageUpdate(newMessage);
+  }
+});
+
 /**
  * Check if message is in a public channel or thread
  * Now supports DYNAMIC channels from Redis - NO RESTART NEEDED!
@@ -289,7 +349,7 @@ async function handlePublicChannelFlow(message) {
     const responseCheck = await publicChannelService.shouldRespond(message, client.user.id, client);
 
     if (!responseCheck.shouldRespond) {
-      handleNonResponseCase(responseCheck.reason, message);
+      handleNonResponseCase(responseCheck.reason, message, responseCheck.rateLimit);
       return;
     }
 
@@ -305,7 +365,7 @@ async function handlePublicChannelFlow(message) {
 /**
  * Handle cases where bot doesn't respond
  */
-function handleNonResponseCase(reason, message) {
+function handleNonResponseCase(reason, message, rateLimit = null) {
   switch (reason) {
     case 'escalated':
       // User is escalated - silent ignore
@@ -316,8 +376,13 @@ function handleNonResponseCase(reason, message) {
       console.log(`🧵 User ${message.author.username} has active thread, ignoring main channel message`);
       break;
     case 'rate_limited':
-      // Rate limited - could optionally notify user
+      // Rate limited - tell the user and log once per limit window
       console.log(`⏱️ Rate limited user: ${message.author.username}`);
+      if (rateLimit?.firstHit) {
+        notifyRateLimited(message, rateLimit, 'public').catch(error =>
+          console.error('❌ Error notifying rate limited user:', error.message)
+        );
+      }
       break;
     default:
       // Other reasons (no mention, channel not approved, etc.) - silent ignore
@@ -325,6 +390,16 @@ function handleNonResponseCase(reason, message) {
   }
 }
 
+/**
+ * Tell a rate limited user when to try again and log the hit
+ */
+async function notifyRateLimited(message, rateLimit, channelType) {
+  await message.reply({ content: rateLimitService.formatNotice(rateLimit), flags: ['SuppressEmbeds'] });
+  if (loggingService) {
+    await loggingService.logRateLimit(message, rateLimit, channelType);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // PUBLIC CHANNEL MESSAGE PROCESSING
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -408,7 +483,10 @@ async function checkForEscalation(context) {
  */
 async function generateAIResponse(context) {
   // 🛍️ SHOPIFY INTEGRATION - Check for order-related queries first
-  const shopifyResponse = await ShopifyIntegrationUtil.handleMessage(context.message, 'public');
+  // (with AI tools enabled the model offers a ticket itself via open_ticket)
+  const shopifyResponse = ToolRegistry.isEnabled()
+    ? null
+    : await ShopifyIntegrationUtil.handleMessage(context.message, 'public');
   if (shopifyResponse) {
     // Stop typing
     if (context.typingInterval) {
@@ -418,18 +496,7 @@ async function generateAIResponse(context) {
     
     // Add ticket creation button if requested
     if (shopifyResponse.showTicketButton) {
-      const ticketButton = new ButtonBuilder()
-        .setCustomId('create_order_ticket')
-        .setLabel('🎫 Create Private Ticket')
-        .setStyle(ButtonStyle.Primary);
-
-      const continueButton = new ButtonBuilder()
-        .setCustomId('continue_public')
-        .setLabel('Continue Here')
-        .setStyle(ButtonStyle.Secondary);
-
-      const actionRow = new ActionRowBuilder().addComponents(ticketButton, continueButton);
-      shopifyResponse.components = [actionRow];
+      shopifyResponse.components = [createTicketButtonRow()];
     }
 
     await ShopifyIntegrationUtil.sendResponse(context.message, shopifyResponse, context.targetChannel);
@@ -452,10 +519,20 @@ async function generateAIResponse(context) {
       console.log("[PublicArticleService] Service not fully initialized, using fallback");
       // Use fallback system prompt
       await publicConversationService.initializeConversation(conversationKey, null, false);
-      publicConversationService.addUserMessage(conversationKey, context.message.content, false);
-
-      const conversationHistory = publicConversationService.getConversationHistory(conversationKey, false);
-      const aiResponse = await aiService.generateResponse(conversationHistory);
+      await publicConversationService.addUserMessage(conversationKey, context.message.content, false);
+
+      const conversationHistory = await publicConversationService.getConversationHistory(conversationKey, false);
+      const aiResponse = await aiService.generateResponse(conversationHistory, context.message.guild?.id, {
+        onText: createStreamingHandler(context),
+        tools: createToolOptions(context)
+      });
+
+      // A tool (escalation, ticket offer) already replied
+      if (aiResponse.handled) {
+        await context.streamingReply?.abort();
+        context.streamingReply = null;
+        return;
+      }
 
       MessageService.stopTyping(context.typingInterval);
       context.typingInterval = null;
@@ -489,16 +566,18 @@ async function generateAIResponse(context) {
         effectiveAllowedProducts = merged;
       }
     } catch {}
+    // Product the answer is rated under (CSAT), when the question is scoped to one
+    context.product = effectiveAllowedProducts.length === 1 ? effectiveAllowedProducts[0] : null;
 
     // Get relevant content scoped to allowed products (if any)
-    const relevantContent = await publicArticleService.getRelevantContent(
+    const { content: relevantContent, sources: articleSources } = await publicArticleService.getRelevantContentWithSources(
       context.message.content,
       15000,
       effectiveAllowedProducts
     );
 
     // 📄 GOOGLE DOCS INTEGRATION - Get channel-specific Google Docs content
-    const googleDocsContent = await googleDocsContentService.getChannelGoogleDocsContent(
+    const { content: googleDocsContent, sources: docSources } = await googleDocsContentService.getChannelGoogleDocsContentWithSources(
       guildId, 
       targetChannelId, 
       context.message.content
@@ -521,11 +600,22 @@ async function generateAIResponse(context) {
 
     // Initialize conversation with enhanced system prompt
     await publicConversationService.initializeConversation(conversationKey, enhancedSystemPrompt, false);
-    publicConversationService.addUserMessage(conversationKey, context.message.content, false);
+    await publicConversationService.addUserMessage(conversationKey, context.message.content, false);
 
     // Get conversation history and generate response
-    const conversationHistory = publicConversationService.getConversationHistory(conversationKey, false);
-    const aiResponse = await aiService.generateResponse(conversationHistory);
+    const conversationHistory = await publicConversationService.getConversationHistory(conversationKey, false);
+    const aiResponse = await aiService.generateResponse(conversationHistory, context.message.guild?.id, {
+      onText: createStreamingHandler(context),
+      sources: [...(docSources || []), ...(articleSources || [])],
+      tools: createToolOptions(context)
+    });
+
+    // A tool (escalation, ticket offer) already replied
+    if (aiResponse.handled) {
+      await context.streamingReply?.abort();
+      context.streamingReply = null;
+      return;
+    }
 
     // Stop typing
     if (context.typingInterval) {
@@ -544,10 +634,10 @@ async function generateAIResponse(context) {
     console.error("❌ Error generating AI response:", error);
     // Fallback to original method if enhanced system fails
     await publicConversationService.initializeConversation(conversationKey, null, false, context.message.content);
-    publicConversationService.addUserMessage(conversationKey, context.message.content, false);
+    await publicConversationService.addUserMessage(conversationKey, context.message.content, false);
 
-    const conversationHistory = publicConversationService.getConversationHistory(conversationKey, false);
-    const aiResponse = await aiService.generateResponse(conversationHistory);
+    const conversationHistory = await publicConversationService.getConversationHistory(conversationKey, false);
+    const aiResponse = await aiService.generateResponse(conversationHistory, context.message.guild?.id);
 
     if (context.typingInterval) {
       clearInterval(context.typingInterval);
@@ -572,10 +662,11 @@ function getConversationKey(context) {
 }
 
 /**
- * Check if AI response has low confidence
+ * Check if AI response has low confidence (grounding support score below threshold)
  */
 function isLowConfidenceResponse(aiResponse) {
-  return aiResponse.confidence &&
+  return aiResponse.isValid &&
+         typeof aiResponse.confidence === 'number' &&
          aiResponse.confidence < botRules.PUBLIC_CHANNELS.CONFIDENCE_THRESHOLD;
 }
 
@@ -611,47 +702,151 @@ async function handleLowConfidenceResponse(context, aiResponse) {
   const escalationRole = botRules.PUBLIC_CHANNELS.ESCALATION_ROLE || '';
   const fullResponse = `${lowConfidenceResponse}\n${escalationRole}`;
 
-  await sendResponse(context, fullResponse);
+  if (context.streamingReply && escalationRole) {
+    // Mentions added by editing the streamed preview notify no one: ping the role in a new message
+    await sendResponse(context, lowConfidenceResponse);
+    await (context.targetChannel || context.message.channel).send(escalationRole);
+  } else {
+    await sendResponse(context, fullResponse);
+  }
   await logInteraction(context, lowConfidenceResponse, aiResponse.confidence);
+
+  if (loggingService) {
+    await loggingService.logGroundingFailure(context.message, aiResponse.grounding);
+  }
 }
 
 /**
  * Handle normal AI response
  */
 async function handleNormalResponse(context, aiResponse) {
-  const responseText = aiResponse.isValid ? aiResponse.response : aiResponse.response;
+  // Sources footer is shown to the user but kept out of the conversation history
+  const responseText = aiResponse.response + (aiResponse.sourcesFooter || '');
 
-  await sendResponse(context, responseText);
+  const reply = await sendResponse(context, responseText);
 
-  // Add to conversation history if valid
+  // Add to conversation history if valid, and ask whether the answer helped
   if (aiResponse.isValid) {
     const conversationKey = getConversationKey(context);
-    publicConversationService.addAssistantMessage(conversationKey, aiResponse.response, false);
+    await publicConversationService.addAssistantMessage(conversationKey, aiResponse.response, false);
+    await csatService.attachToAnswer(reply, {
+      conversationId: conversationKey,
+      userId: context.userId,
+      guildId: context.message.guild?.id,
+      channelType: 'public',
+      product: context.product,
+      category: 'public',
+      sources: aiResponse.sources
+    });
   }
 
   await logInteraction(context, responseText, aiResponse.confidence);
+
+  if (loggingService && aiResponse.sources?.length) {
+    await loggingService.logCitations(context.message, aiResponse.sources);
+  }
+}
+
+/**
+ * Start a streamed reply for this context and return the onText handler for AIService.
+ * The first token stops the typing indicator and posts a placeholder that is edited in place;
+ * sendResponse() later writes the final text into the same message(s).
+ */
+function createStreamingHandler(context) {
+  if (!StreamingReplyService.isEnabled()) return undefined;
+
+  const inSameChannel = context.targetChannel === context.message.channel;
+  context.streamingReply = new StreamingReplyService({
+    sendFirst: (content) => inSameChannel
+      ? context.message.reply(content)
+      : context.targetChannel.send(content),
+    sendNext: (content) => context.targetChannel.send(content),
+    prefix: inSameChannel ? '' : `<@${context.userId}> `
+  });
+
+  return (text) => {
+    if (context.typingInterval) {
+      MessageService.stopTyping(context.typingInterval);
+      context.typingInterval = null;
+    }
+    context.streamingReply.update(text);
+  };
+}
+
+/**
+ * Tools the model may call for this public message, or undefined when AI tools are disabled
+ */
+function createToolOptions(context) {
+  if (!ToolRegistry.isEnabled()) return undefined;
+
+  return {
+    registry: tools,
+    context: {
+      message: context.message,
+      guildId: context.message.guild?.id,
+      channelType: 'public',
+      auditTrail: [],
+      actions: {
+        escalate: async (reason) => {
+          await publicChannelService.escalateToHuman(context.message, client, context.targetChannel);
+          console.log(`🚨 Escalated ${context.username} to human support via AI tool: ${reason}`);
+        },
+        openTicket: async (reason) => {
+          await MessageService.send(
+            context.targetChannel,
+            `<@${context.userId}> 🔒 To ${reason}, please continue in a private ticket so your details stay private.`,
+            { components: [createTicketButtonRow()] }
+          );
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Buttons offering a private ticket (handled by handleCreateOrderTicket / handleContinuePublic)
+ */
+function createTicketButtonRow() {
+  const ticketButton = new ButtonBuilder()
+    .setCustomId('create_order_ticket')
+    .setLabel('🎫 Create Private Ticket')
+    .setStyle(ButtonStyle.Primary);
+
+  const continueButton = new ButtonBuilder()
+    .setCustomId('continue_public')
+    .setLabel('Continue Here')
+    .setStyle(ButtonStyle.Secondary);
+
+  return new ActionRowBuilder().addComponents(ticketButton, continueButton);
 }
 
 /**
  * Send response to appropriate channel
+ * @returns {Promise<Object|null>} Last Discord message sent
  */
 async function sendResponse(context, responseText) {
   const MAX_DISCORD_LENGTH = 2000;
+
+  // A streamed preview is already on screen - replace it with the final text
+  if (context.streamingReply) {
+    const streamingReply = context.streamingReply;
+    context.streamingReply = null;
+    await streamingReply.finish(responseText);
+    return streamingReply.lastMessage;
+  }
   
   // If message is within Discord's limit, send normally
   if (responseText.length <= MAX_DISCORD_LENGTH) {
     if (context.targetChannel === context.message.channel) {
-      await context.message.reply(responseText);
-    } else {
-      await context.targetChannel.send(`<@${context.userId}> ${responseText}`);
+      return context.message.reply(responseText);
     }
-    return;
+    return context.targetChannel.send(`<@${context.userId}> ${responseText}`);
   }
   
   // Message is too long - split it intelligently
   console.log(`📝 Response too long (${responseText.length} chars), splitting into multiple messages...`);
   
-  const messages = splitLongMessage(responseText, MAX_DISCORD_LENGTH);
+  const messages = MessageService.splitLongMessage(responseText, MAX_DISCORD_LENGTH);
   
   // Send first message as reply
   if (context.targetChannel === context.message.channel) {
@@ -661,64 +856,12 @@ async function sendResponse(context, responseText) {
   }
   
   // Send remaining messages normally
+  let lastMessage = null;
   for (let i = 1; i < messages.length; i++) {
     await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between messages
-    await context.targetChannel.send(messages[i]);
-  }
-}
-
-/**
- * Split long message into chunks that fit Discord's character limit
- */
-function splitLongMessage(text, maxLength) {
-  if (text.length <= maxLength) {
-    return [text];
-  }
-  
-  const messages = [];
-  let currentMessage = '';
-  
-  // Split by paragraphs first (double newlines)
-  const paragraphs = text.split('\n\n');
-  
-  for (const paragraph of paragraphs) {
-    // If adding this paragraph would exceed limit
-    if (currentMessage.length + paragraph.length + 2 > maxLength) {
-      // If current message has content, save it
-      if (currentMessage.trim()) {
-        messages.push(currentMessage.trim());
-        currentMessage = '';
-      }
-      
-      // If single paragraph is too long, split by sentences
-      if (paragraph.length > maxLength) {
-        const sentences = paragraph.split('. ');
-        for (const sentence of sentences) {
-          const sentenceWithPeriod = sentence.endsWith('.') ? sentence : sentence + '.';
-          
-          if (currentMessage.length + sentenceWithPeriod.length + 1 > maxLength) {
-            if (currentMessage.trim()) {
-              messages.push(currentMessage.trim());
-              currentMessage = '';
-            }
-          }
-          
-          currentMessage += (currentMessage ? ' ' : '') + sentenceWithPeriod;
-        }
-      } else {
-        currentMessage = paragraph;
-      }
-    } else {
-      currentMessage += (currentMessage ? '\n\n' : '') + paragraph;
-    }
-  }
-  
-  // Add remaining content
-  if (currentMessage.trim()) {
-    messages.push(currentMessage.trim());
+    lastMessage = await context.targetChannel.send(messages[i]);
   }
-  
-  return messages.length > 0 ? messages : [text.substring(0, maxLength - 10) + '...[truncated]'];
+  return lastMessage;
 }
 
 /**
@@ -778,6 +921,8 @@ client.on('interactionCreate', async interaction => {
       await handleSlashCommand(interaction);
     } else if (interaction.isButton()) {
       await handleButtonInteraction(interaction);
+    } else if (interaction.isModalSubmit()) {
+      await handleModalSubmit(interaction);
     }
   } catch (error) {
     console.error('❌ Error handling interaction:', error);
@@ -805,9 +950,16 @@ async function handleSlashCommand(interaction) {
 async function handleButtonInteraction(interaction) {
   // Handle ticket channel buttons
   if (ticketChannelService.isTicketChannel(interaction.channel)) {
+    await ticketTranscriptService.recordButton(interaction);
     await ticketButtonHandler.handleButtonInteraction(interaction);
     return;
   }
+
+  // CSAT buttons in public threads and DMs (ticket rating prompts after close)
+  if (interaction.customId.startsWith('csat_')) {
+    await ticketButtonHandler.handleCsatButton(interaction);
+    return;
+  }
   
   // Handle public channel buttons
   if (interaction.customId === 'create_order_ticket') {
@@ -823,6 +975,18 @@ async function handleButtonInteraction(interaction) {
   console.log(`🔘 Button interaction ignored: ${interaction.customId}`);
 }
 
+/**
+ * Handle modal submissions (ticket category intake forms)
+ */
+async function handleModalSubmit(interaction) {
+  if (ticketChannelService.isTicketChannel(interaction.channel) && interaction.customId.startsWith('intake_')) {
+    await ticketButtonHandler.handleIntakeSubmit(interaction);
+    return;
+  }
+
+  console.log(`📝 Modal submission ignored: ${interaction.customId}`);
+}
+
 /**
  * Handle creating an order support ticket from public channel
  */
@@ -943,6 +1107,17 @@ client.on('channelDelete', async (channel) => {
   }
 });
 
+/**
+ * Handle thread deletion (tickets are threads; Ticket Tool deletes them on close)
+ */
+client.on('threadDelete', async (thread) => {
+  try {
+    await ticketChannelManager.handleChannelDeletion(thread);
+  } catch (error) {
+    console.error('❌ Error handling thread deletion:', error);
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ADMIN COMMANDS FOR GOOGLE DOCS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1,12 +1,16 @@
 import "dotenv/config";
 import express from 'express';
-import { handleOrdersCreate } from './webhooks/ShopifyWebhookHandler.js';
+import { handleShopifyWebhook, processShopifyEvent } from './webhooks/ShopifyWebhookHandler.js';
+import shopifyWebhookQueue from './webhooks/ShopifyWebhookQueue.js';
 import createAuthenticateUser from './server/middleware/authenticateUser.js';
 import createAuthRouter from './server/routes/authRouter.js';
 import createGuildsRouter from './server/routes/guildsRouter.js';
 import createPublicChannelsRouter from './server/routes/publicChannelsRouter.js';
 import createTicketChannelsRouter from './server/routes/ticketChannelsRouter.js';
 import createAggregateRouter from './server/routes/aggregateRouter.js';
+import createTicketCatalogRouter from './server/routes/ticketCatalogRouter.js';
+import createWebhooksRouter from './server/routes/webhooksRouter.js';
+import createShippingNotificationsRouter from './server/routes/shippingNotificationsRouter.js';
 import renderChannelManagerPage from './server/views/channelManagerPage.js';
 
 const app = express();
@@ -16,8 +20,9 @@ const PORT = process.env.WEB_PORT || 3000;
 app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
-// Webhook route
-app.post('/webhooks/shopify/orders-create', handleOrdersCreate);
+// Webhook routes (the topic comes from X-Shopify-Topic; orders-create is kept for existing subscriptions)
+app.post('/webhooks/shopify', handleShopifyWebhook);
+app.post('/webhooks/shopify/orders-create', handleShopifyWebhook);
 
 // Auth
 const authenticateUser = createAuthenticateUser({});
@@ -33,6 +38,9 @@ app.use('/api/guilds', createGuildsRouter(authenticateUser));
 app.use('/api/public-channels', createPublicChannelsRouter(authenticateUser));
 app.use('/api/ticket-channels', createTicketChannelsRouter(authenticateUser));
 app.use('/api/aggregate', createAggregateRouter(authenticateUser));
+app.use('/api/ticket-catalog', createTicketCatalogRouter(authenticateUser));
+app.use('/api/webhooks', createWebhooksRouter(authenticateUser));
+app.use('/api/shipping-notifications', createShippingNotificationsRouter(authenticateUser));
 
 // Start server
 app.listen(PORT, () => {
@@ -40,4 +48,8 @@ app.listen(PORT, () => {
   console.log('📊 Ready to manage dynamic public and ticket channels!');
 });
 
+// Process queued Shopify webhooks in the background
+shopifyWebhookQueue.startWorker(processShopifyEvent)
+  .catch(error => console.error('❌ Could not start the Shopify webhook worker:', error.message));
+
 
@@ -0,0 +1,50 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import PermissionService from '../services/PermissionService.js';
+import csatService from '../services/CsatService.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('csat')
+    .setDescription('Customer satisfaction scores per product and category (Support Team only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+
+  async execute(interaction) {
+    try {
+      // Step 1: Defer reply - ephemeral so only the support team sees it
+      await interaction.deferReply({ ephemeral: true });
+
+      // Step 2: Check user permissions
+      if (!PermissionService.hasSupportPermission(interaction)) {
+        await interaction.editReply({
+          content: '❌ **Access Denied**\n\nOnly members of the support team can use this command.'
+        });
+        return;
+      }
+
+      // Step 3: Aggregate scores
+      const { products, categories } = await csatService.getAllStats();
+      const formatLines = (items) => items.length
+        ? items.map(stats => `• **${stats.name}** - ${csatService.formatScore(stats)}`).join('\n')
+        : 'No ratings yet';
+
+      await interaction.editReply({
+        content: `📊 **Customer Satisfaction**\n👍 = answers rated helpful · ⭐ = average ticket rating (1-5)\n\n` +
+          `**Per product**\n${formatLines(products)}\n\n**Per category**\n${formatLines(categories)}`
+      });
+
+    } catch (error) {
+      console.error('Error in csat command:', error);
+
+      // Ensure we always respond to the interaction
+      try {
+        if (interaction.deferred) {
+          await interaction.editReply({ content: '❌ An error occurred while processing the command.' });
+        } else if (!interaction.replied) {
+          await interaction.reply({ content: '❌ An error occurred while processing the command.', ephemeral: true });
+        }
+      } catch (replyError) {
+        console.error('Error sending error reply in csat:', replyError);
+      }
+    }
+  }
+};
@@ -1,9 +1,15 @@
 import { Collection } from 'discord.js';
 import botstart from './botstart.js';
 import botstop from './botstop.js';
+import transcript from './transcript.js';
+import csat from './csat.js';
+import linkAccount from './link-account.js';
 
 const commands = new Collection();
 commands.set(botstart.data.name, botstart);
 commands.set(botstop.data.name, botstop);
+commands.set(transcript.data.name, transcript);
+commands.set(csat.data.name, csat);
+commands.set(linkAccount.data.name, linkAccount);
 
 export default commands; 
\ No newline at end of file
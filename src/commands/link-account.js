@@ -0,0 +1,141 @@
+import { SlashCommandBuilder } from 'discord.js';
+import accountLinkService from '../services/AccountLinkService.js';
+
+const START_ERRORS = {
+  invalid_email: '❌ That doesn\'t look like an email address. Please check it and try again.',
+  shopify_unavailable: '❌ The order system is unavailable right now. Please try again in a few minutes.',
+  mail_unavailable: '❌ Account linking is not available right now. Please ask the support team for help.'
+};
+
+const VERIFY_ERRORS = {
+  no_pending_code: '❌ There is no code waiting for you (codes expire after 10 minutes). Start again with `/link-account email`.',
+  too_many_attempts: '❌ Too many wrong codes. Request a new one with `/link-account email`.'
+};
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('link-account')
+    .setDescription('Link your Discord account to the email you use for your orders')
+    .addSubcommand(subcommand => subcommand
+      .setName('email')
+      .setDescription('Send a verification code to your order email')
+      .addStringOption(option => option
+        .setName('address')
+        .setDescription('Email address used when placing your orders')
+        .setRequired(true)
+        .setMaxLength(254)))
+    .addSubcommand(subcommand => subcommand
+      .setName('verify')
+      .setDescription('Enter the code from the email to finish linking')
+      .addStringOption(option => option
+        .setName('code')
+        .setDescription('6-digit code')
+        .setRequired(true)
+        .setMinLength(6)
+        .setMaxLength(6)))
+    .addSubcommand(subcommand => subcommand
+      .setName('notifications')
+      .setDescription('Turn shipping notifications for your orders on or off')
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Get a message when your order ships, moves or is delivered')
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('status')
+      .setDescription('Show which email your account is linked to'))
+    .addSubcommand(subcommand => subcommand
+      .setName('unlink')
+      .setDescription('Remove the link between your Discord account and your order email')),
+
+  async execute(interaction) {
+    try {
+      // Step 1: Defer reply - ephemeral, emails and codes are private
+      await interaction.deferReply({ ephemeral: true });
+
+      const userId = interaction.user.id;
+      const subcommand = interaction.options.getSubcommand();
+
+      // Step 2: Send a code
+      if (subcommand === 'email') {
+        const result = await accountLinkService.startVerification(userId, interaction.options.getString('address'));
+        if (!result.success) {
+          await interaction.editReply({
+            content: result.error === 'cooldown'
+              ? `⏱️ A code was just sent. You can ask for a new one in ${result.retryAfterSeconds} seconds.`
+              : START_ERRORS[result.error]
+          });
+          return;
+        }
+        await interaction.editReply({
+          content: '📧 If this email has orders with us, a 6-digit code is on its way (check your spam folder too).\n\n' +
+            'Enter it with `/link-account verify` within 10 minutes.'
+        });
+        return;
+      }
+
+      // Step 3: Check the code
+      if (subcommand === 'verify') {
+        const result = await accountLinkService.verifyCode(userId, interaction.options.getString('code'), interaction.guildId);
+        if (!result.success) {
+          await interaction.editReply({
+            content: result.error === 'wrong_code'
+              ? `❌ That code is not right. ${result.attemptsLeft} attempt(s) left.`
+              : VERIFY_ERRORS[result.error]
+          });
+          return;
+        }
+        await interaction.editReply({
+          content: `✅ Your account is linked to **${accountLinkService.maskEmail(result.email)}**.\n\n` +
+            'In an Order Status ticket, just ask "where is my order?" and I\'ll list your orders - no need to type your email.\n' +
+            'If this server sends shipping notifications, I\'ll also message you when your orders ship (`/link-account notifications` to turn that off).'
+        });
+        return;
+      }
+
+      // Step 4: Shipping notification preference
+      if (subcommand === 'notifications') {
+        const enabled = interaction.options.getBoolean('enabled');
+        const updated = await accountLinkService.setNotifications(userId, enabled);
+        await interaction.editReply({
+          content: !updated
+            ? '🔗 Your account is not linked. Use `/link-account email` to link it first.'
+            : enabled
+              ? '🔔 Shipping notifications are on. I\'ll message you when your orders ship, move or arrive.'
+              : '🔕 Shipping notifications are off.'
+        });
+        return;
+      }
+
+      // Step 5: Status / unlink
+      if (subcommand === 'status') {
+        const link = await accountLinkService.getLink(userId);
+        await interaction.editReply({
+          content: link
+            ? `🔗 Your account is linked to **${accountLinkService.maskEmail(link.email)}** (since ${new Date(link.linkedAt).toLocaleDateString('en-US')}). ` +
+              `Shipping notifications are ${link.notifications === false ? 'off' : 'on'}.`
+            : '🔗 Your account is not linked. Use `/link-account email` to link it.'
+        });
+        return;
+      }
+
+      const removed = await accountLinkService.unlink(userId);
+      await interaction.editReply({
+        content: removed ? '✅ Your account is no longer linked.' : '🔗 Your account was not linked.'
+      });
+
+    } catch (error) {
+      console.error('Error in link-account command:', error);
+
+      // Ensure we always respond to the interaction
+      try {
+        if (interaction.deferred) {
+          await interaction.editReply({ content: '❌ An error occurred while processing the command.' });
+        } else if (!interaction.replied) {
+          await interaction.reply({ content: '❌ An error occurred while processing the command.', ephemeral: true });
+        }
+      } catch (replyError) {
+        console.error('Error sending error reply in link-account:', replyError);
+      }
+    }
+  }
+};
@@ -0,0 +1,76 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import PermissionService from '../services/PermissionService.js';
+import ticketTranscriptService from '../services/TicketTranscriptService.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('transcript')
+    .setDescription('Get an archived ticket transcript (Support Team only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addStringOption(option => option
+      .setName('ticket_id')
+      .setDescription('ID of the closed ticket thread'))
+    .addUserOption(option => option
+      .setName('user')
+      .setDescription('List the archived tickets of this user')),
+
+  async execute(interaction) {
+    try {
+      // Step 1: Defer reply - ephemeral so only the support team sees it
+      await interaction.deferReply({ ephemeral: true });
+
+      // Step 2: Check user permissions
+      if (!PermissionService.hasSupportPermission(interaction)) {
+        await interaction.editReply({
+          content: '❌ **Access Denied**\n\nOnly members of the support team can use this command.'
+        });
+        return;
+      }
+
+      // Step 3: Transcript of one ticket
+      const ticketId = interaction.options.getString('ticket_id');
+      if (ticketId) {
+        const transcript = await ticketTranscriptService.getTranscript(ticketId.trim());
+        if (!transcript) {
+          await interaction.editReply({ content: `❌ No archived transcript for ticket ${ticketId}.` });
+          return;
+        }
+        await interaction.editReply({
+          content: `🗂️ **${transcript.meta.name}** (${transcript.meta.ticketId}) - ${transcript.meta.messageCount} messages, closed ${transcript.meta.closedAt}`,
+          files: ticketTranscriptService.toFiles(transcript)
+        });
+        return;
+      }
+
+      // Step 4: Archived tickets of a user
+      const user = interaction.options.getUser('user');
+      if (user) {
+        const transcripts = await ticketTranscriptService.listUserTranscripts(user.id);
+        const lines = transcripts.slice(0, 20)
+          .map(meta => `• **${meta.name}** - \`${meta.ticketId}\` (closed ${meta.closedAt.slice(0, 10)}, ${meta.messageCount} messages)`);
+        await interaction.editReply({
+          content: lines.length
+            ? `🗂️ Archived tickets of ${user.tag}:\n${lines.join('\n')}\n\nUse \`/transcript ticket_id:<id>\` to download one.`
+            : `No archived tickets for ${user.tag}.`
+        });
+        return;
+      }
+
+      await interaction.editReply({ content: 'Please give a `ticket_id` or a `user`.' });
+
+    } catch (error) {
+      console.error('Error in transcript command:', error);
+
+      // Ensure we always respond to the interaction
+      try {
+        if (interaction.deferred) {
+          await interaction.editReply({ content: '❌ An error occurred while processing the command.' });
+        } else if (!interaction.replied) {
+          await interaction.reply({ content: '❌ An error occurred while processing the command.', ephemeral: true });
+        }
+      } catch (replyError) {
+        console.error('Error sending error reply in transcript:', replyError);
+      }
+    }
+  }
+};
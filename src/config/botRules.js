@@ -39,7 +39,7 @@ export default {
       QUESTION_MARK: true       // Messages ending with ?
     },
 
-    // Rate limiting
+    // Rate limiting (RateLimitService; per-guild and per-role overrides in serverConfigs rateLimits)
     RATE_LIMITS: {
       MAX_QUERIES_PER_MINUTE: 5,
       COOLDOWN_SECONDS: 10,
@@ -115,7 +115,7 @@ export default {
       "finished"
     ],
 
-    // Rate limiting for tickets
+    // Rate limiting for tickets (AI answers; MAX_QUERIES_PER_TICKET over the life of the ticket)
     RATE_LIMITS: {
       MAX_QUERIES_PER_MINUTE: 3,
       COOLDOWN_SECONDS: 30,
@@ -143,6 +143,39 @@ export default {
     // Bot reactivation command
     REACTIVATION_COMMAND: "/botresume",
 
+    // Inactive tickets: nudge after NUDGE_AFTER_HOURS of user silence, then resolve
+    // CLOSE_AFTER_HOURS after an unanswered nudge. Escalated tickets are never touched.
+    INACTIVITY: {
+      NUDGE_AFTER_HOURS: 24,
+      CLOSE_AFTER_HOURS: 24,
+      // Per-category overrides (keyed by category button ID)
+      CATEGORIES: {
+        category_billing: { NUDGE_AFTER_HOURS: 48, CLOSE_AFTER_HOURS: 48 },
+        category_hardware: { NUDGE_AFTER_HOURS: 72, CLOSE_AFTER_HOURS: 72 } // Photos/videos take time
+      },
+      NUDGE_MESSAGE: "👋 Hi {user}, we haven't heard from you in a while. Do you still need help with this ticket?",
+      CLOSE_MESSAGE: "🔒 This ticket has been marked as resolved because we haven't heard back. Send a message here anytime to reopen it.",
+      RESOLVED_MESSAGE: "✅ Glad we could help! This ticket has been marked as resolved. Send a message here anytime to reopen it.",
+      STILL_NEED_HELP_MESSAGE: "👍 No problem, we're still here. Please tell us what you need help with."
+    },
+
+    // Return / refund requests in Order Status tickets (RETURN_WINDOW_DAYS overrides the window).
+    // The window counts from delivery, or from shipping when the carrier never reported delivery.
+    RETURNS: {
+      WINDOW_DAYS: 30,
+      REASONS: [
+        { id: 'damaged', label: 'Arrived damaged' },
+        { id: 'defective', label: 'Defective / not working' },
+        { id: 'wrong_item', label: 'Wrong item sent' },
+        { id: 'not_as_described', label: 'Not as described' },
+        { id: 'changed_mind', label: 'Changed my mind' },
+        { id: 'other', label: 'Other' }
+      ],
+      PHOTO_REASONS: ['damaged', 'defective', 'wrong_item'], // Photos required before confirming
+      MAX_PHOTOS: 10,
+      DRAFT_TTL_HOURS: 24
+    },
+
     // Behavior controls
     BEHAVIOR: {
       CHANGE_TICKET_STATUS: false,
@@ -154,6 +187,31 @@ export default {
     }
   },
 
+  // Activation bot (activation threads)
+  ACTIVATION: {
+    // Rate limiting (ACTIVATION_MAX_QUERIES_PER_MINUTE / _PER_HOUR / ACTIVATION_COOLDOWN_SECONDS override)
+    RATE_LIMITS: {
+      MAX_QUERIES_PER_MINUTE: 5,
+      COOLDOWN_SECONDS: 10,
+      MAX_QUERIES_PER_HOUR: 30
+    }
+  },
+
+  // Conversation history (stored in Redis, survives restarts)
+  CONVERSATIONS: {
+    // Idle conversations expire after this many seconds, per channel type
+    // (override with CONVERSATION_TTL_TICKET_SECONDS / _PUBLIC_ / _ACTIVATION_)
+    TTL_SECONDS: {
+      ticket: 7 * 24 * 60 * 60,
+      public: 24 * 60 * 60,
+      activation: 24 * 60 * 60
+    },
+    MAX_MESSAGES: 20,     // Messages kept per conversation (system message excluded)
+    MAX_TOKENS: 5000,     // History budget; older turns are folded into a summary above it
+    KEEP_RECENT_MESSAGES: 6, // Turns always kept verbatim after a fold
+    SUMMARY_MAX_TOKENS: 400  // Length cap of the running summary
+  },
+
   // Logging Configuration
   LOGGING: {
     // Log channels
@@ -168,7 +226,11 @@ export default {
       ESCALATIONS: true,    // Human escalations
       ERRORS: true,         // Bot errors
       RATE_LIMITS: true,    // Rate limit hits
-      TICKET_EVENTS: true   // Ticket creation/closure
+      TICKET_EVENTS: true,  // Ticket creation/closure
+      TOOL_CALLS: true,     // AI tool call audit trail
+      KNOWLEDGE_CHANGES: true, // Articles added/changed/removed by knowledge base refreshes
+      SLA_ALERTS: true,     // Ticket SLA warnings and breaches
+      CSAT: true            // Answer 👍/👎 and ticket 1-5 ratings
     },
 
     // Data privacy
@@ -0,0 +1,63 @@
+// Help-center (Intercom) collections indexed by the knowledge base. The key is the
+// collection / product key used for retrieval filters; a url may also point at a
+// single article, whose related-article links are then collected.
+export const INTERCOM_COLLECTIONS = {
+  getting_started: {
+    url: "https://intercom.help/frodobots/en/collections/3762588-getting-started",
+    keywords: ["start", "begin", "first steps", "setup"],
+    description: "Getting started guides and onboarding tutorials"
+  },
+  earthrover_school: {
+    url: "https://intercom.help/frodobots/en/collections/3762589-earthrovers-school",
+    keywords: ["earthrover", "school", "education", "learning", "students", "life points", "LP", "life point", "points", "credits", "mission", "test drive", "leaderboard"],
+    description: "EarthRovers School content, educational resources and tutorials"
+  },
+  earthrover: {
+    url: "https://intercom.help/frodobots/en/collections/9174353-earthrovers-personal-bots",
+    keywords: ["earthrover", "personal", "bot", "robot", "device", "hardware"],
+    description: "Personal EarthRovers features, usage and configuration"
+  },
+  ufb: {
+    url: "https://intercom.help/frodobots/en/collections/12076791-ufb-ultimate-fighting-bots",
+    keywords: ["ufb", "fighting", "competition", "bots", "ultimate"],
+    description: "Ultimate Fighting Bots competition, rules and guides"
+  },
+  sam: {
+    url: "https://intercom.help/frodobots/en/collections/13197832-sam-small-autonomous-mofo",
+    keywords: ["sam", "autonomous", "ai", "robot"],
+    description: "SAM product information and support"
+  },
+  robotsfun: {
+    url: "https://intercom.help/frodobots/en/collections/13197811-robots-fun",
+    keywords: ["robots.fun", "robots", "fun", "platform"],
+    description: "Robots.fun platform usage and account management"
+  },
+  et_fugi: {
+    url: "https://intercom.help/frodobots/en/articles/11561671-et-fugi-ai-competition",
+    keywords: ["et fugi", "ai competition", "competition", "ai"],
+    description: "ET Fugi AI competition information"
+  },
+  telearms: {
+    url: "https://intercom.help/frodobots/en/collections/16593994-telearms",
+    keywords: ["telearms", "tele arms", "remote", "arm", "mission", "sign up", "log in", "login"],
+    description: "TeleArms missions, sign up and login guidance, TeleArms mission history, score"
+  },
+  troubleshooting: {
+    url: "https://intercom.help/frodobots/en/collections/3762588-getting-started",
+    keywords: ["troubleshoot", "problem", "issue", "error", "fix", "help"],
+    description: "Troubleshooting and problem-solving guides"
+  },
+  faq: {
+    url: "https://intercom.help/frodobots/en/",
+    keywords: ["faq", "frequently asked", "question", "common"],
+    description: "Frequently asked questions and common queries"
+  },
+  faqs: {
+    url: "https://intercom.help/frodobots/en/collections/13786258-faqs",
+    keywords: ["faq", "sim card", "shipping", "activation"],
+    description: "FAQs collection (SIM cards, shipping, activation)"
+  }
+};
+
+// Collections the activation (EarthRovers) bot answers from
+export const ACTIVATION_COLLECTIONS = ['earthrover', 'faqs'];
@@ -48,6 +48,7 @@ const serverConfigs = {
       publicLogs: "1402274942954897572" // Replace with actual logging-public channel ID
     },
     escalationRole: "@SupportTeam",
+    hiddenProducts: ["ufb", "earthrover_school", "sam", "telearms"], // Not shown as product buttons (default ticket catalog)
   },
   // "1375027327582470205": {
   //   guildId: "1375027327582470205", // Correct guild ID from logs
@@ -98,6 +99,70 @@ export function getSupportTeamId(guildId) {
   return '1217016478193422406'; // Default fallback
 }
 
+// SLA policy used for guilds without an sla block (matches the published support hours)
+export const DEFAULT_SLA_POLICY = {
+  firstResponseMinutes: 120,   // Escalation -> first staff reply (business minutes)
+  resolutionMinutes: 1440,     // Escalation -> ticket closed (business minutes)
+  warnBeforeMinutes: 30,
+  businessHours: {
+    timezone: "Asia/Singapore",
+    days: [1, 2, 3, 4, 5],     // ISO weekdays, 1 = Monday
+    start: "10:00",
+    end: "18:00",
+    holidays: [],              // "YYYY-MM-DD" in the timezone above
+  },
+};
+
+// Helper function to get server-specific SLA policy
+export function getServerSlaPolicy(guildId) {
+  const sla = getServerConfig(guildId)?.sla || {};
+  return {
+    ...DEFAULT_SLA_POLICY,
+    ...sla,
+    businessHours: { ...DEFAULT_SLA_POLICY.businessHours, ...(sla.businessHours || {}) },
+  };
+}
+
+// Intake forms (Discord modals) opened by the category buttons, keyed by category button ID.
+// Only categories with the 'escalate' behaviour in the guild's ticket catalog open them.
+// A guild can override them with an intakeForms block; a category set to null posts the
+// plain-text question list instead. At most 5 fields per form (Discord modal limit).
+export const DEFAULT_INTAKE_FORMS = {
+  category_hardware: {
+    title: "Hardware Issue",
+    fields: [
+      { id: "bot_code", label: "Bot ID (3-word code)", style: "short", required: true, placeholder: "e.g. silver fox echo", maxLength: 60 },
+      { id: "problem", label: "What's happening?", style: "paragraph", required: true, maxLength: 1000 },
+      { id: "started", label: "When did it start?", style: "short", required: false, maxLength: 100 },
+      { id: "media", label: "Photo/video links (or attach them after)", style: "paragraph", required: false, maxLength: 500 },
+    ],
+  },
+  category_bug: {
+    title: "Bug Report",
+    fields: [
+      { id: "what_happened", label: "What happened?", style: "paragraph", required: true, maxLength: 1000 },
+      { id: "steps", label: "Steps to reproduce", style: "paragraph", required: true, placeholder: "1. Open ...\n2. Click ...", maxLength: 1000 },
+      { id: "expected", label: "What should have happened?", style: "paragraph", required: false, maxLength: 500 },
+      { id: "device", label: "Device / OS / browser", style: "short", required: true, placeholder: "e.g. iPhone 14, iOS 17, Safari", maxLength: 100 },
+    ],
+  },
+  category_billing: {
+    title: "Billing & Account",
+    fields: [
+      { id: "order_number", label: "Order number (if any)", style: "short", required: false, placeholder: "#1234", maxLength: 30 },
+      { id: "account", label: "Account username", style: "short", required: false, maxLength: 100 },
+      { id: "issue", label: "Your billing question", style: "paragraph", required: true, maxLength: 1000 },
+    ],
+  },
+};
+
+// Helper function to get the intake form of a category (null when the category has none)
+export function getServerIntakeForm(guildId, category) {
+  const forms = getServerConfig(guildId)?.intakeForms || {};
+  const form = category in forms ? forms[category] : DEFAULT_INTAKE_FORMS[category];
+  return form && Array.isArray(form.fields) && form.fields.length > 0 ? form : null;
+}
+
 // Helper function to get server-specific fallback response
 export function getServerFallbackResponse(guildId) {
   const supportTeamId = getSupportTeamId(guildId);
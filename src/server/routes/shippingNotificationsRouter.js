@@ -0,0 +1,35 @@
+import express from 'express';
+import shopifyShippingNotifier from '../../shopify/ShopifyShippingNotifier.js';
+
+export default function createShippingNotificationsRouter(authenticateUser) {
+  const router = express.Router();
+
+  // Whether a guild sends shipping notifications to linked customers
+  router.post('/get', authenticateUser, async (req, res) => {
+    try {
+      const { guildId } = req.body;
+      if (!guildId) return res.status(400).json({ error: 'Guild ID is required' });
+      res.json({ enabled: await shopifyShippingNotifier.isGuildEnabled(guildId) });
+    } catch (error) {
+      console.error('Error getting shipping notification setting:', error);
+      res.status(500).json({ error: 'Failed to get shipping notification setting' });
+    }
+  });
+
+  // Switch a guild's shipping notifications on or off
+  router.post('/set', authenticateUser, async (req, res) => {
+    try {
+      const { guildId, enabled } = req.body;
+      if (!guildId || typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'Guild ID and enabled (true/false) are required' });
+      }
+      await shopifyShippingNotifier.setGuildEnabled(guildId, enabled);
+      res.json({ success: true, message: `Shipping notifications ${enabled ? 'enabled' : 'disabled'}!` });
+    } catch (error) {
+      console.error('Error setting shipping notification setting:', error);
+      res.status(500).json({ error: 'Failed to update shipping notification setting' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,50 @@
+import express from 'express';
+import ticketCatalogService from '../../services/TicketCatalogService.js';
+
+export default function createTicketCatalogRouter(authenticateUser) {
+  const router = express.Router();
+
+  // Get a guild's ticket catalog (the default one until it is saved)
+  router.post('/get', authenticateUser, async (req, res) => {
+    try {
+      const { guildId } = req.body;
+      if (!guildId) return res.status(400).json({ error: 'Guild ID is required' });
+      const stored = await ticketCatalogService.getStoredCatalog(guildId);
+      res.json({ catalog: stored || ticketCatalogService.getDefaultCatalog(guildId), isDefault: !stored });
+    } catch (error) {
+      console.error('Error getting ticket catalog:', error);
+      res.status(500).json({ error: 'Failed to get ticket catalog' });
+    }
+  });
+
+  // Save a guild's ticket catalog
+  router.post('/save', authenticateUser, async (req, res) => {
+    try {
+      const { guildId, catalog } = req.body;
+      if (!guildId || !catalog) return res.status(400).json({ error: 'Guild ID and catalog are required' });
+      const result = await ticketCatalogService.saveCatalog(guildId, catalog);
+      if (result.errors) return res.status(400).json({ error: 'Invalid catalog', details: result.errors });
+      if (!result.success) return res.status(500).json({ error: 'Failed to save ticket catalog' });
+      return res.json({ success: true, message: 'Ticket catalog saved! The bot picks it up within a few seconds.' });
+    } catch (error) {
+      console.error('Error saving ticket catalog:', error);
+      res.status(500).json({ error: 'Failed to save ticket catalog' });
+    }
+  });
+
+  // Reset a guild's ticket catalog to the default
+  router.post('/reset', authenticateUser, async (req, res) => {
+    try {
+      const { guildId } = req.body;
+      if (!guildId) return res.status(400).json({ error: 'Guild ID is required' });
+      const success = await ticketCatalogService.resetCatalog(guildId);
+      if (!success) return res.status(500).json({ error: 'Failed to reset ticket catalog' });
+      return res.json({ success: true, message: 'Ticket catalog reset to the default!' });
+    } catch (error) {
+      console.error('Error resetting ticket catalog:', error);
+      res.status(500).json({ error: 'Failed to reset ticket catalog' });
+    }
+  });
+
+  return router;
+}
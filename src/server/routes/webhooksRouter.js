@@ -0,0 +1,50 @@
+import express from 'express';
+import shopifyWebhookQueue from '../../webhooks/ShopifyWebhookQueue.js';
+
+export default function createWebhooksRouter(authenticateUser) {
+  const router = express.Router();
+
+  // Dead-letter and retrying Shopify events, with the queue counts
+  router.post('/failed', authenticateUser, async (req, res) => {
+    try {
+      res.json(await shopifyWebhookQueue.listFailed());
+    } catch (error) {
+      console.error('Error listing failed webhooks:', error);
+      res.status(500).json({ error: 'Failed to list failed webhooks' });
+    }
+  });
+
+  // One recorded event, with its payload
+  router.post('/event', authenticateUser, async (req, res) => {
+    try {
+      const { webhookId } = req.body;
+      if (!webhookId) return res.status(400).json({ error: 'Webhook ID is required' });
+      const event = await shopifyWebhookQueue.getEvent(webhookId);
+      if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+      res.json({ event });
+    } catch (error) {
+      console.error('Error getting webhook event:', error);
+      res.status(500).json({ error: 'Failed to get webhook event' });
+    }
+  });
+
+  // Replay one failed event, or every dead-letter event with { all: true }
+  router.post('/replay', authenticateUser, async (req, res) => {
+    try {
+      const { webhookId, all } = req.body;
+      if (all) {
+        const replayed = await shopifyWebhookQueue.replayDead();
+        return res.json({ success: true, replayed, message: `${replayed} event(s) queued again.` });
+      }
+      if (!webhookId) return res.status(400).json({ error: 'Webhook ID is required' });
+      const replayed = await shopifyWebhookQueue.replay(webhookId);
+      if (!replayed) return res.status(404).json({ error: 'No failed webhook event with this ID' });
+      return res.json({ success: true, replayed: 1, message: 'Event queued again.' });
+    } catch (error) {
+      console.error('Error replaying webhook:', error);
+      res.status(500).json({ error: 'Failed to replay webhook' });
+    }
+  });
+
+  return router;
+}
@@ -292,6 +292,23 @@ export function renderChannelManagerPage() {
         .btn-secondary {
             background: linear-gradient(135deg, #6c757d 0%, #495057 100%);
         }
+
+        /* Ticket Catalog Styles */
+        .catalog-editor {
+            width: 100%;
+            min-height: 360px;
+            padding: 12px 15px;
+            border: 2px solid #e1e5e9;
+            border-radius: 8px;
+            font-family: Consolas, Monaco, monospace;
+            font-size: 13px;
+            margin-bottom: 8px;
+        }
+
+        .catalog-editor:focus {
+            outline: none;
+            border-color: #667eea;
+        }
     </style>
 </head>
 <body>
@@ -393,6 +410,45 @@ export function renderChannelManagerPage() {
                 <h2 class="section-title">🎫 Ticket Channels</h2>
                 <div class="channels-list" id="ticketChannelsList" style="margin-top: 16px;"></div>
             </div>
+
+            <!-- Ticket Catalog Section -->
+            <div class="card" id="ticketCatalogSection" style="display: none;">
+                <h2 class="section-title">🗂️ Ticket Catalog</h2>
+                <p id="ticketCatalogStatus" style="color: #6c757d; margin-bottom: 12px;"></p>
+                <div class="form-group">
+                    <label for="ticketCatalogEditor">Welcome message, categories and product buttons (JSON):</label>
+                    <textarea id="ticketCatalogEditor" class="catalog-editor" spellcheck="false"></textarea>
+                    <small style="color: #6c757d;">
+                        behaviour: ai (AI answers), escalate (the user's first answer goes to the support team) or shopify (order lookup).
+                        emoji: one emoji or a custom emoji (&lt;:name:id&gt;). row: welcome button row (1-5). productButtons: offer the product buttons. nextStep: suggested next step in the staff handoff brief.
+                        hidden: product not shown as a button.
+                    </small>
+                </div>
+                <button type="button" id="saveCatalogBtn" class="btn btn-success">Save Catalog</button>
+                <button type="button" id="resetCatalogBtn" class="btn btn-danger">Reset to Default</button>
+            </div>
+
+            <!-- Shipping Notifications Section -->
+            <div class="card" id="shippingNotificationsSection" style="display: none;">
+                <h2 class="section-title">📦 Shipping Notifications</h2>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="shippingNotificationsToggle">
+                        DM customers who linked their account (/link-account) when their order ships, gets a tracking update or is delivered
+                    </label>
+                    <small style="color: #6c757d;">Customers with an open ticket on the order get the update in the ticket instead. Each customer can opt out.</small>
+                </div>
+                <button type="button" id="saveShippingNotificationsBtn" class="btn btn-success">Save</button>
+            </div>
+
+            <!-- Shopify Webhooks Section -->
+            <div class="card" id="webhooksSection">
+                <h2 class="section-title">🪝 Shopify Webhooks</h2>
+                <p id="webhooksStatus" style="color: #6c757d; margin-bottom: 12px;"></p>
+                <div class="channels-list" id="failedWebhooksList"></div>
+                <button type="button" id="refreshWebhooksBtn" class="btn btn-secondary">Refresh</button>
+                <button type="button" id="replayAllWebhooksBtn" class="btn btn-success">Replay All Dead Letters</button>
+            </div>
         </div>
 
         <!-- Alert Container -->
@@ -433,6 +489,7 @@ export function renderChannelManagerPage() {
                     document.getElementById('loginSection').style.display = 'none';
                     document.getElementById('managementSection').style.display = 'block';
                     await loadGuilds();
+                    await loadFailedWebhooks();
                 } else {
                     showAlert('Invalid credentials. Please try again.', 'error');
                 }
@@ -623,6 +680,7 @@ export function renderChannelManagerPage() {
             const addSection = document.getElementById('addChannelSection');
             const channelsSection = document.getElementById('channelsSection');
             const ticketChannelsSection = document.getElementById('ticketChannelsSection');
+            const ticketCatalogSection = document.getElementById('ticketCatalogSection');
             const guildInfo = document.getElementById('guildInfo');
             const channelsList = document.getElementById('channelsList');
             const ticketChannelsList = document.getElementById('ticketChannelsList');
@@ -631,6 +689,8 @@ export function renderChannelManagerPage() {
                 addSection.style.display = 'none';
                 channelsSection.style.display = 'none';
                 if (ticketChannelsSection) ticketChannelsSection.style.display = 'none';
+                ticketCatalogSection.style.display = 'none';
+                document.getElementById('shippingNotificationsSection').style.display = 'none';
                 guildInfo.style.display = 'none';
                 return;
             }
@@ -639,7 +699,11 @@ export function renderChannelManagerPage() {
             addSection.style.display = 'block';
             channelsSection.style.display = 'block';
             if (ticketChannelsSection) ticketChannelsSection.style.display = 'block';
+            ticketCatalogSection.style.display = 'block';
+            document.getElementById('shippingNotificationsSection').style.display = 'block';
             guildInfo.style.display = 'block';
+            loadTicketCatalog();
+            loadShippingNotifications();
             
             // Load guild info
             const guildData = document.getElementById('guildSelect').selectedOptions[0].textContent;
@@ -773,6 +837,201 @@ export function renderChannelManagerPage() {
             }
         }
 
+        // Load the ticket catalog of the selected guild
+        async function loadTicketCatalog() {
+            const editor = document.getElementById('ticketCatalogEditor');
+            const status = document.getElementById('ticketCatalogStatus');
+            editor.value = '';
+            status.textContent = 'Loading catalog...';
+            try {
+                const resp = await fetch('/api/ticket-catalog/get', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, guildId: currentGuild })
+                });
+                const result = await resp.json();
+                if (!resp.ok) {
+                    status.textContent = result.error || 'Failed to load ticket catalog';
+                    return;
+                }
+                editor.value = JSON.stringify(result.catalog, null, 2);
+                status.textContent = result.isDefault
+                    ? 'This server uses the default catalog. Saving creates its own copy.'
+                    : 'This server uses its own catalog' + (result.catalog.updatedAt ? ' (last saved ' + new Date(result.catalog.updatedAt).toLocaleString() + ')' : '') + '.';
+            } catch (err) {
+                status.textContent = 'Failed to load ticket catalog';
+            }
+        }
+
+        // Save the edited ticket catalog
+        document.getElementById('saveCatalogBtn').addEventListener('click', async () => {
+            let catalog;
+            try {
+                catalog = JSON.parse(document.getElementById('ticketCatalogEditor').value);
+            } catch (err) {
+                showAlert('The catalog is not valid JSON: ' + err.message, 'error');
+                return;
+            }
+            try {
+                const resp = await fetch('/api/ticket-catalog/save', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, guildId: currentGuild, catalog })
+                });
+                const result = await resp.json();
+                if (resp.ok) {
+                    showAlert('✅ ' + result.message, 'success');
+                    await loadTicketCatalog();
+                } else {
+                    showAlert((result.error || 'Failed to save ticket catalog') + (result.details ? ':<br>' + result.details.join('<br>') : ''), 'error');
+                }
+            } catch (err) {
+                showAlert('Failed to save ticket catalog. Please try again.', 'error');
+            }
+        });
+
+        // Reset the ticket catalog to the default
+        document.getElementById('resetCatalogBtn').addEventListener('click', async () => {
+            if (!confirm('Reset this server to the default ticket catalog? Its own catalog will be deleted.')) {
+                return;
+            }
+            try {
+                const resp = await fetch('/api/ticket-catalog/reset', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, guildId: currentGuild })
+                });
+                const result = await resp.json();
+                if (resp.ok) {
+                    showAlert('✅ ' + result.message, 'success');
+                    await loadTicketCatalog();
+                } else {
+                    showAlert(result.error || 'Failed to reset ticket catalog', 'error');
+                }
+            } catch (err) {
+                showAlert('Failed to reset ticket catalog. Please try again.', 'error');
+            }
+        });
+
+        // Load the shipping notification switch of the selected guild
+        async function loadShippingNotifications() {
+            const toggle = document.getElementById('shippingNotificationsToggle');
+            toggle.checked = false;
+            try {
+                const resp = await fetch('/api/shipping-notifications/get', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, guildId: currentGuild })
+                });
+                const result = await resp.json();
+                if (resp.ok) {
+                    toggle.checked = result.enabled;
+                } else {
+                    showAlert(result.error || 'Failed to load shipping notification setting', 'error');
+                }
+            } catch (err) {
+                showAlert('Failed to load shipping notification setting', 'error');
+            }
+        }
+
+        // Save the shipping notification switch
+        document.getElementById('saveShippingNotificationsBtn').addEventListener('click', async () => {
+            try {
+                const resp = await fetch('/api/shipping-notifications/set', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, guildId: currentGuild, enabled: document.getElementById('shippingNotificationsToggle').checked })
+                });
+                const result = await resp.json();
+                if (resp.ok) {
+                    showAlert('✅ ' + result.message, 'success');
+                } else {
+                    showAlert(result.error || 'Failed to save shipping notification setting', 'error');
+                }
+            } catch (err) {
+                showAlert('Failed to save shipping notification setting. Please try again.', 'error');
+            }
+        });
+
+        // Load dead-letter and retrying Shopify webhook events
+        async function loadFailedWebhooks() {
+            const list = document.getElementById('failedWebhooksList');
+            const status = document.getElementById('webhooksStatus');
+            list.innerHTML = '<div class="loading">Loading webhook events...</div>';
+            try {
+                const resp = await fetch('/api/webhooks/failed', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(credentials)
+                });
+                const result = await resp.json();
+                if (!resp.ok) {
+                    list.innerHTML = '';
+                    status.textContent = result.error || 'Failed to load webhook events';
+                    return;
+                }
+                status.textContent = 'Pending: ' + result.counts.pending + ' | Retrying: ' + result.counts.retrying + ' | Dead letters: ' + result.counts.dead;
+                const events = result.dead.concat(result.retrying);
+                list.innerHTML = '';
+                if (events.length === 0) {
+                    list.innerHTML = '<p style="text-align: center; color: #6c757d;">No failed webhook events.</p>';
+                    return;
+                }
+                events.forEach(function(event) {
+                    const div = document.createElement('div');
+                    div.className = 'channel-item';
+                    const info = document.createElement('div');
+                    info.className = 'channel-info';
+                    const title = document.createElement('div');
+                    title.className = 'channel-id';
+                    title.textContent = event.topic + ' (' + event.status + ')';
+                    const meta = document.createElement('div');
+                    meta.className = 'channel-meta';
+                    meta.textContent = 'ID: ' + event.id + ' | Received: ' + new Date(event.receivedAt).toLocaleString() +
+                        ' | Attempts: ' + event.attempts + ' | Error: ' + (event.lastError || 'N/A');
+                    info.appendChild(title);
+                    info.appendChild(meta);
+                    div.appendChild(info);
+                    const replayBtn = document.createElement('button');
+                    replayBtn.className = 'btn btn-success';
+                    replayBtn.textContent = 'Replay';
+                    replayBtn.addEventListener('click', () => replayWebhooks({ webhookId: event.id }));
+                    div.appendChild(replayBtn);
+                    list.appendChild(div);
+                });
+            } catch (err) {
+                list.innerHTML = '';
+                status.textContent = 'Failed to load webhook events';
+            }
+        }
+
+        // Queue failed webhook events again
+        async function replayWebhooks(target) {
+            try {
+                const resp = await fetch('/api/webhooks/replay', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...credentials, ...target })
+                });
+                const result = await resp.json();
+                if (resp.ok) {
+                    showAlert('✅ ' + result.message, 'success');
+                    await loadFailedWebhooks();
+                } else {
+                    showAlert(result.error || 'Failed to replay webhook', 'error');
+                }
+            } catch (err) {
+                showAlert('Failed to replay webhook. Please try again.', 'error');
+            }
+        }
+
+        document.getElementById('refreshWebhooksBtn').addEventListener('click', loadFailedWebhooks);
+        document.getElementById('replayAllWebhooksBtn').addEventListener('click', () => {
+            if (confirm('Replay every dead-letter webhook event?')) {
+                replayWebhooks({ all: true });
+            }
+        });
+
         // Show alert
         function showAlert(message, type) {
             const alertContainer = document.getElementById('alertContainer');
@@ -1,21 +1,32 @@
-import OpenAI from "openai";
 import { getServerFallbackResponse } from "../config/serverConfigs.js";
+import { getLLMProvider } from "./llm/LLMProviderFactory.js";
+import CitationService from "./CitationService.js";
+import groundingService from "./GroundingService.js";
 
 class AIService {
   constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error("OPENAI_API_KEY environment variable is not set");
-    }
-
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Resolve the deployment default provider up front so misconfiguration
+    // (e.g. missing OPENAI_API_KEY for the openai provider) fails at startup
+    getLLMProvider();
 
     // Configurable output length to avoid mid-message truncation
     this.maxOutputTokens = parseInt(process.env.OPENAI_MAX_TOKENS || "600");
   }
 
-  async generateResponse(messages, guildId = null) {
+  /**
+   * Generate a reply for the conversation.
+   * @param {Array} messages - Chat messages (system prompt optional)
+   * @param {string|null} guildId - Guild for provider selection and fallback text
+   * @param {Object} options - { onText, sources, tools }
+   *   onText: streams the reply-so-far to onText(text)
+   *   sources: retrieved [{url, title}] the answer may cite; adds a "Sources" footer
+   *   tools: { registry, context } lets the model call tools (see src/tools); when a tool
+   *     already replied (escalation, ticket offer) the result has handled: true and no response
+   * @returns {Promise<{isValid: boolean, handled?: boolean, response: string, confidence: number, grounding?: Object, sources: Array, sourcesFooter: string}>}
+   *   confidence is the grounding support score (see GroundingService); grounding lists unsupported claims
+   */
+  async generateResponse(messages, guildId = null, options = {}) {
+    const provider = getLLMProvider(guildId);
     try {
       // Enhanced prompt for more intelligent, direct responses with multi-product handling
       const intelligentSystemPrompt = `You are a knowledgeable support agent for FrodoBots, operating as a Discord bot. For technical questions about FrodoBots products, you must STRICTLY ONLY use information from the provided conversation context.
@@ -89,29 +100,179 @@ Be the helpful agent they need - direct, knowledgeable, and concise. Answer only
             ...messages,
           ];
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4.1-mini",
-        messages: strictMessages,
+      // Ask the model to cite from the retrieved set (numbered) when we know it
+      const sources = CitationService.isEnabled()
+        ? CitationService.dedupeSources(options.sources)
+        : [];
+      const promptMessages = sources.length
+        ? [
+            {
+              ...strictMessages[0],
+              content: strictMessages[0].content + CitationService.buildCitationPrompt(sources),
+            },
+            ...strictMessages.slice(1),
+          ]
+        : strictMessages;
+      const onText =
+        typeof options.onText === "function" && sources.length
+          ? (text) => options.onText(CitationService.stripPartialSourcesLine(text))
+          : options.onText;
+
+      const completionOptions = {
         temperature: 0, // Set to 0 to strictly follow documentation and reduce hallucinations
-        max_tokens: this.maxOutputTokens, // Configurable output length
-        presence_penalty: 0.1, // Slightly reduce repetition
-        frequency_penalty: 0.1, // Slightly reduce repetitive phrases
-      });
+        maxTokens: this.maxOutputTokens, // Configurable output length
+        presencePenalty: 0.1, // Slightly reduce repetition
+        frequencyPenalty: 0.1, // Slightly reduce repetitive phrases
+      };
+      let reply;
+      let toolResults = [];
+      if (options.tools) {
+        const toolRun = await this.runToolLoop(provider, promptMessages, completionOptions, options.tools, onText);
+        if (toolRun.handled) {
+          return { isValid: true, handled: true, response: "", confidence: 1, sources: [], sourcesFooter: "" };
+        }
+        reply = toolRun.content;
+        toolResults = toolRun.toolResults;
+      } else {
+        reply =
+          typeof onText === "function"
+            ? await this.streamCompletion(provider, promptMessages, completionOptions, onText)
+            : await provider.chat(promptMessages, completionOptions);
+      }
 
-      const reply = completion.choices[0].message.content;
-      const confidence = this.calculateConfidence(reply, messages);
-      return this.validateResponse(reply, confidence, guildId);
+      let cited = [];
+      if (sources.length) {
+        const citations = CitationService.extractCitations(reply, sources);
+        reply = citations.text;
+        cited = citations.cited;
+        if (citations.dropped.length) {
+          console.warn(`⚠️ Dropped ${citations.dropped.length} citation(s) not in the retrieved set:`, citations.dropped);
+        }
+      }
+
+      // Verify the answer against what the model was given (docs in the system prompt + tool results)
+      const groundingContext = [
+        ...strictMessages.filter((m) => m.role === "system").map((m) => m.content),
+        ...toolResults,
+      ].join("\n\n");
+      const grounding = await groundingService.verify(reply || "", groundingContext, { guildId });
+      if (grounding.unsupportedClaims.length) {
+        console.warn(`⚠️ Grounding score ${grounding.score.toFixed(2)} (${grounding.method}), unsupported claims:`, grounding.unsupportedClaims);
+      }
+
+      const result = this.validateResponse(reply, grounding.score, guildId);
+      result.grounding = grounding;
+      // Footer is kept separate so it is shown to the user but not fed back into the conversation
+      result.sources = result.isValid ? cited : [];
+      result.sourcesFooter = CitationService.formatSourcesFooter(result.sources);
+      return result;
     } catch (err) {
-      console.error("OpenAI Error:", err.message);
+      console.error(`LLM Error (${provider.name}):`, err.message);
       throw new Error("AI service error");
     }
   }
 
+  /**
+   * Consume a provider stream, reporting the accumulated text after each delta.
+   * Display errors in onText never abort generation.
+   */
+  async streamCompletion(provider, messages, completionOptions, onText) {
+    let reply = "";
+    for await (const delta of provider.chatStream(messages, completionOptions)) {
+      reply += delta;
+      try {
+        onText(reply);
+      } catch (err) {
+        console.error("Streaming display error:", err.message);
+      }
+    }
+    return reply;
+  }
+
+  /**
+   * One tool-calling round, streamed through onText when given. Each round reports
+   * its own text from the start, so a preamble before tool calls is replaced by the answer.
+   */
+  async runToolRound(provider, messages, definitions, completionOptions, onText) {
+    if (typeof onText !== "function") {
+      return provider.chatWithTools(messages, definitions, completionOptions);
+    }
+    let text = "";
+    return provider.chatWithToolsStream(messages, definitions, completionOptions, (delta) => {
+      text += delta;
+      try {
+        onText(text);
+      } catch (err) {
+        console.error("Streaming display error:", err.message);
+      }
+    });
+  }
+
+  /**
+   * Let the model call tools until it answers in text, a tool ends the turn,
+   * or AI_TOOLS_MAX_ROUNDS is reached (then it must answer without tools).
+   * @returns {Promise<{content: string, handled: boolean, toolResults: string[]}>}
+   */
+  async runToolLoop(provider, messages, completionOptions, { registry, context }, onText) {
+    const definitions = registry.getDefinitions(context);
+    if (definitions.length === 0) {
+      const content =
+        typeof onText === "function"
+          ? await this.streamCompletion(provider, messages, completionOptions, onText)
+          : await provider.chat(messages, completionOptions);
+      return { content, handled: false, toolResults: [] };
+    }
+
+    const maxRounds = parseInt(process.env.AI_TOOLS_MAX_ROUNDS || "3", 10);
+    const conversation = [...messages];
+    const toolResults = [];
+
+    for (let round = 0; round < maxRounds; round++) {
+      const { content, toolCalls } = await this.runToolRound(provider, conversation, definitions, completionOptions, onText);
+      if (!toolCalls.length) {
+        return { content, handled: false, toolResults };
+      }
+
+      conversation.push({
+        role: "assistant",
+        content: content || null,
+        tool_calls: toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: call.arguments },
+        })),
+      });
+
+      for (const call of toolCalls) {
+        const result = await registry.execute(call.name, call.arguments, context);
+        toolResults.push(JSON.stringify(result));
+        conversation.push({
+          role: "tool",
+          tool_call_id: call.id,
+          content: toolResults[toolResults.length - 1],
+        });
+      }
+
+      if (context.handled) {
+        return { content: "", handled: true, toolResults };
+      }
+    }
+
+    const { content } = await this.runToolRound(
+      provider,
+      conversation,
+      definitions,
+      { ...completionOptions, toolChoice: "none" },
+      onText
+    );
+    return { content, handled: false, toolResults };
+  }
+
   /**
    * Lightweight classifier for escalation detection.
    * Returns strictly 'ESCALATE' or 'CONTINUE'.
    */
-  async classifyEscalation(messages) {
+  async classifyEscalation(messages, guildId = null) {
     try {
       // Ensure system instruction is present and minimal
       const hasSystem =
@@ -123,17 +284,12 @@ Be the helpful agent they need - direct, knowledgeable, and concise. Answer only
       };
       const strictMessages = hasSystem ? messages : [systemMsg, ...messages];
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4.1-mini",
-        messages: strictMessages,
-        temperature: 0,
-        max_tokens: 2,
-      });
-      const reply = (completion.choices[0].message.content || "")
-        .trim()
-        .toUpperCase();
-      if (reply.startsWith("ESCALATE")) return "ESCALATE";
-      return "CONTINUE";
+      const provider = getLLMProvider(guildId);
+      return await provider.classify(
+        strictMessages,
+        ["ESCALATE", "CONTINUE"],
+        "CONTINUE"
+      );
     } catch (err) {
       console.error("Escalation classifier error:", err.message);
       // Be conservative and continue so we do not over-escalate on failure
@@ -234,104 +390,6 @@ Be the helpful agent they need - direct, knowledgeable, and concise. Answer only
 
     return out.trim();
   }
-
-  calculateConfidence(reply, messages) {
-    // Simple confidence calculation based on response characteristics
-    let confidence = 0.8; // Base confidence
-
-    // Reduce confidence for very short responses
-    if (reply.length < 20) {
-      confidence -= 0.2;
-    }
-
-    // Reduce confidence for responses that seem uncertain
-    const uncertaintyWords = [
-      "maybe",
-      "perhaps",
-      "i think",
-      "possibly",
-      "not sure",
-      "uncertain",
-    ];
-    const lowerReply = reply.toLowerCase();
-    uncertaintyWords.forEach((word) => {
-      if (lowerReply.includes(word)) {
-        confidence -= 0.1;
-      }
-    });
-
-    // Reduce confidence for robotic phrases
-    const roboticPhrases = [
-      "the information provided does not specify",
-      "based on the available data",
-      "the information provided indicates",
-      "according to the information",
-      "the available information shows",
-      "it is important to note that",
-      "it should be mentioned that",
-      "the system indicates",
-    ];
-
-    roboticPhrases.forEach((phrase) => {
-      if (lowerReply.includes(phrase)) {
-        confidence -= 0.2; // Significant reduction for robotic language
-      }
-    });
-
-    // Increase confidence for responses that reference FrodoBots content
-    const frodoBotsWords = [
-      "frodobots",
-      "robot",
-      "earthrover",
-      "ufb",
-      "help",
-      "support",
-    ];
-    frodoBotsWords.forEach((word) => {
-      if (lowerReply.toLowerCase().includes(word)) {
-        confidence += 0.05;
-      }
-    });
-
-    // Increase confidence for friendly, conversational responses
-    const friendlyPhrases = [
-      "here's what i can tell you",
-      "from what i know",
-      "i can help you with",
-      "great question",
-      "let me share",
-      "happy to help",
-      "perfect!",
-      "excellent question",
-      "great! i can help with both",
-    ];
-
-    friendlyPhrases.forEach((phrase) => {
-      if (lowerReply.includes(phrase)) {
-        confidence += 0.1; // Boost for friendly language
-      }
-    });
-
-    // Boost confidence for multi-product structured responses
-    const multiProductIndicators = [
-      "**🚗",
-      "**🤖",
-      "for test driving",
-      "for creating",
-      "which would you like",
-      "what's your next step",
-      "how they work together",
-    ];
-
-    multiProductIndicators.forEach((indicator) => {
-      if (lowerReply.includes(indicator.toLowerCase())) {
-        confidence += 0.15; // Higher boost for structured multi-product responses
-      }
-    });
-
-    // Ensure confidence is between 0 and 1
-    return Math.max(0, Math.min(1, confidence));
-  }
 }
 
 export default AIService;
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import redis from './redisClient.js';
+import shopifyService from '../shopify/ShopifyService.js';
+import { getMailer } from './mail/MailerFactory.js';
+
+const CODE_TTL_SECONDS = 10 * 60;
+const MAX_CODE_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * AccountLinkService - links a Discord user to the Shopify customer email they proved they own
+ *
+ * /link-account emails a 6-digit one-time code (through the MAIL_PROVIDER mailer) to an email
+ * that has Shopify orders; entering the code links the Discord user ID to that email
+ * (account_link:<userId>). Codes are stored hashed, expire after 10 minutes and allow
+ * 5 attempts (counted in account_link_attempts:<userId>); a new code can be requested
+ * once a minute. Linked users look up their orders without retyping their email, and get
+ * shipping notifications unless they turn them off. Emails map back to their linked users
+ * (account_link_email:<email>).
+ */
+class AccountLinkService {
+  constructor() {
+    this.linkPrefix = 'account_link:';
+    this.codePrefix = 'account_link_code:';
+    this.attemptsPrefix = 'account_link_attempts:';
+    this.cooldownPrefix = 'account_link_cooldown:';
+    this.emailPrefix = 'account_link_email:';
+  }
+
+  /**
+   * Email a verification code to the user
+   * @param {string} userId - Discord user ID
+   * @param {string} email - Email used for Shopify orders
+   * @returns {Promise<Object>} { success: true } or { success: false, error, retryAfterSeconds? }
+   */
+  async startVerification(userId, email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalized)) {
+      return { success: false, error: 'invalid_email' };
+    }
+
+    const mailer = getMailer();
+    if (!mailer) {
+      console.warn('⚠️ Account linking needs MAIL_PROVIDER: no verification code sent');
+      return { success: false, error: 'mail_unavailable' };
+    }
+
+    const allowed = await redis.set(`${this.cooldownPrefix}${userId}`, '1', { NX: true, EX: RESEND_COOLDOWN_SECONDS });
+    if (!allowed) {
+      const ttl = await redis.ttl(`${this.cooldownPrefix}${userId}`);
+      return { success: false, error: 'cooldown', retryAfterSeconds: ttl > 0 ? ttl : RESEND_COOLDOWN_SECONDS };
+    }
+
+    // Only emails with orders get a code; the caller tells the user the same thing either way
+    const orders = await shopifyService.getOrdersByEmail(normalized);
+    if (!orders.success) {
+      await redis.del(`${this.cooldownPrefix}${userId}`);
+      return { success: false, error: 'shopify_unavailable' };
+    }
+    if (orders.orders.length === 0) {
+      console.log(`🔗 Link request from ${userId} for an email without orders`);
+      return { success: true };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await redis.set(`${this.codePrefix}${userId}`, JSON.stringify({
+      email: normalized,
+      codeHash: this._hash(userId, code)
+    }), { EX: CODE_TTL_SECONDS });
+    await redis.del(`${this.attemptsPrefix}${userId}`);
+
+    await mailer.send({
+      to: normalized,
+      subject: 'Your FrodoBots Discord verification code',
+      text: `Your verification code is ${code}.\n\n` +
+        `Enter it with /link-account verify in Discord to link your account. ` +
+        `It expires in ${CODE_TTL_SECONDS / 60} minutes.\n\n` +
+        `If you did not ask for this code, you can ignore this email.`
+    });
+    console.log(`🔗 Sent account link code to user ${userId}`);
+    return { success: true };
+  }
+
+  /**
+   * Check a code and link the account
+   * @param {string} userId - Discord user ID
+   * @param {string} code - Code from the email
+   * @param {string|null} guildId - Guild the command was used in (its shipping notification switch applies)
+   * @returns {Promise<Object>} { success: true, email } or { success: false, error, attemptsLeft? }
+   */
+  async verifyCode(userId, code, guildId = null) {
+    const key = `${this.codePrefix}${userId}`;
+    const attemptsKey = `${this.attemptsPrefix}${userId}`;
+    const data = await redis.get(key);
+    if (!data) return { success: false, error: 'no_pending_code' };
+
+    // Counted with INCR before the code is checked, so concurrent attempts can't share a count
+    const attempts = await redis.incr(attemptsKey);
+    if (attempts === 1) await redis.expire(attemptsKey, CODE_TTL_SECONDS);
+    if (attempts > MAX_CODE_ATTEMPTS) {
+      await redis.del([key, attemptsKey]);
+      return { success: false, error: 'too_many_attempts' };
+    }
+
+    const pending = JSON.parse(data);
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = Buffer.from(this._hash(userId, String(code || '').trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      if (attempts >= MAX_CODE_ATTEMPTS) {
+        await redis.del([key, attemptsKey]);
+        return { success: false, error: 'too_many_attempts' };
+      }
+      return { success: false, error: 'wrong_code', attemptsLeft: MAX_CODE_ATTEMPTS - attempts };
+    }
+
+    await redis.del([key, attemptsKey]);
+    const previous = await this.getLink(userId);
+    if (previous && previous.email !== pending.email) {
+      await redis.sRem(`${this.emailPrefix}${previous.email}`, userId);
+    }
+    await redis.set(`${this.linkPrefix}${userId}`, JSON.stringify({
+      email: pending.email,
+      guildId,
+      notifications: true,
+      linkedAt: Date.now()
+    }));
+    await redis.sAdd(`${this.emailPrefix}${pending.email}`, userId);
+    console.log(`🔗 Linked user ${userId} to a Shopify customer`);
+    return { success: true, email: pending.email };
+  }
+
+  /**
+   * Get a user's link
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object|null>} { email, guildId, notifications, linkedAt } or null
+   */
+  async getLink(userId) {
+    try {
+      const data = await redis.get(`${this.linkPrefix}${userId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(`❌ Error reading account link of ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a user's link
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<boolean>} True if the user was linked
+   */
+  async unlink(userId) {
+    const link = await this.getLink(userId);
+    if (!link) return false;
+    await redis.del(`${this.linkPrefix}${userId}`);
+    await redis.sRem(`${this.emailPrefix}${link.email}`, userId);
+    return true;
+  }
+
+  /**
+   * Discord users linked to an email
+   * @param {string} email - Shopify customer email
+   * @returns {Promise<Array<string>>} Discord user IDs
+   */
+  async getLinkedUserIds(email) {
+    if (!email) return [];
+    return redis.sMembers(`${this.emailPrefix}${String(email).trim().toLowerCase()}`);
+  }
+
+  /**
+   * Turn a linked user's shipping notifications on or off
+   * @param {string} userId - Discord user ID
+   * @param {boolean} enabled - Whether to notify
+   * @returns {Promise<boolean>} False when the user is not linked
+   */
+  async setNotifications(userId, enabled) {
+    const link = await this.getLink(userId);
+    if (!link) return false;
+    await redis.set(`${this.linkPrefix}${userId}`, JSON.stringify({ ...link, notifications: enabled }));
+    return true;
+  }
+
+  /**
+   * Email with most of the local part hidden (j***@example.com)
+   * @param {string} email - Email address
+   * @returns {string} Masked email
+   */
+  maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
+  // Codes are bound to the user so a leaked hash can't be replayed for another account
+  _hash(userId, code) {
+    return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+  }
+}
+
+const accountLinkService = new AccountLinkService();
+export default accountLinkService;
@@ -0,0 +1,249 @@
+const MAX_CHARS = parseInt(process.env.CHUNK_MAX_CHARS || '1500', 10);
+const OVERLAP_CHARS = parseInt(process.env.CHUNK_OVERLAP_CHARS || '200', 10);
+const MIN_CHARS = parseInt(process.env.CHUNK_MIN_CHARS || '200', 10);
+
+// Block elements whose text becomes a paragraph of the current section
+const BLOCK_SELECTOR = 'p, li, pre, blockquote, td, th, figcaption';
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4']);
+
+/**
+ * ChunkingService - splits documents into overlapping, heading-aware chunks
+ *
+ * Documents are first turned into sections ({ headingPath, text }) - from the HTML
+ * heading structure for help-center articles, from # headings for markdown files, or
+ * from heading-like lines for plain text (Google Docs exports). Each section is then cut into windows of at most
+ * CHUNK_MAX_CHARS on line and sentence boundaries, with CHUNK_OVERLAP_CHARS of
+ * trailing context repeated at the start of the next window. A chunk never spans
+ * two sections, so its heading path always describes its text.
+ */
+class ChunkingService {
+  /**
+   * Extract sections from an HTML element, tracking the h1-h4 heading path
+   * @param {Function} $ - cheerio instance the element belongs to
+   * @param {Object} root - cheerio element holding the document body
+   * @returns {Array<{headingPath: string[], text: string}>} Sections in document order
+   */
+  static sectionsFromHtml($, root) {
+    const sections = [];
+    const headings = [];
+    let paragraphs = [];
+
+    const flush = () => {
+      const text = paragraphs.join('\n').trim();
+      if (text) sections.push({ headingPath: headings.map(h => h.text), text });
+      paragraphs = [];
+    };
+
+    root.find(`h1, h2, h3, h4, ${BLOCK_SELECTOR}`).each((index, element) => {
+      const tag = String(element.tagName || '').toLowerCase();
+      const text = $(element).text().replace(/\s+/g, ' ').trim();
+      if (!text) return;
+
+      if (HEADING_TAGS.has(tag)) {
+        flush();
+        const level = parseInt(tag.slice(1), 10);
+        while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+        headings.push({ level, text });
+        return;
+      }
+
+      // Nested blocks (a <p> inside an <li>) are covered by their outer block
+      if ($(element).parents(BLOCK_SELECTOR).length > 0) return;
+      paragraphs.push(text);
+    });
+    flush();
+
+    // Pages without block markup still yield one section
+    if (sections.length === 0) {
+      const text = root.text().replace(/\s+/g, ' ').trim();
+      if (text) sections.push({ headingPath: [], text });
+    }
+    return sections;
+  }
+
+  /**
+   * Extract sections from plain text, treating markdown headings and short
+   * title-like lines (no closing punctuation, followed by a paragraph) as headings
+   * @param {string} text - Plain text document
+   * @returns {Array<{headingPath: string[], text: string}>} Sections in document order
+   */
+  static sectionsFromText(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim());
+    const sections = [];
+    let heading = null;
+    let paragraphs = [];
+
+    const flush = () => {
+      const body = paragraphs.join('\n').trim();
+      if (body) sections.push({ headingPath: heading ? [heading] : [], text: body });
+      paragraphs = [];
+    };
+
+    lines.forEach((line, i) => {
+      if (!line) return;
+      const markdown = line.match(/^#{1,4}\s+(.+)$/);
+      const next = lines.slice(i + 1).find(Boolean) || '';
+      const titleLike = line.length <= 80 &&
+        !/[.,;:!?)]$/.test(line) &&
+        !/^[-*•]|^\d+[.)]\s/.test(line) &&
+        next.length > line.length;
+
+      if (markdown || titleLike) {
+        flush();
+        heading = (markdown ? markdown[1] : line).trim();
+        return;
+      }
+      paragraphs.push(line);
+    });
+    flush();
+    return sections;
+  }
+
+  /**
+   * Extract sections from markdown, tracking the #-#### heading path (lines in
+   * fenced code blocks are never headings)
+   * @param {string} text - Markdown document
+   * @returns {Array<{headingPath: string[], text: string}>} Sections in document order
+   */
+  static sectionsFromMarkdown(text) {
+    const sections = [];
+    const headings = [];
+    let paragraphs = [];
+    let fenced = false;
+
+    const flush = () => {
+      const body = paragraphs.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+      if (body) sections.push({ headingPath: headings.map(h => h.text), text: body });
+      paragraphs = [];
+    };
+
+    for (const line of String(text || '').split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+      const heading = !fenced && line.match(/^(#{1,4})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        flush();
+        const level = heading[1].length;
+        while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+        headings.push({ level, text: heading[2] });
+        continue;
+      }
+      paragraphs.push(line.trimEnd());
+    }
+    flush();
+    return sections;
+  }
+
+  /**
+   * Cut sections into overlapping chunks; a section shorter than CHUNK_MIN_CHARS is
+   * merged with the following one when both fit in a single chunk
+   * @param {Array<{headingPath: string[], text: string}>} sections - Document sections
+   * @param {Object} options - { maxChars, overlapChars, minChars }
+   * @returns {Array<{headingPath: string[], text: string}>} Chunks in document order
+   */
+  static chunkSections(sections, options = {}) {
+    const maxChars = options.maxChars || MAX_CHARS;
+    const overlapChars = Math.min(options.overlapChars ?? OVERLAP_CHARS, Math.floor(maxChars / 2));
+    const minChars = options.minChars ?? MIN_CHARS;
+
+    const merged = [];
+    for (const section of sections || []) {
+      const previous = merged[merged.length - 1];
+      if (previous &&
+          previous.text.length < minChars &&
+          previous.text.length + section.text.length < maxChars) {
+        // Keep the shared heading path; the differing headings move into the text
+        const path = ChunkingService._commonPrefix(previous.headingPath, section.headingPath);
+        previous.text = [
+          previous.headingPath.slice(path.length).join(' > '),
+          previous.text,
+          section.headingPath.slice(path.length).join(' > '),
+          section.text
+        ].filter(Boolean).join('\n');
+        previous.headingPath = path;
+        continue;
+      }
+      merged.push({ headingPath: [...section.headingPath], text: section.text });
+    }
+
+    const chunks = [];
+    for (const section of merged) {
+      for (const text of ChunkingService.chunkText(section.text, { maxChars, overlapChars })) {
+        chunks.push({ headingPath: section.headingPath, text });
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Split text into windows of at most maxChars, breaking on line and sentence
+   * boundaries and repeating up to overlapChars of the previous window
+   * @param {string} text - Text to split
+   * @param {Object} options - { maxChars, overlapChars }
+   * @returns {string[]} Chunk texts
+   */
+  static chunkText(text, options = {}) {
+    const maxChars = options.maxChars || MAX_CHARS;
+    const overlapChars = options.overlapChars ?? OVERLAP_CHARS;
+    const clean = String(text || '').trim();
+    if (!clean) return [];
+    if (clean.length <= maxChars) return [clean];
+
+    const units = ChunkingService._splitUnits(clean, maxChars);
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const unit of units) {
+      if (current.length > 0 && length + unit.length + 1 > maxChars) {
+        chunks.push(ChunkingService._join(current));
+        // Carry the tail of this window into the next one
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (overlapLength + current[i].length > overlapChars) break;
+          overlap.unshift(current[i]);
+          overlapLength += current[i].length + 1;
+        }
+        current = overlap;
+        length = overlapLength;
+      }
+      current.push(unit);
+      length += unit.length + 1;
+    }
+    if (current.length > 0) chunks.push(ChunkingService._join(current));
+    return chunks;
+  }
+
+  static _commonPrefix(a, b) {
+    const prefix = [];
+    for (let i = 0; i < Math.min(a.length, b.length) && a[i] === b[i]; i++) prefix.push(a[i]);
+    return prefix;
+  }
+
+  // Sentences (or hard slices of over-long sentences) no longer than maxChars;
+  // a unit that started a new line keeps its leading newline
+  static _splitUnits(text, maxChars) {
+    const units = [];
+    for (const line of text.split(/\n+/)) {
+      let first = true;
+      for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+        const trimmed = sentence.trim();
+        if (!trimmed) continue;
+        for (let i = 0; i < trimmed.length; i += maxChars) {
+          units.push(`${first && units.length > 0 ? '\n' : ''}${trimmed.slice(i, i + maxChars)}`);
+          first = false;
+        }
+      }
+    }
+    return units;
+  }
+
+  static _join(units) {
+    return units
+      .map((unit, i) => (i === 0 || unit.startsWith('\n') ? unit : ` ${unit}`))
+      .join('')
+      .trim();
+  }
+}
+
+export default ChunkingService;
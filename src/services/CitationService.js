@@ -0,0 +1,134 @@
+const SOURCES_LINE = /\n*\s*\**SOURCES?\**\s*:([^\n]*)\s*$/i;
+
+/**
+ * CitationService - grounds AI answers in the sources that were actually retrieved
+ *
+ * Flow:
+ * 1. Retrieval paths collect the sources they put in the prompt ({ url, title })
+ * 2. buildCitationPrompt() numbers them and asks the model to end with "SOURCES: [n], ..."
+ * 3. extractCitations() strips that line and keeps only citations that resolve to the
+ *    retrieved set (numbers in range or URLs that match) - anything else is dropped
+ * 4. formatSourcesFooter() renders the compact footer shown under the answer
+ */
+class CitationService {
+  /**
+   * Normalize a URL for comparison (scheme, trailing slash, query, fragment ignored)
+   * @param {string} url - URL to normalize
+   * @returns {string} Normalized URL
+   */
+  static normalizeUrl(url) {
+    return String(url || '')
+      .trim()
+      .replace(/^<|>$/g, '')
+      .replace(/^https?:\/\//i, '')
+      .replace(/[?#].*$/, '')
+      .replace(/\/+$/, '')
+      .toLowerCase();
+  }
+
+  /**
+   * De-duplicate sources by normalized URL, keeping the first occurrence
+   * @param {Array<{url: string, title?: string}>} sources - Retrieved sources
+   * @returns {Array<{url: string, title: string|null}>} Unique sources
+   */
+  static dedupeSources(sources) {
+    const seen = new Set();
+    const unique = [];
+    for (const source of sources || []) {
+      if (!source?.url) continue;
+      const key = CitationService.normalizeUrl(source.url);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      unique.push({ url: source.url, title: source.title || null });
+    }
+    return unique;
+  }
+
+  /**
+   * Build the prompt section listing citable sources
+   * @param {Array<{url: string, title?: string}>} sources - Retrieved sources (deduped)
+   * @returns {string} Prompt text to append to the system message
+   */
+  static buildCitationPrompt(sources) {
+    const list = sources
+      .map((source, index) => `[${index + 1}] ${source.title ? `${source.title} - ` : ''}${source.url}`)
+      .join('\n');
+
+    return `
+
+CITATIONS:
+The documentation above comes from these sources:
+${list}
+After your answer, add one final line in exactly this format listing only the sources your answer relied on:
+SOURCES: [1], [3]
+If your answer did not use any of them (greetings, "I don't have specific information"), write: SOURCES: none`;
+  }
+
+  /**
+   * Remove the model's SOURCES line and resolve its citations against the retrieved set
+   * @param {string} reply - Raw model reply
+   * @param {Array<{url: string, title?: string}>} sources - Retrieved sources (same order as the prompt)
+   * @returns {{text: string, cited: Array<{url: string, title: string|null}>, dropped: string[]}}
+   */
+  static extractCitations(reply, sources) {
+    const text = String(reply || '');
+    const match = text.match(SOURCES_LINE);
+    const body = match ? text.slice(0, match.index).trimEnd() : text;
+    const sourcesLine = match ? match[1] : '';
+
+    const byUrl = new Map(sources.map(source => [CitationService.normalizeUrl(source.url), source]));
+    const cited = [];
+    const dropped = [];
+    const add = (source) => {
+      if (!cited.includes(source)) cited.push(source);
+    };
+
+    // Numbered references from the SOURCES line
+    for (const [, num] of sourcesLine.matchAll(/\[?(\d+)\]?/g)) {
+      const source = sources[parseInt(num, 10) - 1];
+      if (source) add(source);
+      else dropped.push(`[${num}]`);
+    }
+
+    // Raw URLs in the SOURCES line or inline in the answer
+    for (const [url] of `${sourcesLine}\n${body}`.matchAll(/https?:\/\/[^\s<>()\]]+/g)) {
+      const clean = url.replace(/[.,;:!?'"*]+$/, '');
+      const source = byUrl.get(CitationService.normalizeUrl(clean));
+      if (source) add(source);
+      else if (match && sourcesLine.includes(url)) dropped.push(clean);
+    }
+
+    return { text: body, cited, dropped };
+  }
+
+  /**
+   * Hide a partially streamed SOURCES line from the live preview
+   * @param {string} text - Reply text so far
+   * @returns {string} Text safe to show while streaming
+   */
+  static stripPartialSourcesLine(text) {
+    return String(text || '').replace(/\n+\s*\**S(?:O(?:U(?:R(?:C(?:E(?:S)?)?)?)?)?)?\**\s*(?::[^\n]*)?$/i, '');
+  }
+
+  /**
+   * Render the compact footer shown under an answer
+   * @param {Array<{url: string}>} cited - Cited sources
+   * @returns {string} Footer text (empty when nothing was cited)
+   */
+  static formatSourcesFooter(cited) {
+    if (!cited || cited.length === 0) return '';
+    const limit = parseInt(process.env.CITATIONS_MAX_SOURCES || '3', 10);
+    // <url> suppresses Discord link previews
+    const links = cited.slice(0, limit).map(source => `<${source.url}>`).join(' • ');
+    return `\n\n-# 📚 Sources: ${links}`;
+  }
+
+  /**
+   * Whether source footers are enabled for this deployment
+   */
+  static isEnabled() {
+    return String(process.env.CITATIONS_ENABLED || 'true').toLowerCase() === 'true';
+  }
+}
+
+export default CitationService;
@@ -95,13 +95,16 @@ class ConfigService {
 
   /**
    * Get rate limits configuration
-   * @param {string} context - Context ('public' or 'ticket')
-   * @returns {Object} Rate limits configuration
+   * @param {string} context - Context ('public', 'ticket' or 'activation')
+   * @returns {Object} Rate limits configuration (defaults; RateLimitService applies guild/role overrides)
    */
   static getRateLimits(context = 'public') {
     if (context === 'ticket') {
       return botRules.TICKET_CHANNELS.RATE_LIMITS;
     }
+    if (context === 'activation') {
+      return botRules.ACTIVATION.RATE_LIMITS;
+    }
     return botRules.PUBLIC_CHANNELS.RATE_LIMITS;
   }
 
@@ -1,16 +1,49 @@
+import crypto from "crypto";
+import redis from "./redisClient.js";
+import { getLLMProvider } from "./llm/LLMProviderFactory.js";
+import botRules from "../config/botRules.js";
+import ContentUtil from "../utils/ContentUtil.js";
 import ConversationKeyUtil from "../utils/ConversationKeyUtil.js";
 
+/**
+ * ConversationService - per-conversation chat history for the AI
+ *
+ * History lives in Redis so it survives restarts and is shared by every bot process:
+ *   conversation:<key>          list of JSON { id, role, content, timestamp } (user / assistant turns)
+ *   conversation:<key>:system   JSON system message, replaced every turn
+ *   conversation:<key>:summary  JSON { content, messageCount, updatedAt } running summary
+ * Keys come from ConversationKeyUtil.storageKey. Appends push, trim the list to the
+ * last MAX_MESSAGES and renew the TTL in one MULTI; the TTL depends on the channel
+ * type (ticket, public, activation), so idle conversations expire on their own.
+ *
+ * When the history passes MAX_TOKENS (or fills the window), the older turns are
+ * folded into the running summary by the model and only the last KEEP_RECENT_MESSAGES
+ * stay verbatim; the summary is sent right after the system message, so long tickets
+ * keep what the user already tried. The fold removes the folded turns by value (each has
+ * its own id), so turns appended or trimmed while the model summarizes are not lost.
+ */
 class ConversationService {
-  constructor(articleService) {
+  /**
+   * @param {Object} articleService - Article service used for the default system message
+   * @param {Object} options - { channelType: 'ticket' | 'public' | 'activation' }
+   */
+  constructor(articleService, options = {}) {
     this.articleService = articleService;
-    this.conversationHistory = {};
-    this.userConversations = {}; // New: user-based conversations
-    this.MAX_CONVERSATION_TOKENS = 5000; // Reduced from 7000 to stay within limits
+    this.channelType = options.channelType || "ticket";
+    this.MAX_CONVERSATION_TOKENS = botRules.CONVERSATIONS.MAX_TOKENS;
+    this.MAX_MESSAGES = botRules.CONVERSATIONS.MAX_MESSAGES;
+    this.KEEP_RECENT_MESSAGES = botRules.CONVERSATIONS.KEEP_RECENT_MESSAGES;
+    this.SUMMARY_MAX_TOKENS = botRules.CONVERSATIONS.SUMMARY_MAX_TOKENS;
+    this.TTL_SECONDS = parseInt(
+      process.env[`CONVERSATION_TTL_${this.channelType.toUpperCase()}_SECONDS`] ||
+        String(botRules.CONVERSATIONS.TTL_SECONDS[this.channelType] || 24 * 60 * 60),
+      10,
+    );
     this.systemMessage = null; // Cache the system message
   }
 
   estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return ContentUtil.estimateTokens(text);
   }
 
   // Get conversation ID - can be channel-based or user-based
@@ -75,13 +108,6 @@ Remember: Always build on previous context and make connections to earlier parts
     isUserBased = true,
     userQuery = null,
   ) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
-
-    // Ensure conversation container exists
-    if (!this.userConversations[key]) {
-      this.userConversations[key] = [];
-    }
-
     // Decide the new system message
     let newSystemMessage;
     if (articles) {
@@ -107,11 +133,17 @@ Remember: Always build on previous context and make connections to earlier parts
       newSystemMessage = fallback;
     }
 
-    // Replace or insert system message at index 0, preserve rest of history
-    if (this.userConversations[key].length === 0) {
-      this.userConversations[key].push(newSystemMessage);
-    } else {
-      this.userConversations[key][0] = newSystemMessage;
+    // Replace the system message, preserve the rest of the history
+    const key = ConversationKeyUtil.storageKey(conversationId, isUserBased);
+    try {
+      await redis
+        .multi()
+        .setEx(`${key}:system`, this.TTL_SECONDS, JSON.stringify(newSystemMessage))
+        .expire(key, this.TTL_SECONDS)
+        .expire(`${key}:summary`, this.TTL_SECONDS)
+        .exec();
+    } catch (error) {
+      console.error(`❌ Error saving system message for ${key}:`, error.message);
     }
   }
 
@@ -153,61 +185,152 @@ Remember: Provide accurate, helpful information based on the relevant content pr
     };
   }
 
-  addUserMessage(conversationId, message, isUserBased = true) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
-
-    // Ensure conversation is initialized
-    if (!this.userConversations[key]) {
-      console.warn(`⚠️ Conversation ${key} not initialized, initializing now`);
-      this.userConversations[key] = [];
-    }
+  async addUserMessage(conversationId, message, isUserBased = true) {
+    await this._appendMessage(conversationId, this._entry("user", message), isUserBased);
+  }
 
-    this.userConversations[key].push({ role: "user", content: message });
-    console.log(
-      `📝 Added user message to conversation ${key}. Total messages: ${this.userConversations[key].length}`,
-    );
-    this.manageConversationLength(key);
+  async addAssistantMessage(conversationId, message, isUserBased = true) {
+    await this._appendMessage(conversationId, this._entry("assistant", message), isUserBased);
   }
 
-  addAssistantMessage(conversationId, message, isUserBased = true) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
+  _entry(role, content) {
+    return { id: crypto.randomUUID(), role, content, timestamp: new Date().toISOString() };
+  }
 
-    // Ensure conversation is initialized
-    if (!this.userConversations[key]) {
-      console.warn(`⚠️ Conversation ${key} not initialized, initializing now`);
-      this.userConversations[key] = [];
+  // Append a turn atomically (push, trim to the window, renew TTL), then cut long histories
+  async _appendMessage(conversationId, entry, isUserBased) {
+    const key = ConversationKeyUtil.storageKey(conversationId, isUserBased);
+    try {
+      const results = await redis
+        .multi()
+        .rPush(key, JSON.stringify(entry))
+        .lTrim(key, -this.MAX_MESSAGES, -1)
+        .expire(key, this.TTL_SECONDS)
+        .expire(`${key}:system`, this.TTL_SECONDS)
+        .expire(`${key}:summary`, this.TTL_SECONDS)
+        .lRange(key, 0, -1)
+        .exec();
+      const messages = results[results.length - 1] || [];
+      const label = entry.role === "user" ? "📝 Added user message" : "🤖 Added assistant message";
+      console.log(`${label} to conversation ${key}. Total messages: ${messages.length}`);
+      await this.manageConversationLength(key, messages);
+    } catch (error) {
+      console.error(`❌ Error appending to conversation ${key}:`, error.message);
     }
+  }
 
-    this.userConversations[key].push({ role: "assistant", content: message });
-    console.log(
-      `🤖 Added assistant message to conversation ${key}. Total messages: ${this.userConversations[key].length}`,
+  // Fold the older turns into the running summary once the history passes the token
+  // budget or fills the window; falls back to plain truncation if the model fails
+  async manageConversationLength(key, storedMessages) {
+    const messages = storedMessages.map((value) => JSON.parse(value));
+    const estimatedTokens = this.estimateTokens(
+      messages.map((msg) => msg.content).join(" "),
     );
-    this.manageConversationLength(key);
+    const foldCount = messages.length - this.KEEP_RECENT_MESSAGES;
+
+    if (
+      foldCount <= 0 ||
+      (estimatedTokens <= this.MAX_CONVERSATION_TOKENS &&
+        messages.length < this.MAX_MESSAGES)
+    ) {
+      return;
+    }
+
+    // One fold at a time per conversation
+    const lock = await redis.set(`${key}:summarizing`, "1", { NX: true, EX: 60 });
+    if (!lock) return;
+
+    try {
+      const stored = await redis.get(`${key}:summary`);
+      const previous = stored ? JSON.parse(stored) : null;
+      const content = await this._summarize(
+        previous?.content || null,
+        messages.slice(0, foldCount),
+      );
+      const summary = {
+        content,
+        messageCount: (previous?.messageCount || 0) + foldCount,
+        updatedAt: new Date().toISOString(),
+      };
+      // Drop exactly the folded turns: appends meanwhile may have trimmed the head of the
+      // list already, so they are removed by value rather than by position
+      const multi = redis
+        .multi()
+        .setEx(`${key}:summary`, this.TTL_SECONDS, JSON.stringify(summary));
+      for (const value of storedMessages.slice(0, foldCount)) {
+        multi.lRem(key, 1, value);
+      }
+      await multi.exec();
+      console.log(
+        `🧾 Folded ${foldCount} messages of ${key} into its summary (${summary.messageCount} summarized, ${estimatedTokens} tokens before)`,
+      );
+    } catch (error) {
+      console.error(
+        `❌ Error summarizing ${key}, truncating instead:`,
+        error.message,
+      );
+      await redis.lTrim(key, -this.KEEP_RECENT_MESSAGES, -1);
+      console.log(
+        `Conversation history truncated for ${key} to prevent token overflow. Kept ${this.KEEP_RECENT_MESSAGES} recent messages.`,
+      );
+    } finally {
+      await redis.del(`${key}:summarizing`);
+    }
   }
 
-  manageConversationLength(conversationKey) {
-    const totalContent = this.userConversations[conversationKey]
-      .map((msg) => msg.content)
-      .join(" ");
+  // Merge the previous summary and the turns being folded into one new summary
+  async _summarize(previousSummary, messages) {
+    const transcript = messages
+      .map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}`)
+      .join("\n\n");
+
+    const reply = await getLLMProvider().chat(
+      [
+        {
+          role: "system",
+          content:
+            "You keep the running summary of a FrodoBots support conversation. Merge the previous summary and the new messages into one concise summary. Keep every concrete fact: the product, order or account details, the problem, what the user already tried and what happened, the answers and instructions already given, and anything still open. Plain text, no preamble.",
+        },
+        {
+          role: "user",
+          content: `PREVIOUS SUMMARY:\n${previousSummary || "(none)"}\n\nNEW MESSAGES:\n${ContentUtil.truncateContent(transcript, this.MAX_CONVERSATION_TOKENS * 2)}`,
+        },
+      ],
+      { temperature: 0, maxTokens: this.SUMMARY_MAX_TOKENS },
+    );
 
-    const estimatedTokens = this.estimateTokens(totalContent);
+    const summary = String(reply || "").trim();
+    if (!summary) throw new Error("Empty summary");
+    return summary;
+  }
 
-    if (estimatedTokens > this.MAX_CONVERSATION_TOKENS) {
-      const systemMessage = this.userConversations[conversationKey][0];
-      const recentMessages = this.userConversations[conversationKey].slice(-6);
-      this.userConversations[conversationKey] = [
-        systemMessage,
-        ...recentMessages,
+  // Stored messages: the system message and running summary (if any) followed by the history
+  async _loadConversation(key) {
+    try {
+      const [system, summary, messages] = await Promise.all([
+        redis.get(`${key}:system`),
+        redis.get(`${key}:summary`),
+        redis.lRange(key, 0, -1),
+      ]);
+      const summaryMessage = summary
+        ? [{ role: "system", content: `SUMMARY OF THE EARLIER CONVERSATION:\n${JSON.parse(summary).content}` }]
+        : [];
+      return [
+        ...(system ? [JSON.parse(system)] : []),
+        ...summaryMessage,
+        ...(messages || []).map((value) => JSON.parse(value)),
       ];
-      console.log(
-        `Conversation history truncated for ${conversationKey} to prevent token overflow. Kept ${recentMessages.length} recent messages.`,
-      );
+    } catch (error) {
+      console.error(`❌ Error loading conversation ${key}:`, error.message);
+      return [];
     }
   }
 
-  getConversationHistory(conversationId, isUserBased = true) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
-    const history = this.userConversations[key] || [];
+  async getConversationHistory(conversationId, isUserBased = true) {
+    // The model only gets role and content
+    const history = (
+      await this._loadConversation(ConversationKeyUtil.storageKey(conversationId, isUserBased))
+    ).map(({ role, content }) => ({ role, content }));
 
     // Log conversation context for debugging
     if (history.length > 1) {
@@ -230,20 +353,17 @@ Remember: Provide accurate, helpful information based on the relevant content pr
     return history;
   }
 
-  getUserConversation(userId) {
-    const key = `user_${userId}`;
-    return this.userConversations[key] || [];
+  async getUserConversation(userId) {
+    return this._loadConversation(ConversationKeyUtil.storageKey(userId, true));
   }
 
-  hasUserHistory(userId) {
-    const key = `user_${userId}`;
-    return (
-      this.userConversations[key] && this.userConversations[key].length > 1
-    );
+  async hasUserHistory(userId) {
+    const conversation = await this.getUserConversation(userId);
+    return conversation.length > 1;
   }
 
-  getConversationContext(userId) {
-    const conversation = this.getUserConversation(userId);
+  async getConversationContext(userId) {
+    const conversation = await this.getUserConversation(userId);
     if (conversation.length === 0) return null;
 
     const userMessages = conversation.filter((msg) => msg.role === "user");
@@ -264,12 +384,12 @@ Remember: Provide accurate, helpful information based on the relevant content pr
           ? assistantMessages[assistantMessages.length - 1].content
           : null,
       conversationStart:
-        conversation.length > 1 ? conversation[1].timestamp : null,
+        conversation.find((msg) => msg.timestamp)?.timestamp || null,
     };
   }
 
-  getUserConversationSummary(userId) {
-    const conversation = this.getUserConversation(userId);
+  async getUserConversationSummary(userId) {
+    const conversation = await this.getUserConversation(userId);
     if (conversation.length <= 1) return "No conversation history";
 
     const userMessages = conversation.filter((msg) => msg.role === "user");
@@ -314,21 +434,25 @@ Remember: Provide accurate, helpful information based on the relevant content pr
     return Array.from(topics);
   }
 
-  clearConversation(conversationId, isUserBased = true) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
-    if (this.userConversations[key]) {
-      delete this.userConversations[key];
-      console.log(`Cleared conversation for ${key}`);
+  async clearConversation(conversationId, isUserBased = true) {
+    const key = ConversationKeyUtil.storageKey(conversationId, isUserBased);
+    try {
+      if (await redis.del([key, `${key}:system`, `${key}:summary`])) {
+        console.log(`Cleared conversation for ${key}`);
+      }
+    } catch (error) {
+      console.error(`❌ Error clearing conversation ${key}:`, error.message);
     }
   }
 
-  clearUserConversation(userId) {
-    this.clearConversation(userId, true);
+  async clearUserConversation(userId) {
+    await this.clearConversation(userId, true);
   }
 
-  getConversationStats(conversationId, isUserBased = true) {
-    const key = isUserBased ? `user_${conversationId}` : conversationId;
-    const conversation = this.userConversations[key] || [];
+  async getConversationStats(conversationId, isUserBased = true) {
+    const conversation = await this._loadConversation(
+      ConversationKeyUtil.storageKey(conversationId, isUserBased),
+    );
 
     if (conversation.length === 0) {
       return {
@@ -363,13 +487,22 @@ Remember: Provide accurate, helpful information based on the relevant content pr
     };
   }
 
-  getAllUserConversations() {
+  async getAllUserConversations() {
+    const prefix = ConversationKeyUtil.storageKey("", true);
     const conversations = {};
-    for (const [key, conversation] of Object.entries(this.userConversations)) {
-      if (key.startsWith("user_")) {
-        const userId = key.replace("user_", "");
-        conversations[userId] = this.getConversationStats(userId, true);
-      }
+    try {
+      let cursor = 0;
+      do {
+        const res = await redis.scan(cursor, { MATCH: `${prefix}*`, COUNT: 100 });
+        cursor = parseInt(res.cursor || res[0] || "0", 10);
+        for (const key of res.keys || res[1] || []) {
+          if (/:(system|summary|summarizing)$/.test(key)) continue;
+          const userId = key.slice(prefix.length);
+          conversations[userId] = await this.getConversationStats(userId, true);
+        }
+      } while (cursor !== 0);
+    } catch (error) {
+      console.error("❌ Error listing user conversations:", error.message);
     }
     return conversations;
   }
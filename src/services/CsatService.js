@@ -0,0 +1,221 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import redis from './redisClient.js';
+import botRules from '../config/botRules.js';
+
+/**
+ * CsatService - customer satisfaction ratings
+ *
+ * Two kinds of rating, both answered with buttons (routed through TicketButtonHandler):
+ * - answer: 👍/👎 under an AI reply in a ticket or public thread
+ * - ticket: 1-5 prompt when a ticket is resolved or closed
+ *
+ * Redis layout:
+ *   csat:rating:<conversationId>:<messageId>  hash { type, conversationId, messageId, guildId,
+ *     channelType, userId, product, category, sources (JSON), createdAt, rating, ratedAt }
+ *   csat:ticket:<ticketId>                   message ID of the ticket's rating prompt (prompt once)
+ *   csat:stats:product:<product>             hash { up, down, ratings, ratingSum }
+ *   csat:stats:category:<category>           same, per ticket category ('public' for public threads)
+ *   csat:stats:products / csat:stats:categories  sets of the products / categories with stats
+ */
+class CsatService {
+  constructor() {
+    this.prefix = 'csat:';
+    this.TTL_SECONDS = botRules.LOGGING.PRIVACY.LOG_RETENTION_DAYS * 24 * 60 * 60;
+  }
+
+  _ratingKey(conversationId, messageId) {
+    return `${this.prefix}rating:${conversationId}:${messageId}`;
+  }
+
+  _statsKey(dimension, value) {
+    return `${this.prefix}stats:${dimension}:${value || 'none'}`;
+  }
+
+  async _createRecord(record) {
+    const key = this._ratingKey(record.conversationId, record.messageId);
+    await redis
+      .multi()
+      .hSet(key, {
+        type: record.type,
+        conversationId: record.conversationId,
+        messageId: record.messageId,
+        guildId: record.guildId || '',
+        channelType: record.channelType,
+        userId: record.userId || '',
+        product: record.product || '',
+        category: record.category || '',
+        sources: JSON.stringify((record.sources || []).map(source => ({ url: source.url, title: source.title || null }))),
+        createdAt: new Date().toISOString()
+      })
+      .expire(key, this.TTL_SECONDS)
+      .exec();
+  }
+
+  /**
+   * Add 👍/👎 buttons under an AI answer and remember what it was based on
+   * @param {Object} replyMessage - Last Discord message of the answer
+   * @param {Object} context - { conversationId, userId, guildId, channelType, product, category, sources }
+   */
+  async attachToAnswer(replyMessage, context) {
+    if (!replyMessage) return;
+    try {
+      await this._createRecord({ ...context, type: 'answer', messageId: replyMessage.id });
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`csat_up:${context.conversationId}`)
+          .setEmoji('👍')
+          .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId(`csat_down:${context.conversationId}`)
+          .setEmoji('👎')
+          .setStyle(ButtonStyle.Secondary)
+      );
+      await replyMessage.edit({ components: [row] });
+    } catch (error) {
+      console.error(`❌ Error attaching CSAT buttons to ${replyMessage.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Ask for a 1-5 rating of a ticket, at most once per ticket
+   * @param {Object} target - Ticket channel or user (DM) to post the prompt to
+   * @param {Object} context - { ticketId, ticketName, userId, guildId, product, category }
+   * @returns {Promise<boolean>} True if the prompt was sent
+   */
+  async promptTicketRating(target, context) {
+    const promptKey = `${this.prefix}ticket:${context.ticketId}`;
+    try {
+      const claimed = await redis.set(promptKey, 'pending', { NX: true, EX: this.TTL_SECONDS });
+      if (!claimed) return false;
+
+      const row = new ActionRowBuilder().addComponents(
+        [1, 2, 3, 4, 5].map(score => new ButtonBuilder()
+          .setCustomId(`csat_rate:${context.ticketId}:${score}`)
+          .setLabel('⭐'.repeat(score))
+          .setStyle(ButtonStyle.Secondary))
+      );
+      const prompt = await target.send({
+        content: `📝 How would you rate the support you received${context.ticketName ? ` in **${context.ticketName}**` : ''}? (1 = poor, 5 = excellent)`,
+        components: [row]
+      });
+
+      await this._createRecord({ ...context, type: 'ticket', conversationId: context.ticketId, messageId: prompt.id, channelType: 'ticket' });
+      await redis.set(promptKey, prompt.id, { EX: this.TTL_SECONDS });
+      return true;
+    } catch (error) {
+      console.error(`❌ Error sending CSAT prompt for ticket ${context.ticketId}:`, error.message);
+      await redis.del(promptKey).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * Parse a CSAT button custom ID
+   * @param {string} customId - csat_up:<conversationId>, csat_down:<conversationId> or csat_rate:<ticketId>:<1-5>
+   * @returns {{conversationId: string, rating: string|number}|null}
+   */
+  parseCustomId(customId) {
+    // Public conversation IDs contain ':' themselves, so split on the first one only
+    const separator = customId.indexOf(':');
+    if (separator === -1) return null;
+    const action = customId.slice(0, separator);
+    const rest = customId.slice(separator + 1);
+    if (action === 'csat_up') return { conversationId: rest, rating: 'up' };
+    if (action === 'csat_down') return { conversationId: rest, rating: 'down' };
+    const rate = action === 'csat_rate' && rest.match(/^(.+):([1-5])$/);
+    return rate ? { conversationId: rate[1], rating: parseInt(rate[2], 10) } : null;
+  }
+
+  /**
+   * Store a rating and update the per-product and per-category aggregates
+   * @param {string} conversationId - Conversation (ticket channel or public conversation key)
+   * @param {string} messageId - Message the buttons are on
+   * @param {string} userId - User who clicked
+   * @param {string|number} rating - 'up' | 'down' | 1-5
+   * @returns {Promise<{status: 'recorded'|'already_rated'|'not_allowed'|'expired', record?: Object, stats?: Object}>}
+   */
+  async recordRating(conversationId, messageId, userId, rating) {
+    const key = this._ratingKey(conversationId, messageId);
+    const stored = await redis.hGetAll(key);
+    if (!stored?.type) return { status: 'expired' };
+    if (stored.userId && stored.userId !== userId) return { status: 'not_allowed' };
+    // First click wins, even when two arrive together
+    if (stored.rating || !(await redis.hSetNX(key, 'rating', String(rating)))) return { status: 'already_rated' };
+
+    const ratedAt = new Date().toISOString();
+    const multi = redis.multi().hSet(key, { ratedAt });
+    for (const [dimension, value] of [['product', stored.product], ['category', stored.category]]) {
+      const statsKey = this._statsKey(dimension, value);
+      if (typeof rating === 'number') {
+        multi.hIncrBy(statsKey, 'ratings', 1).hIncrBy(statsKey, 'ratingSum', rating);
+      } else {
+        multi.hIncrBy(statsKey, rating, 1);
+      }
+      multi.sAdd(`${this.prefix}stats:${dimension === 'product' ? 'products' : 'categories'}`, value || 'none');
+    }
+    await multi.exec();
+
+    const record = {
+      ...stored,
+      sources: JSON.parse(stored.sources || '[]'),
+      rating,
+      ratedAt
+    };
+    const stats = {
+      product: await this.getStats('product', stored.product),
+      category: await this.getStats('category', stored.category)
+    };
+    return { status: 'recorded', record, stats };
+  }
+
+  /**
+   * Aggregate score of one product or category
+   * @param {string} dimension - 'product' or 'category'
+   * @param {string} value - Product key or category ID
+   * @returns {Promise<Object>} { name, up, down, helpfulRate, ratings, averageRating }
+   */
+  async getStats(dimension, value) {
+    const stored = await redis.hGetAll(this._statsKey(dimension, value));
+    const up = parseInt(stored?.up || '0', 10);
+    const down = parseInt(stored?.down || '0', 10);
+    const ratings = parseInt(stored?.ratings || '0', 10);
+    const ratingSum = parseInt(stored?.ratingSum || '0', 10);
+    return {
+      name: value || 'none',
+      up,
+      down,
+      helpfulRate: up + down > 0 ? up / (up + down) : null,
+      ratings,
+      averageRating: ratings > 0 ? ratingSum / ratings : null
+    };
+  }
+
+  /**
+   * Aggregate scores of every product and category
+   * @returns {Promise<{products: Array<Object>, categories: Array<Object>}>}
+   */
+  async getAllStats() {
+    const [products, categories] = await Promise.all([
+      redis.sMembers(`${this.prefix}stats:products`),
+      redis.sMembers(`${this.prefix}stats:categories`)
+    ]);
+    return {
+      products: await Promise.all(products.sort().map(product => this.getStats('product', product === 'none' ? null : product))),
+      categories: await Promise.all(categories.sort().map(category => this.getStats('category', category === 'none' ? null : category)))
+    };
+  }
+
+  /**
+   * One-line summary of an aggregate, e.g. "👍 82% (45) · ⭐ 4.3 (12)"
+   * @param {Object} stats - Result of getStats()
+   */
+  formatScore(stats) {
+    const parts = [];
+    if (stats.helpfulRate !== null) parts.push(`👍 ${Math.round(stats.helpfulRate * 100)}% (${stats.up + stats.down})`);
+    if (stats.averageRating !== null) parts.push(`⭐ ${stats.averageRating.toFixed(1)} (${stats.ratings})`);
+    return parts.join(' · ') || 'No ratings yet';
+  }
+}
+
+const csatService = new CsatService();
+export default csatService;
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import embeddingService from './EmbeddingService.js';
+import ChunkingService from './ChunkingService.js';
+import vectorStore from './VectorStore.js';
+import ContentUtil from '../utils/ContentUtil.js';
+
+/**
+ * DocumentIndexService - chunk-level index over every knowledge source
+ *
+ * Sources (help-center collections, local markdown, channel Google
+ * Docs) hand over whole documents; the index stores them as heading-aware chunks
+ * (see ChunkingService) with metadata:
+ * { id, source, product, url, title, headingPath, updatedAt, text, embedding }
+ *
+ * Chunks are embedded in batch when a collection is (re)indexed and their vectors are
+ * persisted in Redis (VectorStore), so a restart re-uses them and only changed chunks
+ * are re-embedded. search() embeds the query once and never embeds the corpus; it
+ * returns the best-matching chunks rather than whole articles, so prompts only carry
+ * the passages that answer the question.
+ */
+class DocumentIndexService {
+  constructor() {
+    // "source:product:url" -> { signature, chunks }
+    this.documents = new Map();
+  }
+
+  _collection(source, product) {
+    return `${source}:${product || '-'}`;
+  }
+
+  _documentKey(source, product, url) {
+    return `${this._collection(source, product)}:${url}`;
+  }
+
+  _signature(doc) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([doc.title, doc.updatedAt, doc.sections || doc.content]))
+      .digest('hex');
+  }
+
+  // Chunk a document without touching the index; null when it is unchanged
+  _buildChunks(doc) {
+    const key = this._documentKey(doc.source, doc.product, doc.url);
+    const signature = this._signature(doc);
+    const existing = this.documents.get(key);
+    if (existing && existing.signature === signature) return null;
+
+    const sections = Array.isArray(doc.sections) && doc.sections.length > 0
+      ? doc.sections
+      : ChunkingService.sectionsFromText(doc.content);
+
+    const chunks = ChunkingService.chunkSections(sections).map((chunk, index) => {
+      const item = {
+        id: `${key}#${index}`,
+        source: doc.source,
+        product: doc.product || null,
+        url: doc.url,
+        title: doc.title || null,
+        headingPath: chunk.headingPath,
+        updatedAt: doc.updatedAt || null,
+        text: chunk.text,
+        embedding: null
+      };
+      item.hash = crypto.createHash('sha256').update(this._embeddingText(item)).digest('hex').slice(0, 16);
+      return item;
+    });
+    return { key, signature, chunks };
+  }
+
+  /**
+   * Add or replace one document; unchanged documents keep their chunks and vectors
+   * @param {Object} doc - { source, product, url, title, updatedAt, sections } or { ..., content }
+   * @returns {Promise<Array<Object>>} The document's chunks
+   */
+  async indexDocument(doc) {
+    if (!doc?.url) return [];
+    const built = this._buildChunks(doc);
+    const key = this._documentKey(doc.source, doc.product, doc.url);
+    if (!built) return this.documents.get(key).chunks;
+
+    const collection = this._collection(doc.source, doc.product);
+    const stored = await vectorStore.load(collection);
+    await this._attachVectors(collection, built.chunks, stored);
+    this.documents.set(key, { signature: built.signature, chunks: built.chunks });
+
+    const current = new Set(built.chunks.map(chunk => chunk.id));
+    await vectorStore.remove(collection, Array.from(stored.keys())
+      .filter(id => id.startsWith(`${key}#`) && !current.has(id)));
+    return built.chunks;
+  }
+
+  /**
+   * Replace every document of one source/product with a fresh set
+   * (documents that disappeared from the source are dropped)
+   * @param {string} source - Source name (e.g. 'help_center', 'markdown', 'google_docs')
+   * @param {string|null} product - Product / category key
+   * @param {Array<Object>} docs - Documents as accepted by indexDocument
+   * @returns {Promise<number>} Number of chunks indexed for the collection
+   */
+  async indexCollection(source, product, docs) {
+    const collection = this._collection(source, product);
+    const prefix = `${collection}:`;
+    const built = [];
+    const keep = new Set();
+    for (const doc of docs || []) {
+      if (!doc?.url) continue;
+      const key = this._documentKey(source, product, doc.url);
+      if (keep.has(key)) continue;
+      keep.add(key);
+      const result = this._buildChunks({ ...doc, source, product });
+      if (result) built.push(result);
+    }
+
+    const removed = Array.from(this.documents.keys()).filter(key => key.startsWith(prefix) && !keep.has(key));
+    if (built.length > 0 || removed.length > 0) {
+      const stored = await vectorStore.load(collection);
+      await this._attachVectors(collection, built.flatMap(b => b.chunks), stored);
+
+      for (const key of removed) this.documents.delete(key);
+      for (const { key, signature, chunks } of built) {
+        this.documents.set(key, { signature, chunks });
+      }
+
+      // Drop stored vectors of chunks that no longer exist (also after a restart)
+      const current = new Set(this.getChunks({ sources: [source], products: [product || null] }).map(chunk => chunk.id));
+      await vectorStore.remove(collection, Array.from(stored.keys()).filter(id => !current.has(id)));
+    }
+
+    const total = this.getChunks({ sources: [source], products: [product || null] }).length;
+    console.log(`🧩 Indexed ${keep.size} ${source}${product ? `/${product}` : ''} document(s) as ${total} chunk(s), ${built.length} changed`);
+    return total;
+  }
+
+  /**
+   * Give new chunks their vectors: re-use stored vectors whose text hash still matches,
+   * embed the rest in batch and persist them
+   * @param {string} collection - Collection name
+   * @param {Array<Object>} chunks - New chunks
+   * @param {Map<string, {hash: string, vector: number[]}>} stored - Vectors from VectorStore.load
+   */
+  async _attachVectors(collection, chunks, stored) {
+    const pending = [];
+    for (const chunk of chunks) {
+      const hit = stored.get(chunk.id);
+      if (hit && hit.hash === chunk.hash) {
+        chunk.embedding = hit.vector;
+      } else {
+        pending.push(chunk);
+      }
+    }
+
+    if (pending.length > 0) {
+      try {
+        const vectors = await embeddingService.embedBatch(pending.map(chunk => this._embeddingText(chunk)));
+        pending.forEach((chunk, i) => { chunk.embedding = vectors[i] || null; });
+        await vectorStore.save(collection, pending
+          .filter(chunk => chunk.embedding?.length)
+          .map(chunk => ({ id: chunk.id, hash: chunk.hash, vector: chunk.embedding })));
+        console.log(`🧩 Embedded ${pending.length} new or changed chunk(s) in ${collection}`);
+      } catch (error) {
+        // Chunks without vectors are still found by the lexical ranking
+        console.error(`❌ Error embedding chunks for ${collection}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Chunks matching the given filters (all chunks when no filter is set)
+   * @param {Object} filter - { sources, products, urls }
+   */
+  getChunks(filter = {}) {
+    const { sources, products, urls } = filter;
+    const chunks = [];
+    for (const { chunks: docChunks } of this.documents.values()) {
+      for (const chunk of docChunks) {
+        if (Array.isArray(sources) && !sources.includes(chunk.source)) continue;
+        if (Array.isArray(products) && !products.includes(chunk.product)) continue;
+        if (Array.isArray(urls) && !urls.includes(chunk.url)) continue;
+        chunks.push(chunk);
+      }
+    }
+    return chunks;
+  }
+
+  // Text that gets embedded: the heading path gives short chunks their topic
+  _embeddingText(chunk) {
+    const path = [chunk.title, ...chunk.headingPath.filter(h => h !== chunk.title)].filter(Boolean);
+    return path.length > 0 ? `${path.join(' > ')}\n\n${chunk.text}` : chunk.text;
+  }
+
+  /**
+   * Rank chunks by similarity to the query (one query embedding; chunks without a
+   * vector are skipped, never embedded here)
+   * @param {string} query - User question
+   * @param {Object} options - { sources, products, urls, topK, minScore }
+   * @returns {Promise<Array<Object>>} Chunks with a score, best first
+   */
+  async search(query, options = {}) {
+    const { topK = 8, minScore = 0 } = options;
+    const chunks = this.getChunks(options);
+    if (chunks.length === 0) return [];
+
+    const queryVec = await embeddingService.embedText(String(query || '').toLowerCase());
+    const ranked = embeddingService.constructor.topK(queryVec, chunks
+      .filter(chunk => chunk.embedding?.length)
+      .map(chunk => ({ id: chunk.id, vector: chunk.embedding, payload: chunk })), topK);
+
+    return ranked
+      .filter(result => (result.score || 0) >= minScore)
+      .map(result => ({ ...result.payload, score: result.score }));
+  }
+
+  /**
+   * Take chunks in rank order until the token budget is used
+   * @param {Array<Object>} chunks - Ranked chunks
+   * @param {number} maxTokens - Token budget
+   */
+  selectWithinBudget(chunks, maxTokens) {
+    const selected = [];
+    let totalTokens = 0;
+    for (const chunk of chunks) {
+      const tokens = ContentUtil.estimateTokens(chunk.text);
+      if (totalTokens + tokens > maxTokens) break;
+      selected.push(chunk);
+      totalTokens += tokens;
+    }
+    return selected;
+  }
+
+  /**
+   * Format chunks for the system prompt, grouped by document in rank order
+   * @param {Array<Object>} chunks - Selected chunks
+   * @returns {string} Prompt content
+   */
+  formatChunks(chunks) {
+    const groups = new Map();
+    for (const chunk of chunks) {
+      if (!groups.has(chunk.url)) groups.set(chunk.url, []);
+      groups.get(chunk.url).push(chunk);
+    }
+
+    const sections = [];
+    for (const [url, docChunks] of groups) {
+      const { title, product, updatedAt } = docChunks[0];
+      const header = [`## ${title || url}`];
+      if (product) header.push(`Category: ${product}`);
+      header.push(`URL: ${url}`);
+      if (updatedAt) header.push(`Updated: ${new Date(updatedAt).toLocaleDateString()}`);
+
+      const passages = docChunks.map(chunk => {
+        const path = chunk.headingPath.filter(h => h !== title);
+        return path.length > 0 ? `### ${path.join(' > ')}\n${chunk.text}` : chunk.text;
+      });
+      sections.push(`${header.join('\n')}\n\n${passages.join('\n\n')}\n\n---`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Citable sources for a set of chunks (one per document)
+   * @param {Array<Object>} chunks - Selected chunks
+   * @returns {Array<{url: string, title: string|null}>}
+   */
+  toSources(chunks) {
+    const seen = new Set();
+    const sources = [];
+    for (const chunk of chunks) {
+      if (!chunk.url || seen.has(chunk.url)) continue;
+      seen.add(chunk.url);
+      sources.push({ url: chunk.url, title: chunk.title || null });
+    }
+    return sources;
+  }
+}
+
+const documentIndexService = new DocumentIndexService();
+export default documentIndexService;
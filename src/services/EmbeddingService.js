@@ -1,27 +1,48 @@
 import crypto from 'crypto';
-import OpenAI from 'openai';
 import redis from './redisClient.js';
+import { getEmbeddingProvider } from './llm/LLMProviderFactory.js';
 
 /**
  * EmbeddingService
- * - Caches embeddings in Redis by SHA256 hash of text
+ * - Caches embeddings in Redis by SHA256 hash of text (plus a small in-process cache,
+ *   so one question searched across several products costs one lookup)
+ * - Batch embedding for ingest (vectors are persisted by VectorStore, not this cache)
+ * - Cached batch embedding for grounding checks; one-off text (answer claims) stays out
+ *   of the Redis cache
+ * - Delegates the actual embedding call to the configured LLM provider
  * - Provides cosine similarity and top-K retrieval helpers
  */
 class EmbeddingService {
   constructor() {
-    this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    this.model = process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
     this.cachePrefix = 'emb:';
     this.maxTextLength = parseInt(process.env.EMBEDDINGS_MAX_TEXT_LENGTH || '12000', 10);
+    this.batchSize = parseInt(process.env.EMBEDDINGS_BATCH_SIZE || '64', 10);
+    this.memoryCacheSize = parseInt(process.env.EMBEDDINGS_MEMORY_CACHE_SIZE || '256', 10);
+    this.memoryCache = new Map();
+  }
+
+  /**
+   * Identifies the embedding space (provider + model) so stored vectors from
+   * different models are never compared
+   */
+  getNamespace() {
+    const provider = getEmbeddingProvider();
+    return `${provider.name}:${provider.embeddingModel}`;
   }
 
   _hash(text) {
     return crypto.createHash('sha256').update(text).digest('hex');
   }
 
-  async _getCachedEmbedding(hash) {
+  // OpenAI vectors keep the original namespace; other providers get their own
+  // so vectors from different embedding spaces are never mixed
+  _cacheKey(provider, hash) {
+    if (provider.name === 'openai') return `${this.cachePrefix}${hash}`;
+    return `${this.cachePrefix}${provider.name}:${provider.embeddingModel}:${hash}`;
+  }
+
+  async _getCachedEmbedding(key) {
     try {
-      const key = `${this.cachePrefix}${hash}`;
       const cached = await redis.get(key);
       return cached ? JSON.parse(cached) : null;
     } catch {
@@ -29,9 +50,8 @@ class EmbeddingService {
     }
   }
 
-  async _setCachedEmbedding(hash, vector) {
+  async _setCachedEmbedding(key, vector) {
     try {
-      const key = `${this.cachePrefix}${hash}`;
       // No expiry so re-use across restarts; callers can clear namespace if needed
       await redis.set(key, JSON.stringify(vector));
     } catch {
@@ -45,22 +65,81 @@ class EmbeddingService {
     return text.slice(0, this.maxTextLength);
   }
 
+  _remember(key, vector) {
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, vector);
+    if (this.memoryCache.size > this.memoryCacheSize) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
+  }
+
   async embedText(text) {
     const safe = this._truncate(text || '');
-    const hash = this._hash(safe);
+    const provider = getEmbeddingProvider();
+    const key = this._cacheKey(provider, this._hash(safe));
 
-    const cached = await this._getCachedEmbedding(hash);
-    if (cached) return cached;
+    const remembered = this.memoryCache.get(key);
+    if (remembered) return remembered;
 
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: safe
-    });
-    const vector = response.data?.[0]?.embedding || [];
-    await this._setCachedEmbedding(hash, vector);
+    const cached = await this._getCachedEmbedding(key);
+    if (cached) {
+      this._remember(key, cached);
+      return cached;
+    }
+
+    const vector = await provider.embed(safe);
+    await this._setCachedEmbedding(key, vector);
+    this._remember(key, vector);
     return vector;
   }
 
+  /**
+   * Embed texts through the caches, with one provider call (per EMBEDDINGS_BATCH_SIZE) for
+   * the texts not cached yet
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - { persist: false keeps the vectors out of the Redis cache }
+   * @returns {Promise<number[][]>} Vectors, in input order
+   */
+  async embedTexts(texts, { persist = true } = {}) {
+    const provider = getEmbeddingProvider();
+    const items = texts.map(text => {
+      const safe = this._truncate(text || '');
+      return { safe, key: this._cacheKey(provider, this._hash(safe)), vector: null };
+    });
+
+    for (const item of items) {
+      item.vector = this.memoryCache.get(item.key) || (persist ? await this._getCachedEmbedding(item.key) : null);
+    }
+
+    const missing = [...new Map(items.filter(item => !item.vector).map(item => [item.key, item])).values()];
+    const vectors = missing.length > 0 ? await this.embedBatch(missing.map(item => item.safe)) : [];
+    const fresh = new Map(missing.map((item, i) => [item.key, vectors[i]]));
+    for (const [key, vector] of fresh) {
+      if (persist) await this._setCachedEmbedding(key, vector);
+    }
+
+    return items.map(item => {
+      const vector = item.vector || fresh.get(item.key);
+      this._remember(item.key, vector);
+      return vector;
+    });
+  }
+
+  /**
+   * Embed many texts with as few provider calls as possible (EMBEDDINGS_BATCH_SIZE per call)
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} Vectors, in input order
+   */
+  async embedBatch(texts) {
+    const provider = getEmbeddingProvider();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize).map(text => this._truncate(text || ''));
+      vectors.push(...await provider.embedBatch(batch));
+    }
+    return vectors;
+  }
+
   static cosineSimilarity(a, b) {
     if (!a?.length || !b?.length || a.length !== b.length) return 0;
     let dot = 0, na = 0, nb = 0;
@@ -1,15 +1,18 @@
 import axios from 'axios';
 import redis from './redisClient.js';
+import documentIndexService from './DocumentIndexService.js';
+import knowledgeBase from './knowledge/KnowledgeBase.js';
 import dynamicPublicChannelService from './dynamic/DynamicPublicChannelService.js';
 import dynamicTicketChannelService from './dynamic/DynamicTicketChannelService.js';
+import ContentUtil from '../utils/ContentUtil.js';
 
 /**
  * Google Docs Content Service
  * Fetches, caches, and manages Google Docs content for AI responses
  * Features:
- * - Daily auto-refresh of all Google Docs
+ * - Docs are stored in the knowledge base (source 'google_docs') and refreshed on its schedule
  * - Redis caching with 24-hour TTL
- * - Content relevance scoring
+ * - Chunk-level retrieval of the passages relevant to the user query
  * - Integration with existing AI response system
  */
 class GoogleDocsContentService {
@@ -18,10 +21,8 @@ class GoogleDocsContentService {
     this.CACHE_TTL = 24 * 60 * 60; // 24 hours in seconds
     this.MAX_CONTENT_LENGTH = 50000; // Max content length per doc
     this.MAX_COMBINED_TOKENS = 15000; // Max tokens for combined multiple docs
-    this.REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-    
-    // Start daily refresh scheduler
-    this.startDailyRefreshScheduler();
+    this.RETRIEVAL_TOP_K = parseInt(process.env.GOOGLE_DOCS_RETRIEVAL_TOP_K || '8', 10);
+    this.RETRIEVAL_MIN_SCORE = parseFloat(process.env.GOOGLE_DOCS_RETRIEVAL_MIN_SCORE || '0.22');
   }
 
   /**
@@ -173,13 +174,22 @@ class GoogleDocsContentService {
    * Estimate token count for content
    */
   _estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return ContentUtil.estimateTokens(text);
   }
 
   /**
    * Get relevant Google Docs content for a channel and user query
    */
   async getChannelGoogleDocsContent(guildId, channelId, userQuery = null) {
+    const { content } = await this.getChannelGoogleDocsContentWithSources(guildId, channelId, userQuery);
+    return content;
+  }
+
+  /**
+   * Same as getChannelGoogleDocsContent, plus the docs that were fetched (for citations)
+   * @returns {Promise<{content: string|null, sources: Array<{url: string, title: string}>}>}
+   */
+  async getChannelGoogleDocsContentWithSources(guildId, channelId, userQuery = null) {
     try {
       // Get Google Docs links for this channel (merge public + ticket sources)
       const publicLinks = await dynamicPublicChannelService.getChannelGoogleDocLinks(guildId, channelId).catch(() => []);
@@ -188,7 +198,7 @@ class GoogleDocsContentService {
       
       if (!merged || merged.length === 0) {
         console.log(`📄 No Google Docs configured for channel ${channelId}`);
-        return null;
+        return { content: null, sources: [] };
       }
 
       console.log(`📄 Found ${merged.length} Google Docs for channel ${channelId}:`);
@@ -213,17 +223,81 @@ class GoogleDocsContentService {
       
       if (validContent.length === 0) {
         console.warn(`⚠️ No valid Google Docs content retrieved for channel ${channelId}`);
-        return null;
+        return { content: null, sources: [] };
+      }
+
+      // Index docs as chunks (unchanged docs are skipped) and prefer the best passages
+      for (const doc of validContent) {
+        await this._indexDocument(doc);
+      }
+      if (userQuery) {
+        const retrieved = await this._retrieveChunks(validContent.map(doc => doc.url), userQuery);
+        if (retrieved) return retrieved;
       }
 
       // Combine all content with intelligent truncation
       const combinedContent = this._combineContentWithLimits(validContent, userQuery);
       
       console.log(`✅ Retrieved Google Docs content: ${combinedContent.length} chars from ${validContent.length} docs`);
-      return combinedContent;
+      const sources = validContent.map(doc => ({
+        url: doc.url,
+        title: `Google Doc ${this._extractDocumentId(doc.url)}`
+      }));
+      return { content: combinedContent, sources };
 
     } catch (error) {
       console.error(`❌ Error getting Google Docs content for channel ${channelId}:`, error.message);
+      return { content: null, sources: [] };
+    }
+  }
+
+  /**
+   * Knowledge base article for a fetched doc
+   */
+  toArticle(doc) {
+    return {
+      url: doc.url,
+      title: `Google Doc ${this._extractDocumentId(doc.url)}`,
+      updatedAt: doc.lastFetched,
+      content: doc.content
+    };
+  }
+
+  /**
+   * Add a fetched doc to the knowledge base; vectors are embedded only for new or changed
+   * chunks (the scheduled refresh does this ahead of user questions)
+   */
+  async _indexDocument(doc) {
+    try {
+      await knowledgeBase.upsertArticle('google_docs', null, this.toArticle(doc));
+    } catch (error) {
+      console.error(`❌ Error indexing Google Doc ${doc.url}:`, error.message);
+    }
+  }
+
+  /**
+   * Best-matching chunks of the given docs for a query
+   * @returns {Promise<{content: string, sources: Array<{url: string, title: string}>}|null>} null when nothing matched
+   */
+  async _retrieveChunks(urls, userQuery) {
+    try {
+      const ranked = await knowledgeBase.retrieve(userQuery, {
+        sources: ['google_docs'],
+        urls,
+        topK: this.RETRIEVAL_TOP_K,
+        minScore: this.RETRIEVAL_MIN_SCORE
+      });
+      const selected = documentIndexService.selectWithinBudget(ranked, this.MAX_COMBINED_TOKENS);
+      if (selected.length === 0) {
+        console.log('📄 No relevant Google Docs chunks, using whole documents');
+        return null;
+      }
+
+      const content = documentIndexService.formatChunks(selected);
+      console.log(`✅ Retrieved ${selected.length} Google Docs chunks: ${content.length} chars`);
+      return { content, sources: documentIndexService.toSources(selected) };
+    } catch (error) {
+      console.error(`❌ Google Docs chunk retrieval failed, using whole documents: ${error.message}`);
       return null;
     }
   }
@@ -351,44 +425,25 @@ ${obj.content}`;
   }
 
   /**
-   * Refresh all Google Docs content across all channels
+   * Refresh all Google Docs content across all channels (through the knowledge base)
    */
   async refreshAllGoogleDocsContent() {
     try {
-      console.log('🔄 Starting daily refresh of all Google Docs content...');
-      
-      // Get all channel details across public and ticket
-      const allChannelDetails = await this._getAllChannelDetails();
-      
-      let totalDocs = 0;
-      let successfulRefresh = 0;
-      
-      for (const { guildId, channelId, googleDocLinks } of allChannelDetails) {
-        if (googleDocLinks && googleDocLinks.length > 0) {
-          console.log(`🔄 Refreshing ${googleDocLinks.length} docs for guild ${guildId}, channel ${channelId}`);
-          
-          for (const url of googleDocLinks) {
-            totalDocs++;
-            try {
-              // Force refresh (bypass cache)
-              const content = await this.fetchGoogleDocContent(url, false);
-              if (content) {
-                successfulRefresh++;
-              }
-            } catch (error) {
-              console.error(`❌ Failed to refresh Google Doc ${url}:`, error.message);
-            }
-          }
-        }
-      }
-      
-      console.log(`✅ Daily refresh completed: ${successfulRefresh}/${totalDocs} Google Docs refreshed successfully`);
-      
+      const { articleCount } = await knowledgeBase.refresh('google_docs');
+      console.log(`✅ Google Docs refresh completed: ${articleCount} docs in the knowledge base`);
     } catch (error) {
-      console.error('❌ Error during daily Google Docs refresh:', error.message);
+      console.error('❌ Error during Google Docs refresh:', error.message);
     }
   }
 
+  /**
+   * Unique Google Docs URLs configured on any public or ticket channel
+   */
+  async getConfiguredDocUrls() {
+    const allChannelDetails = await this._getAllChannelDetails();
+    return Array.from(new Set(allChannelDetails.flatMap(({ googleDocLinks }) => googleDocLinks)));
+  }
+
   /**
    * Get all channel details with Google Docs (helper method)
    */
@@ -425,33 +480,6 @@ ${obj.content}`;
     }
   }
 
-  /**
-   * Start the daily refresh scheduler
-   */
-  startDailyRefreshScheduler() {
-    // Calculate time until next midnight
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(2, 0, 0, 0); // Refresh at 2 AM
-    
-    const timeUntilRefresh = tomorrow.getTime() - now.getTime();
-    
-    console.log(`⏰ Google Docs daily refresh scheduled for: ${tomorrow.toISOString()}`);
-    
-    // Initial delay until first refresh
-    setTimeout(() => {
-      // Run first refresh
-      this.refreshAllGoogleDocsContent();
-      
-      // Then set up daily interval
-      setInterval(() => {
-        this.refreshAllGoogleDocsContent();
-      }, this.REFRESH_INTERVAL);
-      
-    }, timeUntilRefresh);
-  }
-
   /**
    * Manual refresh trigger (for testing or admin commands)
    */
@@ -467,7 +495,10 @@ ${obj.content}`;
         
         for (const url of googleDocLinks) {
           const content = await this.fetchGoogleDocContent(url, false);
-          if (content) refreshed++;
+          if (content) {
+            await this._indexDocument(content);
+            refreshed++;
+          }
         }
         
         console.log(`✅ Manual refresh completed for channel ${channelId}: ${refreshed}/${googleDocLinks.length} docs refreshed`);
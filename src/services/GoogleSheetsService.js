@@ -6,6 +6,8 @@ class GoogleSheetsService {
     const privateKeyRaw = process.env.GOOGLE_SHEETS_PRIVATE_KEY;
     this.spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
     this.sheetName = process.env.GOOGLE_SHEETS_SHEET_NAME || 'Sheet1';
+    // Column the webhooks keep the order status in
+    this.statusColumn = process.env.GOOGLE_SHEETS_STATUS_COLUMN || 'L';
 
     if (!clientEmail || !privateKeyRaw || !this.spreadsheetId) {
       console.warn('⚠️ [GoogleSheets] Missing one or more env vars: GOOGLE_SHEETS_CLIENT_EMAIL, GOOGLE_SHEETS_PRIVATE_KEY, GOOGLE_SHEETS_SPREADSHEET_ID');
@@ -51,6 +53,49 @@ class GoogleSheetsService {
       valueInputOption: 'USER_ENTERED',
       requestBody: { values: [values] },
     });
+
+    return nextRow;
+  }
+
+  /**
+   * Find the first row matching a predicate
+   * @param {Function} matcher - (row values A..Z) => boolean
+   * @returns {Promise<number|null>} 1-based row number or null
+   */
+  async findRow(matcher) {
+    if (!this.isEnabled()) return null;
+
+    const res = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A:Z`,
+      majorDimension: 'ROWS'
+    });
+
+    const index = (res?.data?.values || []).findIndex(row => matcher(row));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Overwrite some cells of a row, leaving the others alone
+   * @param {number} rowNumber - 1-based row number
+   * @param {Object} cells - { [column letter]: value }
+   */
+  async updateCells(rowNumber, cells) {
+    if (!this.isEnabled()) {
+      console.warn('⚠️ [GoogleSheets] Service not enabled. Skipping update.');
+      return;
+    }
+
+    await this.sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: {
+        valueInputOption: 'USER_ENTERED',
+        data: Object.entries(cells).map(([column, value]) => ({
+          range: `${this.sheetName}!${column}${rowNumber}`,
+          values: [[value]]
+        }))
+      }
+    });
   }
 }
 
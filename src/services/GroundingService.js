@@ -0,0 +1,199 @@
+import embeddingService from './EmbeddingService.js';
+import { getLLMProvider } from './llm/LLMProviderFactory.js';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'what', 'when',
+  'where', 'which', 'will', 'your', 'you', 'how', 'can', 'are', 'was', 'were', 'about',
+  'does', 'into', 'there', 'their', 'them', 'then', 'than', 'just', 'some', 'also',
+  'they', 'its', 'our', 'any', 'all', 'but', 'not', 'use', 'get', 'may', 'more'
+]);
+
+// Sentences that make no factual claim about the product (refusals, hand-offs, pleasantries)
+const NON_CLAIM_PATTERNS = [
+  /don'?t have (any )?(specific )?info/i,
+  /talk to (the )?team/i,
+  /(contact|reach|tag) (our |the )?(support|team|moderator)/i,
+  /happy to help|let me know|hope (this|that) helps|feel free to/i
+];
+
+/**
+ * GroundingService - checks that an AI answer is supported by the context it was given
+ *
+ * verify() splits the answer into claim sentences and checks each one against the
+ * retrieved context (system prompt docs + tool results):
+ * 1. Lexical pass: a claim quoting a number that is not in the context is unsupported;
+ *    a claim whose content words appear in the context is supported
+ * 2. Second pass for the remaining claims, by GROUNDING_MODE:
+ *    - embedding (default): cosine similarity to the closest context passages
+ *    - llm: one entailment-style pass asking the model SUPPORTED / UNSUPPORTED per claim
+ *    - lexical: no second pass
+ *    - off: verification disabled (score 1)
+ * The support score (supported / checked claims) drives the low-confidence path.
+ */
+class GroundingService {
+  constructor() {
+    this.mode = String(process.env.GROUNDING_MODE || 'embedding').toLowerCase();
+    this.lexicalThreshold = parseFloat(process.env.GROUNDING_LEXICAL_MIN_COVERAGE || '0.75');
+    this.similarityThreshold = parseFloat(process.env.GROUNDING_MIN_SIMILARITY || '0.6');
+    this.candidatePassages = parseInt(process.env.GROUNDING_CANDIDATE_PASSAGES || '3', 10);
+    this.minClaimWords = parseInt(process.env.GROUNDING_MIN_CLAIM_WORDS || '3', 10);
+    this.maxContextChars = parseInt(process.env.GROUNDING_MAX_CONTEXT_CHARS || '24000', 10);
+  }
+
+  _tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => (word.length > 2 || /^\d+$/.test(word)) && !STOP_WORDS.has(word));
+  }
+
+  _splitSentences(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence
+        .replace(/^\s*(?:\d+\.|[-*•])\s+/, '')
+        .replace(/[*_`#>]/g, '')
+        .trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Split an answer into the sentences that make checkable claims
+   * @param {string} reply - Answer text
+   * @returns {string[]} Claim sentences
+   */
+  extractClaims(reply) {
+    return this._splitSentences(reply).filter(sentence =>
+      !sentence.endsWith('?') &&
+      !NON_CLAIM_PATTERNS.some(pattern => pattern.test(sentence)) &&
+      this._tokenize(sentence).length >= this.minClaimWords
+    );
+  }
+
+  /**
+   * Verify an answer against its context
+   * @param {string} reply - Answer text
+   * @param {string} context - Retrieved context the answer must be grounded in
+   * @param {Object} options - { guildId } for the llm verifier's provider
+   * @returns {Promise<{score: number, checkedClaims: number, unsupportedClaims: string[], method: string}>}
+   */
+  async verify(reply, context, options = {}) {
+    if (this.mode === 'off') {
+      return { score: 1, checkedClaims: 0, unsupportedClaims: [], method: 'off' };
+    }
+
+    const claims = this.extractClaims(reply);
+    if (claims.length === 0) {
+      return { score: 1, checkedClaims: 0, unsupportedClaims: [], method: 'none' };
+    }
+
+    const contextText = String(context || '');
+    const contextWords = new Set(this._tokenize(contextText));
+    // Invented numbers (prices, dates, durations) are the costliest hallucinations;
+    // a paraphrase check would happily match "10 hours" to "4 hours"
+    const inventedNumbers = new Set(claims.filter(claim => this._hasUnknownNumber(claim, contextWords)));
+    const pending = claims.filter(claim => !inventedNumbers.has(claim) && !this._lexicallySupported(claim, contextWords));
+
+    let rejected = pending;
+    let method = 'lexical';
+    if (pending.length > 0 && contextText.trim()) {
+      try {
+        if (this.mode === 'llm') {
+          rejected = await this._verifyWithModel(pending, contextText, options.guildId);
+          method = 'llm';
+        } else if (this.mode === 'embedding') {
+          rejected = await this._verifyWithEmbeddings(pending, contextText);
+          method = 'embedding';
+        }
+      } catch (error) {
+        // Keep the lexical verdict rather than failing the reply
+        console.error('❌ Grounding verification error:', error.message);
+      }
+    }
+
+    const unsupported = claims.filter(claim => inventedNumbers.has(claim) || rejected.includes(claim));
+    const score = (claims.length - unsupported.length) / claims.length;
+    return { score, checkedClaims: claims.length, unsupportedClaims: unsupported, method };
+  }
+
+  _hasUnknownNumber(claim, contextWords) {
+    return this._tokenize(claim).some(word => /^\d+$/.test(word) && !contextWords.has(word));
+  }
+
+  _lexicallySupported(claim, contextWords) {
+    const words = this._tokenize(claim);
+    const covered = words.filter(word => contextWords.has(word)).length;
+    return covered / words.length >= this.lexicalThreshold;
+  }
+
+  async _verifyWithEmbeddings(claims, contextText) {
+    const passages = this._splitSentences(contextText)
+      .filter(passage => passage.length > 20)
+      .map(passage => ({ passage, words: new Set(this._tokenize(passage)) }));
+    if (passages.length === 0) return claims;
+
+    const unsupported = [];
+    const checks = [];
+    for (const claim of claims) {
+      const words = this._tokenize(claim);
+      // Only embed the few passages that share the most words with the claim
+      const candidates = passages
+        .map(item => ({ ...item, overlap: words.filter(word => item.words.has(word)).length }))
+        .filter(item => item.overlap > 0)
+        .sort((a, b) => b.overlap - a.overlap)
+        .slice(0, this.candidatePassages);
+
+      if (candidates.length === 0) {
+        unsupported.push(claim);
+      } else {
+        checks.push({ claim, candidates: candidates.map(candidate => candidate.passage) });
+      }
+    }
+    if (checks.length === 0) return unsupported;
+
+    // One batch for the claims (answer text, not worth keeping in the Redis cache) and one
+    // for the passages (knowledge base text, usually cached already)
+    const passageTexts = [...new Set(checks.flatMap(check => check.candidates))];
+    const [claimVectors, passageVectors] = await Promise.all([
+      embeddingService.embedTexts(checks.map(check => check.claim), { persist: false }),
+      embeddingService.embedTexts(passageTexts)
+    ]);
+    const passageVector = new Map(passageTexts.map((passage, i) => [passage, passageVectors[i]]));
+
+    checks.forEach((check, i) => {
+      const best = Math.max(...check.candidates.map(passage =>
+        embeddingService.constructor.cosineSimilarity(claimVectors[i], passageVector.get(passage))
+      ));
+      if (best < this.similarityThreshold) unsupported.push(check.claim);
+    });
+    return unsupported;
+  }
+
+  async _verifyWithModel(claims, contextText, guildId = null) {
+    const provider = getLLMProvider(guildId);
+    const context = contextText.length > this.maxContextChars
+      ? contextText.slice(0, this.maxContextChars)
+      : contextText;
+
+    const reply = await provider.chat([
+      {
+        role: 'system',
+        content: 'You are a strict fact checker. For each numbered claim, decide whether the CONTEXT explicitly supports it. Reply with one line per claim in exactly this format: "<number>: SUPPORTED" or "<number>: UNSUPPORTED". No explanations.'
+      },
+      {
+        role: 'user',
+        content: `CONTEXT:\n${context}\n\nCLAIMS:\n${claims.map((claim, i) => `${i + 1}. ${claim}`).join('\n')}`
+      }
+    ], { temperature: 0, maxTokens: 10 * claims.length + 20 });
+
+    const verdicts = new Map();
+    for (const [, num, verdict] of String(reply || '').matchAll(/(\d+)\s*[:.)-]\s*(UNSUPPORTED|SUPPORTED)/gi)) {
+      verdicts.set(parseInt(num, 10), verdict.toUpperCase());
+    }
+    // Claims the verifier skipped count as unsupported
+    return claims.filter((claim, i) => verdicts.get(i + 1) !== 'SUPPORTED');
+  }
+}
+
+const groundingService = new GroundingService();
+export default groundingService;
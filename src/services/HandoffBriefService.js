@@ -0,0 +1,111 @@
+import { getLLMProvider } from './llm/LLMProviderFactory.js';
+import shopifyOrderDetector from '../shopify/ShopifyOrderDetector.js';
+import ContentUtil from '../utils/ContentUtil.js';
+
+// Suggested next step when the model cannot be asked and the category has none (ticket catalog nextStep)
+const FALLBACK_NEXT_STEP = "Read the user's last message and reply in the ticket.";
+
+/**
+ * HandoffBriefService - staff-facing summary of a ticket at escalation time
+ *
+ * Reads the recent ticket thread (user messages = what was asked, bot messages = what
+ * was already answered), adds the answers of the category intake form, picks up the
+ * order number from the ticket state, the intake form or the user's messages, and
+ * asks the model for the suggested next step. The brief is
+ * posted to the ticket logs channel by LoggingService.logHandoffBrief, so staff don't
+ * have to read the whole thread.
+ */
+class HandoffBriefService {
+  constructor() {
+    this.HISTORY_LIMIT = 30;   // Thread messages read
+    this.MAX_ASKED = 5;        // Latest user messages listed
+    this.MAX_ANSWERED = 3;     // Latest bot replies listed
+  }
+
+  /**
+   * Build the brief for an escalated ticket
+   * @param {Object} message - Discord message that triggered the escalation
+   * @param {Object} details - { category, categoryName, productName, nextStep, orderNumber, intake, reason, exclude }
+   *   intake is the ticket state's intake form submission; exclude lists bot messages to
+   *   leave out (e.g. the hand-off reply just sent)
+   * @returns {Promise<Object>} { categoryName, productName, reason, asked, answered, intake, orderNumber, nextStep }
+   */
+  async build(message, details = {}) {
+    const { asked, answered } = await this._readThread(message, details.exclude || []);
+    const intake = (details.intake?.answers || []).filter(answer => answer.value);
+    const intakeOrder = intake.find(answer => answer.id === 'order_number')?.value;
+    const orderNumber = details.orderNumber || intakeOrder || this._findOrderNumber(asked);
+
+    return {
+      categoryName: details.categoryName || 'Not selected',
+      productName: details.productName || 'Not selected',
+      reason: details.reason || 'Escalated to human support',
+      asked,
+      answered,
+      intake,
+      orderNumber: orderNumber || null,
+      nextStep: await this._suggestNextStep(message, details, asked, answered, intake)
+    };
+  }
+
+  // Latest user messages and bot replies of the ticket thread, oldest first
+  async _readThread(message, exclude) {
+    let history = [];
+    try {
+      const fetched = await message.channel.messages.fetch({ limit: this.HISTORY_LIMIT });
+      history = Array.from(fetched.values()).sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    } catch (error) {
+      console.error('❌ Error reading ticket thread for handoff brief:', error.message);
+    }
+    if (!history.some(msg => msg.id === message.id)) history.push(message);
+
+    const botId = message.client?.user?.id;
+    const asked = history
+      .filter(msg => msg.author?.id === message.author.id && msg.content)
+      .map(msg => msg.content)
+      .slice(-this.MAX_ASKED);
+    const answered = history
+      .filter(msg => botId && msg.author?.id === botId && msg.content && !exclude.includes(msg.content))
+      .map(msg => msg.content)
+      .slice(-this.MAX_ANSWERED);
+    return { asked, answered };
+  }
+
+  _findOrderNumber(asked) {
+    for (const content of [...asked].reverse()) {
+      const [orderNumber] = shopifyOrderDetector._extractOrderNumbers(content);
+      if (orderNumber) return orderNumber;
+    }
+    return null;
+  }
+
+  async _suggestNextStep(message, details, asked, answered, intake) {
+    const fallback = details.nextStep || FALLBACK_NEXT_STEP;
+    if (asked.length === 0 && intake.length === 0) return fallback;
+
+    try {
+      const transcript = [
+        ...intake.map(answer => `Form - ${answer.label}: ${answer.value}`),
+        ...asked.map(content => `User: ${content}`),
+        ...answered.map(content => `Bot: ${content}`)
+      ].join('\n');
+      const reply = await getLLMProvider(message.guild?.id).chat([
+        {
+          role: 'system',
+          content: 'You brief FrodoBots support staff taking over a ticket from the bot. In one or two sentences, state the concrete next step staff should take. No greeting, no preamble.'
+        },
+        {
+          role: 'user',
+          content: `CATEGORY: ${details.categoryName || 'unknown'}\nPRODUCT: ${details.productName || 'unknown'}\nESCALATION REASON: ${details.reason || 'unknown'}\n\n${ContentUtil.truncateContent(transcript, 3000)}`
+        }
+      ], { temperature: 0, maxTokens: 120 });
+      return String(reply || '').trim() || fallback;
+    } catch (error) {
+      console.error('❌ Error suggesting handoff next step:', error.message);
+      return fallback;
+    }
+  }
+}
+
+const handoffBriefService = new HandoffBriefService();
+export default handoffBriefService;
@@ -0,0 +1,196 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import botRules from '../config/botRules.js';
+import { listTicketStates } from './TicketStateStore.js';
+import PermissionService from './PermissionService.js';
+import csatService from './CsatService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * InactivityService - nudges and resolves tickets the user has gone quiet on
+ *
+ * Every check interval the open ticket states are scanned. After NUDGE_AFTER_HOURS
+ * of user silence (ticket state lastActivity) a "still need help?" message with
+ * buttons is posted; if the user doesn't answer within CLOSE_AFTER_HOURS the ticket
+ * is marked resolved by inactivity, the user is asked for a 1-5 rating, the thread
+ * is archived and staff are told in the ticket logs channel. Thresholds come from botRules TICKET_CHANNELS.INACTIVITY,
+ * per category. Tickets handed to a human (humanHelp) are left alone. Any user
+ * message restarts the timer and reopens a resolved ticket.
+ */
+class InactivityService {
+  constructor(client, ticketSelectionService, loggingService) {
+    this.client = client;
+    this.ticketSelectionService = ticketSelectionService;
+    this.loggingService = loggingService;
+    this.CHECK_INTERVAL = parseInt(process.env.TICKET_INACTIVITY_CHECK_INTERVAL_MS || '600000', 10);
+    this._checkTimer = null;
+  }
+
+  startScheduler(intervalMs = this.CHECK_INTERVAL) {
+    if (this._checkTimer) return;
+    this._checkTimer = setInterval(() => {
+      this.checkAll().catch(error => console.error('❌ Inactivity check failed:', error.message));
+    }, intervalMs);
+    console.log(`⏰ Ticket inactivity checks scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+  }
+
+  stopScheduler() {
+    if (!this._checkTimer) return;
+    clearInterval(this._checkTimer);
+    this._checkTimer = null;
+    console.log('⏰ Ticket inactivity scheduler stopped');
+  }
+
+  /**
+   * Nudge / resolve thresholds of a ticket category, in hours
+   * @param {string|null} category - Category button ID
+   * @returns {{nudgeAfterHours: number, closeAfterHours: number}}
+   */
+  getThresholds(category) {
+    const rules = botRules.TICKET_CHANNELS.INACTIVITY;
+    const override = rules.CATEGORIES[category] || {};
+    return {
+      nudgeAfterHours: override.NUDGE_AFTER_HOURS ?? rules.NUDGE_AFTER_HOURS,
+      closeAfterHours: override.CLOSE_AFTER_HOURS ?? rules.CLOSE_AFTER_HOURS
+    };
+  }
+
+  /**
+   * Scan open tickets and send the nudges / resolutions that are due
+   */
+  async checkAll() {
+    const tickets = await listTicketStates();
+    const now = Date.now();
+    for (const { channelId, state } of tickets) {
+      if (state.humanHelp || state.resolvedAt) continue;
+      try {
+        await this._checkTicket(channelId, state, now);
+      } catch (error) {
+        console.error(`❌ Inactivity check failed for ticket ${channelId}:`, error.message);
+      }
+    }
+  }
+
+  async _checkTicket(channelId, state, now) {
+    const { nudgeAfterHours, closeAfterHours } = this.getThresholds(state.category);
+    const nudgeDue = !state.nudgedAt && now - state.lastActivity >= nudgeAfterHours * HOUR_MS;
+    const closeDue = state.nudgedAt && now - state.nudgedAt >= closeAfterHours * HOUR_MS;
+    if (!nudgeDue && !closeDue) return;
+
+    const channel = this.client.channels.cache.get(channelId) ||
+      await this.client.channels.fetch(channelId).catch(() => null);
+    // Deleted or archived tickets are already closed
+    if (!channel || channel.archived) return;
+
+    if (nudgeDue) {
+      await this.sendNudge(channel);
+    } else {
+      await this.resolveTicket(channel, 'inactivity');
+    }
+  }
+
+  /**
+   * Post the "still need help?" message
+   * @param {Object} channel - Ticket channel
+   */
+  async sendNudge(channel) {
+    const user = await this._findTicketUser(channel);
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('inactivity_still_need_help')
+        .setLabel('I still need help')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId('inactivity_resolved')
+        .setLabel('All sorted, close it')
+        .setStyle(ButtonStyle.Success)
+    );
+
+    await channel.send({
+      content: botRules.TICKET_CHANNELS.INACTIVITY.NUDGE_MESSAGE.replace('{user}', user ? `<@${user.id}>` : 'there'),
+      components: [row]
+    });
+    await this.ticketSelectionService.recordNudge(channel.id, user?.id || null);
+    console.log(`👋 Sent inactivity nudge in ticket ${channel.name} (${channel.id})`);
+  }
+
+  /**
+   * Mark a ticket resolved, tell the user and staff, ask for a rating and archive the thread
+   * @param {Object} channel - Ticket channel
+   * @param {string} resolution - 'inactivity' or 'user'
+   */
+  async resolveTicket(channel, resolution) {
+    await this.ticketSelectionService.markResolved(channel.id, resolution);
+
+    const rules = botRules.TICKET_CHANNELS.INACTIVITY;
+    await channel.send({ content: resolution === 'inactivity' ? rules.CLOSE_MESSAGE : rules.RESOLVED_MESSAGE });
+
+    const state = await this.ticketSelectionService.get(channel.id);
+    if (this.loggingService) {
+      await this.loggingService.logTicketResolved(channel, state);
+    }
+
+    const user = await this._findTicketUser(channel);
+    await csatService.promptTicketRating(channel, {
+      ticketId: channel.id,
+      userId: user?.id,
+      guildId: channel.guild?.id,
+      product: state.product,
+      category: state.category
+    });
+
+    try {
+      if (typeof channel.setArchived === 'function') {
+        await channel.setArchived(true, `Ticket resolved (${resolution})`);
+      }
+    } catch (error) {
+      console.error(`❌ Could not archive resolved ticket ${channel.id}:`, error.message);
+    }
+    console.log(`🔒 Ticket ${channel.name} (${channel.id}) resolved by ${resolution}`);
+  }
+
+  /**
+   * Handle the nudge buttons (routed from TicketButtonHandler)
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleButton(interaction) {
+    // Closing is for the user the nudge was for, or staff
+    if (interaction.customId === 'inactivity_resolved') {
+      const state = await this.ticketSelectionService.get(interaction.channel.id);
+      if (interaction.user.id !== state.nudgedUserId && !PermissionService.isStaffMember(interaction)) {
+        await interaction.reply({ content: 'Only the person this ticket is for (or our support team) can close it.', flags: ['Ephemeral'] });
+        return;
+      }
+    }
+
+    await interaction.deferUpdate();
+    // The nudge is answered: remove its buttons
+    await interaction.message.edit({ components: [] }).catch(error =>
+      console.error('❌ Could not remove nudge buttons:', error.message)
+    );
+
+    if (interaction.customId === 'inactivity_resolved') {
+      await this.resolveTicket(interaction.channel, 'user');
+      return;
+    }
+
+    await this.ticketSelectionService.recordUserActivity(interaction.channel.id);
+    await interaction.channel.send({ content: botRules.TICKET_CHANNELS.INACTIVITY.STILL_NEED_HELP_MESSAGE });
+  }
+
+  // Latest non-staff human who wrote in the ticket
+  async _findTicketUser(channel) {
+    try {
+      const messages = await channel.messages.fetch({ limit: 50 });
+      const latest = Array.from(messages.values())
+        .sort((a, b) => b.createdTimestamp - a.createdTimestamp)
+        .find(message => !message.author.bot && !PermissionService.isStaffMember(message));
+      return latest?.author || null;
+    } catch (error) {
+      console.error(`❌ Could not read ticket ${channel.id} for nudge:`, error.message);
+      return null;
+    }
+  }
+}
+
+export default InactivityService;
@@ -1,5 +1,7 @@
 import botRules from '../config/botRules.js';
-import { getServerConfig } from '../config/serverConfigs.js';
+import { getServerConfig, getSupportTeamId } from '../config/serverConfigs.js';
+import ticketTranscriptService from './TicketTranscriptService.js';
+import csatService from './CsatService.js';
 
 class LoggingService {
   constructor(client) {
@@ -151,8 +153,14 @@ class LoggingService {
     return content;
   }
 
+  // Format cited sources for an embed field
+  formatSources(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) return null;
+    return this.sanitizeContent(sources.map((source, i) => `${i + 1}. ${source.url}`).join('\n'));
+  }
+
   // Log ticket interaction
-  async logTicketInteraction(message, botResponse, product = null, escalation = false) {
+  async logTicketInteraction(message, botResponse, product = null, escalation = false, sources = []) {
     console.log(`📝 [logTicketInteraction] Starting for guild:`, message.guild?.id);
     
     console.log(`📝 [logTicketInteraction] About to call getLogChannel with guild:`, message.guild.id, 'type:', 'ticket');
@@ -218,6 +226,15 @@ class LoggingService {
         timestamp: new Date()
       };
 
+      const sourcesValue = this.formatSources(sources);
+      if (sourcesValue) {
+        logEmbed.fields.push({
+          name: '📚 Sources',
+          value: sourcesValue,
+          inline: false
+        });
+      }
+
       // Safety check before sending
       if (typeof ticketLogChannel?.send !== 'function') {
         console.error(`❌ [logTicketInteraction] ticketLogChannel.send is not a function. Channel:`, ticketLogChannel);
@@ -233,6 +250,182 @@ class LoggingService {
     }
   }
 
+  // Log the sources cited by a public channel answer
+  async logCitations(message, sources, channelType = 'public') {
+    const sourcesValue = this.formatSources(sources);
+    const guildId = message.guild?.id;
+    const logChannel = guildId ? this.getLogChannel(guildId, channelType) : null;
+
+    if (!botRules.LOGGING.LOG_LEVELS.RESPONSES || !sourcesValue || !logChannel) {
+      return;
+    }
+
+    try {
+      const logEmbed = {
+        color: 0x5865F2, // Blurple
+        title: '📚 Answer Sources',
+        fields: [
+          {
+            name: '📅 Timestamp',
+            value: this.formatTimestamp(),
+            inline: true
+          },
+          {
+            name: '👤 User',
+            value: `${message.author.tag} (${this.anonymizeUserId(message.author.id)})`,
+            inline: true
+          },
+          {
+            name: '📝 Channel',
+            value: `${message.channel.name} (${message.channel.id})`,
+            inline: true
+          },
+          {
+            name: '❓ Question',
+            value: this.sanitizeContent(message.content),
+            inline: false
+          },
+          {
+            name: '📚 Sources',
+            value: sourcesValue,
+            inline: false
+          }
+        ],
+        timestamp: new Date()
+      };
+
+      await logChannel.send({ embeds: [logEmbed] });
+    } catch (error) {
+      console.error('Error logging citations:', error);
+    }
+  }
+
+  // Log an answer that failed the grounding check (claims not supported by the retrieved docs)
+  async logGroundingFailure(message, grounding, channelType = 'public') {
+    const guildId = message.guild?.id;
+    const logChannel = guildId ? this.getLogChannel(guildId, channelType) : null;
+
+    if (!botRules.LOGGING.LOG_LEVELS.RESPONSES || !grounding || !logChannel) {
+      return;
+    }
+
+    try {
+      const claims = grounding.unsupportedClaims.length
+        ? grounding.unsupportedClaims.map((claim, i) => `${i + 1}. ${claim}`).join('\n')
+        : 'None';
+
+      const logEmbed = {
+        color: 0xFFA726, // Orange
+        title: '🔎 Low Grounding Score',
+        fields: [
+          {
+            name: '📅 Timestamp',
+            value: this.formatTimestamp(),
+            inline: true
+          },
+          {
+            name: '👤 User',
+            value: `${message.author.tag} (${this.anonymizeUserId(message.author.id)})`,
+            inline: true
+          },
+          {
+            name: '📝 Channel',
+            value: `${message.channel.name} (${message.channel.id})`,
+            inline: true
+          },
+          {
+            name: '📊 Support Score',
+            value: `${(grounding.score * 100).toFixed(1)}% of ${grounding.checkedClaims} claim(s) (${grounding.method})`,
+            inline: false
+          },
+          {
+            name: '❓ Question',
+            value: this.sanitizeContent(message.content),
+            inline: false
+          },
+          {
+            name: '⚠️ Unsupported Claims',
+            value: this.sanitizeContent(claims),
+            inline: false
+          }
+        ],
+        timestamp: new Date()
+      };
+
+      await logChannel.send({ embeds: [logEmbed] });
+    } catch (error) {
+      console.error('Error logging grounding failure:', error);
+    }
+  }
+
+  // Log an AI tool call (audit trail for tools invoked by the model)
+  async logToolCall(message, entry, channelType = 'ticket') {
+    const guildId = message.guild?.id;
+    const logChannel = guildId ? this.getLogChannel(guildId, channelType) : null;
+
+    if (!botRules.LOGGING.LOG_LEVELS.TOOL_CALLS || !logChannel) {
+      return;
+    }
+
+    const statusColors = {
+      ok: 0x4ECDC4,      // Green
+      denied: 0xFFA500,  // Orange
+      invalid: 0xFFA500, // Orange
+      unknown: 0xFFA500, // Orange
+      error: 0xFF6B6B    // Red
+    };
+
+    try {
+      const logEmbed = {
+        color: statusColors[entry.status] || 0x5865F2,
+        title: `🧰 Tool Call: ${entry.tool} (${entry.status})`,
+        fields: [
+          {
+            name: '📅 Timestamp',
+            value: this.formatTimestamp(),
+            inline: true
+          },
+          {
+            name: '👤 User',
+            value: `${message.author.tag} (${this.anonymizeUserId(message.author.id)})`,
+            inline: true
+          },
+          {
+            name: '📝 Channel',
+            value: `${message.channel.name} (${message.channel.id})`,
+            inline: true
+          },
+          {
+            name: '📥 Arguments',
+            value: this.sanitizeContent(JSON.stringify(entry.args ?? {})),
+            inline: false
+          },
+          {
+            name: '⏱️ Duration',
+            value: `${entry.durationMs}ms`,
+            inline: true
+          }
+        ],
+        footer: {
+          text: `Channel ID: ${message.channel.id}`
+        },
+        timestamp: new Date()
+      };
+
+      if (entry.detail) {
+        logEmbed.fields.push({
+          name: '📋 Result',
+          value: this.sanitizeContent(String(entry.detail)),
+          inline: false
+        });
+      }
+
+      await logChannel.send({ embeds: [logEmbed] });
+    } catch (error) {
+      console.error('Error logging tool call:', error);
+    }
+  }
+
   // Log ticket creation
   async logTicketCreation(channel) {
     if (!botRules.LOGGING.LOG_LEVELS.TICKET_EVENTS || !this.logChannels.admin) {
@@ -273,9 +466,10 @@ class LoggingService {
     }
   }
 
-  // Log ticket closure
-  async logTicketClosure(channel) {
-    if (!botRules.LOGGING.LOG_LEVELS.TICKET_EVENTS || !this.logChannels.admin) {
+  // Log ticket closure, with the archived transcript attached (ticket logs channel)
+  async logTicketClosure(channel, transcript = null) {
+    const logChannel = this.getLogChannel(channel.guild?.id, 'ticket');
+    if (!botRules.LOGGING.LOG_LEVELS.TICKET_EVENTS || !logChannel) {
       return;
     }
 
@@ -305,7 +499,25 @@ class LoggingService {
         timestamp: new Date()
       };
 
-      await this.logChannels.admin.send({ embeds: [logEmbed] });
+      if (transcript) {
+        logEmbed.fields.push(
+          {
+            name: '👤 Users',
+            value: transcript.meta.users.map(user => `${user.tag} (${this.anonymizeUserId(user.id)})`).join(', ') || 'Unknown',
+            inline: true
+          },
+          {
+            name: '💬 Transcript',
+            value: `${transcript.meta.messageCount} messages (Markdown and HTML attached)`,
+            inline: true
+          }
+        );
+      }
+
+      await logChannel.send({
+        embeds: [logEmbed],
+        files: transcript ? ticketTranscriptService.toFiles(transcript) : []
+      });
       
       console.log(`📝 Logged ticket closure: ${channelName} (${channelId})`);
     } catch (error) {
@@ -313,6 +525,124 @@ class LoggingService {
     }
   }
 
+  // Tell staff a ticket was resolved without them (inactivity or the user's "resolved" button)
+  async logTicketResolved(channel, ticketState) {
+    const logChannel = this.getLogChannel(channel.guild?.id, 'ticket');
+    if (!botRules.LOGGING.LOG_LEVELS.TICKET_EVENTS || !logChannel) {
+      return;
+    }
+
+    try {
+      const byInactivity = ticketState.resolution === 'inactivity';
+      const logEmbed = {
+        color: byInactivity ? 0x9E9E9E : 0x4CAF50, // Grey / Green
+        title: byInactivity ? '💤 Ticket Resolved by Inactivity' : '✅ Ticket Resolved by User',
+        description: `Ticket <#${channel.id}> was marked as resolved. Close it if no follow-up is needed.`,
+        fields: [
+          {
+            name: '📝 Channel',
+            value: `${channel.name} (${channel.id})`,
+            inline: true
+          },
+          {
+            name: '🗂️ Category',
+            value: ticketState.category || 'Not selected',
+            inline: true
+          },
+          {
+            name: '🕒 Last User Activity',
+            value: ticketState.lastActivity ? `<t:${Math.floor(ticketState.lastActivity / 1000)}:f>` : 'Unknown',
+            inline: true
+          }
+        ],
+        footer: {
+          text: `Ticket ID: ${channel.id}`
+        },
+        timestamp: new Date()
+      };
+      if (ticketState.nudgedAt) {
+        logEmbed.fields.push({
+          name: '👋 Nudged',
+          value: `<t:${Math.floor(ticketState.nudgedAt / 1000)}:f>`,
+          inline: true
+        });
+      }
+
+      await logChannel.send({ embeds: [logEmbed] });
+      console.log(`📝 Logged ticket resolution (${ticketState.resolution}): ${channel.name} (${channel.id})`);
+    } catch (error) {
+      console.error('Error logging ticket resolution:', error);
+    }
+  }
+
+  // Log a CSAT rating with the running score of its product and category (see CsatService)
+  async logCsatRating(record, stats) {
+    const logChannel = this.getLogChannel(record.guildId, record.channelType === 'public' ? 'public' : 'ticket');
+    if (!botRules.LOGGING.LOG_LEVELS.CSAT || !logChannel) {
+      return;
+    }
+
+    try {
+      const isTicketRating = record.type === 'ticket';
+      const ratingText = isTicketRating
+        ? `${'⭐'.repeat(record.rating)} (${record.rating}/5)`
+        : record.rating === 'up' ? '👍 Helpful' : '👎 Not helpful';
+      const conversation = record.channelType === 'public'
+        ? `https://discord.com/channels/${record.guildId}/${record.conversationId.split(':').pop()}/${record.messageId}`
+        : `<#${record.conversationId}>`;
+
+      const logEmbed = {
+        color: isTicketRating
+          ? (record.rating >= 4 ? 0x4CAF50 : record.rating === 3 ? 0xFFA500 : 0xFF6B6B)
+          : (record.rating === 'up' ? 0x4CAF50 : 0xFF6B6B),
+        title: isTicketRating ? '📝 Ticket Rated' : '📝 Answer Rated',
+        fields: [
+          {
+            name: '⭐ Rating',
+            value: ratingText,
+            inline: true
+          },
+          {
+            name: '👤 User',
+            value: record.userId ? this.anonymizeUserId(record.userId) : 'Unknown',
+            inline: true
+          },
+          {
+            name: '💬 Conversation',
+            value: conversation,
+            inline: true
+          },
+          {
+            name: `📦 Product: ${stats.product.name}`,
+            value: csatService.formatScore(stats.product),
+            inline: true
+          },
+          {
+            name: `🗂️ Category: ${stats.category.name}`,
+            value: csatService.formatScore(stats.category),
+            inline: true
+          }
+        ],
+        footer: {
+          text: `Message ID: ${record.messageId}`
+        },
+        timestamp: new Date()
+      };
+      if (record.sources.length > 0) {
+        logEmbed.fields.push({
+          name: '📚 Sources',
+          value: this.formatSources(record.sources),
+          inline: false
+        });
+      }
+
+      await logChannel.send({ embeds: [logEmbed] });
+      console.log(`📝 Logged CSAT rating ${record.rating} for ${record.conversationId}`);
+    } catch (error) {
+      console.error('Error logging CSAT rating:', error);
+    }
+  }
+
   // Log escalation
   async logEscalation(message, reason = 'User requested human help') {
     const adminLogChannel = this.getLogChannel(message.guild?.id, 'admin');
@@ -366,6 +696,207 @@ class LoggingService {
     }
   }
 
+  // Post the staff handoff brief of an escalated ticket (see HandoffBriefService)
+  async logHandoffBrief(message, brief) {
+    const logChannel = this.getLogChannel(message.guild?.id, 'ticket');
+    if (!botRules.LOGGING.LOG_LEVELS.ESCALATIONS || !brief || !logChannel) {
+      return;
+    }
+
+    const formatList = (items) => items.length
+      ? this.sanitizeContent(items.map(item => `• ${item.replace(/\s+/g, ' ')}`).join('\n'))
+      : 'None';
+
+    try {
+      const logEmbed = {
+        color: 0xFF6B6B, // Red
+        title: '🧭 Handoff Brief',
+        description: `Ticket <#${message.channel.id}> needs a human.`,
+        fields: [
+          {
+            name: '👤 User',
+            value: `${message.author.tag} (${this.anonymizeUserId(message.author.id)})`,
+            inline: true
+          },
+          {
+            name: '🗂️ Category',
+            value: brief.categoryName,
+            inline: true
+          },
+          {
+            name: '📦 Product',
+            value: brief.productName,
+            inline: true
+          },
+          {
+            name: '🧾 Order',
+            value: brief.orderNumber ? `#${String(brief.orderNumber).replace(/^#/, '')}` : 'Unknown',
+            inline: true
+          },
+          {
+            name: '📋 Reason',
+            value: this.sanitizeContent(brief.reason),
+            inline: false
+          },
+          ...(brief.intake?.length ? [{
+            name: '📝 Intake Form',
+            value: formatList(brief.intake.map(answer => `${answer.label}: ${answer.value}`)),
+            inline: false
+          }] : []),
+          {
+            name: '❓ User Asked',
+            value: formatList(brief.asked),
+            inline: false
+          },
+          {
+            name: '🤖 Bot Already Answered',
+            value: formatList(brief.answered),
+            inline: false
+          },
+          {
+            name: '➡️ Suggested Next Step',
+            value: this.sanitizeContent(brief.nextStep),
+            inline: false
+          }
+        ],
+        footer: {
+          text: `Ticket ID: ${message.channel.id}`
+        },
+        timestamp: new Date()
+      };
+
+      await logChannel.send({ embeds: [logEmbed] });
+      console.log(`📝 Logged handoff brief for ticket ${message.channel.id}`);
+    } catch (error) {
+      console.error('Error logging handoff brief:', error);
+    }
+  }
+
+  // Post a submitted return / refund request, with its pre-validation checks, to the ticket logs channel
+  async logReturnRequest(channel, request) {
+    const logChannel = this.getLogChannel(channel.guild?.id, 'ticket');
+    if (!botRules.LOGGING.LOG_LEVELS.ESCALATIONS || !logChannel) {
+      return;
+    }
+
+    try {
+      const logEmbed = {
+        color: request.checks.some(check => check.startsWith('⚠️')) ? 0xFFA500 : 0x3498DB, // Orange when something needs a look
+        title: `🔄 ${request.type === 'refund' ? 'Refund' : 'Return'} Request ${request.id}`,
+        description: `Ticket <#${channel.id}> - order **${request.orderNumber}**`,
+        fields: [
+          {
+            name: '👤 User',
+            value: `${request.userTag} (${this.anonymizeUserId(request.userId)})`,
+            inline: true
+          },
+          {
+            name: '📋 Reason',
+            value: request.reason?.label || 'Unknown',
+            inline: true
+          },
+          {
+            name: '📦 Items',
+            value: this.sanitizeContent(request.items.map(item =>
+              `• ${item.quantity}x ${item.name} - ${request.currency} ${item.price}${item.shipped ? '' : ' (not shipped)'}`
+            ).join('\n')),
+            inline: false
+          },
+          {
+            name: '🔍 Checks',
+            value: this.sanitizeContent(request.checks.join('\n')),
+            inline: false
+          },
+          {
+            name: '📷 Photos',
+            value: request.photos.length
+              ? request.photos.map((photo, index) => `[Photo ${index + 1}](${photo.messageUrl})`).join(' · ').slice(0, 1024)
+              : 'None',
+            inline: false
+          },
+          ...(request.comments.length ? [{
+            name: '💬 Details',
+            value: this.sanitizeContent(request.comments.join('\n')),
+            inline: false
+          }] : []),
+          {
+            name: '🛍️ Shopify',
+            value: request.shopifyNoted ? 'Noted on the order and tagged `return-requested`' : 'Not written to the order',
+            inline: false
+          }
+        ],
+        footer: {
+          text: `Ticket ID: ${channel.id}`
+        },
+        timestamp: new Date()
+      };
+
+      await logChannel.send({ embeds: [logEmbed] });
+      console.log(`📝 Logged return request ${request.id} for ticket ${channel.id}`);
+    } catch (error) {
+      console.error('Error logging return request:', error);
+    }
+  }
+
+  // Ping the support role in the admin channel when a ticket SLA is about to be, or has been, breached
+  async logSlaAlert(channel, alert) {
+    const guildId = channel.guild?.id;
+    const adminLogChannel = this.getLogChannel(guildId, 'admin');
+    if (!botRules.LOGGING.LOG_LEVELS.SLA_ALERTS || !adminLogChannel) {
+      return;
+    }
+
+    try {
+      const breached = alert.level === 'breach';
+      const targetName = alert.target === 'firstResponse' ? 'First response' : 'Resolution';
+      const deadline = Math.floor(alert.deadline / 1000);
+      const supportTeamId = getSupportTeamId(guildId);
+
+      const logEmbed = {
+        color: breached ? 0xFF0000 : 0xFFA500, // Red / Orange
+        title: breached ? `⏰ SLA Breached: ${targetName}` : `⏳ SLA Warning: ${targetName}`,
+        description: breached
+          ? `Ticket <#${channel.id}> missed its ${targetName.toLowerCase()} target.`
+          : `Ticket <#${channel.id}> is close to its ${targetName.toLowerCase()} target.`,
+        fields: [
+          {
+            name: '📝 Channel',
+            value: `${channel.name} (${channel.id})`,
+            inline: true
+          },
+          {
+            name: '🚨 Escalated',
+            value: `<t:${Math.floor(alert.escalatedAt / 1000)}:f>`,
+            inline: true
+          },
+          {
+            name: '🎯 Due',
+            value: `<t:${deadline}:f> (<t:${deadline}:R>)`,
+            inline: true
+          },
+          {
+            name: '📏 Target',
+            value: `${alert.targetMinutes} business minutes`,
+            inline: true
+          }
+        ],
+        footer: {
+          text: `Ticket ID: ${channel.id}`
+        },
+        timestamp: new Date()
+      };
+
+      await adminLogChannel.send({
+        content: `<@&${supportTeamId}>`,
+        embeds: [logEmbed],
+        allowedMentions: { roles: [supportTeamId] }
+      });
+      console.log(`📝 Logged SLA ${alert.level} (${alert.target}) for ticket ${channel.id}`);
+    } catch (error) {
+      console.error('Error logging SLA alert:', error);
+    }
+  }
+
   // Log error
   async logError(error, context = 'Unknown') {
     if (!botRules.LOGGING.LOG_LEVELS.ERRORS || !this.logChannels.admin) {
@@ -406,15 +937,19 @@ class LoggingService {
     }
   }
 
-  // Log rate limit hit
-  async logRateLimit(userId, channelId, limitType) {
-    if (!botRules.LOGGING.LOG_LEVELS.RATE_LIMITS || !this.logChannels.admin) {
+  // Log rate limit hit (admin channel of the message's guild)
+  async logRateLimit(message, result, channelType) {
+    const adminLogChannel = this.getLogChannel(message.guild?.id, 'admin');
+    if (!botRules.LOGGING.LOG_LEVELS.RATE_LIMITS || !adminLogChannel) {
       return;
     }
 
     try {
       const timestamp = this.formatTimestamp();
-      const anonymizedUserId = this.anonymizeUserId(userId);
+      const anonymizedUserId = this.anonymizeUserId(message.author.id);
+      const limitType = result.rule === 'cooldown'
+        ? `Cooldown (${result.windowSeconds}s between queries)`
+        : `${result.rule} (${result.limit} per ${result.rule === 'per_ticket' ? 'ticket' : `${result.windowSeconds}s`})`;
 
       const logEmbed = {
         color: 0xFF9800, // Orange
@@ -432,26 +967,86 @@ class LoggingService {
           },
           {
             name: '📝 Channel',
-            value: channelId,
+            value: `${message.channel.name || 'Unknown'} (${message.channel.id}) - ${channelType}`,
             inline: true
           },
           {
             name: '🚫 Limit Type',
             value: limitType,
             inline: true
+          },
+          {
+            name: '⏳ Retry After',
+            value: `${result.retryAfterSeconds}s`,
+            inline: true
           }
         ],
         timestamp: new Date()
       };
 
-      await this.logChannels.admin.send({ embeds: [logEmbed] });
+      await adminLogChannel.send({ embeds: [logEmbed] });
       
-      console.log(`📝 Logged rate limit: ${limitType} for user ${anonymizedUserId}`);
+      console.log(`📝 Logged rate limit: ${result.rule} for user ${anonymizedUserId}`);
     } catch (error) {
       console.error('Error logging rate limit:', error);
     }
   }
 
+  // Log the articles a knowledge base refresh added, changed or removed (admin channel of every guild)
+  async logKnowledgeChanges(report) {
+    const total = report ? report.added.length + report.changed.length + report.removed.length : 0;
+    if (!botRules.LOGGING.LOG_LEVELS.KNOWLEDGE_CHANGES || total === 0) {
+      return;
+    }
+
+    const formatList = (articles) => articles.length
+      ? this.sanitizeContent(articles.map(article => `• ${article.title || article.url} (<${article.url}>)`).join('\n'))
+      : 'None';
+
+    const logEmbed = {
+      color: 0x2ECC71, // Green
+      title: '📚 Knowledge Base Updated',
+      fields: [
+        {
+          name: '📅 Timestamp',
+          value: this.formatTimestamp(),
+          inline: true
+        },
+        {
+          name: '📊 Summary',
+          value: `${report.added.length} added, ${report.changed.length} changed, ${report.removed.length} removed`,
+          inline: true
+        },
+        {
+          name: '🆕 Added',
+          value: formatList(report.added),
+          inline: false
+        },
+        {
+          name: '✏️ Changed',
+          value: formatList(report.changed),
+          inline: false
+        },
+        {
+          name: '🗑️ Removed',
+          value: formatList(report.removed),
+          inline: false
+        }
+      ],
+      timestamp: new Date()
+    };
+
+    for (const [guildId, channels] of Object.entries(this.logChannels)) {
+      if (!channels?.admin) continue;
+      try {
+        await channels.admin.send({ embeds: [logEmbed] });
+      } catch (error) {
+        console.error(`Error logging knowledge changes for guild ${guildId}:`, error);
+      }
+    }
+    console.log(`📝 Logged knowledge changes: ${total} article(s)`);
+  }
+
   // Check if logging is enabled for a specific type
   isLoggingEnabled(type) {
     return botRules.LOGGING.LOG_LEVELS[type.toUpperCase()] || false;
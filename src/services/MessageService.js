@@ -93,6 +93,63 @@ class MessageService {
     }
   }
 
+  /**
+   * Split long message into chunks that fit Discord's character limit
+   * @param {string} text - Full message text
+   * @param {number} maxLength - Max characters per message (Discord limit is 2000)
+   * @returns {string[]} Message chunks in order
+   */
+  static splitLongMessage(text, maxLength = 2000) {
+    if (text.length <= maxLength) {
+      return [text];
+    }
+  
+    const messages = [];
+    let currentMessage = '';
+  
+    // Split by paragraphs first (double newlines)
+    const paragraphs = text.split('\n\n');
+  
+    for (const paragraph of paragraphs) {
+      // If adding this paragraph would exceed limit
+      if (currentMessage.length + paragraph.length + 2 > maxLength) {
+        // If current message has content, save it
+        if (currentMessage.trim()) {
+          messages.push(currentMessage.trim());
+          currentMessage = '';
+        }
+      
+        // If single paragraph is too long, split by sentences
+        if (paragraph.length > maxLength) {
+          const sentences = paragraph.split('. ');
+          for (const sentence of sentences) {
+            const sentenceWithPeriod = sentence.endsWith('.') ? sentence : sentence + '.';
+          
+            if (currentMessage.length + sentenceWithPeriod.length + 1 > maxLength) {
+              if (currentMessage.trim()) {
+                messages.push(currentMessage.trim());
+                currentMessage = '';
+              }
+            }
+          
+            currentMessage += (currentMessage ? ' ' : '') + sentenceWithPeriod;
+          }
+        } else {
+          currentMessage = paragraph;
+        }
+      } else {
+        currentMessage += (currentMessage ? '\n\n' : '') + paragraph;
+      }
+    }
+  
+    // Add remaining content
+    if (currentMessage.trim()) {
+      messages.push(currentMessage.trim());
+    }
+  
+    return messages.length > 0 ? messages : [text.substring(0, maxLength - 10) + '...[truncated]'];
+  }
+
   /**
    * Start typing indicator in a channel
    * @param {Object} channel - Discord channel object
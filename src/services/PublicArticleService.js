@@ -1,84 +1,45 @@
-import axios from "axios";
-import * as cheerio from 'cheerio';
 import { buildHumanHelpPrompt } from './ArticleService.js';
-import embeddingService from './EmbeddingService.js';
-
+import documentIndexService from './DocumentIndexService.js';
+import knowledgeBase, { PRODUCT_SOURCES } from './knowledge/index.js';
+import { INTERCOM_COLLECTIONS } from '../config/knowledgeSources.js';
+
+/**
+ * PublicArticleService - public-channel view of the knowledge base
+ *
+ * Articles are crawled, stored and refreshed by the KnowledgeBase (help-center
+ * collections plus local markdown); this service picks the categories to search and
+ * formats what the public bot puts in its prompt.
+ */
 class PublicArticleService {
   constructor() {
     this.cachedContent = null; // Cache the combined content
-    this.lastContentFetch = 0;
-
-    // NEW: Structured content storage
-    this.categorizedContent = {};
 
     // Configuration
-    this.REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
     this.MAX_TOKENS = 40000;
-    this.CONTENT_CACHE_DURATION = this.REFRESH_INTERVAL;
 
     // Allow disabling crawling via env
     this.DISABLE_CRAWL = process.env.DISABLE_PUBLIC_ARTICLE_CRAWL === 'true';
 
-    // NEW: Configurable limits for category article fetching
-    this.CATEGORY_ARTICLE_LIMIT = parseInt(process.env.PUBLIC_CATEGORY_ARTICLE_LIMIT || '100', 10);
-    this.FETCH_CONCURRENCY = parseInt(process.env.PUBLIC_FETCH_CONCURRENCY || '4', 10);
+    this.CATEGORY_CONFIG = INTERCOM_COLLECTIONS;
 
-    // NEW: Organized category URLs with better structure
-    this.CATEGORY_CONFIG = {
-      getting_started: {
-        url: "https://intercom.help/frodobots/en/collections/3762588-getting-started",
-        keywords: ["start", "begin", "first steps", "setup"],
-        description: "Getting started guides and onboarding tutorials"
-      },
-      earthrover_school: {
-        url: "https://intercom.help/frodobots/en/collections/3762589-earthrovers-school",
-        keywords: ["earthrover", "school", "education", "learning", "students", "life points", "LP", "life point", "points", "credits", "mission", "test drive", "leaderboard"],
-        description: "EarthRovers School content, educational resources and tutorials"
-      },
-      earthrover: {
-        url: "https://intercom.help/frodobots/en/collections/9174353-earthrovers-personal-bots",
-        keywords: ["earthrover", "personal", "bot", "robot", "device", "hardware"],
-        description: "Personal EarthRovers features, usage and configuration"
-      },
-      ufb: {
-        url: "https://intercom.help/frodobots/en/collections/12076791-ufb-ultimate-fighting-bots",
-        keywords: ["ufb", "fighting", "competition", "bots", "ultimate"],
-        description: "Ultimate Fighting Bots competition, rules and guides"
-      },
-      sam: {
-        url: "https://intercom.help/frodobots/en/collections/13197832-sam-small-autonomous-mofo",
-        keywords: ["sam", "autonomous", "ai", "robot"],
-        description: "SAM product information and support"
-      },
-      robotsfun: {
-        url: "https://intercom.help/frodobots/en/collections/13197811-robots-fun",
-        keywords: ["robots.fun", "robots", "fun", "platform"],
-        description: "Robots.fun platform usage and account management"
-      },
-      et_fugi: {
-        url: "https://intercom.help/frodobots/en/articles/11561671-et-fugi-ai-competition",
-        keywords: ["et fugi", "ai competition", "competition", "ai"],
-        description: "ET Fugi AI competition information"
-      },
-      telearms: {
-        url: "https://intercom.help/frodobots/en/collections/16593994-telearms",
-        keywords: ["telearms", "tele arms", "remote", "arm", "mission", "sign up", "log in", "login"],
-        description: "TeleArms missions, sign up and login guidance, TeleArms mission history, score"
-      },
-      troubleshooting: {
-        url: "https://intercom.help/frodobots/en/collections/3762588-getting-started",
-        keywords: ["troubleshoot", "problem", "issue", "error", "fix", "help"],
-        description: "Troubleshooting and problem-solving guides"
-      },
-      faq: {
-        url: "https://intercom.help/frodobots/en/",
-        keywords: ["faq", "frequently asked", "question", "common"],
-        description: "Frequently asked questions and common queries"
-      }
-    };
-    
-    this._refreshInProgress = false;
-    this._refreshTimeout = null;
+    // Scheduled and manual refreshes replace the store; rebuild the combined content
+    knowledgeBase.on('refresh', () => {
+      if (this.cachedContent) this.cachedContent = this._combinedContent();
+    });
+  }
+
+  // Articles by category, as held in the knowledge base
+  get categorizedContent() {
+    const categorized = {};
+    for (const article of knowledgeBase.getArticles(PRODUCT_SOURCES)) {
+      if (!article.collection) continue;
+      (categorized[article.collection] ||= []).push(article);
+    }
+    return categorized;
+  }
+
+  _combinedContent() {
+    return knowledgeBase.getContent(PRODUCT_SOURCES, null, this.MAX_TOKENS);
   }
 
   async initialize() {
@@ -87,17 +48,10 @@ class PublicArticleService {
       return this.cachedContent || "Article content loading disabled";
     }
 
-    // Check if we have cached content first
-    if (this.cachedContent && this.categorizedContent && Object.keys(this.categorizedContent).length > 0) {
-      console.log("PublicArticleService: Using cached content");
-      this._scheduleRefresh();
-      return this.cachedContent;
-    }
+    // Eager load every category (help center + markdown)
+    await knowledgeBase.ensure(PRODUCT_SOURCES);
+    this.cachedContent = this._combinedContent();
 
-    // Only fetch if no cached content exists
-    await this._refreshContent();
-    this._scheduleRefresh();
-    
     if (this.cachedContent) {
       console.log("PublicArticleService initialized successfully");
       return this.cachedContent;
@@ -109,86 +63,59 @@ class PublicArticleService {
 
   // Ensure a single category is fetched and cached without loading all
   async _ensureCategory(categoryKey) {
-    if (!this.categorizedContent) this.categorizedContent = {};
-    if (Array.isArray(this.categorizedContent[categoryKey]) && this.categorizedContent[categoryKey].length > 0) {
-      return;
-    }
-    const config = this.CATEGORY_CONFIG[categoryKey];
-    if (!config) return;
-    try {
-      const articles = await this._fetchCategoryDirectly(config.url, categoryKey);
-      this.categorizedContent[categoryKey] = articles;
-    } catch (e) {
-      console.error(`[PublicArticleService] Error ensuring category ${categoryKey}:`, e.message);
-      this.categorizedContent[categoryKey] = this.categorizedContent[categoryKey] || [];
-    }
+    await knowledgeBase.ensure(PRODUCT_SOURCES, [categoryKey]);
   }
 
   // Expose concatenated content by category (for unified RAG)
   async getArticlesByCategory(categoryKey) {
     await this._ensureCategory(categoryKey);
-    const articles = this.categorizedContent?.[categoryKey] || [];
-    if (articles.length === 0) return '';
-    const combined = articles.map(a => a.content).join("\n\n---\n\n");
-    return this.truncateContent(combined);
+    return knowledgeBase.getContent(PRODUCT_SOURCES, [categoryKey], this.MAX_TOKENS);
   }
 
   // Expose structured articles by category (url + content)
   async getStructuredArticlesByCategory(categoryKey) {
     await this._ensureCategory(categoryKey);
-    return (this.categorizedContent?.[categoryKey] || []).filter(a => a && a.content && a.content.length > 0);
-  }
-
-  _scheduleRefresh() {
-    if (this.DISABLE_CRAWL) return; // skip scheduling when disabled
-    if (this._refreshTimeout) clearTimeout(this._refreshTimeout);
-    this._refreshTimeout = setTimeout(async () => {
-      await this._refreshContent();
-      this._scheduleRefresh();
-    }, this.REFRESH_INTERVAL);
-  }
-
-  async _refreshContent() {
-    if (this.DISABLE_CRAWL) return; // skip refresh when disabled
-    if (this._refreshInProgress) return;
-    this._refreshInProgress = true;
-    try {
-      console.log("[PublicArticleService] Content refresh: START");
-      const newContent = await this.getAllArticles(true); // force fetch
-      if (newContent) {
-        this.cachedContent = newContent;
-        this.lastContentFetch = Date.now();
-        console.log("PublicArticleService: Content refreshed successfully");
-      } else {
-        console.warn("PublicArticleService: Content refresh failed, keeping old content");
-      }
-      console.log("[PublicArticleService] Content refresh: END");
-    } catch (err) {
-      console.error("PublicArticleService: Error refreshing content", err);
-      console.log("[PublicArticleService] Content refresh: END");
-    } finally {
-      this._refreshInProgress = false;
-    }
+    return knowledgeBase.getArticles(PRODUCT_SOURCES, [categoryKey]);
+  }
+
+  /**
+   * Best-matching chunks for a query within the given categories (hybrid retrieval)
+   * @param {string} query - User question
+   * @param {string[]} categoryKeys - Categories to search (fetched on demand)
+   * @param {Object} options - { topK, minScore }
+   * @returns {Promise<Array<Object>>} Scored chunks (see RetrievalService.retrieve)
+   */
+  async getRelevantChunks(query, categoryKeys, options = {}) {
+    const categories = (categoryKeys || []).filter(key => this.CATEGORY_CONFIG[key]);
+    await knowledgeBase.ensure(PRODUCT_SOURCES, categories);
+    return knowledgeBase.retrieve(query, {
+      sources: PRODUCT_SOURCES,
+      collections: categories,
+      topK: options.topK,
+      minScore: options.minScore
+    });
   }
 
-  // Force refresh all articles (bypasses in-progress check, clears old cache)
+  // Force refresh all articles (re-fetches and re-parses every category, ignoring crawl state)
   async forceRefresh() {
     console.log("[PublicArticleService] Force refresh triggered");
-    this._refreshInProgress = false; // Reset in case stuck
-    this.categorizedContent = {}; // Clear old content so stale data is purged
-    this.cachedContent = null;
-    await this._refreshContent();
-    const categoryCount = Object.keys(this.categorizedContent).length;
-    const articleCount = Object.values(this.categorizedContent).reduce((sum, arr) => sum + arr.length, 0);
-    return { categoryCount, articleCount };
+    const { collectionCount, articleCount, report } = await knowledgeBase.refresh(PRODUCT_SOURCES, null, { force: true });
+    this.cachedContent = this._combinedContent();
+    return { categoryCount: collectionCount, articleCount, report };
   }
 
   // NEW: Intelligent content selection based on query
   async getRelevantContent(query, maxTokens = 15000, allowedProducts = null) {
+    const { content } = await this.getRelevantContentWithSources(query, maxTokens, allowedProducts);
+    return content;
+  }
+
+  // Same selection as getRelevantContent, plus the articles that went into the prompt (for citations)
+  async getRelevantContentWithSources(query, maxTokens = 15000, allowedProducts = null) {
     // Check if we have categorized content, if not, return fallback
-    if (!this.categorizedContent || Object.keys(this.categorizedContent).length === 0) {
+    if (Object.keys(this.categorizedContent).length === 0) {
       console.log("[PublicArticleService] No categorized content available, using fallback");
-      return "Article content unavailable. Please ask to talk to team for specific help.";
+      return { content: "Article content unavailable. Please ask to talk to team for specific help.", sources: [] };
     }
 
     const queryLower = query.toLowerCase();
@@ -216,430 +143,55 @@ class PublicArticleService {
     }
     console.log('[PublicArticleService] Relevant categories to search:', relevantCategories);
     
-    // Build candidate set from relevant categories
-    let candidateArticles = [];
-    for (const category of relevantCategories) {
-      if (this.categorizedContent[category] && this.categorizedContent[category].length > 0) {
-        candidateArticles.push(...this.categorizedContent[category]);
-      }
-    }
-
-    // RETRIEVAL-FIRST: semantic search with embeddings
+    // RETRIEVAL-FIRST: hybrid (BM25 + vector) search over article chunks
     try {
-      // Ensure article embeddings lazily
-      let prepared = 0;
-      for (const article of candidateArticles) {
-        if (!article.embedding && article.content) {
-          article.embedding = await embeddingService.embedText(article.content);
-          prepared++;
-        }
-      }
-      if (prepared > 0) {
-        console.log(`[PublicArticleService] Prepared embeddings for ${prepared} article(s)`);
-      }
-
-      const queryVec = await embeddingService.embedText(queryLower);
       const topK = parseInt(process.env.PUBLIC_RETRIEVAL_TOP_K || '12', 10);
       const minScore = parseFloat(process.env.PUBLIC_RETRIEVAL_MIN_SCORE || '0.22');
-      const ranked = embeddingService.constructor.topK(queryVec, candidateArticles
-        .filter(a => Array.isArray(a.embedding) && a.embedding.length > 0)
-        .map(a => ({ id: a.url, vector: a.embedding, payload: a })), topK);
-
-      // Filter by score threshold
-      const filtered = ranked.filter(r => (r.score || 0) >= minScore).map(r => r.payload);
+      const ranked = await knowledgeBase.retrieve(queryLower, {
+        sources: PRODUCT_SOURCES,
+        collections: relevantCategories,
+        topK,
+        minScore
+      });
 
       // Select by token budget
-      let selectedContent = [];
-      let totalTokens = 0;
-      for (const article of filtered) {
-        const articleTokens = this._estimateTokens(article.content);
-        if (totalTokens + articleTokens <= maxTokens) {
-          selectedContent.push(article);
-          totalTokens += articleTokens;
-        } else {
-          break;
-        }
-      }
+      const selectedChunks = documentIndexService.selectWithinBudget(ranked, maxTokens);
 
-      if (selectedContent.length > 0) {
-        console.log(`[PublicArticleService] Retrieval selected ${selectedContent.length} articles (~${totalTokens} tokens)`);
-        return this._formatContentForAI(selectedContent, query);
+      if (selectedChunks.length > 0) {
+        const sources = documentIndexService.toSources(selectedChunks);
+        console.log(`[PublicArticleService] Retrieval selected ${selectedChunks.length} chunks from ${sources.length} articles`);
+        return { content: documentIndexService.formatChunks(selectedChunks), sources };
       }
-      console.log('[PublicArticleService] Retrieval returned no results above threshold; falling back to heuristic scoring');
+      console.log('[PublicArticleService] Retrieval returned no relevant chunks; using fallback content');
     } catch (retrievalError) {
-      console.error('[PublicArticleService] Retrieval error, falling back to heuristic:', retrievalError.message);
+      console.error('[PublicArticleService] Retrieval error, using fallback content:', retrievalError.message);
     }
     
-    // HEURISTIC FALLBACK
-    let selectedContent = [];
-    let totalTokens = 0;
-    for (const category of relevantCategories) {
-      if (this.categorizedContent[category] && this.categorizedContent[category].length > 0) {
-        const categoryContent = this.categorizedContent[category];
-        const scoredArticles = categoryContent.map(article => ({
-          ...article,
-          relevanceScore: this._calculateRelevanceScore(queryLower, article)
-        })).sort((a, b) => b.relevanceScore - a.relevanceScore);
-        for (const article of scoredArticles) {
-          const articleTokens = this._estimateTokens(article.content);
-          if (totalTokens + articleTokens <= maxTokens) {
-            selectedContent.push(article);
-            totalTokens += articleTokens;
-          } else {
-            break;
-          }
-        }
-      }
-    }
-    
-    // If no relevant content found, search only within allowed categories when provided
-    if (selectedContent.length === 0) {
-      if (Array.isArray(allowedProducts) && allowedProducts.length > 0) {
-        console.log("[PublicArticleService] No category match; searching within allowed product categories only");
-        selectedContent = this._searchArticlesAcross(queryLower, maxTokens, relevantCategories);
-      } else {
-        console.log("[PublicArticleService] No category matches found, searching all articles");
-        selectedContent = this._searchAllArticles(queryLower, maxTokens);
-      }
-    }
-    
-    // Final fallback: prefer within allowed categories if provided
-    if (selectedContent.length === 0) {
-      if (Array.isArray(allowedProducts) && allowedProducts.length > 0) {
-        console.log('[PublicArticleService] Using restricted fallback content');
-        selectedContent = this._getFallbackContent(maxTokens, relevantCategories);
-      } else {
-        console.log('[PublicArticleService] Using global fallback content');
-        selectedContent = this._getFallbackContent(maxTokens);
-      }
+    // FALLBACK: nothing matched - overview articles, within allowed categories when provided
+    let selectedContent;
+    if (Array.isArray(allowedProducts) && allowedProducts.length > 0) {
+      console.log('[PublicArticleService] Using restricted fallback content');
+      selectedContent = this._getFallbackContent(maxTokens, relevantCategories);
+    } else {
+      console.log('[PublicArticleService] Using global fallback content');
+      selectedContent = this._getFallbackContent(maxTokens);
     }
 
     console.log(`[PublicArticleService] Selected ${selectedContent.length} articles for prompt`);
     
-    return this._formatContentForAI(selectedContent, query);
+    return { content: this._formatContentForAI(selectedContent, query), sources: this._toSources(selectedContent) };
   }
 
   // REVOLUTIONARY: Skip category filtering entirely - analyze ALL content directly
   _getRelevantCategories(query) {
     // Instead of trying to predict which categories might be relevant,
-    // we'll search ALL categories and let the content-level scoring decide.
+    // we'll search ALL categories and let chunk-level retrieval decide.
     // This eliminates the keyword prediction problem entirely!
     
     console.log("[PublicArticleService] Using content-driven approach - analyzing all categories");
     return Object.keys(this.CATEGORY_CONFIG);
   }
 
-
-
-  // SMART: Content-driven relevance scoring without keyword dependency
-  _calculateRelevanceScore(query, article) {
-    let score = 0;
-    const content = article.content.toLowerCase();
-    const title = article.title.toLowerCase();
-    const queryLower = query.toLowerCase();
-    
-    // 1. EXACT MATCHES (highest confidence)
-    if (content.includes(queryLower) || title.includes(queryLower)) {
-      score += 20; // Very high confidence
-    }
-    
-    // 2. INTELLIGENT WORD ANALYSIS
-    const queryWords = this._extractMeaningfulWords(queryLower);
-    const contentWords = this._extractMeaningfulWords(content);
-    const titleWords = this._extractMeaningfulWords(title);
-    
-    // Calculate word overlap with smart weighting
-    const titleOverlap = this._calculateWordOverlap(queryWords, titleWords);
-    const contentOverlap = this._calculateWordOverlap(queryWords, contentWords);
-    
-    score += titleOverlap * 8;  // Titles are highly relevant
-    score += contentOverlap * 3; // Content matches are good
-    
-    // 3. CONTEXTUAL PATTERN MATCHING
-    const contextScore = this._analyzeContentContext(queryLower, content, title);
-    score += contextScore;
-    
-    // 4. SEMANTIC DENSITY ANALYSIS
-    const densityScore = this._calculateSemanticDensity(queryWords, content, title);
-    score += densityScore;
-    
-    // 5. QUESTION-ANSWER MATCHING
-    const qaScore = this._analyzeQuestionAnswerFit(queryLower, content, title);
-    score += qaScore;
-    
-    return score;
-  }
-
-  // Extract meaningful words (filter out common words)
-  _extractMeaningfulWords(text) {
-    const commonWords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-      'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-      'will', 'would', 'could', 'should', 'can', 'may', 'might', 'must', 'shall',
-      'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they',
-      'my', 'your', 'his', 'her', 'its', 'our', 'their', 'me', 'him', 'her', 'us', 'them'
-    ]);
-    
-    return text.split(/\s+/)
-      .map(word => word.replace(/[^\w]/g, ''))
-      .filter(word => word.length > 2 && !commonWords.has(word))
-      .filter(word => word.length > 0);
-  }
-
-  // Calculate meaningful word overlap between query and content
-  _calculateWordOverlap(queryWords, contentWords) {
-    if (queryWords.length === 0) return 0;
-    
-    const contentWordSet = new Set(contentWords);
-    let matches = 0;
-    
-    for (const queryWord of queryWords) {
-      if (contentWordSet.has(queryWord)) {
-        matches++;
-      } else {
-        // Check for partial matches (handles plurals, etc.)
-        for (const contentWord of contentWords) {
-          if (this._areWordsSimilar(queryWord, contentWord)) {
-            matches += 0.7; // Partial credit
-            break;
-          }
-        }
-      }
-    }
-    
-    return (matches / queryWords.length) * 10; // Normalize to 0-10 scale
-  }
-
-  // Check if two words are similar (handles plurals, tenses, etc.)
-  _areWordsSimilar(word1, word2) {
-    // Handle common variations
-    const normalize = (word) => {
-      return word.replace(/s$/, '') // plurals
-                 .replace(/ed$/, '') // past tense
-                 .replace(/ing$/, '') // present participle
-                 .replace(/er$/, '') // comparative
-                 .replace(/est$/, ''); // superlative
-    };
-    
-    const norm1 = normalize(word1);
-    const norm2 = normalize(word2);
-    
-    // Check if one is contained in the other or vice versa
-    return norm1.includes(norm2) || norm2.includes(norm1) || 
-           norm1 === norm2 ||
-           Math.abs(norm1.length - norm2.length) <= 2 && this._calculateEditDistance(norm1, norm2) <= 2;
-  }
-
-  // Simple edit distance for typo tolerance
-  _calculateEditDistance(str1, str2) {
-    const dp = Array(str1.length + 1).fill().map(() => Array(str2.length + 1).fill(0));
-    
-    for (let i = 0; i <= str1.length; i++) dp[i][0] = i;
-    for (let j = 0; j <= str2.length; j++) dp[0][j] = j;
-    
-    for (let i = 1; i <= str1.length; i++) {
-      for (let j = 1; j <= str2.length; j++) {
-        if (str1[i-1] === str2[j-1]) {
-          dp[i][j] = dp[i-1][j-1];
-        } else {
-          dp[i][j] = Math.min(dp[i-1][j], dp[i][j-1], dp[i-1][j-1]) + 1;
-        }
-      }
-    }
-    
-    return dp[str1.length][str2.length];
-  }
-
-  // Analyze content context and patterns
-  _analyzeContentContext(query, content, title) {
-    let score = 0;
-    
-    // Question type analysis
-    const isQuestion = /^(what|how|why|when|where|who|can|do|does|is|are)\b/i.test(query);
-    
-    if (isQuestion) {
-      // Boost content that looks like answers
-      if (content.includes('answer') || content.includes('solution') || 
-          title.includes('about') || title.includes('guide') ||
-          content.includes('step') || content.includes('follow')) {
-        score += 5;
-      }
-    }
-    
-    // Problem-solving context
-    const isProblem = /\b(problem|issue|error|broken|not working|help|fix|trouble)\b/i.test(query);
-    
-    if (isProblem) {
-      if (content.includes('troubleshoot') || content.includes('solve') ||
-          content.includes('fix') || content.includes('resolve') ||
-          title.includes('troubleshoot') || title.includes('fix')) {
-        score += 7;
-      }
-    }
-    
-    // How-to context
-    if (query.includes('how to') || query.includes('how do')) {
-      if (content.includes('step') || content.includes('guide') ||
-          content.includes('tutorial') || content.includes('instruction') ||
-          title.includes('how to') || title.includes('guide')) {
-        score += 6;
-      }
-    }
-    
-    return score;
-  }
-
-  // Calculate semantic density (how concentrated the relevant terms are)
-  _calculateSemanticDensity(queryWords, content, title) {
-    if (queryWords.length === 0) return 0;
-    
-    const titleWords = title.split(/\s+/).length;
-    const contentWords = content.split(/\s+/).length;
-    
-    let titleDensity = 0;
-    let contentDensity = 0;
-    
-    for (const queryWord of queryWords) {
-      // Count occurrences in title and content
-      const titleMatches = (title.match(new RegExp(queryWord, 'gi')) || []).length;
-      const contentMatches = (content.match(new RegExp(queryWord, 'gi')) || []).length;
-      
-      if (titleWords > 0) titleDensity += titleMatches / titleWords;
-      if (contentWords > 0) contentDensity += contentMatches / contentWords;
-    }
-    
-    return (titleDensity * 10) + (contentDensity * 3); // Title density weighted higher
-  }
-
-  // Analyze how well content answers the specific question
-  _analyzeQuestionAnswerFit(query, content, title) {
-    let score = 0;
-    
-    // Extract question type and key terms
-    const questionWords = query.match(/^(what|how|why|when|where|who|can|do|does|is|are)\b/i);
-    
-    if (questionWords) {
-      const questionType = questionWords[0].toLowerCase();
-      
-      switch (questionType) {
-        case 'what':
-          if (content.includes('definition') || content.includes(' is ') || 
-              title.includes('about') || title.includes('what is')) {
-            score += 4;
-          }
-          break;
-        case 'how':
-          if (content.includes('step') || content.includes('process') ||
-              content.includes('method') || title.includes('how to')) {
-            score += 4;
-          }
-          break;
-        case 'why':
-          if (content.includes('because') || content.includes('reason') ||
-              content.includes('cause') || content.includes('purpose')) {
-            score += 4;
-          }
-          break;
-        case 'when':
-          if (content.includes('time') || content.includes('date') ||
-              content.includes('schedule') || content.includes('timing')) {
-            score += 4;
-          }
-          break;
-        case 'where':
-          if (content.includes('location') || content.includes('place') ||
-              content.includes('find') || content.includes('access')) {
-            score += 4;
-          }
-          break;
-      }
-    }
-    
-    return score;
-  }
-
-
-
-  // NEW: Search all articles when categories fail
-  _searchAllArticles(query, maxTokens) {
-    console.log("[PublicArticleService] Performing comprehensive search across all articles");
-    
-    const allArticles = [];
-    
-    // Collect all articles from all categories
-    for (const category in this.categorizedContent) {
-      if (this.categorizedContent[category]) {
-        allArticles.push(...this.categorizedContent[category]);
-      }
-    }
-    
-    if (allArticles.length === 0) {
-      console.log("[PublicArticleService] No articles available for comprehensive search");
-      return [];
-    }
-    
-    // Score all articles using our enhanced scoring
-    const scoredArticles = allArticles.map(article => ({
-      ...article,
-      relevanceScore: this._calculateRelevanceScore(query, article)
-    })).filter(article => article.relevanceScore > 0) // Only include articles with some relevance
-      .sort((a, b) => b.relevanceScore - a.relevanceScore);
-    
-    console.log(`[PublicArticleService] Found ${scoredArticles.length} relevant articles out of ${allArticles.length} total`);
-    
-    // Select top articles within token limit
-    const selectedContent = [];
-    let totalTokens = 0;
-    
-    for (const article of scoredArticles) {
-      const articleTokens = this._estimateTokens(article.content);
-      if (totalTokens + articleTokens <= maxTokens) {
-        selectedContent.push(article);
-        totalTokens += articleTokens;
-        console.log(`[PublicArticleService] Selected article: "${article.title}" (score: ${article.relevanceScore})`);
-      } else {
-        break;
-      }
-    }
-    
-    return selectedContent;
-  }
-
-  // NEW: Search a subset of categories when restricted by products
-  _searchArticlesAcross(query, maxTokens, categoryKeys) {
-    console.log("[PublicArticleService] Searching within specific categories: ", categoryKeys);
-    const allArticles = [];
-    for (const category of categoryKeys) {
-      if (this.categorizedContent[category]) {
-        allArticles.push(...this.categorizedContent[category]);
-      }
-    }
-
-    if (allArticles.length === 0) {
-      console.log("[PublicArticleService] No articles available in restricted categories");
-      return [];
-    }
-
-    const scoredArticles = allArticles.map(article => ({
-      ...article,
-      relevanceScore: this._calculateRelevanceScore(query, article)
-    })).filter(article => article.relevanceScore > 0)
-      .sort((a, b) => b.relevanceScore - a.relevanceScore);
-
-    const selectedContent = [];
-    let totalTokens = 0;
-    for (const article of scoredArticles) {
-      const articleTokens = this._estimateTokens(article.content);
-      if (totalTokens + articleTokens <= maxTokens) {
-        selectedContent.push(article);
-        totalTokens += articleTokens;
-      } else {
-        break;
-      }
-    }
-    return selectedContent;
-  }
-
   // NEW: Get fallback content when no specific matches
   _getFallbackContent(maxTokens, categoryKeys = null) {
     const fallbackContent = [];
@@ -651,10 +203,11 @@ class PublicArticleService {
       priorityCategories = categoryKeys;
     }
     
+    const categorized = this.categorizedContent;
     for (const category of priorityCategories) {
-      if (this.categorizedContent[category]) {
-        for (const article of this.categorizedContent[category]) {
-          const articleTokens = this._estimateTokens(article.content);
+      if (categorized[category]) {
+        for (const article of categorized[category]) {
+          const articleTokens = article.tokens;
           if (totalTokens + articleTokens <= maxTokens) {
             fallbackContent.push(article);
             totalTokens += articleTokens;
@@ -676,7 +229,7 @@ class PublicArticleService {
     
     const formattedSections = articles.map(article => {
       return `## ${article.title}
-Category: ${article.category}
+Category: ${article.collection}
 URL: ${article.url}
 
 ${article.content}
@@ -687,38 +240,22 @@ ${article.content}
     return formattedSections.join('\n\n');
   }
 
-  // NEW: Estimate tokens for content
-  _estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+  // Citable sources for a set of selected articles
+  _toSources(articles) {
+    return articles
+      .filter(article => article.url)
+      .map(article => ({ url: article.url, title: article.title || null }));
   }
 
   async getAllArticles(force = false) {
-    const now = Date.now();
-    if (!force && this.cachedContent && (now - this.lastContentFetch < this.CONTENT_CACHE_DURATION)) {
-      return this.cachedContent;
-    }
-    if (this._refreshInProgress && this.cachedContent) {
-      return this.cachedContent;
-    }
     try {
-      console.log("[PublicArticleService] Fetching all articles: START");
-      
-      // NEW: Fetch and categorize articles
-      await this._fetchAndCategorizeArticles(force);
-      
-      // Create structured content for backward compatibility
-      const allArticles = [];
-      for (const category in this.categorizedContent) {
-        allArticles.push(...this.categorizedContent[category]);
+      if (force) {
+        await knowledgeBase.refresh(PRODUCT_SOURCES);
+      } else {
+        await knowledgeBase.ensure(PRODUCT_SOURCES);
       }
-      
-      const validArticles = allArticles.filter((article) => article !== null);
-      const combinedContent = validArticles.map(article => article.content).join("\n\n---\n\n");
-      const truncatedContent = this.truncateContent(combinedContent);
-      this.cachedContent = truncatedContent;
-      this.lastContentFetch = now;
-      console.log(`[PublicArticleService] Fetching all articles: SUCCESS (${validArticles.length} articles in ${Object.keys(this.categorizedContent).length} categories)`);
-      return truncatedContent;
+      this.cachedContent = this._combinedContent();
+      return this.cachedContent;
     } catch (err) {
       console.error("[PublicArticleService] Fetching all articles: ERROR", err);
       if (this.cachedContent) return this.cachedContent;
@@ -726,259 +263,6 @@ ${article.content}
     }
   }
 
-  // NEW: Fetch and categorize articles
-  async _fetchAndCategorizeArticles(force = false) {
-    // Check if we already have categorized content (skip when force refresh)
-    if (!force && this.categorizedContent && Object.keys(this.categorizedContent).length > 0) {
-      console.log("[PublicArticleService] Using existing categorized content");
-      return;
-    }
-
-    this.categorizedContent = {};
-    
-    for (const [category, config] of Object.entries(this.CATEGORY_CONFIG)) {
-      console.log(`[PublicArticleService] Fetching category: ${category}`);
-      this.categorizedContent[category] = [];
-      
-      try {
-        // Use a more efficient approach - fetch only the main category page
-        const articles = await this._fetchCategoryDirectly(config.url, category);
-        this.categorizedContent[category] = articles;
-        console.log(`[PublicArticleService] Category ${category}: ${articles.length} articles`);
-        // Pre-compute embeddings lazily in the background (best-effort)
-        (async () => {
-          let prepared = 0;
-          for (const a of articles) {
-            try {
-              if (!a.embedding && a.content) {
-                a.embedding = await embeddingService.embedText(a.content);
-                prepared++;
-              }
-            } catch {}
-          }
-          if (prepared > 0) {
-            console.log(`[PublicArticleService] Precomputed embeddings for ${prepared} ${category} article(s)`);
-          }
-        })();
-      } catch (error) {
-        console.error(`[PublicArticleService] Error fetching category ${category}:`, error);
-      }
-    }
-  }
-
-  // NEW: Fetch category directly without excessive crawling
-  async _fetchCategoryDirectly(categoryUrl, category) {
-    try {
-      const cacheBustUrl = `${categoryUrl}${categoryUrl.includes('?') ? '&' : '?'}_cb=${Date.now()}`;
-      const { data } = await axios.get(cacheBustUrl, {
-        timeout: 10000,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; UFB-Bot/1.0)",
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          "Pragma": "no-cache",
-        },
-      });
-      
-      const $ = cheerio.load(data);
-      const articles = [];
-      
-      // Extract article links from the category page
-      $('a[href*="/articles/"]').each((index, element) => {
-        const href = $(element).attr("href");
-        if (href) {
-          let fullUrl;
-          if (href.startsWith("http")) {
-            fullUrl = href;
-          } else if (href.startsWith("/")) {
-            fullUrl = `https://intercom.help${href}`;
-          } else {
-            fullUrl = new URL(href, categoryUrl).href;
-          }
-          
-          const normalizedUrl = this.normalizeUrl(fullUrl);
-          if (this.isValidFrodoBotsUrl(normalizedUrl)) {
-            // Add to articles list for processing
-            articles.push({ url: normalizedUrl, category: category });
-          }
-        }
-      });
-      
-      // Fetch content for up to CATEGORY_ARTICLE_LIMIT articles with limited concurrency
-      const limit = Math.max(1, Math.min(this.CATEGORY_ARTICLE_LIMIT, articles.length));
-      const limitedArticles = articles.slice(0, limit);
-      const fetchedArticles = [];
-      const batchSize = Math.max(1, this.FETCH_CONCURRENCY);
-      for (let i = 0; i < limitedArticles.length; i += batchSize) {
-        const batch = limitedArticles.slice(i, i + batchSize);
-        const results = await Promise.all(batch.map(async (article) => {
-          try {
-            return await this._fetchStructuredArticle(article.url, article.category);
-          } catch (error) {
-            console.error(`Error fetching article ${article.url}:`, error.message);
-            return null;
-          }
-        }));
-        for (const res of results) {
-          if (res) fetchedArticles.push(res);
-        }
-      }
-      
-      return fetchedArticles;
-      
-    } catch (error) {
-      console.error(`Error fetching category ${category}:`, error.message);
-      return [];
-    }
-  }
-
-  // NEW: Fetch structured article with metadata
-  async _fetchStructuredArticle(url, category) {
-    try {
-      const cacheBustUrl = `${url}${url.includes('?') ? '&' : '?'}_cb=${Date.now()}`;
-      const { data } = await axios.get(cacheBustUrl, {
-        timeout: 10000,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; UFB-Bot/1.0)",
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          "Pragma": "no-cache",
-        },
-      });
-
-      const $ = cheerio.load(data);
-
-      // Extract title
-      const title = $('h1').first().text().trim() || 
-                   $('title').text().trim() || 
-                   'Untitled Article';
-      
-      // Extract content and media content (links, images, etc.)
-      let content = "";
-      let mediaContent = "";
-      const articleElement = $("article");
-      if (articleElement.length > 0) {
-        content = articleElement.text();
-        mediaContent = this.extractMediaContent($, articleElement, url);
-      } else {
-        const mainElement = $("main");
-        if (mainElement.length > 0) {
-          content = mainElement.text();
-          mediaContent = this.extractMediaContent($, mainElement, url);
-        } else {
-          const bodyElement = $("body");
-          content = bodyElement.text();
-          mediaContent = this.extractMediaContent($, bodyElement, url);
-        }
-      }
-      
-      const cleanText = content.replace(/\s+/g, " ").trim();
-      const textWithClickableUrls = this.cleanUrlsForDiscord(cleanText);
-      const combinedContent = textWithClickableUrls + (mediaContent ? "\n\n" + mediaContent : "");
-      
-      if (combinedContent.length < 50) {
-        return null; // Skip very short articles
-      }
-      
-      return {
-        title: title,
-        content: combinedContent,
-        url: url,
-        category: category,
-        tokens: this._estimateTokens(combinedContent)
-      };
-      
-    } catch (err) {
-      console.error(`Error fetching structured article ${url}:`, err.message);
-      return null;
-    }
-  }
-
-  // URL helpers (used by category fetcher)
-  isValidFrodoBotsUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      if (urlObj.hostname !== 'intercom.help') return false;
-      if (!urlObj.pathname.startsWith('/frodobots/en/')) return false;
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  normalizeUrl(url) {
-    try {
-      return new URL(url).toString();
-    } catch {
-      return url;
-    }
-  }
-
-  // Deprecated crawl methods removed as we now fetch categories directly
-
-  // fetchArticleText(url) is deprecated in favor of _fetchStructuredArticle and is no longer used
-
-  extractMediaContent($, element, baseUrl) {
-    const mediaItems = [];
-    element.find('a[href]').each((index, link) => {
-      const href = $(link).attr('href');
-      const text = $(link).text().trim();
-      if (href && text) {
-        let fullUrl;
-        if (href.startsWith('http')) {
-          fullUrl = href;
-        } else if (href.startsWith('/')) {
-          fullUrl = new URL(href, baseUrl).href;
-        } else {
-          fullUrl = new URL(href, baseUrl).href;
-        }
-        mediaItems.push(`${text}: ${fullUrl}`);
-      }
-    });
-    element.find('img[src]').each((index, img) => {
-      const src = $(img).attr('src');
-      const alt = $(img).attr('alt') || 'Image';
-      if (src) {
-        let fullUrl;
-        if (src.startsWith('http')) {
-          fullUrl = src;
-        } else if (src.startsWith('/')) {
-          fullUrl = new URL(src, baseUrl).href;
-        } else {
-          fullUrl = new URL(src, baseUrl).href;
-        }
-        mediaItems.push(`Image: ${alt} (${fullUrl})`);
-      }
-    });
-    element.find('iframe[src], video source[src], video[src]').each((index, video) => {
-      const src = $(video).attr('src');
-      const title = $(video).attr('title') || $(video).attr('alt') || 'Video';
-      if (src) {
-        let fullUrl;
-        if (src.startsWith('http')) {
-          fullUrl = src;
-        } else if (src.startsWith('/')) {
-          fullUrl = new URL(src, baseUrl).href;
-        } else {
-          fullUrl = new URL(src, baseUrl).href;
-        }
-        mediaItems.push(`Video: ${title} (${fullUrl})`);
-      }
-    });
-    return mediaItems.join("\n");
-  }
-
-  cleanUrlsForDiscord(text) {
-    return text.replace(/(https?:\/\/[^\s]+)/g, '<$1>');
-  }
-
-  truncateContent(content, maxTokens = this.MAX_TOKENS) {
-    const tokens = Math.ceil(content.length / 4);
-    if (tokens <= maxTokens) return content;
-    const approxChars = maxTokens * 4;
-    return content.slice(0, approxChars);
-  }
-
-  // Deprecated page-level cache removed
-
   // NEW: Enhanced system prompt with query-specific content
   async getSystemPrompt(query = null) {
     const humanHelpPrompt = buildHumanHelpPrompt();
@@ -1030,19 +314,18 @@ ADDITIONAL CONTEXT:
 
   // NEW: Check if service is properly initialized
   isInitialized() {
-    return this.categorizedContent && 
-           Object.keys(this.categorizedContent).length > 0 && 
-           this.cachedContent;
+    return Object.keys(this.categorizedContent).length > 0 && 
+           !!this.cachedContent;
   }
 
   // NEW: Get initialization status
   getInitializationStatus() {
+    const categorized = this.categorizedContent;
     return {
-      hasCategorizedContent: this.categorizedContent && Object.keys(this.categorizedContent).length > 0,
+      hasCategorizedContent: Object.keys(categorized).length > 0,
       hasCachedContent: !!this.cachedContent,
-      categories: this.categorizedContent ? Object.keys(this.categorizedContent) : [],
-      totalArticles: this.categorizedContent ? 
-        Object.values(this.categorizedContent).reduce((sum, articles) => sum + articles.length, 0) : 0
+      categories: Object.keys(categorized),
+      totalArticles: Object.values(categorized).reduce((sum, articles) => sum + articles.length, 0)
     };
   }
 }
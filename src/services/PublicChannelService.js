@@ -4,6 +4,7 @@ import redis from './redisClient.js';
 import { getServerFallbackResponse, getServerConfig } from '../config/serverConfigs.js';
 import dynamicChannelService from './dynamic/DynamicPublicChannelService.js';
 import ConversationKeyUtil from '../utils/ConversationKeyUtil.js';
+import rateLimitService from './RateLimitService.js';
 
 /**
  * Public Channel Service - Thread-Based Conversation Management
@@ -17,7 +18,6 @@ import ConversationKeyUtil from '../utils/ConversationKeyUtil.js';
 class PublicChannelService {
   constructor() {
     // Core tracking maps
-    this.userRateLimits = new Map();     // Rate limiting per user
     this.escalatedUsers = new Map();     // Escalated users: userId:channelId → true
     this.userThreads = new Map();        // Active threads: userId:channelId → threadId
     
@@ -72,6 +72,15 @@ class PublicChannelService {
         return { shouldRespond: false, reason: 'support_handled' };
       }
       
+      // Rate limiting (every question in the thread counts; asking for a human always goes through)
+      const rate = this._hasExplicitHumanRequest(message.content.toLowerCase())
+        ? { allowed: true }
+        : await this.checkRateLimit(message);
+      if (!rate.allowed) {
+        console.log(`⏱️ Rate limited user ${userId} in thread ${message.channel.name} (${rate.rule})`);
+        return { shouldRespond: false, reason: 'rate_limited', rateLimit: rate };
+      }
+
       console.log(`📝 Message from ${userId} in their own thread: ${message.channel.name}`);
       return { shouldRespond: true, reason: 'in_user_thread' };
     }
@@ -100,10 +109,10 @@ class PublicChannelService {
     }
 
     // Rate limiting (consolidated)
-    const rate = this.checkRateLimit(userId);
+    const rate = await this.checkRateLimit(message);
     if (!rate.allowed) {
-      console.log(`⏱️ Rate limited user ${userId} in ${channelName}`);
-      return { shouldRespond: false, reason: 'rate_limited' };
+      console.log(`⏱️ Rate limited user ${userId} in ${channelName} (${rate.rule})`);
+      return { shouldRespond: false, reason: 'rate_limited', rateLimit: rate };
     }
 
     // All checks passed
@@ -430,7 +439,7 @@ class PublicChannelService {
       { role: "system", content: systemContent },
       { role: "user", content: message.content }
     ];
-    const result = await aiService.classifyEscalation(messages);
+    const result = await aiService.classifyEscalation(messages, message.guild?.id);
     const isEscalation = result === 'ESCALATE';
     console.log(`🤖 AI escalation analysis for "${message.content}": ${isEscalation ? 'ESCALATE' : 'CONTINUE'}`);
     return isEscalation;
@@ -562,54 +571,19 @@ class PublicChannelService {
   // ═══════════════════════════════════════════════════════════════════════════════
 
   /**
-   * Check if user is within rate limits
+   * Count a question against the user's public channel rate limits (shared in Redis)
+   * @param {Object} message - Discord message object
+   * @returns {Promise<Object>} RateLimitService.consume() result
    */
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const limits = botRules.PUBLIC_CHANNELS.RATE_LIMITS;
-    
-    if (!this.userRateLimits.has(userId)) {
-      this.userRateLimits.set(userId, {
-        queriesThisMinute: 0,
-        queriesThisHour: 0,
-        lastQueryTime: 0
-      });
-    }
-
-    const userData = this.userRateLimits.get(userId);
-    
-    // Check cooldown
-    if (now - userData.lastQueryTime < (limits.COOLDOWN_SECONDS * 1000)) {
-      const cooldownRemaining = Math.ceil((limits.COOLDOWN_SECONDS * 1000 - (now - userData.lastQueryTime)) / 1000);
-      return { allowed: false, cooldownRemaining };
-    }
-
-    // Reset counters
-    if (now - userData.lastQueryTime > 60000) {
-      userData.queriesThisMinute = 0;
-    }
-    if (now - userData.lastQueryTime > 3600000) {
-      userData.queriesThisHour = 0;
-    }
-
-    // Check limits
-    if (userData.queriesThisMinute >= limits.MAX_QUERIES_PER_MINUTE) {
-      return { allowed: false, reason: 'minute_limit_exceeded' };
-    }
-    if (userData.queriesThisHour >= limits.MAX_QUERIES_PER_HOUR) {
-      return { allowed: false, reason: 'hour_limit_exceeded' };
-    }
-
-    // Update counters
-    userData.queriesThisMinute++;
-    userData.queriesThisHour++;
-    userData.lastQueryTime = now;
-
-    return { allowed: true };
+  async checkRateLimit(message) {
+    return rateLimitService.consume({
+      guildId: message.guild?.id,
+      channelType: 'public',
+      userId: message.author.id,
+      roleIds: message.member ? Array.from(message.member.roles.cache.keys()) : []
+    });
   }
 
-
-
   /**
    * Get low confidence response
    */
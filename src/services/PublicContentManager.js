@@ -1,5 +1,6 @@
 import botRules from '../config/botRules.js';
 import constants from '../config/constants.js';
+import ContentUtil from '../utils/ContentUtil.js';
 
 /**
  * Public Content Manager - Handles intelligent content selection and relevance scoring
@@ -379,7 +380,7 @@ RELEVANT INFORMATION:
    * Estimate tokens for content
    */
   _estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return ContentUtil.estimateTokens(text);
   }
 
   /**
@@ -0,0 +1,135 @@
+import redis from './redisClient.js';
+import botRules from '../config/botRules.js';
+import { getServerConfig } from '../config/serverConfigs.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// MAX_QUERIES_PER_TICKET counts over the life of a ticket; its window only bounds the Redis key
+const TICKET_WINDOW_MS = 30 * 24 * HOUR_MS;
+
+// Default policy of each channel type (botRules RATE_LIMITS)
+const DEFAULT_POLICIES = {
+  public: botRules.PUBLIC_CHANNELS.RATE_LIMITS,
+  ticket: botRules.TICKET_CHANNELS.RATE_LIMITS,
+  activation: botRules.ACTIVATION.RATE_LIMITS
+};
+
+/**
+ * RateLimitService - sliding-window rate limits shared by every bot process
+ *
+ * A policy uses the botRules RATE_LIMITS keys (COOLDOWN_SECONDS, MAX_QUERIES_PER_MINUTE,
+ * MAX_QUERIES_PER_HOUR, MAX_QUERIES_PER_TICKET; null or 0 turns a rule off, EXEMPT skips
+ * them all). It is resolved per channel type (public, ticket, activation), then
+ * overridden by the guild's serverConfigs rateLimits block and by the first of its
+ * rateLimits.roles the user has. Each rule is a sliding-window log in a Redis sorted set
+ * (ratelimit:<channelType>:<guildId>:<user|ticket>:<id>:<rule>), so limits survive
+ * restarts and hold across processes. Denied queries are not counted.
+ */
+class RateLimitService {
+  constructor() {
+    this.prefix = 'ratelimit:';
+  }
+
+  /**
+   * Effective policy of a user in a guild and channel type
+   * @param {string|null} guildId - Discord guild ID
+   * @param {string} channelType - 'public' | 'ticket' | 'activation'
+   * @param {Array<string>} roleIds - Role IDs of the user
+   * @param {Object} defaults - Policy replacing the botRules default (e.g. from env)
+   * @returns {Object} Policy
+   */
+  getPolicy(guildId, channelType, roleIds = [], defaults = null) {
+    const overrides = getServerConfig(guildId)?.rateLimits || {};
+    const roleOverrides = overrides.roles || {};
+    const roleId = Object.keys(roleOverrides).find(id => roleIds.includes(id) && roleOverrides[id][channelType]);
+    return {
+      ...(defaults || DEFAULT_POLICIES[channelType] || {}),
+      ...(overrides[channelType] || {}),
+      ...(roleId ? roleOverrides[roleId][channelType] : {})
+    };
+  }
+
+  // Sliding-window rules of a policy, with the entity each one counts
+  _rules(policy, userId, conversationId) {
+    const rules = [
+      { id: 'cooldown', limit: 1, windowMs: (policy.COOLDOWN_SECONDS || 0) * 1000, scope: `user:${userId}` },
+      { id: 'per_minute', limit: policy.MAX_QUERIES_PER_MINUTE, windowMs: MINUTE_MS, scope: `user:${userId}` },
+      { id: 'per_hour', limit: policy.MAX_QUERIES_PER_HOUR, windowMs: HOUR_MS, scope: `user:${userId}` },
+      { id: 'per_ticket', limit: policy.MAX_QUERIES_PER_TICKET, windowMs: TICKET_WINDOW_MS, scope: `ticket:${conversationId}` }
+    ];
+    return rules.filter(rule => rule.limit > 0 && rule.windowMs > 0 && (rule.id !== 'per_ticket' || conversationId));
+  }
+
+  /**
+   * Count a query against the user's limits
+   * @param {Object} context - { guildId, channelType, userId, conversationId, roleIds, defaults }
+   *   conversationId is the ticket channel (needed for MAX_QUERIES_PER_TICKET)
+   * @returns {Promise<Object>} { allowed: true } or { allowed: false, rule, limit, windowSeconds,
+   *   retryAfterSeconds, firstHit } - firstHit is true once per rule until the window frees up
+   */
+  async consume({ guildId, channelType, userId, conversationId = null, roleIds = [], defaults = null }) {
+    const policy = this.getPolicy(guildId, channelType, roleIds, defaults);
+    if (policy.EXEMPT) return { allowed: true };
+    const rules = this._rules(policy, userId, conversationId);
+    if (rules.length === 0) return { allowed: true };
+
+    const now = Date.now();
+    const member = `${now}:${Math.random().toString(36).slice(2, 10)}`;
+    const keyOf = rule => `${this.prefix}${channelType}:${guildId || 'dm'}:${rule.scope}:${rule.id}`;
+
+    try {
+      // Add the query to every window first, then check: concurrent queries from other
+      // processes see each other and the loser is rolled back
+      const multi = redis.multi();
+      for (const rule of rules) {
+        const key = keyOf(rule);
+        multi
+          .zRemRangeByScore(key, 0, now - rule.windowMs)
+          .zAdd(key, { score: now, value: member })
+          .zCard(key)
+          .pExpire(key, rule.windowMs);
+      }
+      const replies = await multi.exec();
+      const denied = rules.find((rule, index) => Number(replies[index * 4 + 2]) > rule.limit);
+      if (!denied) return { allowed: true };
+
+      const rollback = redis.multi();
+      for (const rule of rules) rollback.zRem(keyOf(rule), member);
+      await rollback.exec();
+
+      const [oldest] = await redis.zRangeWithScores(keyOf(denied), 0, 0);
+      const retryAfterMs = Math.max(1000, (oldest ? Number(oldest.score) : now) + denied.windowMs - now);
+      const firstHit = Boolean(await redis.set(`${keyOf(denied)}:notified`, '1', { NX: true, PX: retryAfterMs }));
+      return {
+        allowed: false,
+        rule: denied.id,
+        limit: denied.limit,
+        windowSeconds: Math.round(denied.windowMs / 1000),
+        retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+        firstHit
+      };
+    } catch (error) {
+      // Fail open: a Redis outage must not silence the bot
+      console.error(`❌ Rate limit check failed for ${channelType} user ${userId}:`, error.message);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Short notice for a user who hit a limit
+   * @param {Object} result - Denied result of consume()
+   * @returns {string} Message
+   */
+  formatNotice(result) {
+    if (result.rule === 'per_ticket') {
+      return `⏱️ This ticket has reached its limit of ${result.limit} AI answers. Ask to talk to the team and a support agent will take over.`;
+    }
+    const wait = result.retryAfterSeconds >= 120
+      ? `${Math.ceil(result.retryAfterSeconds / 60)} minutes`
+      : `${result.retryAfterSeconds} seconds`;
+    return `⏱️ You're sending questions a little too fast. Please try again in ${wait}.`;
+  }
+}
+
+const rateLimitService = new RateLimitService();
+export default rateLimitService;
@@ -0,0 +1,242 @@
+import axios from 'axios';
+import documentIndexService from './DocumentIndexService.js';
+import { getLLMProvider } from './llm/LLMProviderFactory.js';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'what', 'when',
+  'where', 'which', 'will', 'your', 'you', 'how', 'can', 'are', 'was', 'were', 'about',
+  'does', 'into', 'there', 'their', 'them', 'then', 'than', 'just', 'some', 'also',
+  'they', 'its', 'our', 'any', 'all', 'but', 'not', 'is', 'it', 'to', 'of', 'in', 'on',
+  'a', 'an', 'or', 'be', 'do', 'i', 'my', 'me', 'we', 'if', 'at', 'by', 'so'
+]);
+
+/**
+ * RetrievalService - hybrid retriever shared by the public, ticket, activation and
+ * Google Docs flows
+ *
+ * retrieve() ranks the chunks in DocumentIndexService two ways:
+ * - BM25 over chunk text (plus title and heading path)
+ * - cosine similarity of chunk embeddings (DocumentIndexService.search)
+ * and fuses both rankings with reciprocal rank fusion (RRF). The fused top
+ * candidates can then be reordered by RETRIEVAL_RERANK:
+ * - none (default): keep the fused order
+ * - llm: the chat provider scores each passage 0-10 for the question
+ * - cross_encoder: POST to a text-embeddings-inference style /rerank endpoint (RERANK_URL)
+ *
+ * A chunk is relevant when its vector score reaches the caller's minScore or it contains
+ * most of the query terms, so exact matches (error codes, product names) survive even
+ * when the embedding similarity is low.
+ */
+class RetrievalService {
+  constructor() {
+    this.rrfK = parseInt(process.env.RETRIEVAL_RRF_K || '60', 10);
+    this.candidates = parseInt(process.env.RETRIEVAL_CANDIDATES || '50', 10);
+    this.minLexicalCoverage = parseFloat(process.env.RETRIEVAL_MIN_LEXICAL_COVERAGE || '0.6');
+    this.bm25K1 = parseFloat(process.env.RETRIEVAL_BM25_K1 || '1.2');
+    this.bm25B = parseFloat(process.env.RETRIEVAL_BM25_B || '0.75');
+    this.rerankMode = String(process.env.RETRIEVAL_RERANK || 'none').toLowerCase();
+    this.rerankCandidates = parseInt(process.env.RERANK_CANDIDATES || '20', 10);
+    this.rerankUrl = process.env.RERANK_URL || null;
+    this.rerankApiKey = process.env.RERANK_API_KEY || null;
+    this.rerankTimeoutMs = parseInt(process.env.RERANK_TIMEOUT_MS || '10000', 10);
+
+    // Term statistics per chunk; chunks are replaced (not mutated) on re-index
+    this.termCache = new WeakMap();
+  }
+
+  _tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOP_WORDS.has(word));
+  }
+
+  _termStats(chunk) {
+    let stats = this.termCache.get(chunk);
+    if (!stats) {
+      const terms = this._tokenize([chunk.title, ...chunk.headingPath, chunk.text].filter(Boolean).join(' '));
+      const frequencies = new Map();
+      for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      stats = { frequencies, length: terms.length };
+      this.termCache.set(chunk, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Score chunks with BM25 for the query terms
+   * @returns {Array<{chunk: Object, score: number, coverage: number}>} Matching chunks, best first
+   */
+  _rankLexical(queryTerms, chunks) {
+    if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+    const stats = chunks.map(chunk => this._termStats(chunk));
+    const avgLength = stats.reduce((sum, s) => sum + s.length, 0) / stats.length || 1;
+    const idf = new Map();
+    for (const term of queryTerms) {
+      const df = stats.filter(s => s.frequencies.has(term)).length;
+      idf.set(term, Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5)));
+    }
+
+    const ranked = [];
+    chunks.forEach((chunk, i) => {
+      const { frequencies, length } = stats[i];
+      let score = 0;
+      let matched = 0;
+      for (const term of queryTerms) {
+        const tf = frequencies.get(term) || 0;
+        if (tf === 0) continue;
+        matched++;
+        score += idf.get(term) * (tf * (this.bm25K1 + 1)) /
+          (tf + this.bm25K1 * (1 - this.bm25B + this.bm25B * (length / avgLength)));
+      }
+      if (score > 0) ranked.push({ chunk, score, coverage: matched / queryTerms.length });
+    });
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Whether a retrieved chunk is good enough to put in a prompt
+   * @param {Object} result - Result from retrieve()
+   * @param {number} minScore - Minimum vector similarity
+   */
+  isRelevant(result, minScore) {
+    return (result.score || 0) >= minScore || (result.lexicalCoverage || 0) >= this.minLexicalCoverage;
+  }
+
+  /**
+   * Hybrid search over the document index
+   * @param {string} query - User question
+   * @param {Object} options - { sources, products, urls, topK, minScore }; minScore filters
+   *   with isRelevant() when given
+   * @returns {Promise<Array<Object>>} Chunks with score (vector similarity), lexicalScore,
+   *   lexicalCoverage and fusedScore, best first
+   */
+  async retrieve(query, options = {}) {
+    const { topK = 8, minScore } = options;
+    const filter = { sources: options.sources, products: options.products, urls: options.urls };
+    const chunks = documentIndexService.getChunks(filter);
+    if (chunks.length === 0) return [];
+
+    const queryTerms = Array.from(new Set(this._tokenize(query)));
+    const lexical = this._rankLexical(queryTerms, chunks).slice(0, this.candidates);
+
+    let vector = [];
+    try {
+      vector = await documentIndexService.search(query, { ...filter, topK: this.candidates, minScore: 0 });
+    } catch (error) {
+      // Keyword ranking alone still answers when embeddings are unavailable
+      console.error('❌ Vector retrieval failed, using lexical ranking only:', error.message);
+    }
+
+    // Reciprocal rank fusion
+    const fused = new Map();
+    const entry = (chunk) => {
+      if (!fused.has(chunk.id)) {
+        fused.set(chunk.id, { ...chunk, score: 0, lexicalScore: 0, lexicalCoverage: 0, fusedScore: 0 });
+      }
+      return fused.get(chunk.id);
+    };
+    lexical.forEach((result, rank) => {
+      const item = entry(result.chunk);
+      item.lexicalScore = result.score;
+      item.lexicalCoverage = result.coverage;
+      item.fusedScore += 1 / (this.rrfK + rank + 1);
+    });
+    vector.forEach((result, rank) => {
+      const item = entry(result);
+      item.score = result.score;
+      item.fusedScore += 1 / (this.rrfK + rank + 1);
+    });
+
+    let ranked = Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+    if (minScore !== undefined) {
+      ranked = ranked.filter(result => this.isRelevant(result, minScore));
+    }
+
+    if (this.rerankMode !== 'none' && ranked.length > 1) {
+      const head = ranked.slice(0, this.rerankCandidates);
+      ranked = [...(await this.rerank(query, head)), ...ranked.slice(this.rerankCandidates)];
+    }
+
+    return ranked.slice(0, topK);
+  }
+
+  /**
+   * Reorder candidates with the configured reranker; failures keep the fused order
+   * @param {string} query - User question
+   * @param {Array<Object>} results - Fused candidates
+   * @returns {Promise<Array<Object>>} Candidates with rerankScore, best first
+   */
+  async rerank(query, results) {
+    try {
+      let scores;
+      if (this.rerankMode === 'llm') {
+        scores = await this._rerankWithModel(query, results);
+      } else if (this.rerankMode === 'cross_encoder') {
+        scores = await this._rerankWithCrossEncoder(query, results);
+      } else {
+        return results;
+      }
+
+      return results
+        .map((result, i) => ({ ...result, rerankScore: scores[i] ?? -Infinity, fusedRank: i }))
+        .sort((a, b) => b.rerankScore - a.rerankScore || a.fusedRank - b.fusedRank)
+        .map(({ fusedRank, ...result }) => result);
+    } catch (error) {
+      console.error(`❌ Rerank (${this.rerankMode}) failed, keeping fused order:`, error.message);
+      return results;
+    }
+  }
+
+  async _rerankWithModel(query, results) {
+    const provider = getLLMProvider();
+    const passages = results
+      .map((result, i) => `[${i + 1}] ${result.text.slice(0, 800)}`)
+      .join('\n\n');
+
+    const reply = await provider.chat([
+      {
+        role: 'system',
+        content: 'You rank documentation passages for a support question. Score how well each numbered passage answers the QUESTION from 0 (irrelevant) to 10 (answers it directly). Reply with one line per passage in exactly this format: "<number>: <score>". No explanations.'
+      },
+      {
+        role: 'user',
+        content: `QUESTION:\n${query}\n\nPASSAGES:\n${passages}`
+      }
+    ], { temperature: 0, maxTokens: 8 * results.length + 20 });
+
+    const scores = [];
+    for (const [, num, score] of String(reply || '').matchAll(/(\d+)\s*[:.)-]\s*(\d+(?:\.\d+)?)/g)) {
+      const index = parseInt(num, 10) - 1;
+      if (index >= 0 && index < results.length) scores[index] = parseFloat(score);
+    }
+    if (scores.filter(score => score !== undefined).length === 0) {
+      throw new Error('reranker returned no scores');
+    }
+    return scores;
+  }
+
+  async _rerankWithCrossEncoder(query, results) {
+    if (!this.rerankUrl) throw new Error('RERANK_URL is not set');
+
+    const { data } = await axios.post(this.rerankUrl, {
+      query,
+      texts: results.map(result => result.text),
+      truncate: true
+    }, {
+      timeout: this.rerankTimeoutMs,
+      headers: this.rerankApiKey ? { Authorization: `Bearer ${this.rerankApiKey}` } : {}
+    });
+
+    // Response: [{ index, score }, ...]
+    const scores = [];
+    for (const item of Array.isArray(data) ? data : []) {
+      if (Number.isInteger(item?.index)) scores[item.index] = item.score;
+    }
+    return scores;
+  }
+}
+
+const retrievalService = new RetrievalService();
+export default retrievalService;
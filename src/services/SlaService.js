@@ -0,0 +1,110 @@
+import { getServerSlaPolicy } from '../config/serverConfigs.js';
+import { listEscalatedTicketStates } from './TicketStateStore.js';
+import BusinessHoursUtil from '../utils/BusinessHoursUtil.js';
+
+/**
+ * SlaService - first-response and resolution SLA timers for escalated tickets
+ *
+ * Both clocks start when the ticket is escalated to a human (ticket state
+ * escalatedAt) and count business minutes of the guild's SLA calendar
+ * (serverConfigs sla.businessHours). The first-response clock stops at the first
+ * staff reply (firstStaffReplyAt); the resolution clock stops when the ticket is
+ * closed, which clears its state (done here too for tickets found deleted). Every
+ * check interval the scheduler reads the escalated tickets from their index
+ * (TicketStateStore) and sends, at most once per ticket, a warning warnBeforeMinutes
+ * before each deadline and a breach alert once it has passed (LoggingService.logSlaAlert).
+ */
+class SlaService {
+  constructor(client, ticketSelectionService, loggingService) {
+    this.client = client;
+    this.ticketSelectionService = ticketSelectionService;
+    this.loggingService = loggingService;
+    this.CHECK_INTERVAL = parseInt(process.env.SLA_CHECK_INTERVAL_MS || '60000', 10);
+    this._checkTimer = null;
+  }
+
+  startScheduler(intervalMs = this.CHECK_INTERVAL) {
+    if (this._checkTimer) return;
+    this._checkTimer = setInterval(() => {
+      this.checkAll().catch(error => console.error('❌ SLA check failed:', error.message));
+    }, intervalMs);
+    console.log(`⏰ SLA checks scheduled every ${Math.round(intervalMs / 1000)} second(s)`);
+  }
+
+  stopScheduler() {
+    if (!this._checkTimer) return;
+    clearInterval(this._checkTimer);
+    this._checkTimer = null;
+    console.log('⏰ SLA scheduler stopped');
+  }
+
+  /**
+   * Deadlines of an escalated ticket under a guild's SLA policy
+   * @param {Object} state - Ticket state
+   * @param {Object} policy - SLA policy (see getServerSlaPolicy)
+   * @returns {Array<Object>} [{ target, targetMinutes, deadline, warnAt }] for the clocks still running
+   */
+  getDeadlines(state, policy) {
+    if (!state.escalatedAt) return [];
+    const targets = [];
+    if (!state.firstStaffReplyAt) targets.push({ target: 'firstResponse', targetMinutes: policy.firstResponseMinutes });
+    targets.push({ target: 'resolution', targetMinutes: policy.resolutionMinutes });
+
+    return targets.map(({ target, targetMinutes }) => {
+      const warnMinutes = Math.max(0, targetMinutes - policy.warnBeforeMinutes);
+      return {
+        target,
+        targetMinutes,
+        deadline: BusinessHoursUtil.addBusinessMinutes(state.escalatedAt, targetMinutes, policy.businessHours),
+        warnAt: BusinessHoursUtil.addBusinessMinutes(state.escalatedAt, warnMinutes, policy.businessHours)
+      };
+    });
+  }
+
+  /**
+   * Check every escalated ticket and send the SLA alerts that are due
+   */
+  async checkAll() {
+    const tickets = await listEscalatedTicketStates();
+    const now = Date.now();
+    for (const { channelId, state } of tickets) {
+      try {
+        await this._checkTicket(channelId, state, now);
+      } catch (error) {
+        console.error(`❌ SLA check failed for ticket ${channelId}:`, error.message);
+      }
+    }
+  }
+
+  async _checkTicket(channelId, state, now) {
+    let channel;
+    try {
+      channel = this.client.channels.cache.get(channelId) || await this.client.channels.fetch(channelId);
+    } catch (error) {
+      // Tickets deleted while the bot was offline never got channelDelete: clear their state
+      if (error.code === 10003) {
+        await this.ticketSelectionService.clear(channelId);
+        console.log(`⏰ Cleared state of deleted ticket ${channelId}`);
+        return;
+      }
+      throw error;
+    }
+    // Archived tickets are closed: no more alerts
+    if (channel.archived) return;
+
+    const policy = getServerSlaPolicy(channel.guild?.id);
+    const sent = state.slaAlerts || [];
+    for (const deadline of this.getDeadlines(state, policy)) {
+      const level = now >= deadline.deadline ? 'breach' : now >= deadline.warnAt ? 'warning' : null;
+      if (!level) continue;
+      const alertId = `${deadline.target}:${level}`;
+      if (sent.includes(alertId)) continue;
+
+      await this.loggingService.logSlaAlert(channel, { ...deadline, level, escalatedAt: state.escalatedAt });
+      await this.ticketSelectionService.recordSlaAlert(channelId, alertId);
+      console.log(`⏰ SLA ${level} (${deadline.target}) for ticket ${channel.name} (${channelId})`);
+    }
+  }
+}
+
+export default SlaService;
@@ -0,0 +1,167 @@
+import MessageService from './MessageService.js';
+
+const CURSOR = ' ▌';
+
+/**
+ * StreamingReplyService - renders a streaming AI reply into Discord messages
+ *
+ * One instance per reply:
+ * - update(text): posts a placeholder on the first call, then edits it with the
+ *   reply-so-far at most once per edit interval (Discord allows ~5 edits / 5s)
+ * - finish(text): waits for in-flight edits and writes the final text
+ * - abort(): removes anything posted (e.g. when the reply is replaced by a fallback)
+ *
+ * Text is split with MessageService.splitLongMessage, so replies over 2000 chars
+ * grow into follow-up messages exactly as the non-streamed path would send them.
+ *
+ * The preview is the raw model draft: citation and grounding checks only run once
+ * generation ends, so users may briefly read text that finish() then rewrites or
+ * that abort() removes (low-confidence hand-off, fallback). This is accepted in
+ * exchange for the faster first reply; set AI_STREAMING_ENABLED=false to only
+ * ever post validated text.
+ */
+class StreamingReplyService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendFirst - async (content) => Discord message, posts the first chunk
+   * @param {Function} options.sendNext - async (content) => Discord message, posts follow-up chunks
+   * @param {string} options.prefix - Text prepended to the first chunk (e.g. a user mention)
+   * @param {number} options.maxLength - Per-message character limit
+   */
+  constructor({ sendFirst, sendNext, prefix = '', maxLength = 2000 }) {
+    this.sendFirst = sendFirst;
+    this.sendNext = sendNext || sendFirst;
+    this.prefix = prefix;
+    this.maxLength = maxLength;
+    this.editIntervalMs = parseInt(process.env.AI_STREAMING_EDIT_INTERVAL_MS || '1200', 10);
+
+    this.messages = [];   // Discord messages posted so far
+    this.rendered = [];   // content currently shown in each message
+    this.pendingText = '';
+    this.timer = null;
+    this.lastRenderAt = 0;
+    this.closed = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether streaming replies are enabled for this deployment
+   */
+  static isEnabled() {
+    return String(process.env.AI_STREAMING_ENABLED || 'true').toLowerCase() === 'true';
+  }
+
+  /**
+   * Whether anything has been posted to Discord yet
+   */
+  get started() {
+    return this.messages.length > 0;
+  }
+
+  /**
+   * Last Discord message of the reply (null before anything is posted)
+   */
+  get lastMessage() {
+    return this.messages[this.messages.length - 1] || null;
+  }
+
+  /**
+   * Report the reply-so-far. Cheap to call on every token; rendering is throttled.
+   * @param {string} text - Accumulated reply text
+   */
+  update(text) {
+    if (this.closed || !text || !text.trim()) return;
+    this.pendingText = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastRenderAt + this.editIntervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._enqueue(() => this._render(this.pendingText, true));
+    }, wait);
+  }
+
+  /**
+   * Write the final reply text, replacing the streamed preview
+   * @param {string} text - Final (validated) reply text
+   */
+  async finish(text) {
+    this._close();
+    await this._enqueue(() => this._render(text, false));
+  }
+
+  /**
+   * Delete any streamed preview messages
+   */
+  async abort() {
+    this._close();
+    await this._enqueue(async () => {
+      for (const sent of this.messages) {
+        try {
+          await sent.delete();
+        } catch (error) {
+          console.error('❌ Error deleting streamed message:', error.message);
+        }
+      }
+      this.messages = [];
+      this.rendered = [];
+    });
+  }
+
+  _close() {
+    this.closed = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Serialize Discord calls so edits never race each other
+  _enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      console.error('❌ Error rendering streamed reply:', error.message);
+    });
+    return this.queue;
+  }
+
+  async _render(text, streaming) {
+    if (!text || !text.trim()) return;
+
+    const reserve = this.prefix.length + (streaming ? CURSOR.length : 0);
+    const chunks = MessageService.splitLongMessage(text, this.maxLength - reserve);
+
+    for (let i = 0; i < chunks.length; i++) {
+      let content = chunks[i];
+      if (i === 0) content = `${this.prefix}${content}`;
+      if (streaming && i === chunks.length - 1) content += CURSOR;
+
+      if (i < this.messages.length) {
+        if (this.rendered[i] !== content) {
+          await this.messages[i].edit({ content });
+          this.rendered[i] = content;
+        }
+      } else {
+        const sent = i === 0 ? await this.sendFirst(content) : await this.sendNext(content);
+        this.messages.push(sent);
+        this.rendered.push(content);
+      }
+    }
+
+    // Final text can be shorter than the preview (whitespace compaction); drop leftovers
+    if (!streaming) {
+      while (this.messages.length > chunks.length) {
+        const extra = this.messages.pop();
+        this.rendered.pop();
+        try {
+          await extra.delete();
+        } catch (error) {
+          console.error('❌ Error deleting streamed message:', error.message);
+        }
+      }
+    }
+
+    this.lastRenderAt = Date.now();
+  }
+}
+
+export default StreamingReplyService;
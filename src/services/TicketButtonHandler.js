@@ -1,7 +1,12 @@
-import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from "discord.js";
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from "discord.js";
 import { buildSystemPrompt } from './ArticleService.js';
-import { getServerConfig, getServerFallbackResponse } from '../config/serverConfigs.js';
+import { getServerFallbackResponse, getServerIntakeForm } from '../config/serverConfigs.js';
 import TicketChannelUtil from '../utils/TicketChannelUtil.js';
+import csatService from './CsatService.js';
+import handoffBriefService from './HandoffBriefService.js';
+import ticketCatalogService from './TicketCatalogService.js';
+import shopifyReturnService from '../shopify/ShopifyReturnService.js';
+import shopifyTicketIntegrator from '../shopify/ShopifyTicketIntegrator.js';
 
 /**
  * TicketButtonHandler - Handles all button interactions in ticket channels
@@ -9,7 +14,10 @@ import TicketChannelUtil from '../utils/TicketChannelUtil.js';
  * This service manages:
  * - Product selection buttons
  * - Human help request buttons
- * - Category selection buttons
+ * - Category selection buttons (intake form modals for Hardware, Bug, Billing)
+ * - Inactivity nudge buttons (handled by InactivityService)
+ * - CSAT buttons (👍/👎 under AI answers, 1-5 ticket rating), also in public threads and DMs
+ * - Return / refund request steps in Order Status tickets (ShopifyReturnService)
  * - Button interaction validation
  * - State updates after button clicks
  * 
@@ -21,6 +29,15 @@ class TicketButtonHandler {
     this.articleService = articleService;
     this.conversationService = conversationService;
     this.loggingService = loggingService;
+    this.inactivityService = null;
+  }
+
+  /**
+   * Set the service that answers the inactivity nudge buttons
+   * @param {Object} inactivityService - InactivityService instance
+   */
+  setInactivityService(inactivityService) {
+    this.inactivityService = inactivityService;
   }
 
   /**
@@ -41,6 +58,12 @@ class TicketButtonHandler {
         await this.handleCategorySelection(interaction);
       } else if (interaction.customId.startsWith('product_')) {
         await this.handleProductSelection(interaction);
+      } else if (interaction.customId.startsWith('inactivity_') && this.inactivityService) {
+        await this.inactivityService.handleButton(interaction);
+      } else if (interaction.customId.startsWith('csat_')) {
+        await this.handleCsatButton(interaction);
+      } else if (interaction.customId.startsWith('return_')) {
+        await this.handleReturnButton(interaction);
       } else {
         await this.handleUnknownButton(interaction);
       }
@@ -58,6 +81,14 @@ class TicketButtonHandler {
     const channelId = interaction.channel.id;
 
     try {
+      // Categories with an intake form open it instead of posting a question list
+      // (a modal must be the first response to the interaction)
+      const form = this.getIntakeForm(interaction.guild.id, interaction.customId);
+      if (form) {
+        await interaction.showModal(this.createIntakeModal(interaction.customId, form));
+        return;
+      }
+
       // Acknowledge immediately to avoid 3s timeout
       await interaction.deferUpdate();
 
@@ -65,43 +96,15 @@ class TicketButtonHandler {
       let responseContent = '';
       let components = [];
 
-      switch (interaction.customId) {
-        case 'category_general': {
-          responseContent = "✅ **General Questions** selected!\n\nSelect a product to get assistance:";
-          const generalButtons = this.createProductButtons(interaction.guild.id);
-          components = Object.values(generalButtons).filter(Boolean);
-          break;
-        }
-        case 'category_software': {
-          responseContent = "✅ **Setup & Access** selected!\n\nSelect a product for software assistance:";
-          const softwareButtons = this.createProductButtons(interaction.guild.id);
-          components = Object.values(softwareButtons).filter(Boolean);
-          break;
-        }
-        case 'category_hardware': {
-          responseContent = "✅ **Hardware Issue** selected!\n\nPlease provide:\n• **Bot ID** (3-word code, e.g., silver fox echo)\n• **Problem description** (what’s happening)\n• **Photos/videos** (clear shots or a short clip of the issue)";
-          break;
-        }
-        case 'category_bug': {
-          responseContent = "✅ **Bug Report** selected!\n\nTo help us fix bugs quickly, please provide:\n1. **What happened?** (describe the bug)\n2. **What were you doing?** (steps to reproduce)\n3. **What should have happened?** (expected behavior)\n4. **Device/browser info** (if applicable)";
-          break;
-        }
-        case 'category_billing': {
-          responseContent = "✅ **Billing & Account** selected!\n\nOur billing team will assist you with account and payment issues. Please describe your billing question or concern.";
-          break;
-        }
-        case 'category_other': {
-          responseContent = "✅ **Other** selected!\n\nPlease describe the reason for opening this ticket so our team can route it appropriately.";
-          break;
-        }
-        case 'category_orders': {
-          responseContent = "✅ **Order Status** selected!\n\n📦 I can help you check your order status! Please provide:\n- Your **order number** (e.g., #1234)\n- Your **email address** used for the order\n";
-          break;
-        }
-        default: {
-          responseContent = '❌ Unknown category selection.';
-          break;
+      // The guild's ticket catalog gives the intake text and whether to offer product buttons
+      const category = ticketCatalogService.getCategory(interaction.guild.id, interaction.customId);
+      if (category) {
+        responseContent = category.intakeText;
+        if (category.productButtons) {
+          components = this.createProductButtons(interaction.guild.id);
         }
+      } else {
+        responseContent = '❌ Unknown category selection.';
       }
 
       // Send a normal channel message (not tied to the interaction anymore)
@@ -134,6 +137,109 @@ class TicketButtonHandler {
     }
   }
 
+  /**
+   * Handle a submitted intake form: store the answers and escalate with them
+   * @param {Object} interaction - Discord modal submit interaction (custom ID intake_<category>)
+   */
+  async handleIntakeSubmit(interaction) {
+    const channelId = interaction.channel.id;
+    const category = interaction.customId.slice('intake_'.length);
+    const form = this.getIntakeForm(interaction.guild.id, category);
+
+    try {
+      if (!form) {
+        await interaction.reply({ content: '❌ This form is no longer available. Please describe your issue in the ticket.', flags: ['Ephemeral'] });
+        return;
+      }
+      // Acknowledge without an interaction reply: the escalation is posted as a normal
+      // channel message below, so the transcript records it like any other message
+      await interaction.deferUpdate();
+
+      // Step 1: Read the answers
+      const answers = form.fields.slice(0, 5).map(field => ({
+        id: field.id,
+        label: field.label,
+        value: this.getIntakeValue(interaction, field.id)
+      }));
+
+      // Step 2: Store them in the ticket state and hand the ticket to a human
+      await this.updateTicketState(channelId, {
+        category,
+        intake: { category, answers, submittedAt: Date.now() },
+        questionsAnswered: true,
+        humanHelp: true
+      });
+
+      // Step 3: Escalation message with the structured answers
+      const supportMessage = getServerFallbackResponse(interaction.guild.id);
+      await interaction.channel.send({ content: supportMessage, embeds: [this.createIntakeEmbed(form, answers)] });
+
+      // Step 4: Log escalation and staff handoff brief
+      await this.logIntakeEscalation(interaction, form, answers, supportMessage);
+
+    } catch (error) {
+      console.error('❌ Error handling intake form:', error);
+      await this.handleError(interaction, error);
+    }
+  }
+
+  /**
+   * Intake form of a category. Only categories the catalog escalates collect one: AI and
+   * Shopify categories keep their own flow even when serverConfigs has a form for their ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} categoryId - Category button ID
+   * @returns {Object|null} Intake form (see serverConfigs DEFAULT_INTAKE_FORMS) or null
+   */
+  getIntakeForm(guildId, categoryId) {
+    if (ticketCatalogService.getCategory(guildId, categoryId)?.behaviour !== 'escalate') return null;
+    return getServerIntakeForm(guildId, categoryId);
+  }
+
+  /**
+   * Build the intake modal of a category
+   * @param {string} category - Category button ID
+   * @param {Object} form - Intake form (see serverConfigs DEFAULT_INTAKE_FORMS)
+   * @returns {ModalBuilder} Modal with one text input per field (max 5)
+   */
+  createIntakeModal(category, form) {
+    const rows = form.fields.slice(0, 5).map(field => {
+      const input = new TextInputBuilder()
+        .setCustomId(field.id)
+        .setLabel(field.label.slice(0, 45))
+        .setStyle(field.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+        .setRequired(field.required !== false);
+      if (field.placeholder) input.setPlaceholder(field.placeholder.slice(0, 100));
+      if (field.maxLength) input.setMaxLength(field.maxLength);
+      return new ActionRowBuilder().addComponents(input);
+    });
+
+    return new ModalBuilder()
+      .setCustomId(`intake_${category}`)
+      .setTitle(form.title.slice(0, 45))
+      .addComponents(...rows);
+  }
+
+  /**
+   * Embed listing the intake answers (in the description, so the transcript keeps them)
+   * @param {Object} form - Intake form
+   * @param {Array<{label: string, value: string}>} answers - Submitted answers
+   */
+  createIntakeEmbed(form, answers) {
+    return new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(`📝 ${form.title} details`)
+      .setDescription(answers.map(answer => `**${answer.label}**\n${answer.value || '_Not provided_'}`).join('\n\n').slice(0, 4000));
+  }
+
+  // Value of a modal text input ('' when the field was left empty or is not in the submission)
+  getIntakeValue(interaction, fieldId) {
+    try {
+      return (interaction.fields.getTextInputValue(fieldId) || '').trim();
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Handle product selection buttons
    * @param {Object} interaction - Discord button interaction
@@ -146,7 +252,7 @@ class TicketButtonHandler {
       await interaction.deferUpdate();
 
       // Step 1: Get product info from button ID
-      const productInfo = this.getProductInfo(interaction.customId);
+      const productInfo = this.getProductInfo(interaction.customId, interaction.guild.id);
       if (!productInfo) {
         await interaction.channel.send({ content: '❌ Unknown product selection.' });
         return;
@@ -158,7 +264,7 @@ class TicketButtonHandler {
       try {
         // Step 3: Get product articles and setup conversation
         const articles = await this.articleService.getArticlesByCategory(productInfo.key);
-        this.conversationService.clearConversation(channelId, false);
+        await this.conversationService.clearConversation(channelId, false);
 
         const systemContent = this.buildSystemPrompt(articles, productInfo.name);
         await this.conversationService.initializeConversation(channelId, systemContent, false);
@@ -221,7 +327,7 @@ class TicketButtonHandler {
       await interaction.deferReply();
 
       // Step 1: Clear conversation and set human help
-      this.conversationService.clearConversation(channelId, false);
+      await this.conversationService.clearConversation(channelId, false);
       await this.updateTicketState(channelId, {
         product: null,
         humanHelp: true
@@ -245,8 +351,7 @@ class TicketButtonHandler {
    * @param {Object} interaction - Discord button interaction
    */
   async showProductSelection(interaction) {
-    const productButtons = this.createProductButtons(interaction.guild.id);
-    const components = Object.values(productButtons).filter(Boolean); // Only non-null rows
+    const components = this.createProductButtons(interaction.guild.id);
     await interaction.editReply({
       content: "Select a product to get assistance:",
       components
@@ -258,8 +363,7 @@ class TicketButtonHandler {
    * @param {Object} interaction - Discord button interaction
    */
   async showSoftwareProductSelection(interaction) {
-    const productButtons = this.createProductButtons(interaction.guild.id);
-    const components = Object.values(productButtons).filter(Boolean); // Only non-null rows
+    const components = this.createProductButtons(interaction.guild.id);
     await interaction.editReply({
       content: "Select the product you're having software/setup issues with:",
       components
@@ -345,68 +449,40 @@ class TicketButtonHandler {
   }
 
   /**
-   * Create product selection buttons
-   * @param {string} guildId - Discord guild ID to get server-specific configuration
-   * @returns {Object} Button rows object
+   * Create product selection buttons from the guild's ticket catalog
+   * @param {string} guildId - Discord guild ID to get the guild's catalog
+   * @returns {ActionRowBuilder[]} Button rows (visible products, then the Documentation link)
    */
   createProductButtons(guildId = null) {
-    // Use server configuration instead of environment variable
-    const serverConfig = getServerConfig(guildId);
-    const hideSpecial = serverConfig?.name === 'frodobots_owner';
-    const row1 = new ActionRowBuilder();
-    let row2 = null;
-    if (!hideSpecial) {
-      row1.addComponents(
-        new ButtonBuilder().setCustomId('product_ufb').setLabel('UFB').setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId('product_earthrover_school').setLabel('EarthRover School').setStyle(ButtonStyle.Primary)
-      );
-    }
-    row1.addComponents(
-      new ButtonBuilder().setCustomId('product_robotsfun').setLabel('Robots.Fun').setStyle(ButtonStyle.Primary),
-      new ButtonBuilder().setCustomId('product_earthrover').setLabel('EarthRover (Personal Bot)').setStyle(ButtonStyle.Primary),
-      new ButtonBuilder().setCustomId('product_et_fugi').setLabel('ET Fugi').setStyle(ButtonStyle.Primary)
+    const catalog = ticketCatalogService.getCatalog(guildId);
+    const buttons = ticketCatalogService.getVisibleProducts(guildId).map(product =>
+      new ButtonBuilder().setCustomId(`product_${product.key}`).setLabel(product.label).setStyle(ButtonStyle.Primary)
     );
-
-    if (!hideSpecial) {
-      row2 = new ActionRowBuilder();
-      row2.addComponents(
-        new ButtonBuilder().setCustomId('product_sam').setLabel('SAM').setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId('product_telearms').setLabel('TeleArms').setStyle(ButtonStyle.Primary),
-        new ButtonBuilder()
-          .setLabel('Documentation')
-          .setStyle(ButtonStyle.Link)
-          .setURL('https://intercom.help/frodobots/en')
-      );
-    } else {
-      // If hiding special, add Documentation to row1
-      row1.addComponents(
-        new ButtonBuilder()
-          .setLabel('Documentation')
-          .setStyle(ButtonStyle.Link)
-          .setURL('https://intercom.help/frodobots/en')
-      );
+    if (catalog.documentationUrl) {
+      buttons.push(new ButtonBuilder()
+        .setLabel('Documentation')
+        .setStyle(ButtonStyle.Link)
+        .setURL(catalog.documentationUrl));
     }
 
-    return row2 ? { row1, row2 } : { row1 };
+    // Discord allows 5 buttons per row and 5 rows per message
+    const rows = [];
+    for (let i = 0; i < buttons.length && rows.length < 5; i += 5) {
+      rows.push(new ActionRowBuilder().addComponents(...buttons.slice(i, i + 5)));
+    }
+    return rows;
   }
 
   /**
    * Get product information from button ID
-   * @param {string} buttonId - Button custom ID
-   * @returns {Object|null} Product info object
-   */
-  getProductInfo(buttonId) {
-    const productMap = {
-      'product_ufb': { key: 'ufb', name: 'UFB', displayName: 'UFB (Ultimate Fighting Bots)' },
-      'product_earthrover': { key: 'earthrover', name: 'Earthrover', displayName: 'Earthrover (Drive to Earn)' },
-      'product_earthrover_school': { key: 'earthrover_school', name: 'Earthrover School', displayName: 'Earthrover School' },
-      'product_sam': { key: 'sam', name: 'SAM', displayName: 'SAM (Small Autonomous Mofo)' },
-      'product_robotsfun': { key: 'robotsfun', name: 'Robots Fun', displayName: 'Robots Fun' },
-      'product_et_fugi': { key: 'et_fugi', name: 'ET Fugi', displayName: 'ET Fugi' },
-      'product_telearms': { key: 'telearms', name: 'TeleArms', displayName: 'TeleArms' }
-    };
-    
-    return productMap[buttonId] || null;
+   * @param {string} buttonId - Button custom ID (product_<key>)
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object|null} Product info object { key, name, displayName }
+   */
+  getProductInfo(buttonId, guildId = null) {
+    if (!buttonId.startsWith('product_')) return null;
+    const product = ticketCatalogService.getProduct(guildId, buttonId.slice('product_'.length));
+    return product ? { key: product.key, name: product.name, displayName: product.displayName } : null;
   }
 
   /**
@@ -433,8 +509,7 @@ class TicketButtonHandler {
    * @param {Object} updates - State updates to apply
    */
   async updateTicketState(channelId, updates) {
-    const currentState = await this.ticketSelectionService.get(channelId);
-    await this.ticketSelectionService.set(channelId, { ...currentState, ...updates });
+    await this.ticketSelectionService.update(channelId, updates);
   }
 
   /**
@@ -502,6 +577,38 @@ class TicketButtonHandler {
     );
   }
 
+  /**
+   * Log the escalation of a submitted intake form and post the staff handoff brief
+   */
+  async logIntakeEscalation(interaction, form, answers, supportMessage) {
+    if (!this.loggingService) return;
+
+    const summary = answers
+      .filter(answer => answer.value)
+      .map(answer => `${answer.label}: ${answer.value.replace(/\s+/g, ' ').slice(0, 200)}`);
+    const logMessage = {
+      id: interaction.id,
+      author: interaction.user,
+      channel: interaction.channel,
+      guild: interaction.guild,
+      client: interaction.client,
+      content: '' // The answers reach the brief as intake, not as a user message
+    };
+    const reason = `${form.title} intake form submitted`;
+
+    await this.loggingService.logEscalation(logMessage, `${reason}\n${summary.map(line => `• ${line}`).join('\n')}`.slice(0, 1024));
+    const ticketState = await this.ticketSelectionService.get(interaction.channel.id);
+    const brief = await handoffBriefService.build(logMessage, {
+      category: ticketState.category,
+      categoryName: form.title,
+      nextStep: ticketCatalogService.getCategory(interaction.guild.id, ticketState.category)?.nextStep,
+      intake: ticketState.intake,
+      reason,
+      exclude: [supportMessage]
+    });
+    await this.loggingService.logHandoffBrief(logMessage, brief);
+  }
+
   /**
    * Log human help request
    * @param {Object} interaction - Discord button interaction
@@ -519,6 +626,154 @@ class TicketButtonHandler {
     await this.loggingService.logEscalation(logMessage, 'User requested human help via button');
   }
 
+  /**
+   * Handle CSAT buttons: store the rating, thank the user and log it
+   * @param {Object} interaction - Discord button interaction (ticket, public thread or DM)
+   */
+  async handleCsatButton(interaction) {
+    const parsed = csatService.parseCustomId(interaction.customId);
+    if (!parsed) {
+      await this.handleUnknownButton(interaction);
+      return;
+    }
+
+    const result = await csatService.recordRating(parsed.conversationId, interaction.message.id, interaction.user.id, parsed.rating);
+    if (result.status !== 'recorded') {
+      const replies = {
+        not_allowed: 'Only the person who asked can rate this.',
+        already_rated: 'You already rated this. Thanks for the feedback!',
+        expired: 'This survey has expired.'
+      };
+      await interaction.reply({ content: replies[result.status], flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (typeof parsed.rating === 'number') {
+      await interaction.update({
+        content: `🙏 Thanks for rating our support ${'⭐'.repeat(parsed.rating)} (${parsed.rating}/5)!`,
+        components: []
+      });
+    } else {
+      await interaction.update({ components: [] });
+      await interaction.followUp({
+        content: parsed.rating === 'up'
+          ? '🙏 Thanks for the feedback!'
+          : "🙏 Thanks for the feedback. Sorry that didn't help; ask to talk to team if you need a person.",
+        flags: ['Ephemeral']
+      });
+    }
+
+    if (this.loggingService) {
+      await this.loggingService.logCsatRating(result.record, result.stats);
+    }
+  }
+
+  /**
+   * Handle the return / refund request buttons: start, items, reason, photos, confirm, cancel
+   * @param {Object} interaction - Discord button interaction
+   */
+  async handleReturnButton(interaction) {
+    const channelId = interaction.channel.id;
+    const { action, value } = shopifyReturnService.parseCustomId(interaction.customId);
+
+    if (action === 'start') {
+      await this.startReturnRequest(interaction);
+      return;
+    }
+
+    const draft = await shopifyReturnService.getDraft(channelId);
+    if (!draft) {
+      await interaction.update({ components: [] });
+      await interaction.followUp({
+        content: 'This return request has expired or was already sent. Press **Start a return / refund** under your order details to start again.',
+        flags: ['Ephemeral']
+      });
+      return;
+    }
+    if (draft.userId !== interaction.user.id) {
+      await interaction.reply({ content: 'Only the person who started this request can change it.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (action === 'cancel') {
+      await shopifyReturnService.cancelDraft(channelId);
+      await interaction.update({ content: '❌ Return request cancelled. You can start a new one anytime.', components: [] });
+      return;
+    }
+
+    if (action === 'confirm' && draft.step === 'confirm') {
+      await this.submitReturnRequest(interaction, draft);
+      return;
+    }
+
+    const result = await shopifyReturnService.applyAction(draft, action, value);
+    if (result.error) {
+      const replies = {
+        no_items: 'Please select at least one item first.',
+        photos_required: 'Please send at least one photo in this ticket first. It helps our team check the item.',
+        invalid: 'This button is no longer active. Please use the buttons on the latest step.'
+      };
+      await interaction.reply({ content: replies[result.error], flags: ['Ephemeral'] });
+      return;
+    }
+    await interaction.update(shopifyReturnService.renderStep(result.draft));
+  }
+
+  /**
+   * Start a return / refund request for the order shown in the ticket
+   * @param {Object} interaction - Discord button interaction
+   */
+  async startReturnRequest(interaction) {
+    await interaction.deferReply();
+
+    const ticketState = await this.ticketSelectionService.get(interaction.channel.id);
+    const result = await shopifyReturnService.startDraft({
+      channelId: interaction.channel.id,
+      guildId: interaction.guild?.id || null,
+      userId: interaction.user.id,
+      userTag: interaction.user.tag
+    }, ticketState);
+
+    if (!result.success) {
+      const replies = {
+        no_order: '📦 Please look up your order first: send your order number and the email used for the purchase.',
+        order_unavailable: '❌ I couldn\'t load your order right now. Please try again in a few minutes.',
+        cancelled: '❌ This order was cancelled, so there is nothing to return. If you were charged, our support team can help.',
+        refunded: '✅ Everything in this order has already been refunded. If something looks wrong, just ask and our support team will help.'
+      };
+      await interaction.editReply({ content: replies[result.error] });
+      return;
+    }
+    await interaction.editReply(shopifyReturnService.renderStep(result.draft));
+  }
+
+  /**
+   * Send a confirmed return / refund request to staff and hand the ticket to a human
+   * @param {Object} interaction - Discord button interaction
+   * @param {Object} draft - Request at the confirm step
+   */
+  async submitReturnRequest(interaction, draft) {
+    await interaction.deferUpdate();
+
+    const request = await shopifyReturnService.submit(draft);
+    // Another click already sent it
+    if (!request) return;
+    await this.updateTicketState(interaction.channel.id, { humanHelp: true });
+
+    const supportTags = shopifyTicketIntegrator._getCustomerSupportTags(interaction.guild?.id);
+    await interaction.editReply({
+      content: `✅ **Return request ${request.id} sent**\n\n` +
+        `${request.items.map(item => `- ${item.quantity}x ${item.name}`).join('\n')}\n` +
+        `**Reason:** ${request.reason?.label || 'Unknown'}\n\n` +
+        `${supportTags} will review it and reply here with the next steps.\n\n**Support Hours:** Mon-Fri, 10am-6pm SGT`,
+      components: []
+    });
+
+    if (this.loggingService) {
+      await this.loggingService.logReturnRequest(interaction.channel, request);
+    }
+  }
+
   /**
    * Handle unknown button
    * @param {Object} interaction - Discord button interaction
@@ -0,0 +1,324 @@
+import redis from './redisClient.js';
+import { getServerConfig } from '../config/serverConfigs.js';
+import { ALLOWED_PRODUCTS } from '../config/products.js';
+
+// What happens after a category button is clicked:
+// - ai:       the AI answers (optionally after a product button is picked)
+// - escalate: the intake text is posted and the user's first answer goes to a human
+// - shopify:  order lookup (Shopify integrator, or the lookup_order tool when AI tools are on)
+export const CATEGORY_BEHAVIOURS = ['ai', 'escalate', 'shopify'];
+
+// Button emojis Discord accepts: one standard emoji or a custom emoji (<:name:id>, <a:name:id> if animated)
+const EMOJI_PATTERN = /^(?:\p{RGI_Emoji}|<a?:\w{2,32}:\d{17,20}>)$/v;
+
+// Catalog of a guild that has not saved its own from the channel manager.
+// Products listed in a guild's serverConfigs hiddenProducts are hidden from its product buttons.
+export const DEFAULT_TICKET_CATALOG = {
+  welcomeMessage: '🎫 **Welcome to FrodoBots Support!**\n\nPlease select a category to get started with your support request:',
+  documentationUrl: 'https://intercom.help/frodobots/en',
+  categories: [
+    {
+      id: 'category_general', label: 'General Questions', emoji: '❓', row: 1,
+      displayName: 'General Questions', behaviour: 'ai', productButtons: true, aiWithoutProduct: true,
+      intakeText: '✅ **General Questions** selected!\n\nSelect a product to get assistance:',
+      nextStep: null
+    },
+    {
+      id: 'category_software', label: 'Setup & Access', emoji: '💻', row: 1,
+      displayName: 'Setup & Access Issue', behaviour: 'ai', productButtons: true, aiWithoutProduct: true,
+      intakeText: '✅ **Setup & Access** selected!\n\nSelect a product for software assistance:',
+      nextStep: 'Confirm the account and device details, then walk the user through setup or access.'
+    },
+    {
+      id: 'category_hardware', label: 'Hardware Issue', emoji: '🔧', row: 1,
+      displayName: 'Hardware Issue', behaviour: 'escalate', productButtons: false, aiWithoutProduct: false,
+      intakeText: '✅ **Hardware Issue** selected!\n\nPlease provide:\n• **Bot ID** (3-word code, e.g., silver fox echo)\n• **Problem description** (what’s happening)\n• **Photos/videos** (clear shots or a short clip of the issue)',
+      nextStep: 'Ask for a photo or video of the issue and the bot serial number, then check warranty status.'
+    },
+    {
+      id: 'category_bug', label: 'Bug Report', emoji: '🐛', row: 2,
+      displayName: 'Bug Report', behaviour: 'escalate', productButtons: false, aiWithoutProduct: false,
+      intakeText: '✅ **Bug Report** selected!\n\nTo help us fix bugs quickly, please provide:\n1. **What happened?** (describe the bug)\n2. **What were you doing?** (steps to reproduce)\n3. **What should have happened?** (expected behavior)\n4. **Device/browser info** (if applicable)',
+      nextStep: 'Ask for steps to reproduce, app/browser version and screenshots, then file the bug.'
+    },
+    {
+      id: 'category_billing', label: 'Billing & Account', emoji: '💳', row: 2,
+      displayName: 'Billing & Account', behaviour: 'escalate', productButtons: false, aiWithoutProduct: false,
+      intakeText: '✅ **Billing & Account** selected!\n\nOur billing team will assist you with account and payment issues. Please describe your billing question or concern.',
+      nextStep: 'Check the payment and subscription records for this account before replying.'
+    },
+    {
+      id: 'category_orders', label: 'Order Status', emoji: '📦', row: 2,
+      displayName: 'Order Status', behaviour: 'shopify', productButtons: false, aiWithoutProduct: false,
+      intakeText: '✅ **Order Status** selected!\n\n📦 I can help you check your order status! Please provide:\n- Your **order number** (e.g., #1234)\n- Your **email address** used for the order\n',
+      nextStep: 'Look the order up in Shopify and reply with its status or the fix needed.'
+    },
+    {
+      id: 'category_other', label: 'Other', emoji: '📝', row: 2,
+      displayName: 'Other', behaviour: 'escalate', productButtons: false, aiWithoutProduct: false,
+      intakeText: '✅ **Other** selected!\n\nPlease describe the reason for opening this ticket so our team can route it appropriately.',
+      nextStep: null
+    }
+  ],
+  products: [
+    { key: 'ufb', label: 'UFB', name: 'UFB', displayName: 'UFB (Ultimate Fighting Bots)', hidden: false },
+    { key: 'earthrover_school', label: 'EarthRover School', name: 'Earthrover School', displayName: 'Earthrover School', hidden: false },
+    { key: 'robotsfun', label: 'Robots.Fun', name: 'Robots.Fun', displayName: 'Robots.Fun', hidden: false },
+    { key: 'earthrover', label: 'EarthRover (Personal Bot)', name: 'Earthrover', displayName: 'Earthrover (Drive to Earn)', hidden: false },
+    { key: 'et_fugi', label: 'ET Fugi', name: 'ET Fugi', displayName: 'ET Fugi', hidden: false },
+    { key: 'sam', label: 'SAM', name: 'SAM', displayName: 'SAM (Small Autonomous Mofo)', hidden: false },
+    { key: 'telearms', label: 'TeleArms', name: 'TeleArms', displayName: 'TeleArms', hidden: false }
+  ]
+};
+
+/**
+ * TicketCatalogService - per-guild ticket categories and product buttons
+ *
+ * The catalog drives the ticket welcome buttons, what each category does
+ * (behaviour, intake text, AI without a product, handoff next step) and the
+ * product buttons. Guilds edit it from the channel manager; it is stored as
+ * JSON in Redis (ticket_catalog:<guildId>) and cached for the sync lookups of
+ * the ticket handlers. Guilds without a stored catalog use DEFAULT_TICKET_CATALOG.
+ */
+class TicketCatalogService {
+  constructor() {
+    this.REDIS_KEY_PREFIX = 'ticket_catalog:';
+    this.cache = new Map(); // guildId -> catalog
+    this._interval = null;
+  }
+
+  _getRedisKey(guildId) {
+    return `${this.REDIS_KEY_PREFIX}${guildId}`;
+  }
+
+  /**
+   * Default catalog of a guild (products in its hiddenProducts are hidden)
+   * @param {string|null} guildId - Discord guild ID
+   * @returns {Object} Catalog
+   */
+  getDefaultCatalog(guildId = null) {
+    const hiddenProducts = getServerConfig(guildId)?.hiddenProducts || [];
+    const catalog = structuredClone(DEFAULT_TICKET_CATALOG);
+    for (const product of catalog.products) {
+      product.hidden = hiddenProducts.includes(product.key);
+    }
+    return catalog;
+  }
+
+  /**
+   * Catalog saved for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} Stored catalog, or null when the guild uses the default
+   */
+  async getStoredCatalog(guildId) {
+    try {
+      const stored = await redis.get(this._getRedisKey(guildId));
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error(`❌ Error getting ticket catalog for guild ${guildId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Check a catalog before it is saved
+   * @param {Object} catalog - Catalog to check
+   * @returns {Array<string>} Problems found (empty when the catalog is valid)
+   */
+  validateCatalog(catalog) {
+    const errors = [];
+    if (!catalog || typeof catalog !== 'object') return ['Catalog must be an object'];
+    if (typeof catalog.welcomeMessage !== 'string' || !catalog.welcomeMessage.trim() || catalog.welcomeMessage.trim().length > 2000) {
+      errors.push('welcomeMessage is required (max 2000 characters)');
+    }
+    if (catalog.documentationUrl && !/^https?:\/\//.test(catalog.documentationUrl)) errors.push('documentationUrl must be an http(s) URL');
+
+    const categories = Array.isArray(catalog.categories) ? catalog.categories : [];
+    if (categories.length === 0) errors.push('At least one category is required');
+    const categoryIds = new Set();
+    const perRow = {};
+    for (const [index, category] of categories.entries()) {
+      const at = `categories[${index}]`;
+      if (!category || typeof category !== 'object') { errors.push(`${at} must be an object`); continue; }
+      if (!/^category_[a-z0-9_]{1,80}$/.test(category.id || '')) errors.push(`${at}.id must look like category_<lowercase_name>`);
+      else if (categoryIds.has(category.id)) errors.push(`${at}.id ${category.id} is used twice`);
+      categoryIds.add(category.id);
+      if (!category.label || String(category.label).length > 80) errors.push(`${at}.label is required (max 80 characters)`);
+      if (category.emoji && !EMOJI_PATTERN.test(String(category.emoji).trim())) errors.push(`${at}.emoji must be a single emoji or a custom emoji like <:name:id>`);
+      if (!CATEGORY_BEHAVIOURS.includes(category.behaviour)) errors.push(`${at}.behaviour must be one of ${CATEGORY_BEHAVIOURS.join(', ')}`);
+      if (!category.intakeText || String(category.intakeText).length > 2000) errors.push(`${at}.intakeText is required (max 2000 characters)`);
+      const row = category.row ?? 1;
+      if (!Number.isInteger(row) || row < 1 || row > 5) errors.push(`${at}.row must be 1-5`);
+      perRow[row] = (perRow[row] || 0) + 1;
+    }
+    for (const [row, count] of Object.entries(perRow)) {
+      if (count > 5) errors.push(`Row ${row} has ${count} categories (max 5 buttons per row)`);
+    }
+
+    if (catalog.products !== undefined && !Array.isArray(catalog.products)) errors.push('products must be a list');
+    const products = Array.isArray(catalog.products) ? catalog.products : [];
+    const productKeys = new Set();
+    for (const [index, product] of products.entries()) {
+      const at = `products[${index}]`;
+      if (!product || typeof product !== 'object') { errors.push(`${at} must be an object`); continue; }
+      if (!ALLOWED_PRODUCTS.includes(product.key)) errors.push(`${at}.key must be one of ${ALLOWED_PRODUCTS.join(', ')}`);
+      else if (productKeys.has(product.key)) errors.push(`${at}.key ${product.key} is used twice`);
+      productKeys.add(product.key);
+      if (!product.label || String(product.label).length > 80) errors.push(`${at}.label is required (max 80 characters)`);
+    }
+    // Product buttons plus the Documentation link, 5 per row, 5 rows
+    if (products.filter(product => !product.hidden).length + 1 > 25) errors.push('At most 24 visible products');
+    return errors;
+  }
+
+  // Keep the known fields only, with their defaults filled in
+  _normalizeCatalog(catalog) {
+    return {
+      welcomeMessage: catalog.welcomeMessage.trim(),
+      documentationUrl: catalog.documentationUrl || null,
+      categories: catalog.categories.map(category => ({
+        id: category.id,
+        label: String(category.label),
+        emoji: category.emoji ? String(category.emoji).trim() : null,
+        row: category.row ?? 1,
+        displayName: category.displayName || String(category.label),
+        behaviour: category.behaviour,
+        productButtons: category.productButtons === true,
+        aiWithoutProduct: category.aiWithoutProduct === true,
+        intakeText: String(category.intakeText),
+        nextStep: category.nextStep || null
+      })),
+      products: (catalog.products || []).map(product => ({
+        key: product.key,
+        label: String(product.label),
+        name: product.name || String(product.label),
+        displayName: product.displayName || product.name || String(product.label),
+        hidden: product.hidden === true
+      }))
+    };
+  }
+
+  /**
+   * Save a guild's catalog
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} catalog - Catalog edited in the channel manager
+   * @returns {Promise<{success: boolean, errors?: Array<string>}>}
+   */
+  async saveCatalog(guildId, catalog) {
+    const errors = this.validateCatalog(catalog);
+    if (errors.length > 0) return { success: false, errors };
+    try {
+      const normalized = this._normalizeCatalog(catalog);
+      await redis.set(this._getRedisKey(guildId), JSON.stringify({ ...normalized, updatedAt: new Date().toISOString() }));
+      this.cache.set(guildId, normalized);
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ Error saving ticket catalog for guild ${guildId}:`, error);
+      return { success: false };
+    }
+  }
+
+  /**
+   * Drop a guild's catalog so it uses the default again
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True on success
+   */
+  async resetCatalog(guildId) {
+    try {
+      await redis.del(this._getRedisKey(guildId));
+      this.cache.delete(guildId);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error resetting ticket catalog for guild ${guildId}:`, error);
+      return false;
+    }
+  }
+
+  // Cache utilities for sync lookups
+  async refreshCache() {
+    try {
+      const seen = new Set();
+      let cursor = '0';
+      do {
+        const res = await redis.scan(cursor, { MATCH: `${this.REDIS_KEY_PREFIX}*`, COUNT: 100 });
+        cursor = res.cursor;
+        for (const key of res.keys) {
+          const guildId = key.replace(this.REDIS_KEY_PREFIX, '');
+          const catalog = await this.getStoredCatalog(guildId);
+          if (catalog) {
+            this.cache.set(guildId, catalog);
+            seen.add(guildId);
+          }
+        }
+      } while (cursor !== '0');
+      // Catalogs reset from the channel manager
+      for (const guildId of this.cache.keys()) {
+        if (!seen.has(guildId)) this.cache.delete(guildId);
+      }
+    } catch (error) {
+      console.error('❌ Error refreshing ticket catalog cache:', error);
+    }
+  }
+
+  startCacheRefresher(intervalMs = 10000) {
+    if (this._interval) return;
+    this.refreshCache();
+    this._interval = setInterval(() => this.refreshCache(), intervalMs);
+    console.log(`🗂️ TicketCatalogService cache refresher started (every ${intervalMs}ms)`);
+  }
+
+  stopCacheRefresher() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  /**
+   * Catalog of a guild, from the cache (default catalog when none is saved)
+   * @param {string|null} guildId - Discord guild ID
+   * @returns {Object} Catalog
+   */
+  getCatalog(guildId) {
+    return this.cache.get(guildId) || this.getDefaultCatalog(guildId);
+  }
+
+  /**
+   * Category of a guild's catalog. Falls back to the default catalog so tickets
+   * opened before a category was removed or renamed keep their behaviour.
+   * @param {string|null} guildId - Discord guild ID
+   * @param {string} categoryId - Category button ID
+   * @returns {Object|null} Category
+   */
+  getCategory(guildId, categoryId) {
+    if (!categoryId) return null;
+    return this.getCatalog(guildId).categories.find(category => category.id === categoryId) ||
+      DEFAULT_TICKET_CATALOG.categories.find(category => category.id === categoryId) ||
+      null;
+  }
+
+  /**
+   * Product of a guild's catalog (hidden products included), with the same fallback
+   * @param {string|null} guildId - Discord guild ID
+   * @param {string} productKey - Product key
+   * @returns {Object|null} Product
+   */
+  getProduct(guildId, productKey) {
+    if (!productKey) return null;
+    return this.getCatalog(guildId).products.find(product => product.key === productKey) ||
+      DEFAULT_TICKET_CATALOG.products.find(product => product.key === productKey) ||
+      null;
+  }
+
+  /**
+   * Products shown as buttons in a guild
+   * @param {string|null} guildId - Discord guild ID
+   * @returns {Array<Object>} Products
+   */
+  getVisibleProducts(guildId) {
+    return this.getCatalog(guildId).products.filter(product => !product.hidden);
+  }
+}
+
+const ticketCatalogService = new TicketCatalogService();
+export default ticketCatalogService;
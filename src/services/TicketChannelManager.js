@@ -2,13 +2,16 @@ import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
 import { getServerFallbackResponse } from '../config/serverConfigs.js';
 import googleDocsContentService from './GoogleDocsContentService.js';
 import TicketChannelUtil from '../utils/TicketChannelUtil.js';
+import ticketTranscriptService from './TicketTranscriptService.js';
+import csatService from './CsatService.js';
+import ticketCatalogService from './TicketCatalogService.js';
 
 /**
  * TicketChannelManager - Handles ticket lifecycle events
  * 
  * This service manages:
  * - Ticket creation (welcome messages, initial setup)
- * - Ticket deletion (cleanup)
+ * - Ticket deletion (transcript archive, cleanup)
  * - Channel identification
  * 
  * STEP 2: Channel Lifecycle Management
@@ -113,15 +116,47 @@ class TicketChannelManager {
 
     console.log(`🔒 Ticket closed: ${channel.name} (${channel.id})`);
 
-    // Step 2: Log ticket closure
+    // Step 2: Archive the transcript captured while the ticket was open
+    const ticketState = await this.ticketSelectionService.get(channel.id);
+    const transcript = await ticketTranscriptService.archive(channel, ticketState);
+
+    // Step 3: Log ticket closure (transcript attached as Markdown and HTML)
     if (this.loggingService) {
-      await this.loggingService.logTicketClosure(channel);
+      await this.loggingService.logTicketClosure(channel, transcript);
     }
 
-    // Step 3: Clean up ticket state
+    // Step 4: Ask the ticket's user for a rating by DM (skipped if already asked on resolve)
+    await this.promptRatingByDM(channel, ticketState, transcript);
+
+    // Step 5: Clean up ticket state
     await this.ticketSelectionService.clear(channel.id);
   }
 
+  /**
+   * DM the 1-5 CSAT prompt of a closed ticket to the user who opened it
+   * @param {Object} channel - Ticket channel (thread) being deleted
+   * @param {Object} ticketState - Final ticket state
+   * @param {Object|null} transcript - Archived transcript (gives the ticket's users)
+   */
+  async promptRatingByDM(channel, ticketState, transcript) {
+    const userId = transcript?.meta.users[0]?.id;
+    if (!userId) return;
+
+    try {
+      const user = await channel.client.users.fetch(userId);
+      await csatService.promptTicketRating(user, {
+        ticketId: channel.id,
+        ticketName: channel.name,
+        userId,
+        guildId: channel.guild?.id,
+        product: ticketState?.product,
+        category: ticketState?.category
+      });
+    } catch (error) {
+      console.error(`❌ Could not send rating prompt for ticket ${channel.id}:`, error.message);
+    }
+  }
+
   /**
    * Send welcome message with category selection buttons
    * @param {Object} channel - Discord channel to send message to
@@ -130,12 +165,13 @@ class TicketChannelManager {
     try {
       console.log(`🎫 sendWelcomeMessage called for: ${channel.name} (${channel.id})`);
       
-      // Step 1: Create category selection buttons
-      const categoryButtons = this.createCategoryButtons();
+      // Step 1: Create category selection buttons from the guild's ticket catalog
+      const catalog = ticketCatalogService.getCatalog(channel.guild?.id);
+      const categoryButtons = this.createCategoryButtons(channel.guild?.id);
 
       // Step 2: Send welcome message
       await channel.send({
-        content: "🎫 **Welcome to FrodoBots Support!**\n\nPlease select a category to get started with your support request:",
+        content: catalog.welcomeMessage,
         components: categoryButtons
       });
 
@@ -161,54 +197,27 @@ class TicketChannelManager {
   }
 
   /**
-   * Create category selection button row
-   * @returns {ActionRowBuilder[]} Array of button rows
+   * Create category selection button rows from the guild's ticket catalog
+   * @param {string|null} guildId - Discord guild ID
+   * @returns {ActionRowBuilder[]} Array of button rows (catalog row 1-5, max 5 buttons each)
    */
-  createCategoryButtons() {
-    // First row: General, Software, Hardware
-    const firstRow = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId('category_general')
-        .setLabel('General Questions')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('❓'),
-      new ButtonBuilder()
-        .setCustomId('category_software')
-        .setLabel('Setup & Access')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('💻'),
-      new ButtonBuilder()
-        .setCustomId('category_hardware')
-        .setLabel('Hardware Issue')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('🔧')
-    );
-
-    // Second row: Bug Report, Billing, Order Status, Other
-    const secondRow = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId('category_bug')
-        .setLabel('Bug Report')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('🐛'),
-      new ButtonBuilder()
-        .setCustomId('category_billing')
-        .setLabel('Billing & Account')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('💳'),
-      new ButtonBuilder()
-        .setCustomId('category_orders')
-        .setLabel('Order Status')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('📦'),
-      new ButtonBuilder()
-        .setCustomId('category_other')
-        .setLabel('Other')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('📝')
-    );
-
-    return [firstRow, secondRow];
+  createCategoryButtons(guildId = null) {
+    const rows = new Map();
+    for (const category of ticketCatalogService.getCatalog(guildId).categories) {
+      const button = new ButtonBuilder()
+        .setCustomId(category.id)
+        .setLabel(category.label)
+        .setStyle(ButtonStyle.Primary);
+      if (category.emoji) button.setEmoji(category.emoji);
+      const row = category.row || 1;
+      if (!rows.has(row)) rows.set(row, []);
+      rows.get(row).push(button);
+    }
+
+    return [...rows.keys()]
+      .sort((a, b) => a - b)
+      .slice(0, 5)
+      .map(row => new ActionRowBuilder().addComponents(...rows.get(row).slice(0, 5)));
   }
 
   /**
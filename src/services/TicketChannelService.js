@@ -4,8 +4,18 @@ import { getServerFallbackResponse } from '../config/serverConfigs.js';
 import TicketChannelUtil from '../utils/TicketChannelUtil.js';
 import botRules from '../config/botRules.js';
  import shopifyIntegrator from '../shopify/ShopifyIntegrator.js';
+import shopifyReturnService from '../shopify/ShopifyReturnService.js';
 import PermissionService from './PermissionService.js';
-import embeddingService from './EmbeddingService.js';
+import ConfigService from './ConfigService.js';
+import documentIndexService from './DocumentIndexService.js';
+import retrievalService from './RetrievalService.js';
+import StreamingReplyService from './StreamingReplyService.js';
+import handoffBriefService from './HandoffBriefService.js';
+import csatService from './CsatService.js';
+import ticketCatalogService from './TicketCatalogService.js';
+import rateLimitService from './RateLimitService.js';
+import ToolRegistry from '../tools/ToolRegistry.js';
+import tools from '../tools/index.js';
 
 /**
  * TicketChannelService - Handles message processing in ticket channels
@@ -25,6 +35,7 @@ class TicketChannelService {
     this.aiService = aiService;
     this.loggingService = null;
     this.replyGuards = new Set();
+    this.rateLimitChecks = new WeakMap(); // message -> Promise<boolean>, so a message is counted once
   }
 
   /**
@@ -74,26 +85,47 @@ class TicketChannelService {
     }
     const channelId = message.channel.id;
     
-    // Step 1: Get current ticket state
+    // Step 1: Staff replies stop the first-response SLA clock; user messages reset the inactivity timer
+    if (!message.author.bot && this.isStaffMessage(message)) {
+      await this.ticketSelectionService.recordStaffReply(channelId);
+    } else if (!message.author.bot) {
+      await this.ticketSelectionService.recordUserActivity(channelId);
+    }
+
+    // Read the state after recording activity, so it carries the new lastActivity / reopened fields
     const ticketState = await this.ticketSelectionService.get(channelId);
     console.log(`📋 Current ticket state for ${channelId}:`, JSON.stringify(ticketState, null, 2));
 
+    // Photos and details for a return request waiting on them belong to the request, not the AI
+    if (!message.author.bot) {
+      const returnReply = await shopifyReturnService.addFromMessage(message);
+      if (returnReply) {
+        await message.reply({ content: returnReply, flags: ['SuppressEmbeds'] });
+        return;
+      }
+    }
+
     // Step 2: Check if AI should respond
     if (!(await this.shouldAIRespond(ticketState, message))) {
       return;
     }
 
-    // Step 3: If category is Order Status, route strictly to Shopify and stop
-    if (ticketState.category === 'category_orders') {
+    // Step 3: If the category is an order lookup (catalog behaviour 'shopify'), route strictly to Shopify and stop
+    // (with AI tools enabled the model looks orders up itself via lookup_order)
+    const category = ticketCatalogService.getCategory(message.guild?.id, ticketState.category);
+    if (category?.behaviour === 'shopify' && ToolRegistry.isEnabled()) {
+      await this.generateAIResponseGeneric(message, ticketState);
+      return;
+    }
+    if (category?.behaviour === 'shopify') {
       try {
         const shopifyResponse = await shopifyIntegrator.handleTicketMessage(message, ticketState);
         if (shopifyResponse) {
-          await message.reply({ content: shopifyResponse.content, flags: ['SuppressEmbeds'] });
+          await message.reply({ content: shopifyResponse.content, components: shopifyResponse.components, flags: ['SuppressEmbeds'] });
           
           // Update ticket state if needed (for follow-up tracking)
           if (shopifyResponse.updateTicketState) {
-            const updatedState = { ...ticketState, ...shopifyResponse.updateTicketState };
-            await this.ticketSelectionService.set(channelId, updatedState);
+            await this.ticketSelectionService.update(channelId, shopifyResponse.updateTicketState);
           }
 
           // Log the interaction
@@ -101,6 +133,9 @@ class TicketChannelService {
             const isEscalation = shopifyResponse.type === 'shopify_escalation';
             await this.loggingService.logTicketInteraction(message, shopifyResponse.content, ticketState.product, isEscalation);
           }
+          if (shopifyResponse.escalateToSupport) {
+            await this.postHandoffBrief(message, ticketState, `${category.displayName} - requires human support`, shopifyResponse.content);
+          }
           return; // Never let general AI reply in Order Status category
         }
         // If no shopify response, prompt for both fields
@@ -113,8 +148,8 @@ class TicketChannelService {
       }
     }
 
-    // Step 4: Handle categories that require immediate human escalation (Hardware, Bug, Billing)
-    if (this.isCategoryQuestionFlow(ticketState)) {
+    // Step 4: Handle categories that require immediate human escalation (catalog behaviour 'escalate')
+    if (this.isCategoryQuestionFlow(ticketState, message.guild?.id)) {
       await this.handleCategoryQuestions(message, ticketState);
       return;
     }
@@ -142,8 +177,7 @@ class TicketChannelService {
     // Step 7: Validate product selection (skip for order status category)
     if (!ticketState.product) {
       const allowWithoutProductForGeneral = String(process.env.TICKET_ALLOW_AI_WITHOUT_PRODUCT_FOR_GENERAL || 'true').toLowerCase() === 'true';
-      const isGeneralLike = ticketState.category === 'category_general' || ticketState.category === 'category_software';
-      if (allowWithoutProductForGeneral && isGeneralLike) {
+      if (allowWithoutProductForGeneral && category?.aiWithoutProduct) {
         await this.generateAIResponseNoProductForGeneral(message, ticketState);
         return;
       }
@@ -212,28 +246,66 @@ class TicketChannelService {
     return true;
   }
 
+  /**
+   * Count an AI-handled message against the ticket rate limits (botRules TICKET_CHANNELS.RATE_LIMITS,
+   * shared in Redis). Only LLM answers are limited: the generateAIResponse* methods check right before
+   * answering, after order lookups. Escalations, intake forms and return requests always go through,
+   * as do explicit requests for a human. A message is counted once even when one answer path falls
+   * back to another.
+   * @param {Object} message - Discord message object
+   * @returns {Promise<boolean>} True if the user is rate limited (notice sent on the first hit)
+   */
+  isRateLimited(message) {
+    if (!this.rateLimitChecks.has(message)) {
+      this.rateLimitChecks.set(message, this.consumeRateLimit(message));
+    }
+    return this.rateLimitChecks.get(message);
+  }
+
+  async consumeRateLimit(message) {
+    const contentLower = (message.content || '').toLowerCase();
+    const explicitPhrases = botRules.TICKET_CHANNELS?.ESCALATION_PHRASES || [];
+    if (explicitPhrases.some(p => contentLower.includes(p))) {
+      return false;
+    }
+
+    const rate = await rateLimitService.consume({
+      guildId: message.guild?.id,
+      channelType: 'ticket',
+      userId: message.author.id,
+      conversationId: message.channel.id,
+      roleIds: message.member ? Array.from(message.member.roles.cache.keys()) : []
+    });
+    if (rate.allowed) {
+      return false;
+    }
+
+    console.log(`⏱️ Rate limited ${message.author.tag} in ticket ${message.channel.id} (${rate.rule})`);
+    if (rate.firstHit) {
+      await message.reply({ content: rateLimitService.formatNotice(rate), flags: ['SuppressEmbeds'] });
+      if (this.loggingService) {
+        await this.loggingService.logRateLimit(message, rate, 'ticket');
+      }
+    }
+    return true;
+  }
+
   /**
    * Check if this is a category question flow
    * @param {Object} ticketState - Current ticket state
+   * @param {string} guildId - Discord guild ID (selects the ticket catalog)
    * @returns {boolean} True if in category question flow
    */
-  isCategoryQuestionFlow(ticketState) {
-    // Only certain categories should immediately escalate to human
-    const immediateEscalationCategories = [
-      'category_hardware',
-      'category_bug', 
-      'category_billing',
-      'category_other'
-    ];
-    
-    return ticketState.category && 
-           !ticketState.questionsAnswered && 
-           immediateEscalationCategories.includes(ticketState.category);
+  isCategoryQuestionFlow(ticketState, guildId = null) {
+    // Only categories with the 'escalate' behaviour immediately escalate to human
+    return Boolean(ticketState.category) &&
+           !ticketState.questionsAnswered &&
+           ticketCatalogService.getCategory(guildId, ticketState.category)?.behaviour === 'escalate';
   }
 
   /**
    * Handle category-specific question flows that require immediate human escalation
-   * (Hardware, Bug, Billing categories)
+   * (catalog behaviour 'escalate', e.g. Hardware, Bug, Billing)
    * @param {Object} message - Discord message object
    * @param {Object} ticketState - Current ticket state
    */
@@ -248,10 +320,11 @@ class TicketChannelService {
 
     // Log escalation
     if (this.loggingService) {
-      const categoryName = this.getCategoryDisplayName(ticketState.category);
+      const categoryName = this.getCategoryDisplayName(ticketState.category, message.guild?.id);
       await this.loggingService.logEscalation(message, `${categoryName} category - requires human support`);
       await this.loggingService.logTicketInteraction(message, supportMessage, null, true);
     }
+    await this.postHandoffBrief(message, ticketState, `${this.getCategoryDisplayName(ticketState.category, message.guild?.id)} category - requires human support`, supportMessage);
   }
 
   /**
@@ -276,7 +349,7 @@ class TicketChannelService {
       ];
 
       await message.channel.sendTyping();
-      const result = await this.aiService.classifyEscalation(messages);
+      const result = await this.aiService.classifyEscalation(messages, message.guild?.id);
       const isEscalationRequest = result === 'ESCALATE';
       if (isEscalationRequest) {
         console.log(`🚨 Human help request detected from ${message.author.username}: "${message.content}"`);
@@ -294,8 +367,9 @@ class TicketChannelService {
    * Escalate ticket to human support
    * @param {Object} message - Discord message object
    * @param {Object} ticketState - Current ticket state
+   * @param {string} reason - Reason shown in the escalation log
    */
-  async escalateToHuman(message, ticketState) {
+  async escalateToHuman(message, ticketState, reason = 'AI detected escalation intent') {
     const channelId = message.channel.id;
     
     // Mark for human help
@@ -305,9 +379,37 @@ class TicketChannelService {
 
     // Log escalation
     if (this.loggingService) {
-      await this.loggingService.logEscalation(message, 'AI detected escalation intent');
+      await this.loggingService.logEscalation(message, reason);
       await this.loggingService.logTicketInteraction(message, supportMessage, ticketState?.product, true);
     }
+    await this.postHandoffBrief(message, ticketState, reason, supportMessage);
+  }
+
+  /**
+   * Post the staff handoff brief (category, product, questions, answers, order, next step)
+   * to the ticket logs channel
+   * @param {Object} message - Discord message that triggered the escalation
+   * @param {Object} ticketState - Current ticket state
+   * @param {string} reason - Escalation reason
+   * @param {string} handoffReply - Hand-off reply just sent, left out of the bot answers
+   */
+  async postHandoffBrief(message, ticketState, reason, handoffReply = null) {
+    if (!this.loggingService) return;
+    try {
+      const brief = await handoffBriefService.build(message, {
+        category: ticketState?.category,
+        categoryName: ticketState?.category ? this.getCategoryDisplayName(ticketState.category, message.guild?.id) : null,
+        productName: ticketState?.product ? this.getProductDisplayName(ticketState.product, message.guild?.id) : null,
+        nextStep: ticketCatalogService.getCategory(message.guild?.id, ticketState?.category)?.nextStep,
+        orderNumber: ticketState?.lastOrderNumber,
+        intake: ticketState?.intake,
+        reason,
+        exclude: handoffReply ? [handoffReply] : []
+      });
+      await this.loggingService.logHandoffBrief(message, brief);
+    } catch (error) {
+      console.error('❌ Error posting handoff brief:', error.message);
+    }
   }
 
   /**
@@ -347,7 +449,7 @@ class TicketChannelService {
     try {
       // Shopify handling even without category, to catch order details early
       try {
-        const shopifyResponse = await shopifyIntegrator.handleTicketMessage(message, ticketState);
+        const shopifyResponse = ToolRegistry.isEnabled() ? null : await shopifyIntegrator.handleTicketMessage(message, ticketState);
         if (shopifyResponse) {
           if (!this.replyGuards.has(message.channel.id)) {
             this.replyGuards.add(message.channel.id);
@@ -366,18 +468,24 @@ class TicketChannelService {
         console.error('❌ Shopify integration error in generic flow (continuing to AI):', shopifyError.message);
       }
 
+      if (await this.isRateLimited(message)) {
+        return;
+      }
+
       const channelId = message.channel.id;
       await message.channel.sendTyping();
 
       const allArticles = await this.articleService.getAllArticles();
       let systemContent = buildSystemPrompt(allArticles, 'FrodoBots (General Support)', { allowCrossProduct: true });
+      const sources = [];
 
       // Enrich with ticket parent Google Docs even before category/product selection
       try {
         const parentId = message.channel.parentId;
         if (parentId) {
-          const docsContent = await googleDocsContentService.getChannelGoogleDocsContent(message.guild.id, parentId, message.content);
+          const { content: docsContent, sources: docSources } = await googleDocsContentService.getChannelGoogleDocsContentWithSources(message.guild.id, parentId, message.content);
           if (docsContent) {
+            sources.push(...docSources);
             systemContent = (systemContent && typeof systemContent === 'string')
               ? (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}\n\n` + systemContent)
               : (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}`);
@@ -388,17 +496,25 @@ class TicketChannelService {
       }
 
       await this.conversationService.initializeConversation(channelId, systemContent, false);
-      this.conversationService.addUserMessage(channelId, message.content, false);
+      await this.conversationService.addUserMessage(channelId, message.content, false);
 
       await message.channel.sendTyping();
-      const aiMessages = this.conversationService.getConversationHistory(channelId, false);
-      const aiResponse = await this.aiService.generateResponse(aiMessages, message.guild.id);
+      const aiMessages = await this.conversationService.getConversationHistory(channelId, false);
+      const { aiResponse, streamingReply } = await this.generateStreamedResponse(message, aiMessages, sources, ticketState);
+      // A tool (e.g. escalate_to_human) already replied in the ticket
+      if (aiResponse?.handled) return;
+      // Answer not supported by the retrieved docs: hand off instead of guessing
+      if (aiResponse?.isValid && this.isLowConfidence(aiResponse)) {
+        await this.sendLowConfidenceResponse(message, ticketState, aiResponse, streamingReply);
+        return;
+      }
 
       if (aiResponse && aiResponse.isValid) {
-        await message.reply({ content: aiResponse.response, flags: ['SuppressEmbeds'] });
-        this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
+        const reply = await this.sendAIReply(message, aiResponse.response + aiResponse.sourcesFooter, streamingReply);
+        await this.attachCsatButtons(message, reply, aiResponse, ticketState);
+        await this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
         if (this.loggingService) {
-          await this.loggingService.logTicketInteraction(message, aiResponse.response, null, false);
+          await this.loggingService.logTicketInteraction(message, aiResponse.response, null, false, aiResponse.sources);
         }
       } else {
         await this.sendFallbackResponse(message, ticketState);
@@ -422,8 +538,14 @@ class TicketChannelService {
       const channelId = message.channel.id;
 
       if (cross) {
-        const productDisplayName = this.getProductDisplayName(cross.product);
+        // Without a match the generic path below checks the limit after its order lookup
+        if (await this.isRateLimited(message)) {
+          return;
+        }
+
+        const productDisplayName = this.getProductDisplayName(cross.product, message.guild?.id);
         let systemContent = buildSystemPrompt(cross.content, productDisplayName, { allowCrossProduct: true });
+        const sources = [...(cross.sources || [])];
 
         // Optionally autoset product based on confidence threshold
         const autosetThreshold = parseFloat(process.env.TICKET_AUTOSET_PRODUCT_MIN_SCORE || '0.34');
@@ -441,8 +563,9 @@ class TicketChannelService {
         try {
           const parentId = message.channel.parentId;
           if (parentId) {
-            const docsContent = await googleDocsContentService.getChannelGoogleDocsContent(message.guild.id, parentId, message.content);
+            const { content: docsContent, sources: docSources } = await googleDocsContentService.getChannelGoogleDocsContentWithSources(message.guild.id, parentId, message.content);
             if (docsContent) {
+              sources.push(...docSources);
               systemContent = (systemContent && typeof systemContent === 'string')
                 ? (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}\n\n` + systemContent)
                 : (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}`);
@@ -453,16 +576,24 @@ class TicketChannelService {
         }
 
         await this.conversationService.initializeConversation(channelId, systemContent, false);
-        this.conversationService.addUserMessage(channelId, message.content, false);
+        await this.conversationService.addUserMessage(channelId, message.content, false);
 
         await message.channel.sendTyping();
-        const aiMessages = this.conversationService.getConversationHistory(channelId, false);
-        const aiResponse = await this.aiService.generateResponse(aiMessages, message.guild.id);
+        const aiMessages = await this.conversationService.getConversationHistory(channelId, false);
+        const { aiResponse, streamingReply } = await this.generateStreamedResponse(message, aiMessages, sources, ticketState);
+        // A tool (e.g. escalate_to_human) already replied in the ticket
+        if (aiResponse?.handled) return;
+        // Answer not supported by the retrieved docs: hand off instead of guessing
+        if (aiResponse?.isValid && this.isLowConfidence(aiResponse)) {
+          await this.sendLowConfidenceResponse(message, ticketState, aiResponse, streamingReply);
+          return;
+        }
         if (aiResponse && aiResponse.isValid) {
-          await message.reply({ content: aiResponse.response, flags: ['SuppressEmbeds'] });
-          this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
+          const reply = await this.sendAIReply(message, aiResponse.response + aiResponse.sourcesFooter, streamingReply);
+          await this.attachCsatButtons(message, reply, aiResponse, { ...ticketState, product: ticketState?.product || cross.product });
+          await this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
           if (this.loggingService) {
-            await this.loggingService.logTicketInteraction(message, aiResponse.response, ticketState?.product || cross.product || null, false);
+            await this.loggingService.logTicketInteraction(message, aiResponse.response, ticketState?.product || cross.product || null, false, aiResponse.sources);
           }
           return;
         }
@@ -487,8 +618,9 @@ class TicketChannelService {
       console.log(`🤖 Generating AI response for product: ${ticketState.product}`);
       
       // 🛍️ SHOPIFY INTEGRATION - Check for order-related queries first
+      // (with AI tools enabled the model looks orders up itself via lookup_order)
       try {
-        const shopifyResponse = await shopifyIntegrator.handleTicketMessage(message, ticketState);
+        const shopifyResponse = ToolRegistry.isEnabled() ? null : await shopifyIntegrator.handleTicketMessage(message, ticketState);
         if (shopifyResponse) {
           console.log('🛍️ Shopify handled ticket message');
           if (!this.replyGuards.has(message.channel.id)) {
@@ -513,42 +645,30 @@ class TicketChannelService {
         console.error('❌ Shopify integration error (continuing to AI):', shopifyError.message);
       }
       // END SHOPIFY INTEGRATION
-      
+
+      if (await this.isRateLimited(message)) {
+        return;
+      }
+
       // Step 1: Start typing indicator and get product-specific articles
       const channelId = message.channel.id;
       await message.channel.sendTyping();
       
       // RETRIEVAL-FIRST: Try semantic retrieval over product docs
       let systemContent = null;
+      let sources = [];
       try {
-        const structured = await this.articleService.getStructuredArticlesByCategory(ticketState.product);
-        console.log(`📚 [Ticket RAG] Product: ${ticketState.product}, Articles fetched: ${structured.length}`);
-        structured.forEach((a, i) => console.log(`  📄 [${i}] ${a.url} (${a.content?.length || 0} chars)`));
-        // Lazy-embed and rank articles by similarity to the user message
-        const queryVec = await embeddingService.embedText(message.content.toLowerCase());
+        // Rank the product's article chunks against the user message (hybrid BM25 + vector)
         const topK = parseInt(process.env.TICKET_RETRIEVAL_TOP_K || '10', 10);
         const minScore = parseFloat(process.env.TICKET_RETRIEVAL_MIN_SCORE || '0.25');
-
-        // Attach embeddings lazily
-        const corpus = [];
-        for (const item of structured) {
-          if (!item.embedding && item.content) {
-            item.embedding = await embeddingService.embedText(item.content);
-          }
-          if (item.embedding?.length) {
-            corpus.push({ id: item.url, vector: item.embedding, payload: item });
-          }
-        }
-
-        const ranked = embeddingService.constructor.topK(queryVec, corpus, topK);
-        console.log(`🔍 [Ticket RAG] Ranked results (topK=${topK}, minScore=${minScore}):`);
-        ranked.forEach((r, i) => console.log(`  #${i + 1} score=${(r.score || 0).toFixed(4)} url=${r.id}`));
-        const filtered = ranked.filter(r => (r.score || 0) >= minScore).map(r => r.payload);
-        const joined = filtered.map(a => a.content);
-        console.log(`✅ [Ticket RAG] Filtered articles above threshold: ${filtered.length}`);
-
-        // Compute scores for the current product
-        const selectedBest = ranked.length > 0 ? (ranked[0].score || 0) : 0;
+        const ranked = await this.articleService.getRelevantChunks(message.content, ticketState.product, { topK });
+        console.log(`🔍 [Ticket RAG] Product: ${ticketState.product}, ranked chunks (topK=${topK}, minScore=${minScore}):`);
+        ranked.forEach((c, i) => console.log(`  #${i + 1} score=${(c.score || 0).toFixed(4)} lexical=${(c.lexicalCoverage || 0).toFixed(2)} url=${c.url} section=${c.headingPath.join(' > ') || '-'}`));
+        const filtered = ranked.filter(c => retrievalService.isRelevant(c, minScore));
+        console.log(`✅ [Ticket RAG] Relevant chunks: ${filtered.length}`);
+
+        // Compute scores for the current product (vector similarity; fused order is not by score)
+        const selectedBest = ranked.reduce((best, c) => Math.max(best, c.score || 0), 0);
         const selectedAvg = ranked.length
           ? ranked.reduce((s, r) => s + (r.score || 0), 0) / ranked.length
           : 0;
@@ -565,22 +685,24 @@ class TicketChannelService {
 
         if (shouldSwitch) {
           // Keep user's selected product as context, but use cross-product content
-          const userProductName = this.getProductDisplayName(ticketState.product);
-          const crossProductName = this.getProductDisplayName(cross.product);
+          const userProductName = this.getProductDisplayName(ticketState.product, message.guild?.id);
+          const crossProductName = this.getProductDisplayName(cross.product, message.guild?.id);
           // Mark cross-product content so AI knows it's from another product
           const crossContent = `[NOTE: The following information is from ${crossProductName} documentation. The user selected ${userProductName}, but we don't have specific ${userProductName} documentation for this topic. Provide the information but acknowledge it may apply differently to ${userProductName}.]\n\n${cross.content}`;
           systemContent = buildSystemPrompt(crossContent, userProductName, { allowCrossProduct: true });
+          sources = cross.sources || [];
           console.log(`📋 [Ticket RAG] PATH: cross-product switch to ${crossProductName}, content length=${crossContent.length}`);
-        } else if (joined.length > 0) {
-          const contentForPrompt = joined.join('\n\n---\n\n');
-          const productDisplayName = this.getProductDisplayName(ticketState.product);
+        } else if (filtered.length > 0) {
+          const contentForPrompt = documentIndexService.formatChunks(filtered);
+          const productDisplayName = this.getProductDisplayName(ticketState.product, message.guild?.id);
           systemContent = buildSystemPrompt(contentForPrompt, productDisplayName, { allowCrossProduct: true });
-          console.log(`📋 [Ticket RAG] PATH: semantic retrieval, ${filtered.length} articles, content length=${contentForPrompt.length}`);
+          sources = documentIndexService.toSources(filtered);
+          console.log(`📋 [Ticket RAG] PATH: semantic retrieval, ${filtered.length} chunks from ${sources.length} articles, content length=${contentForPrompt.length}`);
           // Log first 300 chars of content to verify correct article
           console.log(`📋 [Ticket RAG] Content preview: ${contentForPrompt.substring(0, 300)}`);
         } else {
           const contentForPrompt = await this.articleService.getArticlesByCategory(ticketState.product);
-          const productDisplayName = this.getProductDisplayName(ticketState.product);
+          const productDisplayName = this.getProductDisplayName(ticketState.product, message.guild?.id);
           systemContent = buildSystemPrompt(contentForPrompt, productDisplayName, { allowCrossProduct: true });
           console.log(`📋 [Ticket RAG] PATH: fallback (all category articles), content length=${contentForPrompt.length}`);
         }
@@ -591,18 +713,19 @@ class TicketChannelService {
           const cross = await this.crossProductRetrieval(message.content, ticketState.product);
           if (cross) {
             // Keep user's selected product as context
-            const userProductName = this.getProductDisplayName(ticketState.product);
-            const crossProductName = this.getProductDisplayName(cross.product);
+            const userProductName = this.getProductDisplayName(ticketState.product, message.guild?.id);
+            const crossProductName = this.getProductDisplayName(cross.product, message.guild?.id);
             const crossContent = `[NOTE: The following information is from ${crossProductName} documentation. The user selected ${userProductName}, but we don't have specific ${userProductName} documentation for this topic. Provide the information but acknowledge it may apply differently to ${userProductName}.]\n\n${cross.content}`;
             systemContent = buildSystemPrompt(crossContent, userProductName, { allowCrossProduct: true });
+            sources = cross.sources || [];
           } else {
             const articles = await this.articleService.getArticlesByCategory(ticketState.product);
-            const productDisplayName = this.getProductDisplayName(ticketState.product);
+            const productDisplayName = this.getProductDisplayName(ticketState.product, message.guild?.id);
             systemContent = buildSystemPrompt(articles, productDisplayName, { allowCrossProduct: true });
           }
         } catch (crossError) {
           const articles = await this.articleService.getArticlesByCategory(ticketState.product);
-          const productDisplayName = this.getProductDisplayName(ticketState.product);
+          const productDisplayName = this.getProductDisplayName(ticketState.product, message.guild?.id);
           systemContent = buildSystemPrompt(articles, productDisplayName, { allowCrossProduct: true });
         }
       }
@@ -611,8 +734,9 @@ class TicketChannelService {
       try {
         const parentId = message.channel.parentId;
         if (parentId) {
-          const docsContent = await googleDocsContentService.getChannelGoogleDocsContent(message.guild.id, parentId, message.content);
+          const { content: docsContent, sources: docSources } = await googleDocsContentService.getChannelGoogleDocsContentWithSources(message.guild.id, parentId, message.content);
           if (docsContent) {
+            sources.push(...docSources);
             systemContent = (systemContent && typeof systemContent === 'string')
               ? (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}\n\n` + systemContent)
               : (`CHANNEL-SPECIFIC DOCUMENTATION:\n${docsContent}`);
@@ -624,25 +748,33 @@ class TicketChannelService {
       }
 
       await this.conversationService.initializeConversation(channelId, systemContent, false);
-      this.conversationService.addUserMessage(channelId, message.content, false);
+      await this.conversationService.addUserMessage(channelId, message.content, false);
       
       // Step 2: Get conversation history (includes product-specific system message)
-      const aiMessages = this.conversationService.getConversationHistory(channelId, false);
+      const aiMessages = await this.conversationService.getConversationHistory(channelId, false);
       
       // Step 3: Generate response (continue typing indicator)
       await message.channel.sendTyping();
-      const aiResponse = await this.aiService.generateResponse(aiMessages, message.guild.id);
+      const { aiResponse, streamingReply } = await this.generateStreamedResponse(message, aiMessages, sources, ticketState);
+      // A tool (e.g. escalate_to_human) already replied in the ticket
+      if (aiResponse?.handled) return;
+      // Answer not supported by the retrieved docs: hand off instead of guessing
+      if (aiResponse?.isValid && this.isLowConfidence(aiResponse)) {
+        await this.sendLowConfidenceResponse(message, ticketState, aiResponse, streamingReply);
+        return;
+      }
 
       // Step 4: Send response
       if (aiResponse && aiResponse.isValid) {
-        await message.reply({ content: aiResponse.response, flags: ['SuppressEmbeds'] });
+        const reply = await this.sendAIReply(message, aiResponse.response + aiResponse.sourcesFooter, streamingReply);
+        await this.attachCsatButtons(message, reply, aiResponse, ticketState);
         
         // Add assistant response to conversation history
-        this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
+        await this.conversationService.addAssistantMessage(channelId, aiResponse.response, false);
         
         // Log successful interaction
         if (this.loggingService) {
-          await this.loggingService.logTicketInteraction(message, aiResponse.response, ticketState.product, false);
+          await this.loggingService.logTicketInteraction(message, aiResponse.response, ticketState.product, false, aiResponse.sources);
         }
       } else {
         await this.sendFallbackResponse(message, ticketState);
@@ -661,13 +793,12 @@ class TicketChannelService {
 
   /**
    * Cross-product retrieval: if current product returns no hits, try other products and
-   * return the best-matching product's concatenated content for the prompt.
+   * return the best-matching product's top chunks for the prompt.
    */
   async crossProductRetrieval(query, currentProduct) {
     try {
       const { ALLOWED_PRODUCTS } = await import('../config/products.js');
       const products = ALLOWED_PRODUCTS.filter(p => p !== currentProduct);
-      const queryVec = await embeddingService.embedText((query || '').toLowerCase());
       let best = null;
       // Heuristic signal boosts per product to resolve mixed-intent queries
       const productSignals = {
@@ -699,22 +830,21 @@ class TicketChannelService {
       };
       for (const product of products) {
         try {
-          const structured = await this.articleService.getStructuredArticlesByCategory(product);
-          const corpus = [];
-          for (const item of structured) {
-            if (!item.embedding && item.content) {
-              item.embedding = await embeddingService.embedText(item.content);
-            }
-            if (item.embedding?.length) corpus.push({ id: item.url, vector: item.embedding, payload: item });
-          }
-          if (corpus.length === 0) continue;
-          const ranked = embeddingService.constructor.topK(queryVec, corpus, parseInt(process.env.TICKET_RETRIEVAL_TOP_K || '8', 10));
-          const agg = ranked.reduce((sum, r) => sum + (r.score || 0), 0) / Math.max(1, ranked.length);
+          const ranked = await this.articleService.getRelevantChunks(query || '', product, {
+            topK: parseInt(process.env.TICKET_RETRIEVAL_TOP_K || '8', 10)
+          });
+          if (ranked.length === 0) continue;
+          const agg = ranked.reduce((sum, c) => sum + (c.score || 0), 0) / ranked.length;
           const boost = computeSignalBoost(product);
           const aggregate = agg + boost;
           if (!best || aggregate > best.score) {
-            const joined = ranked.slice(0, 6).map(r => r.payload.content).join('\n\n---\n\n');
-            best = { product, score: aggregate, content: joined };
+            const top = ranked.slice(0, 6);
+            best = {
+              product,
+              score: aggregate,
+              content: documentIndexService.formatChunks(top),
+              sources: documentIndexService.toSources(top)
+            };
           }
         } catch {}
       }
@@ -731,6 +861,145 @@ class TicketChannelService {
     }
   }
 
+  /**
+   * Generate the AI reply, streaming it into the ticket as it is written when enabled.
+   * The preview is shown before grounding and citation checks (see StreamingReplyService);
+   * invalid or failed generations remove it so the caller's fallback is the only message
+   * left in the ticket.
+   * @param {Object} message - Discord message object
+   * @param {Array} aiMessages - Conversation history for the model
+   * @param {Array<{url: string, title?: string}>} sources - Retrieved sources the answer may cite
+   * @param {Object|null} ticketState - Current ticket state (gives tools their ticket context)
+   * @returns {Promise<{aiResponse: Object, streamingReply: StreamingReplyService|null}>}
+   */
+  async generateStreamedResponse(message, aiMessages, sources = [], ticketState = null) {
+    const toolOptions = this.buildToolOptions(message, ticketState);
+    if (!StreamingReplyService.isEnabled()) {
+      const aiResponse = await this.aiService.generateResponse(aiMessages, message.guild.id, { sources, tools: toolOptions });
+      return { aiResponse, streamingReply: null };
+    }
+
+    const streamingReply = new StreamingReplyService({
+      sendFirst: (content) => message.reply({ content, flags: ['SuppressEmbeds'] }),
+      sendNext: (content) => message.channel.send({ content, flags: ['SuppressEmbeds'] })
+    });
+
+    try {
+      const aiResponse = await this.aiService.generateResponse(aiMessages, message.guild.id, {
+        onText: (text) => streamingReply.update(text),
+        sources,
+        tools: toolOptions
+      });
+      if (!aiResponse || !aiResponse.isValid || aiResponse.handled) {
+        await streamingReply.abort();
+      }
+      return { aiResponse, streamingReply };
+    } catch (error) {
+      await streamingReply.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Tools the model may call in this ticket, or null when AI tools are disabled
+   * @param {Object} message - Discord message object
+   * @param {Object|null} ticketState - Current ticket state
+   * @returns {Object|null} { registry, context } for AIService.generateResponse
+   */
+  buildToolOptions(message, ticketState) {
+    if (!ToolRegistry.isEnabled()) {
+      return null;
+    }
+
+    const channelId = message.channel.id;
+    return {
+      registry: tools,
+      context: {
+        message,
+        guildId: message.guild.id,
+        channelType: 'ticket',
+        ticketState,
+        auditTrail: [],
+        actions: {
+          escalate: (reason) => this.escalateToHuman(message, ticketState, `AI tool: ${reason}`),
+          updateTicketState: (fields) => this.ticketSelectionService.update(channelId, fields)
+        }
+      }
+    };
+  }
+
+  /**
+   * Post the final AI reply, finalizing the streamed preview when there is one
+   * @param {Object} message - Discord message object
+   * @param {string} text - Final reply text
+   * @param {StreamingReplyService|null} streamingReply - Streamed preview, if any
+   * @returns {Promise<Object|null>} Last Discord message of the reply
+   */
+  async sendAIReply(message, text, streamingReply) {
+    if (streamingReply) {
+      await streamingReply.finish(text);
+      return streamingReply.lastMessage;
+    }
+    return message.reply({ content: text, flags: ['SuppressEmbeds'] });
+  }
+
+  /**
+   * Put the 👍/👎 CSAT buttons under an AI answer
+   * @param {Object} message - User message that was answered
+   * @param {Object|null} reply - Last Discord message of the answer
+   * @param {Object} aiResponse - Result of AIService.generateResponse (gives the sources)
+   * @param {Object|null} ticketState - Current ticket state
+   */
+  async attachCsatButtons(message, reply, aiResponse, ticketState) {
+    await csatService.attachToAnswer(reply, {
+      conversationId: message.channel.id,
+      userId: message.author.id,
+      guildId: message.guild?.id,
+      channelType: 'ticket',
+      product: ticketState?.product,
+      category: ticketState?.category,
+      sources: aiResponse.sources
+    });
+  }
+
+  /**
+   * Whether an AI reply's grounding support score is below the ticket threshold
+   * @param {Object} aiResponse - Result of AIService.generateResponse
+   * @returns {boolean} True if the reply should not be sent
+   */
+  isLowConfidence(aiResponse) {
+    return typeof aiResponse?.confidence === 'number' &&
+      aiResponse.confidence < ConfigService.getConfidenceThreshold('ticket');
+  }
+
+  /**
+   * Replace an ungrounded AI reply with the low-confidence hand-off and escalate
+   * @param {Object} message - Discord message object
+   * @param {Object} ticketState - Current ticket state
+   * @param {Object} aiResponse - Result of AIService.generateResponse (with grounding)
+   * @param {StreamingReplyService|null} streamingReply - Streamed preview, if any
+   */
+  async sendLowConfidenceResponse(message, ticketState, aiResponse, streamingReply) {
+    const supportTeamId = ConfigService.getSupportTeamId(message.guild.id);
+    const supportPing = `<@&${supportTeamId}>`;
+    const lowConfidenceResponse = `${botRules.TICKET_CHANNELS.LOW_CONFIDENCE_RESPONSE}\n${supportPing}`;
+    if (streamingReply) {
+      // Mentions added by editing the streamed preview notify no one: ping the team in a new message
+      await streamingReply.finish(botRules.TICKET_CHANNELS.LOW_CONFIDENCE_RESPONSE);
+      await message.channel.send({ content: supportPing });
+    } else {
+      await message.reply({ content: lowConfidenceResponse, flags: ['SuppressEmbeds'] });
+    }
+    await this.ticketSelectionService.escalateToHuman(message.channel.id);
+
+    if (this.loggingService) {
+      await this.loggingService.logGroundingFailure(message, aiResponse.grounding, 'ticket');
+      await this.loggingService.logEscalation(message, `Low grounding score (${aiResponse.confidence.toFixed(2)})`);
+      await this.loggingService.logTicketInteraction(message, lowConfidenceResponse, ticketState?.product, true);
+    }
+    await this.postHandoffBrief(message, ticketState, `Low grounding score (${aiResponse.confidence.toFixed(2)})`, lowConfidenceResponse);
+  }
+
   /**
    * Send fallback response when AI fails
    * @param {Object} message - Discord message object
@@ -749,37 +1018,21 @@ class TicketChannelService {
   /**
    * Get display name for category
    * @param {string} category - Category key
+   * @param {string} guildId - Discord guild ID (selects the ticket catalog)
    * @returns {string} Display name
    */
-  getCategoryDisplayName(category) {
-    const categoryNames = {
-      'category_hardware': 'Hardware Issue',
-      'category_bug': 'Bug Report', 
-      'category_billing': 'Billing & Account',
-      'category_other': 'Other',
-      'category_general': 'General Questions',
-      'category_software': 'Setup & Access Issue',
-      'category_orders': 'Order Status'
-    };
-    return categoryNames[category] || 'Support';
+  getCategoryDisplayName(category, guildId = null) {
+    return ticketCatalogService.getCategory(guildId, category)?.displayName || 'Support';
   }
 
   /**
    * Get display name for product
    * @param {string} product - Product key
+   * @param {string} guildId - Discord guild ID (selects the ticket catalog)
    * @returns {string} Display name
    */
-  getProductDisplayName(product) {
-    const productNames = {
-      'ufb': 'UFB',
-      'earthrover': 'Earthrover',
-      'earthrover_school': 'Earthrover School',
-      'sam': 'SAM',
-      'robotsfun': 'Robots.Fun',
-      'et_fugi': 'ET Fugi',
-      'telearms': 'TeleArms'
-    };
-    return productNames[product] || 'FrodoBots Product';
+  getProductDisplayName(product, guildId = null) {
+    return ticketCatalogService.getProduct(guildId, product)?.name || 'FrodoBots Product';
   }
 }
 
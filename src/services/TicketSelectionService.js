@@ -1,4 +1,6 @@
 import { getTicketState, setTicketState, clearTicketState } from './TicketStateStore.js';
+import ticketTranscriptService from './TicketTranscriptService.js';
+import shopifyTicketNotifier from '../shopify/ShopifyTicketNotifier.js';
 
 /**
  * TicketSelectionService - Manages ticket state and selections
@@ -7,6 +9,10 @@ import { getTicketState, setTicketState, clearTicketState } from './TicketStateS
  * - Selected product/category
  * - Human help status
  * - Question flow state
+ * - SLA timestamps (escalation, first staff reply) and the SLA alerts already sent
+ * - Last user activity, inactivity nudge and resolution (see InactivityService)
+ * State transitions are recorded in the ticket transcript, and the linked order
+ * (lastOrderNumber) in the order → tickets index of ShopifyTicketNotifier.
  * 
  * STEP 1: State Management
  */
@@ -28,7 +34,15 @@ class TicketSelectionService {
    * @param {Object} state - New ticket state
    */
   async set(channelId, state) {
-    await setTicketState(channelId, { ...this.getDefaultState(), ...state });
+    const previous = (await getTicketState(channelId)) || this.getDefaultState();
+    const next = { ...this.getDefaultState(), ...state };
+    // The SLA clock starts when the ticket is first handed to a human
+    if (next.humanHelp && !next.escalatedAt) {
+      next.escalatedAt = previous.escalatedAt || Date.now();
+    }
+    await setTicketState(channelId, next);
+    await ticketTranscriptService.recordStateChange(channelId, previous, next);
+    await shopifyTicketNotifier.recordTicketOrder(channelId, previous, next);
   }
 
   /**
@@ -36,7 +50,9 @@ class TicketSelectionService {
    * @param {string} channelId - Discord channel ID
    */
   async clear(channelId) {
+    const previous = await getTicketState(channelId);
     await clearTicketState(channelId);
+    await shopifyTicketNotifier.recordTicketOrder(channelId, previous, null);
   }
 
   /**
@@ -58,7 +74,14 @@ class TicketSelectionService {
       category: null,
       humanHelp: false,
       questionsAnswered: false,
-      lastActivity: Date.now()
+      lastActivity: Date.now(),
+      escalatedAt: null,
+      firstStaffReplyAt: null,
+      slaAlerts: [],
+      nudgedAt: null,
+      nudgedUserId: null,
+      resolution: null,     // 'inactivity' | 'user'
+      resolvedAt: null
     };
   }
 
@@ -73,6 +96,17 @@ class TicketSelectionService {
     await this.set(channelId, { ...currentState, [field]: value });
   }
 
+  /**
+   * Merge fields into the ticket state as it is now (not into an older snapshot, which would
+   * revert fields written since, such as lastActivity or a reopened ticket)
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} updates - Fields to set
+   */
+  async update(channelId, updates) {
+    const currentState = await this.get(channelId);
+    await this.set(channelId, { ...currentState, ...updates });
+  }
+
   /**
    * Check if ticket is ready for AI responses
    * @param {string} channelId - Discord channel ID
@@ -91,6 +125,55 @@ class TicketSelectionService {
     await this.updateField(channelId, 'humanHelp', true);
   }
 
+  /**
+   * Record the first staff reply after escalation (stops the first-response SLA)
+   * @param {string} channelId - Discord channel ID
+   */
+  async recordStaffReply(channelId) {
+    const state = await getTicketState(channelId);
+    if (!state?.escalatedAt || state.firstStaffReplyAt) return;
+    await this.set(channelId, { ...state, firstStaffReplyAt: Date.now() });
+  }
+
+  /**
+   * Record user activity: restarts the inactivity timer and reopens a resolved ticket
+   * @param {string} channelId - Discord channel ID
+   */
+  async recordUserActivity(channelId) {
+    const state = await getTicketState(channelId);
+    if (!state) return;
+    await this.set(channelId, { ...state, lastActivity: Date.now(), nudgedAt: null, resolution: null, resolvedAt: null });
+  }
+
+  /**
+   * Record that the inactivity nudge was sent
+   * @param {string} channelId - Discord channel ID
+   * @param {string|null} userId - User the nudge was for (the only one, with staff, who may close the ticket from it)
+   */
+  async recordNudge(channelId, userId = null) {
+    await this.update(channelId, { nudgedAt: Date.now(), nudgedUserId: userId });
+  }
+
+  /**
+   * Mark ticket as resolved
+   * @param {string} channelId - Discord channel ID
+   * @param {string} resolution - 'inactivity' or 'user'
+   */
+  async markResolved(channelId, resolution) {
+    const state = await this.get(channelId);
+    await this.set(channelId, { ...state, resolution, resolvedAt: Date.now() });
+  }
+
+  /**
+   * Record an SLA alert as sent, so the scheduler sends it only once
+   * @param {string} channelId - Discord channel ID
+   * @param {string} alertId - e.g. 'firstResponse:warning'
+   */
+  async recordSlaAlert(channelId, alertId) {
+    const state = await this.get(channelId);
+    await this.set(channelId, { ...state, slaAlerts: [...(state.slaAlerts || []), alertId] });
+  }
+
   /**
    * Reset ticket to allow AI responses again
    * @param {string} channelId - Discord channel ID
@@ -1,5 +1,9 @@
 import redis from './redisClient.js';
 
+// Tickets escalated to a human (state escalatedAt), kept with every write for the SLA checks
+const ESCALATED_INDEX_KEY = 'ticket_index:escalated';
+const ESCALATED_INDEX_BUILT_KEY = 'ticket_index:escalated:built';
+
 export async function getTicketState(channelId) {
   const data = await redis.get(`ticket:${channelId}`);
   console.log(`[Redis] GET ticket:${channelId} =>`, data);
@@ -8,10 +12,54 @@ export async function getTicketState(channelId) {
 
 export async function setTicketState(channelId, state) {
   await redis.set(`ticket:${channelId}`, JSON.stringify(state));
+  if (state?.escalatedAt) {
+    await redis.sAdd(ESCALATED_INDEX_KEY, channelId);
+  } else {
+    await redis.sRem(ESCALATED_INDEX_KEY, channelId);
+  }
   console.log(`[Redis] SET ticket:${channelId} =>`, state);
 }
 
 export async function clearTicketState(channelId) {
   await redis.del(`ticket:${channelId}`);
+  await redis.sRem(ESCALATED_INDEX_KEY, channelId);
   console.log(`[Redis] DEL ticket:${channelId}`);
-} 
\ No newline at end of file
+} 
+
+// Channel IDs and states of every stored ticket
+export async function listTicketStates() {
+  const tickets = [];
+  let cursor = 0;
+  do {
+    const res = await redis.scan(cursor, { MATCH: 'ticket:*', COUNT: 100 });
+    cursor = parseInt(res.cursor || res[0] || "0", 10);
+    for (const key of res.keys || res[1] || []) {
+      const data = await redis.get(key);
+      if (data) tickets.push({ channelId: key.slice('ticket:'.length), state: JSON.parse(data) });
+    }
+  } while (cursor !== 0);
+  return tickets;
+}
+
+// Channel IDs and states of the tickets escalated to a human. The index is built from a
+// full scan the first time, for tickets escalated before it was kept
+export async function listEscalatedTicketStates() {
+  if (!(await redis.get(ESCALATED_INDEX_BUILT_KEY))) {
+    for (const { channelId, state } of await listTicketStates()) {
+      if (state.escalatedAt) await redis.sAdd(ESCALATED_INDEX_KEY, channelId);
+    }
+    await redis.set(ESCALATED_INDEX_BUILT_KEY, '1');
+  }
+
+  const tickets = [];
+  for (const channelId of await redis.sMembers(ESCALATED_INDEX_KEY)) {
+    const data = await redis.get(`ticket:${channelId}`);
+    const state = data ? JSON.parse(data) : null;
+    if (state?.escalatedAt) {
+      tickets.push({ channelId, state });
+    } else {
+      await redis.sRem(ESCALATED_INDEX_KEY, channelId);
+    }
+  }
+  return tickets;
+}
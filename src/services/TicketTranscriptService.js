@@ -0,0 +1,308 @@
+import redis from './redisClient.js';
+import botRules from '../config/botRules.js';
+import PermissionService from './PermissionService.js';
+
+/**
+ * TicketTranscriptService - ticket transcripts, captured live and archived on close
+ *
+ * While a ticket is open every event is appended to a Redis list:
+ *   transcript:live:<ticketId>     JSON entries, oldest first
+ *     { type: 'message', at, messageId, author: { id, tag, role: user|staff|bot }, content, attachments: [{ name, url }] }
+ *     { type: 'button', at, author, label }
+ *     { type: 'state', at, changes: [{ field, from, to }] }
+ * Bot messages that are written by edits (streamed answers, deferred interaction replies,
+ * step-by-step flows) have their entry replaced on each edit, keeping the time first posted;
+ * their list positions are kept so an edit never reads the whole transcript:
+ *   transcript:positions:<ticketId>  hash messageId -> { index, at }
+ * When the ticket is deleted the entries are rendered to Markdown and HTML and kept,
+ * for LOG_RETENTION_DAYS, in a store indexed by ticket and by user:
+ *   transcript:archive:<ticketId>  hash { meta, markdown, html }
+ *   transcript:user:<userId>       set of ticket IDs the user took part in
+ */
+class TicketTranscriptService {
+  constructor() {
+    this.prefix = 'transcript:';
+    this.TTL_SECONDS = botRules.LOGGING.PRIVACY.LOG_RETENTION_DAYS * 24 * 60 * 60;
+  }
+
+  _liveKey(ticketId) {
+    return `${this.prefix}live:${ticketId}`;
+  }
+
+  _positionsKey(ticketId) {
+    return `${this.prefix}positions:${ticketId}`;
+  }
+
+  _archiveKey(ticketId) {
+    return `${this.prefix}archive:${ticketId}`;
+  }
+
+  _userKey(userId) {
+    return `${this.prefix}user:${userId}`;
+  }
+
+  async _append(ticketId, entry) {
+    const key = this._liveKey(ticketId);
+    const at = new Date().toISOString();
+    try {
+      const [length] = await redis
+        .multi()
+        .rPush(key, JSON.stringify({ at, ...entry }))
+        .expire(key, this.TTL_SECONDS)
+        .exec();
+      // Only bot messages are edited in place (recordMessageUpdate)
+      if (entry.author?.role === 'bot' && entry.messageId) {
+        const positionsKey = this._positionsKey(ticketId);
+        await redis
+          .multi()
+          .hSet(positionsKey, { [entry.messageId]: JSON.stringify({ index: length - 1, at }) })
+          .expire(positionsKey, this.TTL_SECONDS)
+          .exec();
+      }
+    } catch (error) {
+      console.error(`❌ Error recording transcript entry for ${ticketId}:`, error.message);
+    }
+  }
+
+  _author(user, role) {
+    return { id: user.id, tag: user.tag || user.username || user.id, role };
+  }
+
+  // Works for messages and interactions: both carry the guild member
+  _role(source, user) {
+    return user.bot ? 'bot' : PermissionService.isStaffMember(source) ? 'staff' : 'user';
+  }
+
+  _messageEntry(message) {
+    const role = this._role(message, message.author);
+    const embedText = (message.embeds || [])
+      .map(embed => [embed.title, embed.description].filter(Boolean).join(' - '))
+      .filter(Boolean);
+    return {
+      type: 'message',
+      messageId: message.id,
+      author: this._author(message.author, role),
+      content: [message.content, ...embedText].filter(Boolean).join('\n'),
+      attachments: Array.from(message.attachments?.values() || []).map(file => ({ name: file.name, url: file.url }))
+    };
+  }
+
+  /**
+   * Record a message posted in a ticket (user, staff or bot)
+   * @param {Object} message - Discord message
+   */
+  async recordMessage(message) {
+    try {
+      await this._append(message.channel.id, this._messageEntry(message));
+    } catch (error) {
+      console.error(`❌ Error recording transcript message for ${message.channel?.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Replace the entry of an edited bot message with its new content
+   * @param {Object} message - Edited Discord message
+   */
+  async recordMessageUpdate(message) {
+    if (!message.author?.bot) return;
+    try {
+      const position = await redis.hGet(this._positionsKey(message.channel.id), message.id);
+      if (!position) {
+        await this._append(message.channel.id, this._messageEntry(message));
+        return;
+      }
+      const { index, at } = JSON.parse(position);
+      await redis.lSet(this._liveKey(message.channel.id), index, JSON.stringify({ at, ...this._messageEntry(message) }));
+    } catch (error) {
+      console.error(`❌ Error updating transcript message for ${message.channel?.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a button selection in a ticket
+   * @param {Object} interaction - Discord button interaction
+   */
+  async recordButton(interaction) {
+    await this._append(interaction.channel.id, {
+      type: 'button',
+      author: this._author(interaction.user, this._role(interaction, interaction.user)),
+      label: interaction.component?.label || interaction.customId
+    });
+  }
+
+  /**
+   * Record ticket state transitions (only the fields that changed)
+   * @param {string} ticketId - Ticket channel ID
+   * @param {Object|null} previous - State before the update
+   * @param {Object} next - State after the update
+   */
+  async recordStateChange(ticketId, previous, next) {
+    const changes = ['category', 'product', 'humanHelp', 'questionsAnswered', 'resolution']
+      .filter(field => (previous?.[field] ?? null) !== (next?.[field] ?? null))
+      .map(field => ({ field, from: previous?.[field] ?? null, to: next?.[field] ?? null }));
+    if (changes.length > 0) {
+      await this._append(ticketId, { type: 'state', changes });
+    }
+  }
+
+  /**
+   * Render and store the transcript of a closed ticket, then drop the live entries
+   * @param {Object} channel - Ticket channel (thread) being deleted
+   * @param {Object} ticketState - Final ticket state
+   * @returns {Promise<{meta: Object, markdown: string, html: string}|null>} Null when nothing was captured
+   */
+  async archive(channel, ticketState = null) {
+    const liveKey = this._liveKey(channel.id);
+    try {
+      const entries = (await redis.lRange(liveKey, 0, -1)).map(value => JSON.parse(value));
+      if (entries.length === 0) return null;
+
+      const users = new Map();
+      for (const entry of entries) {
+        if (entry.author?.role === 'user') users.set(entry.author.id, entry.author.tag);
+      }
+      const meta = {
+        ticketId: channel.id,
+        name: channel.name,
+        guildId: channel.guild?.id || null,
+        users: Array.from(users, ([id, tag]) => ({ id, tag })),
+        category: ticketState?.category || null,
+        product: ticketState?.product || null,
+        openedAt: entries[0].at,
+        closedAt: new Date().toISOString(),
+        messageCount: entries.filter(entry => entry.type === 'message').length
+      };
+      const transcript = { meta, markdown: this.renderMarkdown(meta, entries), html: this.renderHtml(meta, entries) };
+
+      const archiveKey = this._archiveKey(channel.id);
+      const multi = redis
+        .multi()
+        .hSet(archiveKey, { meta: JSON.stringify(meta), markdown: transcript.markdown, html: transcript.html })
+        .expire(archiveKey, this.TTL_SECONDS)
+        .del([liveKey, this._positionsKey(channel.id)]);
+      for (const user of meta.users) {
+        multi.sAdd(this._userKey(user.id), channel.id).expire(this._userKey(user.id), this.TTL_SECONDS);
+      }
+      await multi.exec();
+
+      console.log(`🗂️ Archived transcript of ticket ${channel.name} (${channel.id}): ${meta.messageCount} messages`);
+      return transcript;
+    } catch (error) {
+      console.error(`❌ Error archiving transcript for ${channel.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Archived transcript of a ticket
+   * @param {string} ticketId - Ticket channel ID
+   * @returns {Promise<{meta: Object, markdown: string, html: string}|null>}
+   */
+  async getTranscript(ticketId) {
+    try {
+      const stored = await redis.hGetAll(this._archiveKey(ticketId));
+      if (!stored?.meta) return null;
+      return { meta: JSON.parse(stored.meta), markdown: stored.markdown, html: stored.html };
+    } catch (error) {
+      console.error(`❌ Error reading transcript for ${ticketId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Metadata of the archived transcripts a user took part in, newest first
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listUserTranscripts(userId) {
+    try {
+      const ticketIds = await redis.sMembers(this._userKey(userId));
+      const transcripts = await Promise.all(ticketIds.map(ticketId => this.getTranscript(ticketId)));
+      return transcripts
+        .filter(Boolean)
+        .map(transcript => transcript.meta)
+        .sort((a, b) => b.closedAt.localeCompare(a.closedAt));
+    } catch (error) {
+      console.error(`❌ Error listing transcripts for user ${userId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Discord attachments (Markdown + HTML) for a transcript
+   * @param {Object} transcript - Result of archive() or getTranscript()
+   */
+  toFiles(transcript) {
+    const base = `transcript-${transcript.meta.ticketId}`;
+    return [
+      { attachment: Buffer.from(transcript.markdown, 'utf8'), name: `${base}.md` },
+      { attachment: Buffer.from(transcript.html, 'utf8'), name: `${base}.html` }
+    ];
+  }
+
+  _describeChanges(changes) {
+    return changes.map(change => `${change.field}: ${change.from ?? 'none'} → ${change.to ?? 'none'}`).join(', ');
+  }
+
+  renderMarkdown(meta, entries) {
+    const lines = [
+      `# Ticket transcript: ${meta.name}`,
+      '',
+      `- Ticket ID: ${meta.ticketId}`,
+      `- Users: ${meta.users.map(user => `${user.tag} (${user.id})`).join(', ') || 'unknown'}`,
+      `- Category: ${meta.category || 'none'} | Product: ${meta.product || 'none'}`,
+      `- Opened: ${meta.openedAt} | Closed: ${meta.closedAt}`,
+      ''
+    ];
+    for (const entry of entries) {
+      if (entry.type === 'message') {
+        lines.push(`**[${entry.at}] ${entry.author.tag} (${entry.author.role}):**`);
+        if (entry.content) lines.push(entry.content);
+        for (const file of entry.attachments || []) lines.push(`- 📎 [${file.name}](${file.url})`);
+      } else if (entry.type === 'button') {
+        lines.push(`> [${entry.at}] 🔘 ${entry.author.tag} selected **${entry.label}**`);
+      } else if (entry.type === 'state') {
+        lines.push(`> [${entry.at}] ⚙️ ${this._describeChanges(entry.changes)}`);
+      }
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  renderHtml(meta, entries) {
+    const escape = (text) => String(text ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const rows = entries.map(entry => {
+      if (entry.type === 'message') {
+        const files = (entry.attachments || [])
+          .map(file => `<div class="file">📎 <a href="${escape(file.url)}">${escape(file.name)}</a></div>`)
+          .join('');
+        return `<div class="msg ${entry.author.role}"><div class="head"><b>${escape(entry.author.tag)}</b> <span>${entry.author.role} · ${escape(entry.at)}</span></div>` +
+          `<div class="body">${escape(entry.content)}</div>${files}</div>`;
+      }
+      if (entry.type === 'button') {
+        return `<div class="event">🔘 ${escape(entry.author.tag)} selected <b>${escape(entry.label)}</b> · ${escape(entry.at)}</div>`;
+      }
+      return `<div class="event">⚙️ ${escape(this._describeChanges(entry.changes))} · ${escape(entry.at)}</div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Ticket transcript: ${escape(meta.name)}</title>
+<style>
+body{font-family:sans-serif;max-width:860px;margin:2em auto;color:#222}
+.msg{border-left:4px solid #5865F2;padding:.4em .8em;margin:.6em 0;background:#f6f6f9}
+.msg.staff{border-color:#2ECC71}.msg.bot{border-color:#999}
+.head span,.event{color:#777;font-size:.85em}.body{white-space:pre-wrap}
+</style></head><body>
+<h1>Ticket transcript: ${escape(meta.name)}</h1>
+<p>Ticket ID: ${escape(meta.ticketId)}<br>Users: ${escape(meta.users.map(user => `${user.tag} (${user.id})`).join(', ') || 'unknown')}<br>
+Category: ${escape(meta.category || 'none')} | Product: ${escape(meta.product || 'none')}<br>
+Opened: ${escape(meta.openedAt)} | Closed: ${escape(meta.closedAt)}</p>
+${rows.join('\n')}
+</body></html>
+`;
+  }
+}
+
+const ticketTranscriptService = new TicketTranscriptService();
+export default ticketTranscriptService;
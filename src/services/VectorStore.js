@@ -0,0 +1,86 @@
+import redis from './redisClient.js';
+import embeddingService from './EmbeddingService.js';
+
+/**
+ * VectorStore - Redis-backed store for chunk embeddings
+ *
+ * One Redis hash per collection and embedding space:
+ *   vindex:<provider>:<model>:<collection>  field = chunk id, value = "<text hash>:<float32 base64>"
+ *
+ * Vectors are written at ingest time (DocumentIndexService) and read back after a
+ * restart, so a chunk is only re-embedded when its text hash changes.
+ */
+class VectorStore {
+  constructor() {
+    this.prefix = 'vindex:';
+  }
+
+  _key(collection) {
+    return `${this.prefix}${embeddingService.getNamespace()}:${collection}`;
+  }
+
+  static encode(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+  }
+
+  static decode(encoded) {
+    // Copy into a fresh (4-byte aligned) buffer before viewing it as floats
+    const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+    return Array.from(new Float32Array(bytes.buffer));
+  }
+
+  /**
+   * Load all stored vectors of a collection
+   * @param {string} collection - Collection name ("<source>:<product>")
+   * @returns {Promise<Map<string, {hash: string, vector: number[]}>>} Vectors by chunk id
+   */
+  async load(collection) {
+    const stored = new Map();
+    try {
+      const entries = await redis.hGetAll(this._key(collection));
+      for (const [id, value] of Object.entries(entries || {})) {
+        const separator = value.indexOf(':');
+        if (separator <= 0) continue;
+        stored.set(id, { hash: value.slice(0, separator), vector: VectorStore.decode(value.slice(separator + 1)) });
+      }
+    } catch (error) {
+      console.error(`❌ Error loading vectors for ${collection}:`, error.message);
+    }
+    return stored;
+  }
+
+  /**
+   * Store vectors for chunks of a collection
+   * @param {string} collection - Collection name
+   * @param {Array<{id: string, hash: string, vector: number[]}>} entries - Vectors to write
+   */
+  async save(collection, entries) {
+    if (entries.length === 0) return;
+    try {
+      const fields = {};
+      for (const { id, hash, vector } of entries) {
+        fields[id] = `${hash}:${VectorStore.encode(vector)}`;
+      }
+      await redis.hSet(this._key(collection), fields);
+    } catch (error) {
+      console.error(`❌ Error saving vectors for ${collection}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete stored vectors of chunks that no longer exist
+   * @param {string} collection - Collection name
+   * @param {string[]} ids - Chunk ids to delete
+   */
+  async remove(collection, ids) {
+    if (ids.length === 0) return;
+    try {
+      await redis.hDel(this._key(collection), ids);
+    } catch (error) {
+      console.error(`❌ Error removing vectors for ${collection}:`, error.message);
+    }
+  }
+}
+
+const vectorStore = new VectorStore();
+export default vectorStore;
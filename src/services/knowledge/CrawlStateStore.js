@@ -0,0 +1,53 @@
+import redis from '../redisClient.js';
+
+/**
+ * CrawlStateStore - per-URL crawl state in Redis, so refreshes can be incremental
+ *
+ * One Redis hash per source:
+ *   kb:crawl:<source>  field = page URL, value = JSON { etag, lastModified, hash, article | links }
+ *
+ * Sources send the validators back as If-None-Match / If-Modified-Since and re-use the
+ * stored article (or collection links) when the server answers 304 or the page hash
+ * is unchanged. The state survives restarts, so the first load after a restart is
+ * conditional too.
+ */
+class CrawlStateStore {
+  constructor() {
+    this.prefix = 'kb:crawl:';
+  }
+
+  _key(source) {
+    return `${this.prefix}${source}`;
+  }
+
+  /**
+   * @param {string} source - Source name
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Stored state, null when unknown or unreadable
+   */
+  async get(source, url) {
+    try {
+      const value = await redis.hGet(this._key(source), url);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error(`❌ Error reading crawl state for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} source - Source name
+   * @param {string} url - Page URL
+   * @param {Object} state - { etag, lastModified, hash, article | links }
+   */
+  async set(source, url, state) {
+    try {
+      await redis.hSet(this._key(source), { [url]: JSON.stringify(state) });
+    } catch (error) {
+      console.error(`❌ Error saving crawl state for ${url}:`, error.message);
+    }
+  }
+}
+
+const crawlStateStore = new CrawlStateStore();
+export default crawlStateStore;
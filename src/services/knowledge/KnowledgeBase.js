@@ -0,0 +1,275 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import documentIndexService from '../DocumentIndexService.js';
+import retrievalService from '../RetrievalService.js';
+import ContentUtil from '../../utils/ContentUtil.js';
+
+/**
+ * KnowledgeBase - the one article store the ticket, public and activation bots read from
+ *
+ * Content comes from pluggable sources (see ./sources). A source has a name and
+ * groups its documents in collections (help-center collections, Google Docs, local
+ * markdown folders); the collection key doubles as the product filter at retrieval:
+ *   {
+ *     name: string,
+ *     listCollections(): Promise<Array<string|null>>,
+ *     fetchCollection(key, { force }): Promise<Array<{ url, title, content, sections?, updatedAt?, hash? }>>
+ *   }
+ * fetchCollection throws when the collection cannot be read; the previous articles are
+ * then kept. Every stored collection is handed to DocumentIndexService, so chunks and
+ * vectors follow the store, and one scheduler refreshes whatever has been loaded.
+ * Sources may crawl incrementally (see CrawlStateStore); force asks for a full re-fetch.
+ *
+ * Each article carries a content hash, so a refresh can tell what changed. Emits
+ * 'refresh' ({ collections: ["<source>:<collection>", ...], report }) after a refresh,
+ * where report is { added, changed, removed } lists of { source, collection, url, title }.
+ */
+class KnowledgeBase extends EventEmitter {
+  constructor() {
+    super();
+    this.sources = new Map();
+    // "source:collection" -> { source, collection, articles, refreshedAt }
+    this.collections = new Map();
+    // In-flight fetches, so concurrent callers share one crawl per collection
+    this.pending = new Map();
+
+    this.REFRESH_INTERVAL = parseInt(process.env.KNOWLEDGE_REFRESH_INTERVAL_MS || String(24 * 60 * 60 * 1000), 10);
+    this._refreshTimer = null;
+  }
+
+  /**
+   * Register a content source
+   * @param {Object} source - Source implementing name, listCollections and fetchCollection
+   */
+  registerSource(source) {
+    this.sources.set(source.name, source);
+    return this;
+  }
+
+  _key(source, collection) {
+    return `${source}:${collection || '-'}`;
+  }
+
+  // [source, collection] pairs for the given sources, limited to the collections asked for
+  async _targets(sourceNames, collections = null) {
+    const targets = [];
+    for (const name of [].concat(sourceNames)) {
+      const source = this.sources.get(name);
+      if (!source) {
+        console.warn(`⚠️ Unknown knowledge source: ${name}`);
+        continue;
+      }
+      try {
+        for (const collection of await source.listCollections()) {
+          if (Array.isArray(collections) && !collections.includes(collection)) continue;
+          targets.push([name, collection]);
+        }
+      } catch (error) {
+        console.error(`❌ Error listing ${name} collections:`, error.message);
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Fetch one collection, replace it in the store and re-index its chunks
+   * @returns {Promise<Object|null>} Change report against the previous articles, null on failure
+   */
+  _loadCollection(sourceName, collection, options = {}) {
+    const key = this._key(sourceName, collection);
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const task = (async () => {
+      try {
+        const fetched = await this.sources.get(sourceName).fetchCollection(collection, { force: !!options.force });
+        const seen = new Set();
+        const articles = [];
+        for (const article of fetched || []) {
+          if (!article?.url || !article.content || seen.has(article.url)) continue;
+          seen.add(article.url);
+          articles.push(this._toArticle(sourceName, collection, article));
+        }
+
+        const report = this._diff(this.collections.get(key)?.articles || [], articles);
+        this.collections.set(key, { source: sourceName, collection, articles, refreshedAt: Date.now() });
+        await documentIndexService.indexCollection(sourceName, collection, articles);
+        console.log(`📚 Knowledge base: ${key} has ${articles.length} article(s) (+${report.added.length} ~${report.changed.length} -${report.removed.length})`);
+        return report;
+      } catch (error) {
+        console.error(`❌ Error loading knowledge collection ${key}, keeping previous articles:`, error.message);
+        return null;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+    this.pending.set(key, task);
+    return task;
+  }
+
+  _toArticle(sourceName, collection, article) {
+    return {
+      source: sourceName,
+      collection: collection || null,
+      url: article.url,
+      title: article.title || null,
+      content: article.content,
+      sections: article.sections || null,
+      updatedAt: article.updatedAt || null,
+      hash: article.hash || crypto.createHash('sha256').update(`${article.title || ''}\n${article.content}`).digest('hex').slice(0, 16),
+      tokens: ContentUtil.estimateTokens(article.content)
+    };
+  }
+
+  // Added, changed (hash differs) and removed articles between two versions of a collection
+  _diff(previous, current) {
+    const summary = article => ({ source: article.source, collection: article.collection, url: article.url, title: article.title });
+    const before = new Map(previous.map(article => [article.url, article]));
+    const after = new Set(current.map(article => article.url));
+    return {
+      added: current.filter(article => !before.has(article.url)).map(summary),
+      changed: current.filter(article => before.has(article.url) && before.get(article.url).hash !== article.hash).map(summary),
+      removed: previous.filter(article => !after.has(article.url)).map(summary)
+    };
+  }
+
+  /**
+   * Load collections that are not in the store yet
+   * @param {string|string[]} sourceNames - Source name(s)
+   * @param {Array<string|null>|null} collections - Collection keys (all when null)
+   */
+  async ensure(sourceNames, collections = null) {
+    for (const [name, collection] of await this._targets(sourceNames, collections)) {
+      if (!this.collections.has(this._key(name, collection))) {
+        await this._loadCollection(name, collection);
+      }
+    }
+  }
+
+  /**
+   * Re-fetch collections from their sources
+   * @param {string|string[]|null} sourceNames - Source name(s); null refreshes every loaded collection
+   * @param {Array<string|null>|null} collections - Collection keys (all when null)
+   * @param {Object} options - { force } - bypass the sources' incremental crawl state
+   * @returns {Promise<{collectionCount: number, articleCount: number, report: Object}>} Totals and the
+   *   { added, changed, removed } report for the refreshed collections
+   */
+  async refresh(sourceNames = null, collections = null, options = {}) {
+    const targets = sourceNames === null
+      ? Array.from(this.collections.values()).map(entry => [entry.source, entry.collection])
+      : await this._targets(sourceNames, collections);
+
+    console.log(`🔄 Knowledge base refresh: ${targets.length} collection(s)`);
+    const refreshed = [];
+    const report = { added: [], changed: [], removed: [] };
+    for (const [name, collection] of targets) {
+      const changes = await this._loadCollection(name, collection, options);
+      if (!changes) continue;
+      refreshed.push(this._key(name, collection));
+      for (const type of Object.keys(report)) report[type].push(...changes[type]);
+    }
+
+    const articleCount = refreshed.reduce((sum, key) => sum + this.collections.get(key).articles.length, 0);
+    console.log(`✅ Knowledge base refresh: ${refreshed.length}/${targets.length} collection(s), ${articleCount} article(s), ` +
+      `${report.added.length} added, ${report.changed.length} changed, ${report.removed.length} removed`);
+    this.emit('refresh', { collections: refreshed, report });
+    return { collectionCount: refreshed.length, articleCount, report };
+  }
+
+  /**
+   * Add or replace a single article (e.g. a Google Doc fetched on demand) and index it
+   * @param {string} sourceName - Source name
+   * @param {string|null} collection - Collection key
+   * @param {Object} article - { url, title, content, sections?, updatedAt? }
+   */
+  async upsertArticle(sourceName, collection, article) {
+    if (!article?.url || !article.content) return;
+    const key = this._key(sourceName, collection);
+    const entry = this.collections.get(key) || { source: sourceName, collection: collection || null, articles: [], refreshedAt: null };
+    const stored = this._toArticle(sourceName, collection, article);
+    entry.articles = [...entry.articles.filter(existing => existing.url !== stored.url), stored];
+    this.collections.set(key, entry);
+    await documentIndexService.indexDocument({ ...stored, product: stored.collection });
+  }
+
+  /**
+   * Stored articles (no fetching)
+   * @param {string|string[]} sourceNames - Source name(s)
+   * @param {Array<string|null>|null} collections - Collection keys (all when null)
+   * @returns {Array<Object>} Articles with source, collection, url, title, content, sections, updatedAt, tokens
+   */
+  getArticles(sourceNames, collections = null) {
+    const names = [].concat(sourceNames);
+    const articles = [];
+    for (const entry of this.collections.values()) {
+      if (!names.includes(entry.source)) continue;
+      if (Array.isArray(collections) && !collections.includes(entry.collection)) continue;
+      articles.push(...entry.articles);
+    }
+    return articles;
+  }
+
+  /**
+   * Stored articles joined into one prompt string
+   * @param {string|string[]} sourceNames - Source name(s)
+   * @param {Array<string|null>|null} collections - Collection keys (all when null)
+   * @param {number} maxTokens - Token budget for the joined content
+   */
+  getContent(sourceNames, collections = null, maxTokens = 40000) {
+    const combined = this.getArticles(sourceNames, collections).map(article => article.content).join("\n\n---\n\n");
+    return ContentUtil.truncateContent(combined, maxTokens);
+  }
+
+  /**
+   * Hybrid search over the stored collections (see RetrievalService.retrieve);
+   * load the collections with ensure() first
+   * @param {string} query - User question
+   * @param {Object} options - { sources, collections, urls, topK, minScore }
+   */
+  async retrieve(query, options = {}) {
+    return retrievalService.retrieve(query, {
+      sources: options.sources ? [].concat(options.sources) : undefined,
+      products: options.collections,
+      urls: options.urls,
+      topK: options.topK,
+      minScore: options.minScore
+    });
+  }
+
+  /**
+   * Refresh every loaded collection on a fixed interval (one timer per process)
+   * @param {number} intervalMs - Interval (default KNOWLEDGE_REFRESH_INTERVAL_MS, 24h)
+   */
+  startScheduler(intervalMs = this.REFRESH_INTERVAL) {
+    if (this._refreshTimer) return;
+    this._refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ Scheduled knowledge base refresh failed:', error.message));
+    }, intervalMs);
+    console.log(`⏰ Knowledge base refresh scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+  }
+
+  stopScheduler() {
+    if (!this._refreshTimer) return;
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
+    console.log('⏰ Knowledge base refresh scheduler stopped');
+  }
+
+  getStatus() {
+    const collections = Array.from(this.collections.values()).map(entry => ({
+      source: entry.source,
+      collection: entry.collection,
+      articles: entry.articles.length,
+      refreshedAt: entry.refreshedAt ? new Date(entry.refreshedAt).toISOString() : null
+    }));
+    return {
+      sources: Array.from(this.sources.keys()),
+      collections,
+      totalArticles: collections.reduce((sum, entry) => sum + entry.articles, 0),
+      refreshIntervalMs: this.REFRESH_INTERVAL,
+      schedulerRunning: !!this._refreshTimer
+    };
+  }
+}
+
+const knowledgeBase = new KnowledgeBase();
+export default knowledgeBase;
@@ -0,0 +1,15 @@
+import knowledgeBase from './KnowledgeBase.js';
+import IntercomSource from './sources/IntercomSource.js';
+import GoogleDocsSource from './sources/GoogleDocsSource.js';
+import MarkdownSource from './sources/MarkdownSource.js';
+import { INTERCOM_COLLECTIONS } from '../../config/knowledgeSources.js';
+
+knowledgeBase
+  .registerSource(new IntercomSource(INTERCOM_COLLECTIONS))
+  .registerSource(new GoogleDocsSource())
+  .registerSource(new MarkdownSource());
+
+// Sources whose collections are keyed by product (help-center collections, markdown folders)
+export const PRODUCT_SOURCES = ['help_center', 'markdown'];
+
+export default knowledgeBase;
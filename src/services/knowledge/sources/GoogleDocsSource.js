@@ -0,0 +1,33 @@
+import googleDocsContentService from '../../GoogleDocsContentService.js';
+
+/**
+ * GoogleDocsSource - the Google Docs linked to public and ticket channels
+ *
+ * All docs form one collection (key null). The first load after a restart may use the
+ * Redis content cache; later refreshes re-export every configured doc.
+ */
+class GoogleDocsSource {
+  constructor() {
+    this.name = 'google_docs';
+    this.loaded = false;
+  }
+
+  async listCollections() {
+    return [null];
+  }
+
+  async fetchCollection() {
+    const urls = await googleDocsContentService.getConfiguredDocUrls();
+    const useCache = !this.loaded;
+    const articles = [];
+    for (const url of urls) {
+      const doc = await googleDocsContentService.fetchGoogleDocContent(url, useCache);
+      if (doc) articles.push(googleDocsContentService.toArticle(doc));
+    }
+    this.loaded = true;
+    console.log(`📄 Google Docs source: ${articles.length}/${urls.length} docs fetched`);
+    return articles;
+  }
+}
+
+export default GoogleDocsSource;
@@ -0,0 +1,200 @@
+import axios from "axios";
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import ChunkingService from '../../ChunkingService.js';
+import crawlStateStore from '../CrawlStateStore.js';
+import ContentUtil from '../../../utils/ContentUtil.js';
+
+const USER_AGENT = "Mozilla/5.0 (compatible; UFB-Bot/1.0)";
+
+/**
+ * IntercomSource - help-center collections on intercom.help
+ *
+ * A collection page lists its article links; each article is fetched with its text,
+ * heading sections (for the chunk index), links/media and last-modified date. A
+ * collection url that points at an article yields that article plus the articles it
+ * links to.
+ *
+ * Refreshes are incremental: each page is requested with the ETag / Last-Modified
+ * validators from its last crawl (CrawlStateStore). A 304, or a page whose article
+ * HTML hashes the same as before, re-uses the stored article without re-parsing it.
+ * A forced fetch skips both shortcuts.
+ */
+class IntercomSource {
+  /**
+   * @param {Object} collections - Collection key -> { url, ... } (see config/knowledgeSources.js)
+   * @param {Object} options - { name, articleLimit, concurrency }
+   */
+  constructor(collections, options = {}) {
+    this.name = options.name || 'help_center';
+    this.collections = collections;
+    this.articleLimit = options.articleLimit ?? parseInt(process.env.PUBLIC_CATEGORY_ARTICLE_LIMIT || '100', 10);
+    this.concurrency = options.concurrency ?? parseInt(process.env.PUBLIC_FETCH_CONCURRENCY || '4', 10);
+  }
+
+  async listCollections() {
+    return Object.keys(this.collections);
+  }
+
+  /**
+   * GET a page, conditionally when validators from the previous crawl are given
+   * @returns {Promise<{notModified: boolean, html: string|null, etag: string|null, lastModified: string|null}>}
+   */
+  async _request(url, state = null) {
+    const headers = { "User-Agent": USER_AGENT };
+    if (state?.etag) headers["If-None-Match"] = state.etag;
+    if (state?.lastModified) headers["If-Modified-Since"] = state.lastModified;
+
+    const response = await axios.get(url, {
+      timeout: 10000,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    return {
+      notModified: response.status === 304,
+      html: response.status === 304 ? null : response.data,
+      etag: response.headers?.etag || state?.etag || null,
+      lastModified: response.headers?.["last-modified"] || state?.lastModified || null
+    };
+  }
+
+  /**
+   * Fetch every article of a collection
+   * @param {string} key - Collection key
+   * @param {Object} options - { force } - force re-downloads and re-parses every page
+   * @returns {Promise<Array<Object>>} Articles { url, title, content, sections, updatedAt }
+   */
+  async fetchCollection(key, options = {}) {
+    const config = this.collections[key];
+    if (!config) throw new Error(`Unknown Intercom collection: ${key}`);
+
+    // Errors on the collection page propagate, so the store keeps the previous articles
+    const urls = await this._collectionLinks(config.url, !!options.force);
+
+    const limited = urls.slice(0, Math.max(1, this.articleLimit));
+    const articles = [];
+    const stats = { parsed: 0, unchanged: 0 };
+    const batchSize = Math.max(1, this.concurrency);
+    for (let i = 0; i < limited.length; i += batchSize) {
+      const batch = limited.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(url => this._fetchArticle(url, !!options.force, stats)));
+      articles.push(...results.filter(Boolean));
+    }
+
+    console.log(`[IntercomSource] Collection ${key}: ${articles.length}/${urls.length} articles (${stats.parsed} parsed, ${stats.unchanged} unchanged)`);
+    return articles;
+  }
+
+  // Article links of a collection page (re-used from the last crawl on 304)
+  async _collectionLinks(collectionUrl, force) {
+    const state = force ? null : await crawlStateStore.get(this.name, collectionUrl);
+    const response = await this._request(collectionUrl, state?.links ? state : null);
+    if (response.notModified && state?.links) return state.links;
+
+    const $ = cheerio.load(response.html);
+    const urls = new Set();
+    if (collectionUrl.includes('/articles/')) urls.add(ContentUtil.normalizeUrl(collectionUrl));
+    $('a[href*="/articles/"]').each((index, element) => {
+      const href = $(element).attr("href");
+      if (!href) return;
+      const url = ContentUtil.normalizeUrl(href, collectionUrl);
+      if (ContentUtil.isHelpCenterUrl(url)) urls.add(url);
+    });
+
+    const links = Array.from(urls);
+    await crawlStateStore.set(this.name, collectionUrl, { etag: response.etag, lastModified: response.lastModified, links });
+    return links;
+  }
+
+  async _fetchArticle(url, force, stats) {
+    try {
+      const state = force ? null : await crawlStateStore.get(this.name, url);
+      const response = await this._request(url, state?.article ? state : null);
+      if (response.notModified && state?.article) {
+        stats.unchanged++;
+        return state.article;
+      }
+
+      const $ = cheerio.load(response.html);
+      const title = $('h1').first().text().trim() ||
+                    $('title').text().trim() ||
+                    'Untitled Article';
+
+      const articleElement = $("article");
+      const mainElement = $("main");
+      const contentElement = articleElement.length > 0 ? articleElement :
+                             mainElement.length > 0 ? mainElement :
+                             $("body");
+
+      // Same article markup as last time: keep the parsed article
+      const hash = crypto.createHash('sha256').update(`${title}\n${contentElement.html() || ''}`).digest('hex').slice(0, 16);
+      if (state?.article && state.hash === hash) {
+        await crawlStateStore.set(this.name, url, { ...state, etag: response.etag, lastModified: response.lastModified });
+        stats.unchanged++;
+        return state.article;
+      }
+      stats.parsed++;
+
+      const mediaContent = this._extractMediaContent($, contentElement, url);
+      const cleanText = ContentUtil.cleanUrlsForDiscord(contentElement.text().replace(/\s+/g, " ").trim());
+      const content = cleanText + (mediaContent ? "\n\n" + mediaContent : "");
+
+      if (content.length < 50) {
+        return null; // Skip very short articles
+      }
+
+      // Heading-aware sections for the chunk index; links/media get their own section
+      const sections = ChunkingService.sectionsFromHtml($, contentElement)
+        .map(section => ({ ...section, text: ContentUtil.cleanUrlsForDiscord(section.text) }));
+      if (mediaContent) {
+        sections.push({ headingPath: [title, 'Links and media'], text: mediaContent });
+      }
+
+      const article = { url, title, content, sections, updatedAt: this._extractUpdatedAt($) };
+      await crawlStateStore.set(this.name, url, { etag: response.etag, lastModified: response.lastModified, hash, article });
+      return article;
+    } catch (error) {
+      console.error(`[IntercomSource] Error fetching article ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  // Last-modified date published in the article page, if any
+  _extractUpdatedAt($) {
+    const value = $('meta[property="article:modified_time"]').attr('content') ||
+                  $('time[datetime]').first().attr('datetime');
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  // Links, images and videos of an article as "label: url" lines
+  _extractMediaContent($, element, baseUrl) {
+    const mediaItems = [];
+    const resolve = (src) => {
+      try {
+        return new URL(src, baseUrl).href;
+      } catch {
+        return null;
+      }
+    };
+
+    element.find('a[href]').each((index, link) => {
+      const href = resolve($(link).attr('href'));
+      const text = $(link).text().trim();
+      if (href && text) mediaItems.push(`${text}: <${href}>`);
+    });
+    element.find('img[src]').each((index, img) => {
+      const src = resolve($(img).attr('src'));
+      const alt = $(img).attr('alt') || 'Image';
+      if (src) mediaItems.push(`Image: ${alt} (<${src}>)`);
+    });
+    element.find('iframe[src], video source[src], video[src]').each((index, video) => {
+      const src = resolve($(video).attr('src'));
+      const title = $(video).attr('title') || $(video).attr('alt') || 'Video';
+      if (src) mediaItems.push(`Video: ${title} (<${src}>)`);
+    });
+    return mediaItems.join("\n");
+  }
+}
+
+export default IntercomSource;
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ChunkingService from '../../ChunkingService.js';
+import ContentUtil from '../../../utils/ContentUtil.js';
+
+/**
+ * MarkdownSource - local markdown files under KNOWLEDGE_MARKDOWN_DIR
+ *
+ * Each sub-directory is a collection named after the product it documents (e.g.
+ * earthrover/), so its files are searched together with that product's help-center
+ * collection; files directly in the root form the null collection. Optional front
+ * matter sets `title`, `url` and `updated`. Without a url the file is cited as
+ * KNOWLEDGE_MARKDOWN_BASE_URL + relative path, or "markdown:<relative path>".
+ */
+class MarkdownSource {
+  constructor(options = {}) {
+    this.name = 'markdown';
+    this.rootDir = options.rootDir ?? process.env.KNOWLEDGE_MARKDOWN_DIR ?? null;
+    this.baseUrl = options.baseUrl ?? process.env.KNOWLEDGE_MARKDOWN_BASE_URL ?? null;
+  }
+
+  _isMarkdown(name) {
+    return /\.(md|markdown)$/i.test(name);
+  }
+
+  async listCollections() {
+    if (!this.rootDir) return [];
+    try {
+      const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+      const collections = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+      if (entries.some(entry => entry.isFile() && this._isMarkdown(entry.name))) collections.push(null);
+      return collections;
+    } catch (error) {
+      console.error(`❌ Markdown source: cannot read ${this.rootDir}:`, error.message);
+      return [];
+    }
+  }
+
+  // Markdown files of a directory (recursive for collection directories)
+  async _listFiles(dir, recursive) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && recursive) {
+        files.push(...await this._listFiles(fullPath, true));
+      } else if (entry.isFile() && this._isMarkdown(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+    return files.sort();
+  }
+
+  // Split "---\nkey: value\n---" front matter from the body
+  _parseFrontMatter(raw) {
+    const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: raw };
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+      if (field) meta[field[1].toLowerCase()] = field[2].trim().replace(/^["']|["']$/g, '');
+    }
+    return { meta, body: raw.slice(match[0].length) };
+  }
+
+  _url(relativePath, meta) {
+    if (meta.url) return meta.url;
+    const webPath = relativePath.split(path.sep).join('/');
+    if (this.baseUrl) return new URL(webPath, this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`).href;
+    return `markdown:${webPath}`;
+  }
+
+  async fetchCollection(collection) {
+    if (!this.rootDir) return [];
+    const dir = collection ? path.join(this.rootDir, collection) : this.rootDir;
+    const articles = [];
+    for (const file of await this._listFiles(dir, !!collection)) {
+      try {
+        const [raw, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+        const { meta, body } = this._parseFrontMatter(raw);
+        const heading = body.match(/^#\s+(.+)$/m);
+        const updated = meta.updated ? new Date(meta.updated) : stat.mtime;
+        const sections = ChunkingService.sectionsFromMarkdown(body)
+          .map(section => ({ ...section, text: ContentUtil.cleanUrlsForDiscord(section.text) }));
+
+        articles.push({
+          url: this._url(path.relative(this.rootDir, file), meta),
+          title: meta.title || (heading ? heading[1].trim() : path.basename(file).replace(/\.\w+$/, '')),
+          content: ContentUtil.cleanUrlsForDiscord(body.trim()),
+          sections,
+          updatedAt: isNaN(updated.getTime()) ? stat.mtime.toISOString() : updated.toISOString()
+        });
+      } catch (error) {
+        console.error(`❌ Markdown source: error reading ${file}:`, error.message);
+      }
+    }
+    return articles;
+  }
+}
+
+export default MarkdownSource;
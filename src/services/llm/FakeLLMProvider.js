@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import LLMProvider from './LLMProvider.js';
+import botRules from '../../config/botRules.js';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'what', 'when',
+  'where', 'which', 'will', 'your', 'you', 'how', 'can', 'are', 'was', 'about',
+  'does', 'into', 'there', 'their', 'them', 'then', 'than', 'just', 'some'
+]);
+
+const NO_INFO_REPLY = "I don't have specific information about that. You can ask to talk to team for more detailed help.";
+
+/**
+ * FakeLLMProvider - deterministic offline backend for dev and CI
+ *
+ * - chat: answers with the context sentences that best overlap the last user message
+ * - classify: keyword rules (escalation phrases, label names in the message)
+ * - chatWithTools: order number + email -> lookup_order, escalation phrases -> escalate_to_human,
+ *   order questions in public -> open_ticket; tool results are summarized on the next round
+ * - embed: hashed bag-of-words vector, so cosine similarity still tracks word overlap
+ * Same input always produces the same output; no network access, no API key.
+ */
+class FakeLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('fake', {
+      chatModel: options.chatModel || 'fake-chat',
+      embeddingModel: options.embeddingModel || 'fake-embedding'
+    });
+    this.dimensions = parseInt(process.env.FAKE_EMBEDDING_DIMENSIONS || '256', 10);
+  }
+
+  _tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  }
+
+  _lastUserMessage(messages) {
+    const users = (messages || []).filter(m => m.role === 'user');
+    return users.length ? String(users[users.length - 1].content || '') : '';
+  }
+
+  async chat(messages, options = {}) {
+    const query = this._lastUserMessage(messages);
+    const queryWords = new Set(this._tokenize(query));
+    const context = (messages || [])
+      .filter(m => m.role === 'system')
+      .map(m => String(m.content || ''))
+      .join('\n');
+
+    const sentences = context
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(s => s.trim())
+      .filter(s => s.length > 20 && !s.startsWith('-') && s.toUpperCase() !== s);
+
+    const scored = sentences
+      .map((sentence, index) => {
+        const words = this._tokenize(sentence);
+        const score = words.filter(w => queryWords.has(w)).length;
+        return { sentence, index, score };
+      })
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, 2)
+      .sort((a, b) => a.index - b.index);
+
+    if (scored.length === 0) return NO_INFO_REPLY;
+    return scored.map(s => s.sentence).join(' ');
+  }
+
+  async *chatStream(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    const words = reply.split(/(?<=\s)/);
+    for (const word of words) yield word;
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const last = messages[messages.length - 1];
+    if (last?.role === 'tool') {
+      return { content: await this._summarizeToolResults(messages), toolCalls: [] };
+    }
+
+    const names = new Set((tools || []).map(tool => tool.name));
+    if (options.toolChoice === 'none' || names.size === 0) {
+      return { content: await this.chat(messages, options), toolCalls: [] };
+    }
+
+    const text = this._lastUserMessage(messages);
+    const orderNumber = text.match(/#?\d{4,}/)?.[0];
+    const email = text.match(/[^\s@]+@[^\s@]+\.[^\s@]+/)?.[0];
+    const call = (name, args) => ({
+      content: '',
+      toolCalls: [{ id: `fake_${name}`, name, arguments: JSON.stringify(args) }]
+    });
+
+    if (names.has('lookup_order') && orderNumber && email) {
+      return call('lookup_order', { order_number: orderNumber, email });
+    }
+    if (names.has('escalate_to_human') && await this.classify(messages, ['ESCALATE', 'CONTINUE'], 'CONTINUE') === 'ESCALATE') {
+      return call('escalate_to_human', { reason: 'User asked to talk to the support team' });
+    }
+    if (names.has('open_ticket') && (orderNumber || /\border\b/i.test(text))) {
+      return call('open_ticket', { reason: 'check your order' });
+    }
+    return { content: await this.chat(messages, options), toolCalls: [] };
+  }
+
+  async chatWithToolsStream(messages, tools, options, onDelta) {
+    const result = await this.chatWithTools(messages, tools, options);
+    for (const word of result.content.split(/(?<=\s)/)) {
+      if (word) onDelta(word);
+    }
+    return result;
+  }
+
+  // Summarize the tool results of the latest round
+  async _summarizeToolResults(messages) {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      try {
+        results.unshift(JSON.parse(messages[i].content));
+      } catch {
+        results.unshift({ ok: false, error: 'unreadable tool result' });
+      }
+    }
+
+    const lines = [];
+    for (const result of results) {
+      if (!result.ok) {
+        lines.push(`Sorry, I couldn't complete that: ${result.error}`);
+        continue;
+      }
+      const { order, content, summary } = result.data || {};
+      if (order) {
+        lines.push(`Order ${order.orderNumber}: ${order.status}.${order.tracking ? ` Track it here: ${order.tracking}` : ''}`);
+      } else if (content) {
+        lines.push(await this.chat([
+          { role: 'system', content },
+          { role: 'user', content: this._lastUserMessage(messages) }
+        ]));
+      } else {
+        lines.push(summary || 'Done.');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  async classify(messages, labels, fallback) {
+    const text = this._lastUserMessage(messages).toLowerCase();
+
+    if (labels.includes('ESCALATE')) {
+      const phrases = [
+        ...(botRules.TICKET_CHANNELS?.ESCALATION_PHRASES || []),
+        'human', 'real person', 'agent', 'staff', 'support team'
+      ];
+      return phrases.some(p => text.includes(p)) ? 'ESCALATE' : fallback;
+    }
+
+    const match = labels.find(label => new RegExp(`\\b${label.toLowerCase()}\\b`).test(text));
+    return match || fallback;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const word of this._tokenize(text)) {
+      const digest = crypto.createHash('md5').update(word).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      vector[index] += (digest[4] & 1) ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+}
+
+export default FakeLLMProvider;
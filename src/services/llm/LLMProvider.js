@@ -0,0 +1,102 @@
+/**
+ * LLMProvider - base class for chat/classification/embedding backends
+ *
+ * Every backend implements:
+ * - chat(messages, options)  -> reply text
+ * - embed(text)              -> number[]
+ * embedBatch() loops over embed() for backends without batch embedding,
+ * classify() is built on top of chat() unless a backend overrides it,
+ * chatStream() falls back to a single chunk for backends without streaming,
+ * chatWithTools() never calls tools for backends without function calling, and
+ * chatWithToolsStream() reports the text of chatWithTools() in one delta.
+ */
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.chatModel = options.chatModel || null;
+    this.embeddingModel = options.embeddingModel || null;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - { temperature, maxTokens, presencePenalty, frequencyPenalty }
+   * @returns {Promise<string>} Reply text
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * Stream a chat completion as text deltas
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Same options as chat()
+   * @returns {AsyncGenerator<string>} Text deltas in order
+   */
+  async *chatStream(messages, options = {}) {
+    yield await this.chat(messages, options);
+  }
+
+  /**
+   * Generate a chat completion that may call tools
+   * @param {Array<Object>} messages - Chat messages, including assistant tool_calls and role 'tool' results
+   * @param {Array<{name: string, description: string, parameters: Object}>} tools - Tool definitions
+   * @param {Object} options - Same options as chat(), plus toolChoice ('auto' | 'none')
+   * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: string}>}>}
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return { content: await this.chat(messages, options), toolCalls: [] };
+  }
+
+  /**
+   * chatWithTools(), reporting text deltas as they arrive
+   * @param {Array<Object>} messages - Same as chatWithTools()
+   * @param {Array<Object>} tools - Same as chatWithTools()
+   * @param {Object} options - Same as chatWithTools()
+   * @param {Function} onDelta - (delta) => void, called for each text delta in order
+   * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: string}>}>}
+   */
+  async chatWithToolsStream(messages, tools, options, onDelta) {
+    const result = await this.chatWithTools(messages, tools, options);
+    if (result.content) onDelta(result.content);
+    return result;
+  }
+
+  /**
+   * Classify messages into one of the given labels
+   * @param {Array<{role: string, content: string}>} messages - Chat messages (system prompt describes the labels)
+   * @param {string[]} labels - Allowed labels, e.g. ['ESCALATE', 'CONTINUE']
+   * @param {string} fallback - Label returned when the reply matches none of the labels
+   * @returns {Promise<string>} One of labels
+   */
+  async classify(messages, labels, fallback) {
+    const reply = await this.chat(messages, { temperature: 0, maxTokens: 2 });
+    const normalized = (reply || '').trim().toUpperCase();
+    const match = labels.find(label => normalized.startsWith(label));
+    return match || fallback;
+  }
+
+  /**
+   * Embed a single text
+   * @param {string} text - Input text (already truncated by the caller)
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  async embed(text) {
+    throw new Error(`${this.name} provider does not implement embed()`);
+  }
+
+  /**
+   * Embed several texts in one call where the backend supports it
+   * @param {string[]} texts - Input texts (already truncated by the caller)
+   * @returns {Promise<number[][]>} Embedding vectors, in input order
+   */
+  async embedBatch(texts) {
+    const vectors = [];
+    for (const text of texts) {
+      vectors.push(await this.embed(text));
+    }
+    return vectors;
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,57 @@
+import OpenAIProvider from './OpenAIProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import FakeLLMProvider from './FakeLLMProvider.js';
+import { getServerConfig } from '../../config/serverConfigs.js';
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  openai_compatible: OpenAICompatibleProvider,
+  fake: FakeLLMProvider
+};
+
+// Provider instances are reused across calls, keyed by their effective settings
+const instances = new Map();
+
+function resolveSettings(overrides = {}) {
+  const settings = {
+    provider: String(overrides.provider || process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    chatModel: overrides.chatModel,
+    embeddingModel: overrides.embeddingModel,
+    baseUrl: overrides.baseUrl,
+    apiKey: overrides.apiKey
+  };
+  if (!PROVIDERS[settings.provider]) {
+    throw new Error(`Unknown LLM provider "${settings.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return settings;
+}
+
+function getOrCreate(settings) {
+  const key = [settings.provider, settings.chatModel, settings.embeddingModel, settings.baseUrl].join('|');
+  if (!instances.has(key)) {
+    const Provider = PROVIDERS[settings.provider];
+    instances.set(key, new Provider(settings));
+    console.log(`🤖 LLM provider ready: ${settings.provider}${settings.chatModel ? ` (${settings.chatModel})` : ''}`);
+  }
+  return instances.get(key);
+}
+
+/**
+ * Get the chat/classification provider for a guild.
+ * Deployment default comes from LLM_PROVIDER; a guild can override it with
+ * an `llm` block in serverConfigs ({ provider, chatModel, baseUrl }).
+ * @param {string|null} guildId - Discord guild ID (optional)
+ */
+export function getLLMProvider(guildId = null) {
+  const guildOverrides = guildId ? getServerConfig(guildId)?.llm : null;
+  return getOrCreate(resolveSettings(guildOverrides || {}));
+}
+
+/**
+ * Get the embedding provider.
+ * Embeddings are deployment-wide (EMBEDDINGS_PROVIDER, defaulting to LLM_PROVIDER)
+ * because article vectors are shared across guilds and must live in one vector space.
+ */
+export function getEmbeddingProvider() {
+  return getOrCreate(resolveSettings({ provider: process.env.EMBEDDINGS_PROVIDER }));
+}
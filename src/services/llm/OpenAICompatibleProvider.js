@@ -0,0 +1,166 @@
+import axios from 'axios';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * OpenAICompatibleProvider - any server exposing the OpenAI HTTP API
+ * (llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ *
+ * Talks to `${baseUrl}/chat/completions` and `${baseUrl}/embeddings`.
+ * The API key is optional since most local servers do not check it.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai_compatible', {
+      chatModel: options.chatModel || process.env.LLM_CHAT_MODEL || 'llama3.1',
+      embeddingModel: options.embeddingModel || process.env.EMBEDDINGS_MODEL || 'nomic-embed-text'
+    });
+
+    this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY || '';
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  _chatBody(messages, options) {
+    const body = {
+      model: this.chatModel,
+      messages,
+      temperature: options.temperature ?? 0
+    };
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (options.presencePenalty !== undefined) body.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty !== undefined) body.frequency_penalty = options.frequencyPenalty;
+    return body;
+  }
+
+  async chat(messages, options = {}) {
+    const body = this._chatBody(messages, options);
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: this._headers(),
+      timeout: this.timeoutMs
+    });
+    return data?.choices?.[0]?.message?.content || '';
+  }
+
+  // Servers without function calling simply never return tool_calls
+  async chatWithTools(messages, tools, options = {}) {
+    const body = {
+      ...this._chatBody(messages, options),
+      tools: tools.map(definition => ({ type: 'function', function: definition })),
+      tool_choice: options.toolChoice || 'auto'
+    };
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: this._headers(),
+      timeout: this.timeoutMs
+    });
+    const message = data?.choices?.[0]?.message || {};
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map((call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.function?.name,
+        arguments: typeof call.function?.arguments === 'string'
+          ? call.function.arguments
+          : JSON.stringify(call.function?.arguments || {})
+      }))
+    };
+  }
+
+  async *chatStream(messages, options = {}) {
+    const body = { ...this._chatBody(messages, options), stream: true };
+    for await (const event of this._streamEvents(body)) {
+      const delta = event?.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  // Tool calls arrive in fragments keyed by index; their name and arguments are concatenated
+  async chatWithToolsStream(messages, tools, options = {}, onDelta) {
+    const body = {
+      ...this._chatBody(messages, options),
+      tools: tools.map(definition => ({ type: 'function', function: definition })),
+      tool_choice: options.toolChoice || 'auto',
+      stream: true
+    };
+
+    let content = '';
+    const calls = [];
+    for await (const event of this._streamEvents(body)) {
+      const delta = event?.choices?.[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const [position, part] of (delta.tool_calls || []).entries()) {
+        const index = part.index ?? position;
+        const call = calls[index] ||= { id: `call_${index}`, name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) {
+          call.arguments += typeof part.function.arguments === 'string'
+            ? part.function.arguments
+            : JSON.stringify(part.function.arguments);
+        }
+      }
+    }
+    return { content, toolCalls: calls.filter(Boolean) };
+  }
+
+  // Server-sent events: one `data: {json}` line per delta, terminated by `data: [DONE]`
+  async *_streamEvents(body) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: this._headers(),
+      timeout: this.timeoutMs,
+      responseType: 'stream'
+    });
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+        try {
+          yield JSON.parse(payload);
+        } catch {
+          // ignore keep-alives and partial frames
+        }
+      }
+    }
+  }
+
+  async embed(text) {
+    const { data } = await axios.post(`${this.baseUrl}/embeddings`, {
+      model: this.embeddingModel,
+      input: text
+    }, {
+      headers: this._headers(),
+      timeout: this.timeoutMs
+    });
+    return data?.data?.[0]?.embedding || [];
+  }
+
+  async embedBatch(texts) {
+    const { data } = await axios.post(`${this.baseUrl}/embeddings`, {
+      model: this.embeddingModel,
+      input: texts
+    }, {
+      headers: this._headers(),
+      timeout: this.timeoutMs
+    });
+    return [...(data?.data || [])]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,123 @@
+import OpenAI from 'openai';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * OpenAIProvider - hosted OpenAI API (default backend)
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai', {
+      chatModel: options.chatModel || process.env.LLM_CHAT_MODEL || 'gpt-4.1-mini',
+      embeddingModel: options.embeddingModel || process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small'
+    });
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async chat(messages, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      temperature: options.temperature ?? 0,
+      max_tokens: options.maxTokens,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty
+    });
+    return completion.choices[0].message.content;
+  }
+
+  async *chatStream(messages, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      temperature: options.temperature ?? 0,
+      max_tokens: options.maxTokens,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty,
+      stream: true
+    });
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      tools: tools.map(definition => ({ type: 'function', function: definition })),
+      tool_choice: options.toolChoice || 'auto',
+      temperature: options.temperature ?? 0,
+      max_tokens: options.maxTokens,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty
+    });
+    const message = completion.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      }))
+    };
+  }
+
+  // Tool calls arrive in fragments keyed by index; their name and arguments are concatenated
+  async chatWithToolsStream(messages, tools, options = {}, onDelta) {
+    const stream = await this.client.chat.completions.create({
+      model: this.chatModel,
+      messages,
+      tools: tools.map(definition => ({ type: 'function', function: definition })),
+      tool_choice: options.toolChoice || 'auto',
+      temperature: options.temperature ?? 0,
+      max_tokens: options.maxTokens,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty,
+      stream: true
+    });
+
+    let content = '';
+    const calls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = calls[part.index] ||= { id: '', name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+    }
+    return { content, toolCalls: calls.filter(Boolean) };
+  }
+
+  async embed(text) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input: text
+    });
+    return response.data?.[0]?.embedding || [];
+  }
+
+  async embedBatch(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input: texts
+    });
+    return [...(response.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+export default OpenAIProvider;
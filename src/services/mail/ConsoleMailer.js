@@ -0,0 +1,16 @@
+import Mailer from './Mailer.js';
+
+/**
+ * ConsoleMailer - development stand-in that prints emails to the log instead of sending them
+ */
+class ConsoleMailer extends Mailer {
+  constructor(options = {}) {
+    super('console', options);
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`📧 [Mail:console] From: ${this.from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+  }
+}
+
+export default ConsoleMailer;
@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Mailer from './Mailer.js';
+
+/**
+ * FileMailer - development stand-in that writes each email to MAIL_OUTBOX_DIR as a .eml file
+ */
+class FileMailer extends Mailer {
+  constructor(options = {}) {
+    super('file', options);
+    this.outboxDir = options.outboxDir || process.env.MAIL_OUTBOX_DIR || './data/mail-outbox';
+  }
+
+  async send({ to, subject, text }) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const file = path.join(this.outboxDir, `${Date.now()}-${to.replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+    const content = `From: ${this.from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+    await fs.writeFile(file, content, 'utf8');
+    console.log(`📧 [Mail:file] Wrote email to ${to} at ${file}`);
+  }
+}
+
+export default FileMailer;
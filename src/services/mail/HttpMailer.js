@@ -0,0 +1,27 @@
+import axios from 'axios';
+import Mailer from './Mailer.js';
+
+/**
+ * HttpMailer - sends through a JSON email API ({ from, to, subject, text } with a bearer key),
+ * such as Resend. MAIL_HTTP_URL and MAIL_HTTP_API_KEY select the service.
+ */
+class HttpMailer extends Mailer {
+  constructor(options = {}) {
+    super('http', options);
+    this.url = options.url || process.env.MAIL_HTTP_URL || 'https://api.resend.com/emails';
+    this.apiKey = options.apiKey || process.env.MAIL_HTTP_API_KEY;
+    this.timeout = parseInt(process.env.MAIL_TIMEOUT_MS || '10000', 10);
+    if (!this.apiKey) {
+      throw new Error('MAIL_HTTP_API_KEY is required for the http mailer');
+    }
+  }
+
+  async send({ to, subject, text }) {
+    await axios.post(this.url, { from: this.from, to, subject, text }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: this.timeout
+    });
+  }
+}
+
+export default HttpMailer;
@@ -0,0 +1,23 @@
+/**
+ * Mailer - base class for outgoing email backends
+ *
+ * Every backend implements send({ to, subject, text }). MAIL_FROM is the sender
+ * of every message.
+ */
+class Mailer {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.from = options.from || process.env.MAIL_FROM || 'FrodoBots Support <support@frodobots.com>';
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {{to: string, subject: string, text: string}} message - Email to send
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    throw new Error(`${this.name} mailer does not implement send()`);
+  }
+}
+
+export default Mailer;
@@ -0,0 +1,31 @@
+import ConsoleMailer from './ConsoleMailer.js';
+import FileMailer from './FileMailer.js';
+import HttpMailer from './HttpMailer.js';
+
+const MAILERS = {
+  console: ConsoleMailer,
+  file: FileMailer,
+  http: HttpMailer
+};
+
+let instance = null;
+
+/**
+ * Get the deployment mailer (MAIL_PROVIDER: console | file | http). MAIL_PROVIDER is required
+ * outside development (NODE_ENV=development), where the console stand-in is the default
+ * @returns {Object|null} Mailer, or null when no mail provider is configured
+ */
+export function getMailer() {
+  if (!instance) {
+    const fallback = process.env.NODE_ENV === 'development' ? 'console' : '';
+    const provider = String(process.env.MAIL_PROVIDER || fallback).toLowerCase();
+    if (!provider) return null;
+    const Mailer = MAILERS[provider];
+    if (!Mailer) {
+      throw new Error(`Unknown mail provider "${provider}". Expected one of: ${Object.keys(MAILERS).join(', ')}`);
+    }
+    instance = new Mailer();
+    console.log(`📧 Mail provider ready: ${provider}`);
+  }
+  return instance;
+}
@@ -0,0 +1,140 @@
+import redis from '../services/redisClient.js';
+
+const ORDER_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * ShopifyOrderCache - latest known state of each order, kept current by the Shopify webhooks
+ *
+ * Orders are stored as the Shopify order payload (shopify:order:<id>), with fulfillments
+ * and refunds merged in as their own webhooks arrive, plus the Google Sheets row the
+ * order was written to (sheetRow). Order numbers map to order IDs (shopify:order_number:<digits>).
+ */
+class ShopifyOrderCache {
+  constructor() {
+    this.prefix = 'shopify:order:';
+    this.numberPrefix = 'shopify:order_number:';
+  }
+
+  /**
+   * Digits of an order number / name ("#1234", "1234", 1234 → "1234")
+   * @param {string|number} orderNumber - Order number or name
+   * @returns {string} Normalized number ('' when there are no digits)
+   */
+  normalizeNumber(orderNumber) {
+    return String(orderNumber ?? '').replace(/\D/g, '');
+  }
+
+  /**
+   * Get a cached order
+   * @param {string|number} orderId - Shopify order ID
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async get(orderId) {
+    try {
+      const data = await redis.get(`${this.prefix}${orderId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(`❌ [SHOPIFY] Error reading cached order ${orderId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a cached order by its number
+   * @param {string|number} orderNumber - Order number or name
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async getByNumber(orderNumber) {
+    const number = this.normalizeNumber(orderNumber);
+    if (!number) return null;
+    const orderId = await redis.get(`${this.numberPrefix}${number}`);
+    return orderId ? this.get(orderId) : null;
+  }
+
+  /**
+   * Whether an order payload is older than the cached order (Shopify updated_at)
+   * @param {Object} order - Shopify order payload
+   * @param {Object|null} cached - Cached order
+   * @returns {boolean} True when the payload would revert newer state
+   */
+  isOlder(order, cached) {
+    if (!cached?.updated_at || !order?.updated_at) return false;
+    return new Date(order.updated_at).getTime() < new Date(cached.updated_at).getTime();
+  }
+
+  /**
+   * Store an order payload, keeping what only the cache knows (sheet row, merged refunds).
+   * A payload older than the cached order (a delayed retry or a replayed dead letter) only
+   * fills in what the cache lacks
+   * @param {Object} order - Shopify order
+   * @returns {Promise<Object>} Stored order
+   */
+  async save(order) {
+    const previous = await this.get(order.id);
+    const [older, newer] = this.isOlder(order, previous) ? [order, previous] : [previous, order];
+    const stored = {
+      ...older,
+      ...newer,
+      fulfillments: newer.fulfillments || older?.fulfillments || [],
+      refunds: newer.refunds || older?.refunds || [],
+      sheetRow: order.sheetRow ?? previous?.sheetRow ?? null,
+      cachedAt: Date.now()
+    };
+    await this._write(stored);
+    return stored;
+  }
+
+  /**
+   * Merge a fulfillment (fulfillments/create, fulfillments/update) into its order
+   * @param {Object} order - Cached order
+   * @param {Object} fulfillment - Shopify fulfillment
+   * @returns {Promise<Object>} Stored order
+   */
+  async applyFulfillment(order, fulfillment) {
+    const others = (order.fulfillments || []).filter(existing => String(existing.id) !== String(fulfillment.id));
+    const fulfillments = [...others, fulfillment];
+    // The order's fulfillment_status only catches up with the next orders/updated
+    return this.save({ ...order, fulfillments, fulfillment_status: this._fulfillmentStatus(order, fulfillments) });
+  }
+
+  _fulfillmentStatus(order, fulfillments) {
+    const shipped = fulfillments.filter(fulfillment => fulfillment.status === 'success');
+    if (shipped.length === 0) return order.fulfillment_status ?? null;
+    const count = items => (items || []).reduce((total, item) => total + (item.quantity || 0), 0);
+    const ordered = count(order.line_items);
+    const sent = shipped.reduce((total, fulfillment) => total + count(fulfillment.line_items), 0);
+    return sent > 0 && sent < ordered ? 'partial' : 'fulfilled';
+  }
+
+  /**
+   * Merge a refund (refunds/create) into its order
+   * @param {Object} order - Cached order
+   * @param {Object} refund - Shopify refund
+   * @returns {Promise<Object>} Stored order
+   */
+  async applyRefund(order, refund) {
+    const others = (order.refunds || []).filter(existing => String(existing.id) !== String(refund.id));
+    return this.save({ ...order, refunds: [...others, refund] });
+  }
+
+  /**
+   * Remember the Google Sheets row of an order
+   * @param {Object} order - Cached order
+   * @param {number} sheetRow - 1-based row number
+   * @returns {Promise<Object>} Stored order
+   */
+  async setSheetRow(order, sheetRow) {
+    return this.save({ ...order, sheetRow });
+  }
+
+  async _write(order) {
+    await redis.set(`${this.prefix}${order.id}`, JSON.stringify(order), { EX: ORDER_TTL_SECONDS });
+    const number = this.normalizeNumber(order.order_number || order.name);
+    if (number) {
+      await redis.set(`${this.numberPrefix}${number}`, String(order.id), { EX: ORDER_TTL_SECONDS });
+    }
+  }
+}
+
+const shopifyOrderCache = new ShopifyOrderCache();
+export default shopifyOrderCache;
@@ -0,0 +1,479 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import redis from '../services/redisClient.js';
+import botRules from '../config/botRules.js';
+import shopifyService from './ShopifyService.js';
+import shopifyOrderCache from './ShopifyOrderCache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUEST_TTL_SECONDS = 365 * 24 * 60 * 60;
+const MAX_ITEM_BUTTONS = 20; // 4 rows of 5; the last row holds Next / Cancel
+
+/**
+ * ShopifyReturnService - guided return / refund requests in Order Status tickets
+ *
+ * Once a ticket has shown a verified order, "Start a return / refund" opens a step-by-step
+ * request (buttons routed through TicketButtonHandler): pick the items, pick a reason, send
+ * photos in the ticket (required for PHOTO_REASONS), then confirm. Eligibility comes from
+ * the order: cancelled or fully refunded orders are blocked, refunded items are left out,
+ * unshipped items make it a refund request, and shipped items are checked against the
+ * return window (botRules TICKET_CHANNELS.RETURNS). Requests outside the window can still
+ * be sent; staff see them flagged.
+ *
+ * Redis layout:
+ *   return_draft:<channelId>            request in progress (expires after DRAFT_TTL_HOURS)
+ *   return_request:<requestId>          submitted request
+ *   return_requests:order:<digits>      set of the request IDs of an order
+ *
+ * With SHOPIFY_RETURN_NOTES=true submitted requests are also written to the order's note
+ * and tagged return-requested in Shopify.
+ */
+class ShopifyReturnService {
+  constructor() {
+    this.draftPrefix = 'return_draft:';
+    this.requestPrefix = 'return_request:';
+    this.orderPrefix = 'return_requests:order:';
+  }
+
+  /**
+   * Return window length, in days
+   * @returns {number}
+   */
+  getWindowDays() {
+    return parseInt(process.env.RETURN_WINDOW_DAYS) || botRules.TICKET_CHANNELS.RETURNS.WINDOW_DAYS;
+  }
+
+  /**
+   * Which items of an order can be returned, and whether the return window is still open
+   * @param {Object} order - Shopify order (with fulfillments and refunds)
+   * @param {number} now - Timestamp to check the window against
+   * @returns {Object} { allowed, blockedReason?, items, basis, basisDate, deadline, withinWindow, daysLeft }
+   */
+  getEligibility(order, now = Date.now()) {
+    if (order.cancelled_at) return { allowed: false, blockedReason: 'cancelled', items: [] };
+    if (order.financial_status === 'refunded') return { allowed: false, blockedReason: 'refunded', items: [] };
+
+    const sumBy = (lines, key) => lines.reduce((totals, line) => {
+      totals[line[key]] = (totals[line[key]] || 0) + (line.quantity || 0);
+      return totals;
+    }, {});
+    const refunded = sumBy((order.refunds || []).flatMap(refund => refund.refund_line_items || []), 'line_item_id');
+    const shipments = (order.fulfillments || []).filter(fulfillment => fulfillment.status === 'success');
+    const shipped = sumBy(shipments.flatMap(fulfillment => fulfillment.line_items || []), 'id');
+
+    const items = (order.line_items || [])
+      .map(item => ({
+        id: String(item.id),
+        name: item.name,
+        quantity: (item.quantity || 0) - (refunded[item.id] || 0),
+        refunded: refunded[item.id] || 0,
+        price: item.price,
+        shipped: (shipped[item.id] || 0) > 0
+      }))
+      .filter(item => item.quantity > 0);
+    if (items.length === 0) return { allowed: false, blockedReason: 'refunded', items: [] };
+
+    // Nothing shipped yet: no window, the request is a cancellation and refund
+    if (shipments.length === 0) {
+      return { allowed: true, items, basis: null, basisDate: null, deadline: null, withinWindow: true, daysLeft: null };
+    }
+
+    // Fulfillments carry no delivery date: a delivered fulfillment was last updated when the carrier reported it
+    const delivered = shipments.filter(fulfillment => fulfillment.shipment_status === 'delivered');
+    const basis = delivered.length > 0 ? 'delivered' : 'shipped';
+    const dates = (delivered.length > 0
+      ? delivered.map(fulfillment => fulfillment.updated_at || fulfillment.created_at)
+      : shipments.map(fulfillment => fulfillment.created_at))
+      .map(date => new Date(date).getTime())
+      .filter(Number.isFinite);
+    const basisTime = dates.length > 0 ? Math.max(...dates) : new Date(order.created_at).getTime();
+    const deadline = basisTime + this.getWindowDays() * DAY_MS;
+
+    return {
+      allowed: true,
+      items,
+      basis,
+      basisDate: new Date(basisTime).toISOString(),
+      deadline: new Date(deadline).toISOString(),
+      withinWindow: now <= deadline,
+      daysLeft: Math.ceil((deadline - now) / DAY_MS)
+    };
+  }
+
+  /**
+   * Start a request for the order shown in a ticket
+   * @param {Object} context - { channelId, guildId, userId, userTag }
+   * @param {Object} ticketState - Ticket state (lastOrderNumber / lastOrderEmail of the verified order)
+   * @returns {Promise<Object>} { success: true, draft } or { success: false, error }
+   */
+  async startDraft(context, ticketState) {
+    if (!ticketState?.lastOrderNumber || !ticketState?.lastOrderEmail) {
+      return { success: false, error: 'no_order' };
+    }
+
+    const result = await shopifyService.verifyOrderOwnership(ticketState.lastOrderNumber, ticketState.lastOrderEmail);
+    if (!result.success) {
+      return { success: false, error: 'order_unavailable' };
+    }
+
+    const order = result.order;
+    const eligibility = this.getEligibility(order);
+    if (!eligibility.allowed) {
+      return { success: false, error: eligibility.blockedReason };
+    }
+
+    const { items, basis, basisDate, deadline, withinWindow, daysLeft } = eligibility;
+    const draft = {
+      ...context,
+      orderId: order.id,
+      orderNumber: order.name || String(order.id),
+      currency: order.currency || 'USD',
+      items,
+      window: { basis, basisDate, deadline, withinWindow, daysLeft },
+      step: 'items',
+      selected: items.length === 1 ? [items[0].id] : [],
+      reason: null,
+      photos: [],
+      comments: [],
+      startedAt: Date.now()
+    };
+    await this._saveDraft(draft);
+    console.log(`🔄 Return request started for order ${draft.orderNumber} in ticket ${context.channelId}`);
+    return { success: true, draft };
+  }
+
+  /**
+   * Get the request in progress in a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Promise<Object|null>} Draft or null
+   */
+  async getDraft(channelId) {
+    try {
+      const data = await redis.get(`${this.draftPrefix}${channelId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(`❌ Error reading return draft of ${channelId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop the request in progress in a ticket
+   * @param {string} channelId - Ticket channel ID
+   */
+  async cancelDraft(channelId) {
+    await redis.del(`${this.draftPrefix}${channelId}`);
+  }
+
+  /**
+   * Apply a button of the request flow
+   * @param {Object} draft - Request in progress
+   * @param {string} action - 'item' | 'next' | 'reason' | 'photos_done'
+   * @param {string|null} value - Line item ID or reason ID
+   * @returns {Promise<Object>} { draft } or { error: 'no_items' | 'photos_required' | 'invalid' }
+   */
+  async applyAction(draft, action, value) {
+    const next = { ...draft };
+    if (action === 'item' && draft.step === 'items' && draft.items.some(item => item.id === value)) {
+      next.selected = draft.selected.includes(value)
+        ? draft.selected.filter(id => id !== value)
+        : [...draft.selected, value];
+    } else if (action === 'next' && draft.step === 'items') {
+      if (draft.selected.length === 0) return { error: 'no_items' };
+      next.step = 'reason';
+    } else if (action === 'reason' && draft.step === 'reason' && this.getReason(value)) {
+      next.reason = value;
+      next.step = 'photos';
+    } else if (action === 'photos_done' && draft.step === 'photos') {
+      if (this.requiresPhotos(draft.reason) && draft.photos.length === 0) return { error: 'photos_required' };
+      next.step = 'confirm';
+    } else {
+      return { error: 'invalid' };
+    }
+    await this._saveDraft(next);
+    return { draft: next };
+  }
+
+  /**
+   * Attach the photos and text of a ticket message to the request waiting for photos
+   * @param {Object} message - Discord message
+   * @returns {Promise<string|null>} Reply for the user, or null when the message isn't for a request
+   */
+  async addFromMessage(message) {
+    const draft = await this.getDraft(message.channel.id);
+    if (!draft || draft.step !== 'photos' || draft.userId !== message.author.id) return null;
+
+    const maxPhotos = botRules.TICKET_CHANNELS.RETURNS.MAX_PHOTOS;
+    const images = Array.from(message.attachments?.values() || [])
+      .filter(attachment => attachment.contentType?.startsWith('image/'))
+      .slice(0, Math.max(0, maxPhotos - draft.photos.length))
+      // Attachment URLs are signed and expire: staff open the photos through their message
+      .map(attachment => ({ name: attachment.name, messageUrl: message.url }));
+    const text = message.content?.trim();
+    if (images.length === 0 && !text) return null;
+
+    const photos = [...draft.photos, ...images];
+    await this._saveDraft({ ...draft, photos, comments: text ? [...draft.comments, text.slice(0, 500)] : draft.comments });
+
+    const added = [];
+    if (images.length > 0) added.push(`📷 Added ${images.length} photo(s) to your return request (${photos.length} total).`);
+    if (text) added.push('📝 Added your message to the request details.');
+    if (photos.length >= maxPhotos) added.push(`That's the maximum of ${maxPhotos} photos.`);
+    return `${added.join(' ')}\nSend more, or press **Continue** on the request above when you're done.`;
+  }
+
+  /**
+   * Save a confirmed request, write it to the Shopify order (optional) and close the draft
+   * @param {Object} draft - Request in progress at the confirm step (read again as it is claimed)
+   * @returns {Promise<Object|null>} Submitted request, or null when the draft was already submitted
+   */
+  async submit({ channelId }) {
+    // The draft is claimed atomically, so a double click on Confirm can't send the request twice
+    const claimed = await redis.getDel(`${this.draftPrefix}${channelId}`);
+    if (!claimed) return null;
+    const draft = JSON.parse(claimed);
+
+    const items = draft.items.filter(item => draft.selected.includes(item.id));
+    const request = {
+      id: `RR-${shopifyOrderCache.normalizeNumber(draft.orderNumber) || draft.orderId}-${Date.now().toString(36).toUpperCase()}`,
+      type: items.some(item => item.shipped) ? 'return' : 'refund',
+      channelId: draft.channelId,
+      guildId: draft.guildId,
+      userId: draft.userId,
+      userTag: draft.userTag,
+      orderId: draft.orderId,
+      orderNumber: draft.orderNumber,
+      currency: draft.currency,
+      items,
+      reason: this.getReason(draft.reason),
+      photos: draft.photos,
+      comments: draft.comments,
+      window: draft.window,
+      status: 'submitted',
+      submittedAt: Date.now()
+    };
+    request.checks = this.getChecks(request, await this.listForOrder(request.orderNumber));
+    request.shopifyNoted = process.env.SHOPIFY_RETURN_NOTES === 'true'
+      ? (await shopifyService.addOrderNote(request.orderId, this.formatOrderNote(request), 'return-requested')).success
+      : false;
+
+    await redis.set(`${this.requestPrefix}${request.id}`, JSON.stringify(request), { EX: REQUEST_TTL_SECONDS });
+    const number = shopifyOrderCache.normalizeNumber(request.orderNumber);
+    if (number) {
+      await redis.sAdd(`${this.orderPrefix}${number}`, request.id);
+      await redis.expire(`${this.orderPrefix}${number}`, REQUEST_TTL_SECONDS);
+    }
+    console.log(`🔄 Return request ${request.id} submitted for order ${request.orderNumber}`);
+    return request;
+  }
+
+  /**
+   * Get a submitted request
+   * @param {string} requestId - Request ID (RR-...)
+   * @returns {Promise<Object|null>} Request or null
+   */
+  async getRequest(requestId) {
+    const data = await redis.get(`${this.requestPrefix}${requestId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Submitted requests of an order
+   * @param {string|number} orderNumber - Order number or name
+   * @returns {Promise<Array<Object>>} Requests, oldest first
+   */
+  async listForOrder(orderNumber) {
+    const ids = await redis.sMembers(`${this.orderPrefix}${shopifyOrderCache.normalizeNumber(orderNumber)}`);
+    const requests = await Promise.all(ids.map(id => this.getRequest(id)));
+    return requests.filter(Boolean).sort((a, b) => a.submittedAt - b.submittedAt);
+  }
+
+  /**
+   * Pre-validation results shown to staff with the request
+   * @param {Object} request - Submitted request
+   * @param {Array<Object>} previous - Earlier requests of the same order
+   * @returns {Array<string>} One line per check
+   */
+  getChecks(request, previous = []) {
+    const checks = ['✅ Order ownership verified in the ticket (order number + email)'];
+    const refundedUnits = request.items.reduce((total, item) => total + (item.refunded || 0), 0);
+    checks.push(refundedUnits > 0
+      ? `⚠️ ${request.items.length} item(s); ${refundedUnits} unit(s) of them already refunded and left out`
+      : `✅ ${request.items.length} item(s), none refunded yet`);
+
+    if (this.requiresPhotos(request.reason?.id)) {
+      checks.push(`✅ ${request.photos.length} photo(s) attached (required for this reason)`);
+    } else {
+      checks.push(request.photos.length > 0 ? `✅ ${request.photos.length} photo(s) attached` : '➖ No photos (not required for this reason)');
+    }
+
+    checks.push(request.type === 'refund' ? '➖ Not shipped yet: cancel and refund' : `${request.window.withinWindow ? '✅' : '⚠️'} ${this.formatWindow(request.window)}`);
+    if (previous.length > 0) {
+      checks.push(`⚠️ ${previous.length} earlier request(s) for this order: ${previous.map(earlier => earlier.id).join(', ')}`);
+    }
+    return checks;
+  }
+
+  /**
+   * Reason by ID
+   * @param {string} reasonId - Reason ID from botRules
+   * @returns {Object|null} { id, label }
+   */
+  getReason(reasonId) {
+    return botRules.TICKET_CHANNELS.RETURNS.REASONS.find(reason => reason.id === reasonId) || null;
+  }
+
+  /**
+   * Whether a reason needs photos before the request can be confirmed
+   * @param {string} reasonId - Reason ID
+   * @returns {boolean}
+   */
+  requiresPhotos(reasonId) {
+    return botRules.TICKET_CHANNELS.RETURNS.PHOTO_REASONS.includes(reasonId);
+  }
+
+  /**
+   * Parse a return button custom ID
+   * @param {string} customId - return_<action> or return_<action>:<value>
+   * @returns {{action: string, value: string|null}}
+   */
+  parseCustomId(customId) {
+    const [action, value = null] = customId.slice('return_'.length).split(':');
+    return { action, value };
+  }
+
+  /**
+   * Button row that starts a request (under order details)
+   * @returns {ActionRowBuilder}
+   */
+  createStartRow() {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('return_start')
+        .setLabel('Start a return / refund')
+        .setEmoji('🔄')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  /**
+   * Message of the current step of a request
+   * @param {Object} draft - Request in progress
+   * @returns {{content: string, components: Array<ActionRowBuilder>}}
+   */
+  renderStep(draft) {
+    const header = `🔄 **Return / Refund Request - Order ${draft.orderNumber}**\n${this._windowNotice(draft.window)}\n\n`;
+    const cancel = new ButtonBuilder().setCustomId('return_cancel').setLabel('Cancel').setStyle(ButtonStyle.Danger);
+
+    if (draft.step === 'items') {
+      const items = draft.items.slice(0, MAX_ITEM_BUTTONS);
+      const buttons = items.map(item => new ButtonBuilder()
+        .setCustomId(`return_item:${item.id}`)
+        .setLabel(`${item.quantity}x ${item.name}`.slice(0, 80))
+        .setStyle(draft.selected.includes(item.id) ? ButtonStyle.Primary : ButtonStyle.Secondary));
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+      }
+      rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('return_next').setLabel('Next').setStyle(ButtonStyle.Success).setDisabled(draft.selected.length === 0),
+        cancel
+      ));
+      return {
+        content: `${header}**Step 1/4 - Which items?**\nTap the items you want to return (highlighted = selected), then press **Next**.\n\n${this._formatItems(draft, items)}`,
+        components: rows
+      };
+    }
+
+    if (draft.step === 'reason') {
+      const buttons = botRules.TICKET_CHANNELS.RETURNS.REASONS.map(reason => new ButtonBuilder()
+        .setCustomId(`return_reason:${reason.id}`)
+        .setLabel(reason.label)
+        .setStyle(ButtonStyle.Secondary));
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+      }
+      rows.push(new ActionRowBuilder().addComponents(cancel));
+      return { content: `${header}**Step 2/4 - What's the reason?**`, components: rows };
+    }
+
+    if (draft.step === 'photos') {
+      const required = this.requiresPhotos(draft.reason);
+      return {
+        content: `${header}**Step 3/4 - Photos**\n` +
+          (required
+            ? 'Please send at least one photo of the item(s) and the packaging in this ticket.'
+            : 'Photos are optional, but they help us sort this out faster.') +
+          ' You can also type any details. Press **Continue** when you\'re done.',
+        components: [new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId('return_photos_done').setLabel(required ? 'Continue' : 'Continue / skip photos').setStyle(ButtonStyle.Success),
+          cancel
+        )]
+      };
+    }
+
+    const reason = this.getReason(draft.reason);
+    return {
+      content: `${header}**Step 4/4 - Check and send**\n\n` +
+        `**Items:**\n${this._formatItems(draft, draft.items.filter(item => draft.selected.includes(item.id)), false)}\n` +
+        `**Reason:** ${reason?.label || 'Unknown'}\n` +
+        `**Photos:** ${draft.photos.length}\n` +
+        (draft.comments.length > 0 ? `**Details:** ${draft.comments.join(' ').slice(0, 300)}\n` : '') +
+        '\nPress **Send request** to pass it to our support team.',
+      components: [new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('return_confirm').setLabel('Send request').setStyle(ButtonStyle.Success),
+        cancel
+      )]
+    };
+  }
+
+  /**
+   * One-line window status ("Within the 30-day return window ...")
+   * @param {Object} window - { basis, basisDate, deadline, withinWindow, daysLeft }
+   * @returns {string}
+   */
+  formatWindow(window) {
+    if (!window.basis) return 'Not shipped yet';
+    const since = `${window.basis} ${this._formatDate(window.basisDate)}`;
+    return window.withinWindow
+      ? `Within the ${this.getWindowDays()}-day return window (${since}, ${window.daysLeft} day(s) left)`
+      : `Outside the ${this.getWindowDays()}-day return window (${since}, ended ${this._formatDate(window.deadline)})`;
+  }
+
+  /**
+   * Line appended to the Shopify order note
+   * @param {Object} request - Submitted request
+   * @returns {string}
+   */
+  formatOrderNote(request) {
+    const items = request.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
+    return `[${new Date(request.submittedAt).toISOString().slice(0, 10)}] ${request.type === 'refund' ? 'Refund' : 'Return'} request ${request.id} ` +
+      `via Discord: ${items}. Reason: ${request.reason?.label || 'Unknown'}.`;
+  }
+
+  _windowNotice(window) {
+    if (!window.basis) return '📦 Not shipped yet, so this will be a cancellation and refund request.';
+    return window.withinWindow
+      ? `✅ ${this.formatWindow(window)}.`
+      : `⚠️ ${this.formatWindow(window)}. You can still send the request; our team will review it.`;
+  }
+
+  _formatItems(draft, items, withMarkers = true) {
+    return items.map(item => {
+      const marker = withMarkers ? (draft.selected.includes(item.id) ? '✅ ' : '▫️ ') : '- ';
+      return `${marker}${item.quantity}x ${item.name} - ${draft.currency} ${item.price}${item.shipped ? '' : ' (not shipped)'}`;
+    }).join('\n');
+  }
+
+  _formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  async _saveDraft(draft) {
+    const ttlSeconds = botRules.TICKET_CHANNELS.RETURNS.DRAFT_TTL_HOURS * 60 * 60;
+    await redis.set(`${this.draftPrefix}${draft.channelId}`, JSON.stringify(draft), { EX: ttlSeconds });
+  }
+}
+
+const shopifyReturnService = new ShopifyReturnService();
+export default shopifyReturnService;
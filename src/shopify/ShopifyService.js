@@ -70,7 +70,7 @@ class ShopifyService {
         status: 'any',
         name: cleanNumber,
         limit: 1,
-        fields: 'id,name,email,financial_status,fulfillment_status,current_total_price,total_price,currency,created_at,line_items,shipping_address,fulfillments'
+        fields: 'id,name,email,financial_status,fulfillment_status,current_total_price,total_price,currency,created_at,cancelled_at,line_items,shipping_address,fulfillments,refunds'
       });
 
       if (!orders || orders.length === 0) {
@@ -84,6 +84,35 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Get order by Shopify order ID (webhook payloads only carry the ID)
+   */
+  async getOrderById(orderId) {
+    if (!this.isConfigured) {
+      return { success: false, error: 'Shopify not configured' };
+    }
+
+    if (this.debug) {
+      console.log(`🔎 [SHOPIFY] Getting order ID: ${orderId}`);
+    }
+
+    try {
+      const order = await this.shopify.order.get(orderId);
+      if (!order) {
+        return { success: false, error: 'Order not found' };
+      }
+
+      return { success: true, order };
+    } catch (error) {
+      // A real 404 is told apart from API / network failures, which are worth retrying
+      if (error.response?.statusCode === 404) {
+        return { success: false, error: 'Order not found' };
+      }
+      console.error('❌ [SHOPIFY] Order lookup by ID failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get orders by customer email
    */
@@ -101,7 +130,7 @@ class ShopifyService {
         status: 'any',
         email: email,
         limit: 10,
-        fields: 'id,name,email,financial_status,fulfillment_status,current_total_price,total_price,currency,created_at,line_items,shipping_address,fulfillments'
+        fields: 'id,name,email,financial_status,fulfillment_status,current_total_price,total_price,currency,created_at,cancelled_at,line_items,shipping_address,fulfillments,refunds'
       });
 
       return { success: true, orders: orders || [] };
@@ -134,6 +163,34 @@ class ShopifyService {
     return { success: true, order: order };
   }
 
+  /**
+   * Append a line to an order's note and add a tag (needs the write_orders scope)
+   */
+  async addOrderNote(orderId, note, tag = null) {
+    if (!this.isConfigured) {
+      return { success: false, error: 'Shopify not configured' };
+    }
+
+    if (this.debug) {
+      console.log(`📝 [SHOPIFY] Adding note to order ID: ${orderId}`);
+    }
+
+    try {
+      const order = await this.shopify.order.get(orderId, { fields: 'id,note,tags' });
+      const tags = (order.tags || '').split(',').map(existing => existing.trim()).filter(Boolean);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+
+      await this.shopify.order.update(orderId, {
+        note: order.note ? `${order.note}\n${note}` : note,
+        tags: tags.join(', ')
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ [SHOPIFY] Order note update failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Test connection to Shopify
    */
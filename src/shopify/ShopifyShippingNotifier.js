@@ -0,0 +1,165 @@
+import redis from '../services/redisClient.js';
+import accountLinkService from '../services/AccountLinkService.js';
+import shopifyTicketIntegrator from './ShopifyTicketIntegrator.js';
+
+/**
+ * ShopifyShippingNotifier - tells linked customers when their order ships, moves or arrives
+ *
+ * Order and fulfillment webhooks (channel manager) pick the shipment event: 'shipped' (new
+ * fulfillment), 'tracking_update' (new tracking number or carrier status) or 'delivered'. What each
+ * event was sent for is kept per fulfillment on the cached order (notifiedShipments), so it goes out
+ * once, whichever webhook brings the fulfillment first. When the order has an open linked ticket
+ * the update is posted there (ShopifyTicketNotifier); otherwise every Discord user linked to the
+ * order email (/link-account) who has notifications on, and whose guild has them switched on, gets
+ * a DM. DMs are queued in Redis (shopify:shipping_notifications) and sent by the bot. The guild
+ * switch is shipping_notifications:<guildId> ('on' | 'off'), defaulting to
+ * SHIPPING_NOTIFICATIONS_DEFAULT.
+ */
+class ShopifyShippingNotifier {
+  constructor() {
+    this.queueKey = 'shopify:shipping_notifications';
+    this.switchPrefix = 'shipping_notifications:';
+    this.batchSize = 20;
+    this._deliveryTimer = null;
+  }
+
+  /**
+   * Shipment event of a fulfillment webhook
+   * @param {Object|null} previous - The fulfillment as it was cached before
+   * @param {Object} fulfillment - The fulfillment from the webhook
+   * @returns {string|null} 'shipped' | 'tracking_update' | 'delivered' | null
+   */
+  getShipmentEvent(previous, fulfillment) {
+    if (fulfillment.status !== 'success') return null;
+    const shipmentStatus = fulfillment.shipment_status || null;
+    if (shipmentStatus === 'delivered' && previous?.shipment_status !== 'delivered') return 'delivered';
+    if (!previous) return 'shipped';
+
+    const tracking = f => [...(f.tracking_numbers || []), f.tracking_number].filter(Boolean).sort().join(',');
+    if (tracking(previous) !== tracking(fulfillment) || (previous.shipment_status || null) !== shipmentStatus) {
+      return 'tracking_update';
+    }
+    return null;
+  }
+
+  /**
+   * The part of a fulfillment getShipmentEvent compares, kept once its event is sent
+   * @param {Object} fulfillment - Shopify fulfillment
+   * @returns {Object} { shipment_status, tracking_numbers }
+   */
+  getShipmentState(fulfillment) {
+    return {
+      shipment_status: fulfillment.shipment_status || null,
+      tracking_numbers: [...(fulfillment.tracking_numbers || []), fulfillment.tracking_number].filter(Boolean)
+    };
+  }
+
+  /**
+   * Whether a guild sends shipping notifications
+   * @param {string|null} guildId - Discord guild ID (null: accounts linked outside a server)
+   * @returns {Promise<boolean>}
+   */
+  async isGuildEnabled(guildId) {
+    const value = guildId ? await redis.get(`${this.switchPrefix}${guildId}`) : null;
+    return (value || process.env.SHIPPING_NOTIFICATIONS_DEFAULT || 'off') === 'on';
+  }
+
+  /**
+   * Switch a guild's shipping notifications on or off
+   * @param {string} guildId - Discord guild ID
+   * @param {boolean} enabled - Whether to notify
+   */
+  async setGuildEnabled(guildId, enabled) {
+    await redis.set(`${this.switchPrefix}${guildId}`, enabled ? 'on' : 'off');
+  }
+
+  /**
+   * Queue a DM for every linked user of the order (channel manager side)
+   * @param {Object} order - Cached Shopify order (with the new fulfillment)
+   * @param {string} event - Shipment event
+   * @returns {Promise<number>} Number of users notified
+   */
+  async notifyLinkedUsers(order, event) {
+    const userIds = await accountLinkService.getLinkedUserIds(order.email || order.customer?.email);
+    const content = this.formatNotification(order, event);
+    let queued = 0;
+    for (const userId of userIds) {
+      const link = await accountLinkService.getLink(userId);
+      if (!link || link.notifications === false || !(await this.isGuildEnabled(link.guildId))) continue;
+      await redis.rPush(this.queueKey, JSON.stringify({
+        userId,
+        orderNumber: order.name || String(order.id),
+        event,
+        content,
+        queuedAt: Date.now()
+      }));
+      queued++;
+    }
+    return queued;
+  }
+
+  /**
+   * DM text of a shipment event
+   * @param {Object} order - Shopify order
+   * @param {string} event - Shipment event
+   * @returns {string} Message
+   */
+  formatNotification(order, event) {
+    const orderNumber = order.name || order.id;
+    const titles = {
+      shipped: `🚚 **Your order ${orderNumber} has shipped!**`,
+      tracking_update: `📍 **Tracking update for order ${orderNumber}**`,
+      delivered: `✅ **Your order ${orderNumber} was delivered!**`
+    };
+    const tracking = shopifyTicketIntegrator._getTrackingDisplay(order);
+
+    let content = `${titles[event]}\n\n**Status:** ${shopifyTicketIntegrator._getStatusDisplay(order)}`;
+    if (tracking) {
+      content += `\n**Track order:** ${tracking}`;
+    }
+    content += '\n\n-# You get these because you linked your account. Turn them off with `/link-account notifications`.';
+    return content;
+  }
+
+  startDelivery(client, intervalMs = 5000) {
+    if (this._deliveryTimer) return;
+    this._deliveryTimer = setInterval(() => {
+      this.deliverPending(client)
+        .catch(error => console.error('❌ Shipping notification delivery failed:', error.message));
+    }, intervalMs);
+  }
+
+  stopDelivery() {
+    if (!this._deliveryTimer) return;
+    clearInterval(this._deliveryTimer);
+    this._deliveryTimer = null;
+  }
+
+  /**
+   * Send queued DMs (bot side)
+   * @param {Object} client - Discord client
+   * @returns {Promise<number>} Number of DMs sent
+   */
+  async deliverPending(client) {
+    let delivered = 0;
+    for (let i = 0; i < this.batchSize; i++) {
+      const data = await redis.lPop(this.queueKey);
+      if (!data) break;
+      const notification = JSON.parse(data);
+
+      try {
+        const user = await client.users.fetch(notification.userId);
+        await user.send({ content: notification.content });
+        delivered++;
+        console.log(`📦 Sent ${notification.event} notification for order ${notification.orderNumber} to ${notification.userId}`);
+      } catch (error) {
+        // Users with DMs closed can't be reached; the update is dropped
+        console.error(`❌ Could not DM ${notification.event} notification to ${notification.userId}:`, error.message);
+      }
+    }
+    return delivered;
+  }
+}
+
+const shopifyShippingNotifier = new ShopifyShippingNotifier();
+export default shopifyShippingNotifier;
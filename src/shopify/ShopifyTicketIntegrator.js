@@ -1,6 +1,9 @@
 import shopifyService from './ShopifyService.js';
 import shopifyOrderDetector from './ShopifyOrderDetector.js';
 import { getServerConfig, getServerFallbackResponse } from '../config/serverConfigs.js';
+import ticketCatalogService from '../services/TicketCatalogService.js';
+import accountLinkService from '../services/AccountLinkService.js';
+import shopifyReturnService from './ShopifyReturnService.js';
 
 /**
  * ShopifyTicketIntegrator - Simplified ticket channel integration
@@ -10,6 +13,10 @@ import { getServerConfig, getServerFallbackResponse } from '../config/serverConf
  * 2. Bot asks for order details
  * 3. User provides order number + email
  * 4. Bot looks up and returns order information
+ * Users who linked their account (/link-account) skip the email: their linked
+ * email is used, and a message without an order number lists all their orders.
+ * Order details come with a "Start a return / refund" button (ShopifyReturnService);
+ * follow-ups asking for a return or refund are pointed to it instead of escalated.
  * Simple and clean!
  */
 class ShopifyTicketIntegrator {
@@ -26,8 +33,8 @@ class ShopifyTicketIntegrator {
       return null;
     }
 
-    // Only handle Order Status category
-    if (ticketState?.category !== 'category_orders') {
+    // Only handle order lookup categories (ticket catalog behaviour 'shopify')
+    if (ticketCatalogService.getCategory(message.guild?.id, ticketState?.category)?.behaviour !== 'shopify') {
       return null;
     }
 
@@ -43,12 +50,32 @@ class ShopifyTicketIntegrator {
       // Check if we have both order number and email
       const hasOrderNumber = analysis.orderNumbers && analysis.orderNumbers.length > 0;
       const hasEmail = analysis.emails && analysis.emails.length > 0;
+      const link = hasEmail ? null : await accountLinkService.getLink(message.author.id);
 
       // If user has already seen order details and this is NOT a new lookup attempt, escalate
-      if (ticketState?.orderDetailsShown && (!hasOrderNumber || !hasEmail)) {
+      if (ticketState?.orderDetailsShown && (!hasOrderNumber || (!hasEmail && !link))) {
         return this._handleOrderFollowUp(message, ticketState);
       }
 
+      // Linked account: the verified email stands in for the typed one
+      if (link) {
+        const result = hasOrderNumber
+          ? { ...(await this._lookupOrder(analysis.orderNumbers[0], link.email)), orderNumber: analysis.orderNumbers[0] }
+          : await this._listLinkedOrders(link.email);
+        const found = result.orderNumber && !result.content.includes('❌');
+        return {
+          type: 'shopify_response',
+          content: result.content,
+          components: found ? [shopifyReturnService.createStartRow()] : undefined,
+          shouldContinueToAI: false,
+          updateTicketState: found ? {
+            orderDetailsShown: true,
+            lastOrderNumber: result.orderNumber,
+            lastOrderEmail: link.email
+          } : undefined
+        };
+      }
+
       if (!hasOrderNumber || !hasEmail) {
         return {
           type: 'shopify_prompt',
@@ -75,6 +102,7 @@ class ShopifyTicketIntegrator {
       return {
         type: 'shopify_response',
         content: result.content,
+        components: result.updateTicketState ? [shopifyReturnService.createStartRow()] : undefined,
         shouldContinueToAI: false,
         updateTicketState: result.updateTicketState
       };
@@ -94,6 +122,16 @@ class ShopifyTicketIntegrator {
    */
   _handleOrderFollowUp(message, ticketState) {
     const orderNumber = ticketState.lastOrderNumber || 'your order';
+
+    // Returns and refunds have their own guided request
+    if (this._isReturnRequest(message.content)) {
+      return {
+        type: 'shopify_return_offer',
+        content: `🔄 You can request a return or refund for order #${String(orderNumber).replace(/^#/, '')} right here. Press the button below and I'll guide you through it (items, reason and photos).`,
+        components: [shopifyReturnService.createStartRow()],
+        shouldContinueToAI: false
+      };
+    }
     
     // Get customer support tags from server config
     const supportTags = this._getCustomerSupportTags(message.guild?.id);
@@ -123,7 +161,9 @@ To check your order status, I need both pieces of information:
 
 **Example:** "Check order #1234 for email@example.com"
 
-Please provide both to continue! 🔒`;
+Please provide both to continue! 🔒
+
+💡 Tip: link your account with \`/link-account\` and next time just ask "where is my order?"`;
     }
 
     if (!hasOrderNumber) {
@@ -199,6 +239,48 @@ Please try again or contact our support team.`
     return this._formatOrderDetails(verifyResult.order);
   }
 
+  /**
+   * List the orders of a linked account (the latest one becomes the ticket's order)
+   */
+  async _listLinkedOrders(email) {
+    const result = await shopifyService.getOrdersByEmail(email);
+    if (!result.success) {
+      return { content: `❌ I couldn't load your orders: ${result.error}\n\nPlease try again or contact our support team.` };
+    }
+    if (result.orders.length === 0) {
+      return { content: `📦 I couldn't find any orders for your linked email. If you used another email, run \`/link-account email\` with it.` };
+    }
+
+    const orders = [...result.orders].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    if (orders.length === 1) {
+      return { ...this._formatOrderDetails(orders[0]), orderNumber: orders[0].name || String(orders[0].id) };
+    }
+
+    const lines = orders.map(order => {
+      const summary = this.summarizeOrder(order);
+      return `**${summary.orderNumber}** - ${summary.status} (placed ${summary.placed})` +
+        (summary.tracking ? `\n   Track: ${summary.tracking}` : '');
+    });
+    return {
+      content: `📦 **Your Orders**\n\n${lines.join('\n')}\n\n💬 Send an order number for its full details, or just ask your question and our support team will help you!`,
+      orderNumber: orders[0].name || String(orders[0].id)
+    };
+  }
+
+  /**
+   * Summarize a verified order as plain fields (used by the lookup_order AI tool)
+   */
+  summarizeOrder(order) {
+    return {
+      orderNumber: order.name || String(order.id),
+      status: this._getStatusDisplay(order).replace(/\*\*/g, ''),
+      total: `${order.currency || 'USD'} ${order.current_total_price || order.total_price || '0.00'}`,
+      placed: this._formatDate(order.created_at),
+      tracking: this._getTrackingDisplay(order),
+      items: (order.line_items || []).map(item => `${item.quantity}x ${item.name}`)
+    };
+  }
+
   /**
    * Format order details for display
    */
@@ -235,6 +317,14 @@ ${items}`;
     const financial = order.financial_status || 'unknown';
     const fulfillment = order.fulfillment_status || 'unfulfilled';
 
+    if (order.cancelled_at) {
+      return '**Cancelled** - This order was cancelled';
+    }
+
+    if (financial === 'refunded') {
+      return '**Refunded** - This order was refunded';
+    }
+
     // Prefer carrier shipment status when available
     const shipmentStatus = this._deriveShipmentStatus(order.fulfillments || []);
     if (shipmentStatus) {
@@ -408,6 +498,18 @@ ${items}`;
     return humanRequestKeywords.some(keyword => lowerContent.includes(keyword));
   }
 
+  /**
+   * Check if user is asking for a return or refund
+   */
+  _isReturnRequest(content) {
+    const returnKeywords = [
+      'return', 'refund', 'send it back', 'send back', 'money back'
+    ];
+
+    const lowerContent = content.toLowerCase();
+    return returnKeywords.some(keyword => lowerContent.includes(keyword));
+  }
+
   /**
    * Handle direct human support requests
    */
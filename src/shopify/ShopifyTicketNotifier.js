@@ -0,0 +1,156 @@
+import redis from '../services/redisClient.js';
+import { getTicketState } from '../services/TicketStateStore.js';
+import shopifyOrderCache from './ShopifyOrderCache.js';
+
+/**
+ * ShopifyTicketNotifier - posts order updates into the Discord tickets that track the order
+ *
+ * Webhooks are received by the channel manager, which has no Discord client: it finds
+ * the open tickets whose lastOrderNumber is the order and queues a notice in Redis
+ * (shopify:ticket_updates). The bot drains the queue, posts each notice in its ticket
+ * and records the new order status on the ticket state (orderStatus). Notices that could
+ * not be posted are queued again, up to maxAttempts.
+ *
+ * Tickets are found through an index kept with the ticket state (TicketSelectionService):
+ *   shopify:order_tickets:<digits>   set of ticket channel IDs whose lastOrderNumber is the order
+ */
+class ShopifyTicketNotifier {
+  constructor() {
+    this.queueKey = 'shopify:ticket_updates';
+    this.indexPrefix = 'shopify:order_tickets:';
+    this.batchSize = 20;
+    this.maxAttempts = 5;
+    this._deliveryTimer = null;
+  }
+
+  _indexKey(number) {
+    return `${this.indexPrefix}${number}`;
+  }
+
+  /**
+   * Keep the order index in step with a ticket state write
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object|null} previous - State before the write
+   * @param {Object|null} next - State after the write (null when the ticket is cleared)
+   */
+  async recordTicketOrder(channelId, previous, next) {
+    const before = shopifyOrderCache.normalizeNumber(previous?.lastOrderNumber);
+    const after = shopifyOrderCache.normalizeNumber(next?.lastOrderNumber);
+    try {
+      if (before && before !== after) await redis.sRem(this._indexKey(before), channelId);
+      // Added on every write, so tickets linked before the index existed join it on their next update
+      if (after) await redis.sAdd(this._indexKey(after), channelId);
+    } catch (error) {
+      console.error(`❌ Error indexing order of ticket ${channelId}:`, error.message);
+    }
+  }
+
+  /**
+   * Open tickets linked to an order
+   * @param {Object} order - Shopify order
+   * @returns {Promise<string[]>} Ticket channel IDs
+   */
+  async findLinkedTickets(order) {
+    const number = shopifyOrderCache.normalizeNumber(order.order_number || order.name);
+    if (!number) return [];
+
+    const linked = [];
+    for (const channelId of await redis.sMembers(this._indexKey(number))) {
+      const state = await getTicketState(channelId);
+      if (!state || shopifyOrderCache.normalizeNumber(state.lastOrderNumber) !== number) {
+        await redis.sRem(this._indexKey(number), channelId);
+        continue;
+      }
+      // Resolved tickets are archived: their customers are reached by DM instead
+      if (!state.resolvedAt) linked.push(channelId);
+    }
+    return linked;
+  }
+
+  /**
+   * Queue a notice for every ticket linked to an order (channel manager side)
+   * @param {Object} order - Shopify order
+   * @param {Object} update - { content, status }
+   * @returns {Promise<number>} Number of tickets notified
+   */
+  async notifyLinkedTickets(order, update) {
+    const channelIds = await this.findLinkedTickets(order);
+    const number = shopifyOrderCache.normalizeNumber(order.order_number || order.name);
+    for (const channelId of channelIds) {
+      await redis.rPush(this.queueKey, JSON.stringify({
+        channelId,
+        orderNumber: number,
+        content: update.content,
+        status: update.status,
+        queuedAt: Date.now()
+      }));
+    }
+    return channelIds.length;
+  }
+
+  startDelivery(client, ticketSelectionService, intervalMs = 5000) {
+    if (this._deliveryTimer) return;
+    this._deliveryTimer = setInterval(() => {
+      this.deliverPending(client, ticketSelectionService)
+        .catch(error => console.error('❌ Order update delivery failed:', error.message));
+    }, intervalMs);
+  }
+
+  stopDelivery() {
+    if (!this._deliveryTimer) return;
+    clearInterval(this._deliveryTimer);
+    this._deliveryTimer = null;
+  }
+
+  /**
+   * Post queued notices into their tickets (bot side)
+   * @param {Object} client - Discord client
+   * @param {Object} ticketSelectionService - Ticket state service
+   * @returns {Promise<number>} Number of notices posted
+   */
+  async deliverPending(client, ticketSelectionService) {
+    let delivered = 0;
+    const failed = [];
+    for (let i = 0; i < this.batchSize; i++) {
+      const data = await redis.lPop(this.queueKey);
+      if (!data) break;
+      const update = JSON.parse(data);
+
+      let channel;
+      try {
+        channel = client.channels.cache.get(update.channelId) || await client.channels.fetch(update.channelId);
+        // Archived tickets are closed: the update is dropped
+        if (channel.archived) continue;
+        await channel.send({ content: update.content });
+      } catch (error) {
+        // Deleted tickets (Unknown Channel) are closed too; other failures are tried again
+        if (error.code === 10003) continue;
+        console.error(`❌ Could not post order update in ticket ${update.channelId}:`, error.message);
+        failed.push(update);
+        continue;
+      }
+
+      delivered++;
+      console.log(`📦 Posted order #${update.orderNumber} update in ticket ${channel.name} (${channel.id})`);
+      try {
+        await ticketSelectionService.updateField(update.channelId, 'orderStatus', update.status);
+      } catch (error) {
+        console.error(`❌ Could not store order status of ticket ${update.channelId}:`, error.message);
+      }
+    }
+
+    // Queued again after the batch, so a failing ticket is not retried within the same run
+    for (const update of failed) {
+      const attempts = (update.attempts || 0) + 1;
+      if (attempts >= this.maxAttempts) {
+        console.error(`❌ Dropping order #${update.orderNumber} update for ticket ${update.channelId} after ${attempts} attempts`);
+        continue;
+      }
+      await redis.rPush(this.queueKey, JSON.stringify({ ...update, attempts }));
+    }
+    return delivered;
+  }
+}
+
+const shopifyTicketNotifier = new ShopifyTicketNotifier();
+export default shopifyTicketNotifier;
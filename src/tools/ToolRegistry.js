@@ -0,0 +1,202 @@
+/**
+ * ToolRegistry - tools the model can call through AIService
+ *
+ * A tool is a plain object (see src/tools/*.js):
+ * {
+ *   definition: { name, description, parameters },  // JSON schema subset sent to the model
+ *   permissions: { channelTypes: ['ticket', 'public'], check?(context) -> reason|null },
+ *   endsTurn?: true,                                 // tool posts its own reply (escalate, open ticket)
+ *   async execute(args, context) -> data
+ * }
+ *
+ * Every call - successful, denied, invalid or failed - is recorded in the audit trail
+ * (context.auditTrail) and forwarded to the audit logger (LoggingService.logToolCall).
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.auditLogger = null;
+  }
+
+  /**
+   * Whether the model is offered tools in this deployment
+   */
+  static isEnabled() {
+    return String(process.env.AI_TOOLS_ENABLED || 'false').toLowerCase() === 'true';
+  }
+
+  register(tool) {
+    this.tools.set(tool.definition.name, tool);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Set the logger that receives audit entries
+   * @param {Object} loggingService - LoggingService instance (needs logToolCall)
+   */
+  setAuditLogger(loggingService) {
+    this.auditLogger = loggingService;
+  }
+
+  /**
+   * Check the tool's permission rules against the calling context
+   * @returns {string|null} Denial reason, or null when allowed
+   */
+  checkPermission(tool, context) {
+    const { channelTypes = [], check } = tool.permissions || {};
+    if (!channelTypes.includes(context.channelType)) {
+      return `not available in ${context.channelType} channels`;
+    }
+    if (typeof check === 'function') {
+      return check(context) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Tools the model may call in this context, in OpenAI function format
+   * @param {Object} context - Tool context ({ channelType, message, ticketState, actions })
+   */
+  getDefinitions(context) {
+    const definitions = [];
+    for (const tool of this.tools.values()) {
+      if (!this.checkPermission(tool, context)) {
+        definitions.push(tool.definition);
+      }
+    }
+    return definitions;
+  }
+
+  /**
+   * Validate arguments against the tool's parameter schema
+   * Supports: type (string, number, integer, boolean), required, enum, pattern,
+   * minLength/maxLength, minimum/maximum; unknown properties are rejected.
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateArgs(tool, args) {
+    const schema = tool.definition.parameters || { properties: {} };
+    const properties = schema.properties || {};
+    const errors = [];
+
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return ['arguments must be an object'];
+    }
+
+    for (const name of schema.required || []) {
+      if (args[name] === undefined || args[name] === null || args[name] === '') {
+        errors.push(`${name} is required`);
+      }
+    }
+
+    for (const [name, value] of Object.entries(args)) {
+      const rule = properties[name];
+      if (!rule) {
+        errors.push(`${name} is not a known argument`);
+        continue;
+      }
+      if (value === undefined || value === null) continue;
+
+      const type = rule.type;
+      if (type === 'string' && typeof value !== 'string') errors.push(`${name} must be a string`);
+      else if (type === 'number' && typeof value !== 'number') errors.push(`${name} must be a number`);
+      else if (type === 'integer' && !Number.isInteger(value)) errors.push(`${name} must be an integer`);
+      else if (type === 'boolean' && typeof value !== 'boolean') errors.push(`${name} must be a boolean`);
+      else {
+        if (rule.enum && !rule.enum.includes(value)) errors.push(`${name} must be one of: ${rule.enum.join(', ')}`);
+        if (rule.pattern && !new RegExp(rule.pattern).test(value)) errors.push(`${name} has an invalid format`);
+        if (rule.minLength !== undefined && value.length < rule.minLength) errors.push(`${name} is too short`);
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) errors.push(`${name} is too long`);
+        if (rule.minimum !== undefined && value < rule.minimum) errors.push(`${name} must be >= ${rule.minimum}`);
+        if (rule.maximum !== undefined && value > rule.maximum) errors.push(`${name} must be <= ${rule.maximum}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a tool call from the model
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArgs - JSON string (as sent by the model) or parsed object
+   * @param {Object} context - Tool context; receives auditTrail and handled flags
+   * @returns {Promise<Object>} Result sent back to the model ({ ok, data } or { ok: false, error })
+   */
+  async execute(name, rawArgs, context) {
+    const startedAt = Date.now();
+    const tool = this.get(name);
+    let args = rawArgs;
+
+    const finish = async (status, outcome, detail = null) => {
+      await this._audit(context, {
+        tool: name,
+        args: this._redact(args),
+        status,
+        detail,
+        durationMs: Date.now() - startedAt
+      });
+      return outcome;
+    };
+
+    if (!tool) {
+      return finish('unknown', { ok: false, error: `Unknown tool: ${name}` });
+    }
+
+    if (typeof rawArgs === 'string') {
+      try {
+        args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+      } catch {
+        return finish('invalid', { ok: false, error: 'Arguments are not valid JSON' }, 'unparseable arguments');
+      }
+    }
+
+    const denial = this.checkPermission(tool, context);
+    if (denial) {
+      return finish('denied', { ok: false, error: `Permission denied: ${denial}` }, denial);
+    }
+
+    const errors = this.validateArgs(tool, args);
+    if (errors.length > 0) {
+      return finish('invalid', { ok: false, error: `Invalid arguments: ${errors.join('; ')}` }, errors.join('; '));
+    }
+
+    try {
+      const data = await tool.execute(args, context);
+      if (tool.endsTurn) context.handled = true;
+      return finish('ok', { ok: true, data }, data?.summary || null);
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error.message);
+      return finish('error', { ok: false, error: 'Tool failed, please try again later' }, error.message);
+    }
+  }
+
+  async _audit(context, entry) {
+    if (!Array.isArray(context.auditTrail)) context.auditTrail = [];
+    context.auditTrail.push(entry);
+    console.log(`🧰 Tool call ${entry.tool} → ${entry.status} (${entry.durationMs}ms)`);
+
+    if (this.auditLogger && context.message) {
+      try {
+        await this.auditLogger.logToolCall(context.message, entry, context.channelType);
+      } catch (error) {
+        console.error('❌ Error writing tool audit log:', error.message);
+      }
+    }
+  }
+
+  // Mask emails so audit logs don't store PII in clear text
+  _redact(args) {
+    if (!args || typeof args !== 'object') return args;
+    const redacted = {};
+    for (const [key, value] of Object.entries(args)) {
+      redacted[key] = typeof value === 'string'
+        ? value.replace(/([^\s@])[^\s@]*@([^\s@]+)/g, '$1***@$2')
+        : value;
+    }
+    return redacted;
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,31 @@
+export default {
+  definition: {
+    name: 'escalate_to_human',
+    description: 'Hand the conversation to the human support team. Use when the user asks for a person, when the issue needs account or hardware action you cannot take, or when the documentation does not cover the question after a real attempt.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'One sentence for the support team explaining why',
+          minLength: 3,
+          maxLength: 300
+        }
+      },
+      required: ['reason']
+    }
+  },
+
+  permissions: {
+    channelTypes: ['ticket', 'public'],
+    check: (context) => (typeof context.actions?.escalate === 'function' ? null : 'escalation is not available here')
+  },
+
+  // Posts the support hand-off message itself; the model's turn ends here
+  endsTurn: true,
+
+  async execute({ reason }, context) {
+    await context.actions.escalate(reason);
+    return { escalated: true, summary: `Escalated: ${reason}` };
+  }
+};
@@ -0,0 +1,13 @@
+import ToolRegistry from './ToolRegistry.js';
+import lookupOrder from './lookupOrder.js';
+import escalateToHuman from './escalateToHuman.js';
+import openTicket from './openTicket.js';
+import searchKnowledgeBase from './searchKnowledgeBase.js';
+
+const tools = new ToolRegistry();
+tools.register(lookupOrder);
+tools.register(escalateToHuman);
+tools.register(openTicket);
+tools.register(searchKnowledgeBase);
+
+export default tools;
@@ -0,0 +1,60 @@
+import shopifyService from '../shopify/ShopifyService.js';
+import shopifyTicketIntegrator from '../shopify/ShopifyTicketIntegrator.js';
+import accountLinkService from '../services/AccountLinkService.js';
+
+export default {
+  definition: {
+    name: 'lookup_order',
+    description: 'Look up the status, items and tracking of a Shopify order. Requires the order number and the email used at checkout; the email can be left out for users who linked their account with /link-account. Ask the user for whatever is missing instead of guessing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        order_number: {
+          type: 'string',
+          description: 'Order number, e.g. "#1234" or "1234"',
+          pattern: '^#?\\d{4,}$',
+          maxLength: 20
+        },
+        email: {
+          type: 'string',
+          description: 'Email address used when placing the order (optional for linked accounts)',
+          pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+          maxLength: 254
+        }
+      },
+      required: ['order_number']
+    }
+  },
+
+  // Order details are private: only inside the customer's own ticket
+  permissions: {
+    channelTypes: ['ticket'],
+    check: () => (shopifyService.isServiceConfigured() ? null : 'Shopify is not configured')
+  },
+
+  async execute({ order_number: orderNumber, email: givenEmail }, context) {
+    const userId = context.message?.author?.id;
+    const email = givenEmail || (userId ? (await accountLinkService.getLink(userId))?.email : null);
+    if (!email) {
+      return { found: false, reason: 'email required', summary: 'Lookup needs the order email (the account is not linked)' };
+    }
+
+    const result = await shopifyService.verifyOrderOwnership(orderNumber, email);
+    if (!result.success) {
+      return { found: false, reason: result.error, summary: `Lookup failed: ${result.error}` };
+    }
+
+    const order = shopifyTicketIntegrator.summarizeOrder(result.order);
+
+    // Same follow-up tracking the hard-wired Order Status flow keeps
+    if (typeof context.actions?.updateTicketState === 'function') {
+      await context.actions.updateTicketState({
+        orderDetailsShown: true,
+        lastOrderNumber: orderNumber,
+        lastOrderEmail: email
+      });
+    }
+
+    return { found: true, order, summary: `Order ${order.orderNumber}: ${order.status}` };
+  }
+};
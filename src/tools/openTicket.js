@@ -0,0 +1,31 @@
+export default {
+  definition: {
+    name: 'open_ticket',
+    description: 'Offer the user a private support ticket. Use in public channels when the user needs to share order details, emails or account information, or needs one-on-one help.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Short reason shown to the user, e.g. "check your order status"',
+          minLength: 3,
+          maxLength: 200
+        }
+      },
+      required: ['reason']
+    }
+  },
+
+  // Tickets are opened from public channels only
+  permissions: {
+    channelTypes: ['public'],
+    check: (context) => (typeof context.actions?.openTicket === 'function' ? null : 'ticket creation is not available here')
+  },
+
+  endsTurn: true,
+
+  async execute({ reason }, context) {
+    await context.actions.openTicket(reason);
+    return { offered: true, summary: `Ticket offered: ${reason}` };
+  }
+};
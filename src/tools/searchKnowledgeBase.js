@@ -0,0 +1,39 @@
+import { contentService as publicContentService } from '../services/PublicArticleService.js';
+
+const MAX_RESULT_CHARS = 6000;
+
+export default {
+  definition: {
+    name: 'search_knowledge_base',
+    description: 'Search the FrodoBots help center for documentation not already in the conversation. Returns matching article text and URLs.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query, e.g. "earthrover charging time"',
+          minLength: 3,
+          maxLength: 300
+        }
+      },
+      required: ['query']
+    }
+  },
+
+  permissions: {
+    channelTypes: ['ticket', 'public']
+  },
+
+  async execute({ query }) {
+    const { content, sources } = await publicContentService.getRelevantContentWithSources(query, 3000);
+    if (!content || sources.length === 0) {
+      return { results: 0, summary: 'No matching articles' };
+    }
+    return {
+      results: sources.length,
+      content: content.length > MAX_RESULT_CHARS ? content.substring(0, MAX_RESULT_CHARS) : content,
+      sources: sources.map(source => source.url),
+      summary: `${sources.length} article(s) found`
+    };
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * BusinessHoursUtil - deadline arithmetic over a business-hours calendar
+ *
+ * A calendar is { timezone, days, start, end, holidays }: IANA timezone, ISO weekdays
+ * (1 = Monday ... 7 = Sunday), "HH:MM" opening and closing times and "YYYY-MM-DD"
+ * holiday dates, all in the calendar's timezone.
+ */
+class BusinessHoursUtil {
+  // Wall-clock parts of a timestamp in a timezone
+  static zonedParts(timestamp, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short'
+    });
+    for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+      parts[type] = value;
+    }
+    const weekdays = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10),
+      minute: parseInt(parts.minute, 10),
+      second: parseInt(parts.second, 10),
+      weekday: weekdays[parts.weekday],
+      date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+  }
+
+  // Timestamp of a wall-clock time in a timezone (day may overflow; Date.UTC normalises it)
+  static zonedTime(year, month, day, hour, minute, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let timestamp = wallClock;
+    // Two passes settle the offset, including across DST changes
+    for (let i = 0; i < 2; i++) {
+      const parts = BusinessHoursUtil.zonedParts(timestamp, timezone);
+      const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      timestamp += wallClock - shown;
+    }
+    return timestamp;
+  }
+
+  static _minutesOf(hhmm) {
+    const [hours, minutes] = String(hhmm).split(':').map(value => parseInt(value, 10));
+    return { hours: hours || 0, minutes: minutes || 0 };
+  }
+
+  /**
+   * Whether a timestamp falls inside business hours
+   * @param {number} timestamp - Epoch ms
+   * @param {Object} calendar - Business-hours calendar
+   */
+  static isBusinessTime(timestamp, calendar) {
+    const parts = BusinessHoursUtil.zonedParts(timestamp, calendar.timezone);
+    if (!calendar.days.includes(parts.weekday) || (calendar.holidays || []).includes(parts.date)) return false;
+    const open = BusinessHoursUtil._minutesOf(calendar.start);
+    const close = BusinessHoursUtil._minutesOf(calendar.end);
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    return minuteOfDay >= open.hours * 60 + open.minutes && minuteOfDay < close.hours * 60 + close.minutes;
+  }
+
+  /**
+   * Add business minutes to a timestamp: time outside opening hours, on closed
+   * weekdays and on holidays does not count
+   * @param {number} start - Epoch ms
+   * @param {number} minutes - Business minutes to add
+   * @param {Object} calendar - Business-hours calendar
+   * @returns {number} Deadline (epoch ms)
+   */
+  static addBusinessMinutes(start, minutes, calendar) {
+    const open = BusinessHoursUtil._minutesOf(calendar.start);
+    const close = BusinessHoursUtil._minutesOf(calendar.end);
+    let cursor = start;
+    let remaining = minutes * 60 * 1000;
+
+    // One iteration per calendar day; bounded so a calendar with no open days cannot spin
+    for (let i = 0; i < 800; i++) {
+      const today = BusinessHoursUtil.zonedParts(cursor, calendar.timezone);
+      const isOpenDay = calendar.days.includes(today.weekday) && !(calendar.holidays || []).includes(today.date);
+      if (isOpenDay) {
+        const dayStart = BusinessHoursUtil.zonedTime(today.year, today.month, today.day, open.hours, open.minutes, calendar.timezone);
+        const dayEnd = BusinessHoursUtil.zonedTime(today.year, today.month, today.day, close.hours, close.minutes, calendar.timezone);
+        if (cursor < dayStart) cursor = dayStart;
+        if (cursor < dayEnd) {
+          if (remaining <= dayEnd - cursor) return cursor + remaining;
+          remaining -= dayEnd - cursor;
+        }
+      }
+      cursor = BusinessHoursUtil.zonedTime(today.year, today.month, today.day + 1, 0, 0, calendar.timezone);
+    }
+    return cursor + remaining;
+  }
+}
+
+export default BusinessHoursUtil;
@@ -0,0 +1,58 @@
+import { encode, decode, countTokens } from 'gpt-tokenizer';
+import constants from '../config/constants.js';
+
+/**
+ * ContentUtil - text and URL helpers shared by the knowledge sources and the
+ * services that put their content in prompts
+ */
+class ContentUtil {
+  // Token count with the GPT-4o family tokenizer (o200k_base); close enough for other models' budgets
+  static estimateTokens(text) {
+    return countTokens(String(text || ''));
+  }
+
+  // Truncate content to fit within a token budget
+  static truncateContent(content, maxTokens) {
+    const text = String(content || '');
+    const tokens = encode(text);
+    if (tokens.length <= maxTokens) return text;
+    return `${decode(tokens.slice(0, Math.max(0, maxTokens)))}\n\n${constants.MESSAGES.CONTENT_TRUNCATED}`;
+  }
+
+  // Absolute URL without query string or fragment, so one page has one key
+  static normalizeUrl(url, base = undefined) {
+    try {
+      const urlObj = new URL(url, base);
+      return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+    } catch {
+      return url;
+    }
+  }
+
+  // Whether a URL belongs to the FrodoBots help center
+  static isHelpCenterUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.hostname === 'intercom.help' && urlObj.pathname.startsWith('/frodobots/en/');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Make URLs in text clickable in Discord without link previews: markdown links
+   * become their URL, trailing punctuation is dropped and the URL is wrapped in <>
+   * @param {string} text - Text to clean
+   * @returns {string} Text with Discord-friendly URLs
+   */
+  static cleanUrlsForDiscord(text) {
+    return String(text || '')
+      .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, (match, linkText, url) => (linkText ? `${linkText}: ${url}` : url))
+      .replace(/<?(https?:\/\/[^\s<>"{}|\\^`[\]()]+)>?/g, (match, url) => {
+        const clean = url.replace(/[.,;:!?]+$/, '');
+        return `<${clean}>${url.slice(clean.length)}`;
+      });
+  }
+}
+
+export default ContentUtil;
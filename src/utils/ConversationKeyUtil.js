@@ -59,6 +59,17 @@ class ConversationKeyUtil {
     const channelId = target.id;
     return `user_${userId}:${channelId}`;
   }
+
+  /**
+   * Redis key under which a conversation's history is stored
+   * @param {string} conversationId - Conversation id (channel id, user id or a generated key)
+   * @param {boolean} isUserBased - Whether the id is a bare user id (prefixed with "user_")
+   * @returns {string} Storage key, e.g. "conversation:1234567890"
+   */
+  static storageKey(conversationId, isUserBased = true) {
+    const key = isUserBased ? `user_${conversationId}` : conversationId;
+    return `conversation:${key}`;
+  }
 }
 
 export default ConversationKeyUtil;
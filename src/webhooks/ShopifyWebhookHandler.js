@@ -1,5 +1,11 @@
 import crypto from 'crypto';
 import googleSheets from '../services/GoogleSheetsService.js';
+import shopifyService from '../shopify/ShopifyService.js';
+import shopifyTicketIntegrator from '../shopify/ShopifyTicketIntegrator.js';
+import shopifyOrderCache from '../shopify/ShopifyOrderCache.js';
+import shopifyTicketNotifier from '../shopify/ShopifyTicketNotifier.js';
+import shopifyShippingNotifier from '../shopify/ShopifyShippingNotifier.js';
+import shopifyWebhookQueue from './ShopifyWebhookQueue.js';
 
 // --- HMAC verification ---
 function verifyShopifyHmac(rawBody, secret, hmacHeader) {
@@ -124,13 +130,208 @@ function extractRowFromOrder(order) {
   ];
 }
 
+// --- Cached order state ---
+// Order from the cache, or from the Shopify API for orders placed before it was kept.
+// Null only when Shopify says the order doesn't exist; other API failures throw, so the
+// queue retries the event (and dead-letters it after the last attempt)
+async function resolveOrder(orderId) {
+  const cached = await shopifyOrderCache.get(orderId);
+  if (cached) return cached;
+  const result = await shopifyService.getOrderById(orderId);
+  if (result.success) return shopifyOrderCache.save(result.order);
+  if (result.error === 'Order not found') return null;
+  throw new Error(`Could not load order ${orderId}: ${result.error}`);
+}
+
+function sheetStatus(order) {
+  return shopifyTicketIntegrator.summarizeOrder(order).status.split(' - ')[0];
+}
+
+// --- Google Sheets row ---
+// Row number of an order: remembered from orders/create, else matched on email + purchase date
+async function findSheetRow(order) {
+  if (order.sheetRow) return order.sheetRow;
+  const email = (order.email || order.customer?.email || '').toLowerCase();
+  const purchaseDate = (order.created_at || '').slice(0, 10);
+  if (!email) return null;
+  return googleSheets.findRow(row => (row[2] || '').toLowerCase() === email && row[3] === purchaseDate);
+}
+
+async function updateSheetRow(order, cells) {
+  if (!googleSheets.isEnabled()) return order;
+  const rowNumber = await findSheetRow(order);
+  if (!rowNumber) {
+    console.warn(`⚠️ [Webhook] No sheet row found for order ${order.name || order.id}`);
+    return order;
+  }
+  await googleSheets.updateCells(rowNumber, { ...cells, [googleSheets.statusColumn]: sheetStatus(order) });
+  return order.sheetRow === rowNumber ? order : shopifyOrderCache.setSheetRow(order, rowNumber);
+}
+
+// --- Linked Discord tickets ---
+// Tell linked tickets about a status or tracking change (once per change); returns the tickets told.
+// The change is marked as sent only once its notices are queued, so a failed event retries them
+async function notifyStatusChange(order) {
+  const summary = shopifyTicketIntegrator.summarizeOrder(order);
+  const notified = `${summary.status}|${summary.tracking || ''}`;
+  if (order.notifiedUpdate === notified) return 0;
+
+  let content = `📦 **Order ${summary.orderNumber} update:** ${summary.status}`;
+  if (summary.tracking) {
+    content += `\n**Track order:** ${summary.tracking}`;
+  }
+  const count = await shopifyTicketNotifier.notifyLinkedTickets(order, { content, status: summary.status });
+  await shopifyOrderCache.save({ ...order, notifiedUpdate: notified });
+  if (count > 0) {
+    console.log(`🪝 [Webhook] Queued order ${summary.orderNumber} update for ${count} ticket(s)`);
+  }
+  return count;
+}
+
+// Shipment DMs, unless notifyStatusChange posted this change to linked tickets (ticketsNotified):
+// a ticket whose notice was deduped must not swallow the DM. The state each event was sent
+// for is kept per fulfillment, so orders/updated and fulfillments/* webhooks don't hide each
+// other's events; orders cached before that was kept compare against their known fulfillments
+const SHIPMENT_EVENT_PRIORITY = ['delivered', 'shipped', 'tracking_update'];
+
+async function notifyShipments(order, knownFulfillments, ticketsNotified = 0) {
+  const sent = order.notifiedShipments || Object.fromEntries(
+    knownFulfillments.map(fulfillment => [fulfillment.id, shopifyShippingNotifier.getShipmentState(fulfillment)])
+  );
+  const notifiedShipments = { ...sent };
+  const events = [];
+  for (const fulfillment of order.fulfillments || []) {
+    const event = shopifyShippingNotifier.getShipmentEvent(sent[fulfillment.id] || null, fulfillment);
+    if (!event) continue;
+    events.push(event);
+    notifiedShipments[fulfillment.id] = shopifyShippingNotifier.getShipmentState(fulfillment);
+  }
+  if (order.notifiedShipments && events.length === 0) return;
+  const cached = await shopifyOrderCache.save({ ...order, notifiedShipments });
+  if (events.length === 0) return;
+
+  if (ticketsNotified > 0) return;
+  const event = SHIPMENT_EVENT_PRIORITY.find(candidate => events.includes(candidate));
+  const count = await shopifyShippingNotifier.notifyLinkedUsers(cached, event);
+  if (count > 0) {
+    console.log(`🪝 [Webhook] Queued ${event} notification of order ${cached.name || cached.id} for ${count} user(s)`);
+  }
+}
+
+function refundAmount(refund) {
+  return (refund.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((total, transaction) => total + Number(transaction.amount || 0), 0);
+}
+
+// --- Topic handlers ---
+async function onOrdersCreate(order) {
+  // A retried event must not append the row twice
+  const existing = await shopifyOrderCache.get(order.id);
+  if (existing?.sheetRow) return;
+
+  const rowNumber = await googleSheets.appendRow(extractRowFromOrder(order));
+  const summary = shopifyTicketIntegrator.summarizeOrder(order);
+  const cached = await shopifyOrderCache.save({
+    ...order,
+    sheetRow: rowNumber || null,
+    notifiedUpdate: `${summary.status}|${summary.tracking || ''}`,
+    notifiedShipments: {}
+  });
+  if (rowNumber) {
+    await googleSheets.updateCells(rowNumber, { [googleSheets.statusColumn]: sheetStatus(cached) });
+  }
+  if (process.env.DEBUG_WEBHOOKS === 'true') {
+    console.log(`🪝 [Webhook] Appended row ${rowNumber} to Google Sheet`);
+  }
+}
+
+// orders/updated and orders/cancelled carry the whole order
+async function onOrderChanged(order) {
+  // Retries and replays can arrive after newer updates: an older payload must not revert the sheet or notify tickets
+  const previous = await shopifyOrderCache.get(order.id);
+  if (shopifyOrderCache.isOlder(order, previous)) {
+    console.log(`🪝 [Webhook] Skipping outdated update of order ${order.name || order.id} (${order.updated_at}, cached ${previous.updated_at})`);
+    return;
+  }
+  let cached = await shopifyOrderCache.save(order);
+  // Columns filled from the order; Remarks (B) and G..K are left to the team
+  const [customerName, , email, , country, botModel] = extractRowFromOrder(order);
+  cached = await updateSheetRow(cached, { A: customerName, C: email, E: country, F: botModel });
+  const ticketsNotified = await notifyStatusChange(cached);
+  // An order first seen here counts its fulfillments as already announced
+  await notifyShipments(await shopifyOrderCache.get(order.id), (previous || order).fulfillments || [], ticketsNotified);
+}
+
+async function onFulfillmentChanged(fulfillment) {
+  const order = await resolveOrder(fulfillment.order_id);
+  if (!order) {
+    console.warn(`⚠️ [Webhook] Order ${fulfillment.order_id} of fulfillment ${fulfillment.id} not found`);
+    return;
+  }
+  let cached = await shopifyOrderCache.applyFulfillment(order, fulfillment);
+  cached = await updateSheetRow(cached, {});
+  const ticketsNotified = await notifyStatusChange(cached);
+  await notifyShipments(await shopifyOrderCache.get(order.id), order.fulfillments || [], ticketsNotified);
+}
+
+async function onRefundCreated(refund) {
+  const order = await resolveOrder(refund.order_id);
+  if (!order) {
+    console.warn(`⚠️ [Webhook] Order ${refund.order_id} of refund ${refund.id} not found`);
+    return;
+  }
+  let cached = await shopifyOrderCache.applyRefund(order, refund);
+  cached = await updateSheetRow(cached, {});
+
+  // Refunds with no money back (e.g. restock only) are not worth a ticket message
+  const amount = refundAmount(refund);
+  if (amount <= 0) return;
+  const currency = refund.transactions?.[0]?.currency || cached.currency || 'USD';
+  const summary = shopifyTicketIntegrator.summarizeOrder(cached);
+  await shopifyTicketNotifier.notifyLinkedTickets(cached, {
+    content: `💸 **Order ${summary.orderNumber}:** a refund of ${currency} ${amount.toFixed(2)} has been issued. It can take a few business days to reach your account.`,
+    status: summary.status
+  });
+}
+
+const TOPIC_HANDLERS = {
+  'orders/create': onOrdersCreate,
+  'orders/updated': onOrderChanged,
+  'orders/cancelled': onOrderChanged,
+  'fulfillments/create': onFulfillmentChanged,
+  'fulfillments/update': onFulfillmentChanged,
+  'refunds/create': onRefundCreated,
+};
+
+export const SUPPORTED_TOPICS = Object.keys(TOPIC_HANDLERS);
+
+/**
+ * Run the handler of a Shopify webhook topic
+ * @param {string} topic - X-Shopify-Topic (e.g. 'fulfillments/create')
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Promise<boolean>} False when the topic is not handled
+ */
+export async function processShopifyEvent(topic, payload) {
+  const handler = TOPIC_HANDLERS[topic];
+  if (!handler) {
+    console.warn(`⚠️ [Webhook] Ignoring unsupported Shopify topic: ${topic}`);
+    return false;
+  }
+  await handler(payload);
+  return true;
+}
+
 // --- Webhook handler ---
-export async function handleOrdersCreate(req, res) {
+// Every topic is posted to the same URL. The event is queued and acknowledged at once;
+// the ShopifyWebhookQueue worker runs the handler picked by X-Shopify-Topic
+export async function handleShopifyWebhook(req, res) {
+  const topic = req.get('X-Shopify-Topic');
   try {
     if (process.env.DEBUG_WEBHOOKS === 'true') {
-      console.log('🪝 [Webhook] Incoming orders/create');
+      console.log(`🪝 [Webhook] Incoming ${topic}`);
       console.log('🪝 Headers:', {
-        'X-Shopify-Topic': req.get('X-Shopify-Topic'),
+        'X-Shopify-Topic': topic,
         'X-Shopify-Shop-Domain': req.get('X-Shopify-Shop-Domain'),
         'Content-Type': req.get('content-type'),
       });
@@ -139,7 +340,6 @@ export async function handleOrdersCreate(req, res) {
     const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
     const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
     const rawBody = req.rawBody; // always use raw body, not parsed
-    console.log('🪝 Raw body:', rawBody);
 
     if (process.env.DEBUG_WEBHOOKS === 'true') {
       const bodyLen = Buffer.isBuffer(rawBody) ? rawBody.length : (rawBody?.length || 0);
@@ -163,20 +363,34 @@ export async function handleOrdersCreate(req, res) {
       return res.status(401).send('Invalid HMAC');
     }
 
-    // rawBody is a string/buffer → parse JSON now
-    const order = JSON.parse(rawBody.toString('utf8'));
-    console.log('🪝 Order:', order);
-    const row = extractRowFromOrder(order);
-
-    await googleSheets.appendRow(row);
+    if (!topic) {
+      return res.status(400).send('Missing X-Shopify-Topic');
+    }
 
-    if (process.env.DEBUG_WEBHOOKS === 'true') {
-      console.log('🪝 [Webhook] Appended row to Google Sheet');
+    // Unsupported topics are still acknowledged, or Shopify keeps retrying them
+    if (!TOPIC_HANDLERS[topic]) {
+      console.warn(`⚠️ [Webhook] Ignoring unsupported Shopify topic: ${topic}`);
+      return res.status(200).send('ignored');
     }
 
-    return res.status(200).send('ok');
+    // rawBody is a string/buffer → parse JSON now
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    // Without a webhook ID (manual tests) identical bodies still count as one event
+    const webhookId = req.get('X-Shopify-Webhook-Id') ||
+      crypto.createHash('sha256').update(`${topic}:`).update(rawBody).digest('hex');
+    const { duplicate } = await shopifyWebhookQueue.enqueue({
+      webhookId,
+      topic,
+      shopDomain: req.get('X-Shopify-Shop-Domain') || null,
+      payload
+    });
+
+    if (duplicate && process.env.DEBUG_WEBHOOKS === 'true') {
+      console.log(`🪝 [Webhook] Duplicate ${topic} event ${webhookId} dropped`);
+    }
+    return res.status(200).send(duplicate ? 'duplicate' : 'ok');
   } catch (e) {
-    console.error('❌ Shopify orders/create webhook error:', e);
+    console.error(`❌ Shopify ${topic} webhook error:`, e);
     return res.status(500).send('error');
   }
 }
@@ -0,0 +1,238 @@
+import redis from '../services/redisClient.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Processed events are kept long enough to drop Shopify's retries (it retries for 48 hours)
+const EVENT_TTL_SECONDS = 7 * DAY_SECONDS;
+const DEAD_EVENT_TTL_SECONDS = 30 * DAY_SECONDS;
+// Record the event and queue its ID in one step: a crash in between would mark it seen but never run it
+const ENQUEUE_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'EX', ARGV[2]) then
+  redis.call('RPUSH', KEYS[2], ARGV[3])
+  return 1
+end
+return 0`;
+
+/**
+ * ShopifyWebhookQueue - durable queue between the webhook endpoint and the topic handlers
+ *
+ * The endpoint only records the event (shopify:webhook:<X-Shopify-Webhook-Id>) and acknowledges it;
+ * an event ID already recorded is a Shopify retry and is dropped. A background worker in the
+ * channel manager moves event IDs from the pending list through a processing list (re-queued at
+ * startup after a crash) and runs the topic handler. Failures are retried with exponential backoff
+ * (retry sorted set, scored by due time); after SHOPIFY_WEBHOOK_MAX_ATTEMPTS the event goes to the
+ * dead-letter list, where the channel manager can inspect and replay it.
+ */
+class ShopifyWebhookQueue {
+  constructor() {
+    this.eventPrefix = 'shopify:webhook:';
+    this.pendingKey = 'shopify:webhooks:pending';
+    this.processingKey = 'shopify:webhooks:processing';
+    this.retryKey = 'shopify:webhooks:retry';
+    this.deadKey = 'shopify:webhooks:dead';
+    this.maxAttempts = parseInt(process.env.SHOPIFY_WEBHOOK_MAX_ATTEMPTS || '5', 10);
+    this.retryBaseMs = parseInt(process.env.SHOPIFY_WEBHOOK_RETRY_BASE_MS || '30000', 10);
+    this._workerTimer = null;
+    this._draining = false;
+  }
+
+  /**
+   * Record an incoming event and queue it, unless it was already received
+   * @param {Object} event - { webhookId, topic, shopDomain, payload }
+   * @returns {Promise<{duplicate: boolean}>}
+   */
+  async enqueue({ webhookId, topic, shopDomain = null, payload }) {
+    const record = {
+      id: webhookId,
+      topic,
+      shopDomain,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      receivedAt: Date.now(),
+      lastAttemptAt: null,
+      processedAt: null,
+      lastError: null
+    };
+    const created = await redis.eval(ENQUEUE_SCRIPT, {
+      keys: [this._eventKey(webhookId), this.pendingKey],
+      arguments: [JSON.stringify(record), String(EVENT_TTL_SECONDS), webhookId]
+    });
+    return { duplicate: !created };
+  }
+
+  /**
+   * Start the background worker
+   * @param {Function} processor - async (topic, payload) => boolean (false: topic not handled)
+   * @param {number} intervalMs - Poll interval
+   */
+  async startWorker(processor, intervalMs = 2000) {
+    if (this._workerTimer) return;
+    this.processor = processor;
+    await this._recoverProcessing();
+    this._workerTimer = setInterval(() => {
+      this.drain().catch(error => console.error('❌ [Webhook] Queue worker failed:', error.message));
+    }, intervalMs);
+    console.log(`🪝 Shopify webhook worker started (max ${this.maxAttempts} attempts)`);
+  }
+
+  stopWorker() {
+    if (!this._workerTimer) return;
+    clearInterval(this._workerTimer);
+    this._workerTimer = null;
+  }
+
+  /**
+   * Process every pending event and every retry that is due
+   * @returns {Promise<number>} Number of events processed
+   */
+  async drain() {
+    if (this._draining || !this.processor) return 0;
+    this._draining = true;
+    let processed = 0;
+    try {
+      await this._promoteDueRetries();
+      for (;;) {
+        const webhookId = await redis.lMove(this.pendingKey, this.processingKey, 'LEFT', 'RIGHT');
+        if (!webhookId) break;
+        await this._process(webhookId);
+        await redis.lRem(this.processingKey, 1, webhookId);
+        processed++;
+      }
+    } finally {
+      this._draining = false;
+    }
+    return processed;
+  }
+
+  /**
+   * Get a recorded event (with its payload)
+   * @param {string} webhookId - X-Shopify-Webhook-Id
+   * @returns {Promise<Object|null>} Event record or null
+   */
+  async getEvent(webhookId) {
+    const data = await redis.get(this._eventKey(webhookId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Failed events: dead letters and events waiting for a retry (without their payload)
+   * @param {number} limit - Max events per list
+   * @returns {Promise<Object>} { counts: { pending, retrying, dead }, dead: [], retrying: [] }
+   */
+  async listFailed(limit = 50) {
+    const [pending, retryIds, deadIds] = await Promise.all([
+      redis.lLen(this.pendingKey),
+      redis.zRange(this.retryKey, 0, -1),
+      redis.lRange(this.deadKey, 0, -1)
+    ]);
+    const summarize = async ids => {
+      const events = await Promise.all(ids.slice(0, limit).map(id => this.getEvent(id)));
+      return events.filter(Boolean).map(({ payload, ...event }) => event);
+    };
+    return {
+      counts: { pending, retrying: retryIds.length, dead: deadIds.length },
+      dead: await summarize([...deadIds].reverse()),
+      retrying: await summarize(retryIds)
+    };
+  }
+
+  /**
+   * Queue a failed event again, with a fresh attempt budget
+   * @param {string} webhookId - X-Shopify-Webhook-Id
+   * @returns {Promise<boolean>} False when the event is unknown, did not fail or was already queued again
+   */
+  async replay(webhookId) {
+    const event = await this.getEvent(webhookId);
+    if (!event) return false;
+
+    // Taking the ID off its list decides who queues it, so a retry the worker already
+    // promoted (or a second replay) is not queued twice
+    let claimed = 0;
+    if (event.status === 'dead') {
+      claimed = await redis.lRem(this.deadKey, 0, webhookId);
+    } else if (event.status === 'retrying') {
+      claimed = await redis.zRem(this.retryKey, webhookId);
+    }
+    if (!claimed) return false;
+
+    await redis
+      .multi()
+      .set(this._eventKey(webhookId), JSON.stringify({ ...event, status: 'pending', attempts: 0, nextAttemptAt: null }), { EX: EVENT_TTL_SECONDS })
+      .rPush(this.pendingKey, webhookId)
+      .exec();
+    console.log(`🪝 [Webhook] Replaying ${event.topic} event ${webhookId}`);
+    return true;
+  }
+
+  /**
+   * Replay every dead-letter event
+   * @returns {Promise<number>} Number of events queued again
+   */
+  async replayDead() {
+    const deadIds = await redis.lRange(this.deadKey, 0, -1);
+    let replayed = 0;
+    for (const webhookId of new Set(deadIds)) {
+      if (await this.replay(webhookId)) replayed++;
+    }
+    return replayed;
+  }
+
+  async _process(webhookId) {
+    const event = await this.getEvent(webhookId);
+    // Expired records (a dead letter older than its TTL) have nothing left to run
+    if (!event) return;
+
+    const attempt = { ...event, status: 'processing', attempts: event.attempts + 1, lastAttemptAt: Date.now() };
+    await this._save(attempt, EVENT_TTL_SECONDS);
+
+    try {
+      const handled = await this.processor(event.topic, event.payload);
+      await this._save({ ...attempt, status: handled ? 'done' : 'ignored', processedAt: Date.now(), lastError: null }, EVENT_TTL_SECONDS);
+    } catch (error) {
+      console.error(`❌ [Webhook] ${event.topic} event ${webhookId} failed (attempt ${attempt.attempts}/${this.maxAttempts}):`, error.message);
+      const failed = { ...attempt, lastError: error.message };
+
+      if (attempt.attempts >= this.maxAttempts) {
+        await this._save({ ...failed, status: 'dead', nextAttemptAt: null }, DEAD_EVENT_TTL_SECONDS);
+        await redis.rPush(this.deadKey, webhookId);
+        return;
+      }
+
+      const nextAttemptAt = Date.now() + this.retryBaseMs * 2 ** (attempt.attempts - 1);
+      await this._save({ ...failed, status: 'retrying', nextAttemptAt }, EVENT_TTL_SECONDS);
+      await redis.zAdd(this.retryKey, { score: nextAttemptAt, value: webhookId });
+    }
+  }
+
+  async _promoteDueRetries() {
+    const due = await redis.zRangeByScore(this.retryKey, 0, Date.now());
+    for (const webhookId of due) {
+      // zRem decides who moves it when several workers race
+      if (await redis.zRem(this.retryKey, webhookId)) {
+        await redis.rPush(this.pendingKey, webhookId);
+      }
+    }
+  }
+
+  // Events left in processing were interrupted by a restart
+  async _recoverProcessing() {
+    let recovered = 0;
+    while (await redis.lMove(this.processingKey, this.pendingKey, 'RIGHT', 'LEFT')) {
+      recovered++;
+    }
+    if (recovered > 0) {
+      console.log(`🪝 [Webhook] Re-queued ${recovered} interrupted event(s)`);
+    }
+  }
+
+  async _save(event, ttlSeconds) {
+    await redis.set(this._eventKey(event.id), JSON.stringify(event), { EX: ttlSeconds });
+  }
+
+  _eventKey(webhookId) {
+    return `${this.eventPrefix}${webhookId}`;
+  }
+}
+
+const shopifyWebhookQueue = new ShopifyWebhookQueue();
+export default shopifyWebhookQueue;